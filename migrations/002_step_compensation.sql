@@ -0,0 +1,23 @@
+-- Step Compensation (Saga)
+-- Lets any flow step name a compensating step or sub-flow that undoes it when the instance fails
+
+-- =====================================================
+-- FLOW STEPS - compensation declaration
+-- =====================================================
+
+ALTER TABLE flow_steps
+    ADD COLUMN IF NOT EXISTS compensation_step_id UUID REFERENCES flow_steps(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS compensation_flow_code VARCHAR(50);
+
+-- =====================================================
+-- STEP EXECUTIONS - compensation outcome
+-- =====================================================
+
+-- Status: COMPENSATED, IN_PROGRESS, FAILED
+ALTER TABLE step_executions
+    ADD COLUMN IF NOT EXISTS compensation_status VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS compensated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS compensation_details JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_step_executions_compensation ON step_executions(compensation_status)
+    WHERE compensation_status IS NOT NULL;
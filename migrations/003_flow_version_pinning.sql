@@ -0,0 +1,13 @@
+-- Flow Version Pinning
+-- Instances run against the flow version they started on, so activating a new version
+-- does not change the definition under in-flight instances
+
+-- =====================================================
+-- FLOW INSTANCES - pinned version
+-- =====================================================
+
+-- NULL for instances created before pinning; they are pinned to the active version when they next run
+ALTER TABLE flow_instances
+    ADD COLUMN IF NOT EXISTS flow_version_id UUID REFERENCES flow_versions(id);
+
+CREATE INDEX IF NOT EXISTS idx_flow_instances_flow_version ON flow_instances(flow_version_id);
@@ -0,0 +1,47 @@
+-- Flow Version Rollouts (canary routing)
+-- Sends a share of an event type's requests to a candidate flow version, with per-version
+-- metrics and automatic rollback when the candidate's failure rate is too high
+
+-- =====================================================
+-- FLOW ROLLOUTS
+-- =====================================================
+
+-- Status: ACTIVE, PROMOTED, ROLLED_BACK
+CREATE TABLE IF NOT EXISTS flow_rollouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type_id UUID NOT NULL REFERENCES event_types(id) ON DELETE CASCADE,
+    flow_id UUID NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
+    baseline_version_id UUID REFERENCES flow_versions(id),
+    candidate_version_id UUID NOT NULL REFERENCES flow_versions(id),
+
+    -- Routing: percentage of matching requests sent to the candidate
+    percentage INT NOT NULL DEFAULT 0 CHECK (percentage BETWEEN 0 AND 100),
+    -- Request filters, e.g. { "channelCode": ["100"], "destBankCode": ["300591"] }
+    match_rules JSONB DEFAULT '{}',
+    -- Payload field hashed to pick the bucket (same value, same version); random when NULL
+    sticky_field VARCHAR(100),
+
+    -- Auto-rollback
+    max_failure_rate NUMERIC(5, 2) DEFAULT 10.00,
+    min_sample_size INT DEFAULT 20,
+
+    status VARCHAR(50) DEFAULT 'ACTIVE',
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP,
+    end_reason TEXT,
+    metrics_snapshot JSONB,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by UUID,
+    updated_by UUID
+);
+
+-- One running rollout per event type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_flow_rollouts_active ON flow_rollouts(event_type_id)
+    WHERE status = 'ACTIVE';
+CREATE INDEX IF NOT EXISTS idx_flow_rollouts_flow ON flow_rollouts(flow_id);
+
+-- Instances record which rollout routed them
+CREATE INDEX IF NOT EXISTS idx_flow_instances_rollout ON flow_instances((metadata->'rollout'->>'rolloutId'))
+    WHERE metadata ? 'rollout';
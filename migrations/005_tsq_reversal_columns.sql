@@ -0,0 +1,22 @@
+-- TSQ and Reversal Columns
+-- Columns the TSQ and reversal services record that the initial schema never declared
+
+-- =====================================================
+-- TSQ REQUESTS - approval code of the status answer
+-- =====================================================
+
+ALTER TABLE tsq_requests
+    ADD COLUMN IF NOT EXISTS approval_code VARCHAR(50);
+
+-- =====================================================
+-- REVERSAL REQUESTS - payloads, callback and outcome
+-- =====================================================
+
+ALTER TABLE reversal_requests
+    ADD COLUMN IF NOT EXISTS original_payload JSONB,
+    ADD COLUMN IF NOT EXISTS reversal_payload JSONB,
+    ADD COLUMN IF NOT EXISTS approval_code VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS error_message TEXT,
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS callback_payload JSONB,
+    ADD COLUMN IF NOT EXISTS callback_received_at TIMESTAMP;
@@ -0,0 +1,15 @@
+-- Process Request Idempotency
+-- Repeated /process requests (BFS retries) return the original instance instead of starting
+-- a second transfer; requests are matched on session ID and an optional Idempotency-Key header
+
+-- =====================================================
+-- FLOW INSTANCES - idempotency
+-- =====================================================
+
+ALTER TABLE flow_instances
+    ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS sync_request BOOLEAN DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_flow_instances_idempotency_key
+    ON flow_instances(idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
@@ -0,0 +1,38 @@
+-- Job Queue Workers
+-- Workers wake on NOTIFY when jobs become runnable instead of polling, and hold a lease on
+-- each job they run; a job whose lease expires (worker crashed or stalled) is claimed again
+
+-- =====================================================
+-- JOB QUEUE - leases and heartbeats
+-- =====================================================
+
+ALTER TABLE job_queue
+    ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_lease ON job_queue(lease_expires_at) WHERE status = 'PROCESSING';
+
+-- =====================================================
+-- JOB QUEUE - notifications
+-- =====================================================
+
+-- Payload: { id, jobType, runAt } on channel job_queue; runAt is when the job becomes due
+CREATE OR REPLACE FUNCTION notify_job_queue()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'PENDING' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'PENDING') THEN
+        PERFORM pg_notify('job_queue', json_build_object(
+            'id', NEW.id,
+            'jobType', NEW.job_type,
+            'runAt', GREATEST(COALESCE(NEW.scheduled_for, NOW()), COALESCE(NEW.next_retry_at, NOW()))
+        )::text);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS job_queue_notify ON job_queue;
+CREATE TRIGGER job_queue_notify
+    AFTER INSERT OR UPDATE OF status ON job_queue
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_job_queue();
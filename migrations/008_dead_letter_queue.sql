@@ -0,0 +1,51 @@
+-- Dead-Letter Queue
+-- Jobs that exhaust max_attempts are copied here with their failure reason, attempt history
+-- and payload, so they can be inspected, replayed or purged after the job_queue row is cleaned up
+
+-- =====================================================
+-- DEAD LETTER JOBS
+-- =====================================================
+
+-- Status: DEAD (waiting for an operator), REPLAYED (re-queued as replay_job_id)
+CREATE TABLE IF NOT EXISTS dead_letter_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL,
+    job_type VARCHAR(100) NOT NULL,
+    job_name VARCHAR(255),
+    flow_instance_id UUID REFERENCES flow_instances(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    priority INT DEFAULT 0,
+
+    -- Failure
+    failure_reason TEXT,
+    attempts INT NOT NULL DEFAULT 0,
+    attempt_history JSONB DEFAULT '[]',
+    -- Instance status before the exhausted job failed it; restored on replay
+    instance_status VARCHAR(50),
+
+    status VARCHAR(50) DEFAULT 'DEAD',
+
+    -- Replay
+    replay_count INT DEFAULT 0,
+    replay_job_id UUID,
+    replayed_at TIMESTAMP,
+    replayed_by VARCHAR(100),
+
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_status ON dead_letter_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_type ON dead_letter_jobs(job_type);
+CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_instance ON dead_letter_jobs(flow_instance_id);
+CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_job ON dead_letter_jobs(job_id);
+
+-- =====================================================
+-- ALERT RULE - DLQ depth
+-- =====================================================
+
+-- conditions.threshold: alert when this many jobs are waiting in the DLQ
+INSERT INTO alert_rules (alert_name, alert_type, trigger_event, conditions, channels)
+SELECT 'Dead-Letter Queue Depth Alert', 'WARNING', 'DLQ_DEPTH_EXCEEDED', '{"threshold": 10}', '["webhook"]'
+WHERE NOT EXISTS (SELECT 1 FROM alert_rules WHERE trigger_event = 'DLQ_DEPTH_EXCEEDED');
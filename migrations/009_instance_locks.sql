@@ -0,0 +1,17 @@
+-- Flow Instance Locks
+-- A node holds a lease on a flow instance while it executes or resumes it, so two workers (or a
+-- callback arriving mid-execution) never mutate the same instance at once; an expired lease
+-- (node crashed or stalled) can be taken over
+
+-- =====================================================
+-- FLOW INSTANCES - execution leases
+-- =====================================================
+
+ALTER TABLE flow_instances
+    ADD COLUMN IF NOT EXISTS locked_by VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP,
+    -- Incremented on every acquisition; identifies the lease holder's writes
+    ADD COLUMN IF NOT EXISTS lock_version INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_flow_instances_locked ON flow_instances(locked_by) WHERE locked_by IS NOT NULL;
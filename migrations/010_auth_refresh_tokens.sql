@@ -0,0 +1,37 @@
+-- Authentication
+-- Refresh tokens for the login endpoint, and route permissions (resource:action) for the built-in roles
+
+-- =====================================================
+-- REFRESH TOKENS
+-- =====================================================
+
+-- Only a SHA-256 hash of each token is stored. Refreshing revokes the token and issues its
+-- replacement (replaced_by); presenting a revoked token again revokes all of the user's tokens
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by UUID,
+    created_ip VARCHAR(100),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+
+-- =====================================================
+-- ROLE PERMISSIONS
+-- =====================================================
+
+-- Replace the original dot-style permissions; roles edited since are left alone
+UPDATE roles SET permissions = '["flows:*", "steps:*", "mappings:*", "instances:*", "process:*", "reversals:*", "callbacks:*", "monitoring:*", "reports:*", "test:*"]'
+WHERE role_code = 'ADMIN' AND permissions = '["admin.*", "flows.*", "instances.*"]';
+
+UPDATE roles SET permissions = '["flows:read", "instances:*", "callbacks:*", "monitoring:*", "reports:read"]'
+WHERE role_code = 'OPERATOR' AND permissions = '["instances.view", "instances.manual", "monitoring.*"]';
+
+UPDATE roles SET permissions = '["flows:read", "steps:read", "mappings:read", "instances:read", "callbacks:read", "monitoring:read", "reports:read"]'
+WHERE role_code = 'VIEWER' AND permissions = '["instances.view", "flows.view", "monitoring.view"]';
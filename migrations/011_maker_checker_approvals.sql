@@ -0,0 +1,88 @@
+-- Maker-Checker Approvals
+-- Manual reversals, instance cancellations and MANUAL steps with requires_approval wait for a
+-- second user to approve them. Approvers are limited by role and amount.
+
+-- =====================================================
+-- APPROVAL REQUESTS
+-- =====================================================
+
+-- approval_type: REVERSAL, CANCEL_INSTANCE, MANUAL_STEP
+-- Status: PENDING, APPROVED (executed), REJECTED, FAILED (approved but the operation failed),
+-- CANCELLED (the instance was cancelled while the request was pending)
+CREATE TABLE IF NOT EXISTS approval_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    approval_type VARCHAR(50) NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'PENDING',
+    flow_instance_id UUID NOT NULL REFERENCES flow_instances(id) ON DELETE CASCADE,
+    -- MANUAL_STEP: the waiting step execution
+    step_execution_id UUID REFERENCES step_executions(id) ON DELETE CASCADE,
+
+    -- Instance amount when requested; compared with the approver's limit
+    amount NUMERIC(18, 2),
+    -- Arguments of the operation run on approval (e.g. reversalType)
+    operation JSONB DEFAULT '{}',
+    reason TEXT,
+    -- Role codes allowed to approve (flow_steps.approval_roles); empty means any role
+    required_roles JSONB DEFAULT '[]',
+
+    -- Maker (NULL when the flow itself asked for approval)
+    requested_by UUID,
+    requested_by_name VARCHAR(100),
+
+    -- Checker
+    decided_by UUID,
+    decided_by_name VARCHAR(100),
+    decision_comment TEXT,
+    decided_at TIMESTAMP,
+
+    execution_result JSONB,
+    execution_error TEXT,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_requests_status ON approval_requests(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_approval_requests_instance ON approval_requests(flow_instance_id);
+
+-- One pending reversal or cancellation per instance, one pending approval per waiting step
+CREATE UNIQUE INDEX IF NOT EXISTS idx_approval_requests_pending_operation
+    ON approval_requests(flow_instance_id, approval_type)
+    WHERE status = 'PENDING' AND approval_type <> 'MANUAL_STEP';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_approval_requests_pending_step
+    ON approval_requests(step_execution_id)
+    WHERE status = 'PENDING' AND step_execution_id IS NOT NULL;
+
+-- =====================================================
+-- APPROVAL LIMITS
+-- =====================================================
+
+-- Highest amount a role may approve per approval type ('*' = any type); NULL max_amount is unlimited.
+-- A role without a row cannot approve that type.
+CREATE TABLE IF NOT EXISTS approval_limits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    approval_type VARCHAR(50) NOT NULL,
+    max_amount NUMERIC(18, 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (role_id, approval_type)
+);
+
+INSERT INTO approval_limits (role_id, approval_type, max_amount)
+SELECT id, '*', NULL FROM roles WHERE role_code IN ('SUPER_ADMIN', 'ADMIN')
+ON CONFLICT (role_id, approval_type) DO NOTHING;
+
+INSERT INTO approval_limits (role_id, approval_type, max_amount)
+SELECT id, '*', 10000 FROM roles WHERE role_code = 'OPERATOR'
+ON CONFLICT (role_id, approval_type) DO NOTHING;
+
+-- =====================================================
+-- ROLE PERMISSIONS
+-- =====================================================
+
+UPDATE roles SET permissions = permissions || '["approvals:*"]'
+WHERE role_code = 'ADMIN' AND NOT permissions ? 'approvals:*';
+
+UPDATE roles SET permissions = permissions || '["reversals:request", "approvals:read"]'
+WHERE role_code = 'OPERATOR' AND NOT permissions ? 'reversals:request';
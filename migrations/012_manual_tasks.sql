@@ -0,0 +1,63 @@
+-- Manual Task Inbox
+-- Instances that stop for manual intervention get a task that an operator claims and decides.
+-- Claims expire, and tasks past their SLA are escalated through alert rules.
+
+-- =====================================================
+-- MANUAL TASKS
+-- =====================================================
+
+-- source: MANUAL_STEP (parked on a MANUAL step), STEP_ERROR (on_error_action MANUAL), TSQ (status unresolved),
+-- REVERSAL_REJECTED (a reversal chosen for the task was rejected by the checker)
+-- Status: OPEN, CLAIMED, COMPLETED (decided), CANCELLED (instance resumed or cancelled elsewhere)
+CREATE TABLE IF NOT EXISTS manual_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    flow_instance_id UUID NOT NULL REFERENCES flow_instances(id) ON DELETE CASCADE,
+    step_id UUID REFERENCES flow_steps(id) ON DELETE SET NULL,
+    step_execution_id UUID REFERENCES step_executions(id) ON DELETE SET NULL,
+    source VARCHAR(50) NOT NULL,
+    reason TEXT,
+    status VARCHAR(50) NOT NULL DEFAULT 'OPEN',
+    priority INT DEFAULT 0,
+
+    -- Claim
+    claimed_by UUID,
+    claimed_by_name VARCHAR(100),
+    claimed_at TIMESTAMP,
+    claim_expires_at TIMESTAMP,
+
+    -- SLA
+    due_at TIMESTAMP,
+    escalated_at TIMESTAMP,
+
+    -- Decision
+    outcome VARCHAR(100),
+    decision_comment TEXT,
+    decided_by UUID,
+    decided_by_name VARCHAR(100),
+    decided_at TIMESTAMP,
+    result JSONB,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_manual_tasks_status ON manual_tasks(status, priority DESC, created_at);
+CREATE INDEX IF NOT EXISTS idx_manual_tasks_instance ON manual_tasks(flow_instance_id);
+CREATE INDEX IF NOT EXISTS idx_manual_tasks_claimed_by ON manual_tasks(claimed_by) WHERE status = 'CLAIMED';
+
+-- One open task per instance
+CREATE UNIQUE INDEX IF NOT EXISTS idx_manual_tasks_open_instance
+    ON manual_tasks(flow_instance_id)
+    WHERE status IN ('OPEN', 'CLAIMED');
+
+-- =====================================================
+-- ALERT RULES - task SLA and claims
+-- =====================================================
+
+INSERT INTO alert_rules (alert_name, alert_type, trigger_event, conditions, channels)
+SELECT 'Manual Task SLA Breached', 'WARNING', 'MANUAL_TASK_SLA_BREACHED', '{}', '["webhook"]'
+WHERE NOT EXISTS (SELECT 1 FROM alert_rules WHERE trigger_event = 'MANUAL_TASK_SLA_BREACHED');
+
+INSERT INTO alert_rules (alert_name, alert_type, trigger_event, conditions, channels)
+SELECT 'Manual Task Claim Expired', 'WARNING', 'MANUAL_TASK_CLAIM_EXPIRED', '{}', '["webhook"]'
+WHERE NOT EXISTS (SELECT 1 FROM alert_rules WHERE trigger_event = 'MANUAL_TASK_CLAIM_EXPIRED');
@@ -0,0 +1,28 @@
+-- Signed Callbacks
+-- Inbound GIP callbacks and outbound BFS callbacks carry an HMAC signature and timestamp.
+-- Shared secrets live in external_apis.auth_config.callbackSigning ({ "secret", "toleranceSeconds" })
+-- or in <API_CODE>_CALLBACK_SECRET (e.g. GIP_CALLBACK_SECRET, BFS_CALLBACK_SECRET).
+
+-- =====================================================
+-- CALLBACK SIGNATURES - replay protection
+-- =====================================================
+
+-- Signatures of verified inbound callbacks; a repeat inside the timestamp window is a replay
+CREATE TABLE IF NOT EXISTS callback_signatures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    api_code VARCHAR(50) NOT NULL,
+    signature VARCHAR(128) NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_callback_signatures_signature ON callback_signatures(api_code, signature);
+CREATE INDEX IF NOT EXISTS idx_callback_signatures_received ON callback_signatures(received_at);
+
+-- =====================================================
+-- EXTERNAL APIS - BFS as a callback target
+-- =====================================================
+
+-- BFS callbacks go to each instance's bfs_callback_url; the row holds BFS's signing settings
+INSERT INTO external_apis (api_name, api_code, base_url, auth_type, default_headers, timeout_ms)
+VALUES ('Bank Flow System', 'BFS', 'http://localhost:3001/api/v1', 'NONE', '{"Content-Type": "application/json"}', 30000)
+ON CONFLICT (api_code) DO NOTHING;
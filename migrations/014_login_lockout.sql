@@ -0,0 +1,9 @@
+-- Login Lockout
+-- Repeated wrong passwords lock an account for LOGIN_LOCKOUT_MINUTES instead of permanently.
+-- users.is_locked stays an administrative lock that only an admin clears.
+
+-- =====================================================
+-- USERS - temporary lockout
+-- =====================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
@@ -0,0 +1,27 @@
+-- Job Completion Notifications
+-- Sync process requests run as EXECUTE_FLOW jobs like async ones; the API node that queued the
+-- job waits for it to finish by LISTENing for its completion instead of polling job_queue
+
+-- =====================================================
+-- JOB QUEUE - completion notifications
+-- =====================================================
+
+-- Payload: { id, status } on channel job_queue_done when a job becomes COMPLETED or FAILED
+CREATE OR REPLACE FUNCTION notify_job_queue_done()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IN ('COMPLETED', 'FAILED') AND OLD.status IS DISTINCT FROM NEW.status THEN
+        PERFORM pg_notify('job_queue_done', json_build_object(
+            'id', NEW.id,
+            'status', NEW.status
+        )::text);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS job_queue_done_notify ON job_queue;
+CREATE TRIGGER job_queue_done_notify
+    AFTER UPDATE OF status ON job_queue
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_job_queue_done();
@@ -28,9 +28,9 @@ const seed = async () => {
         console.log('Creating roles...');
         const rolesData = [
             { role_name: 'Super Admin', role_code: 'SUPER_ADMIN', description: 'Super Administrator', permissions: JSON.stringify(['*']) },
-            { role_name: 'Flow Admin', role_code: 'FLOW_ADMIN', description: 'Flow Administrator', permissions: JSON.stringify(['flows:*', 'steps:*', 'mappings:*', 'monitoring:*']) },
-            { role_name: 'Operator', role_code: 'OPERATOR', description: 'Operations user', permissions: JSON.stringify(['monitoring:*', 'instances:read', 'callbacks:process']) },
-            { role_name: 'Viewer', role_code: 'VIEWER', description: 'Read-only access', permissions: JSON.stringify(['monitoring:read', 'reports:read']) }
+            { role_name: 'Flow Admin', role_code: 'FLOW_ADMIN', description: 'Flow Administrator', permissions: JSON.stringify(['flows:*', 'steps:*', 'mappings:*', 'instances:read', 'monitoring:read', 'reports:read']) },
+            { role_name: 'Operator', role_code: 'OPERATOR', description: 'Operations user', permissions: JSON.stringify(['flows:read', 'instances:*', 'reversals:request', 'approvals:read', 'callbacks:*', 'monitoring:*', 'reports:read']) },
+            { role_name: 'Viewer', role_code: 'VIEWER', description: 'Read-only access', permissions: JSON.stringify(['flows:read', 'steps:read', 'mappings:read', 'instances:read', 'callbacks:read', 'approvals:read', 'monitoring:read', 'reports:read']) }
         ];
 
         for (const role of rolesData) {
@@ -13,7 +13,10 @@ const morgan = require('morgan');
 const routes = require('./routes');
 const logger = require('./utils/logger');
 const pool = require('./config/database');
+const { checkRequiredSecrets } = require('./config/secrets');
 const jobs = require('./jobs');
+const stepTypeRegistry = require('./services/stepTypeRegistry');
+const { captureRawBody } = require('./middlewares/common');
 
 const app = express();
 
@@ -42,7 +45,7 @@ app.use(cors({
         }
     },
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Session-ID'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Session-ID', 'Idempotency-Key', 'X-Service-Key', 'X-API-Key'],
     credentials: true
 }));
 
@@ -50,7 +53,8 @@ app.use(cors({
 app.use(compression());
 
 // Request parsing
-app.use(express.json({ limit: '10mb' }));
+// Raw body kept for callback signature checks
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request ID middleware (must be first)
@@ -200,10 +204,16 @@ let server;
 
 const startServer = async () => {
     try {
+        // Refuse to run outside development without JWT_SECRET and BFS_API_KEY
+        checkRequiredSecrets();
+
         // Test database connection
         await pool.query('SELECT 1');
         logger.info('✓ Database connection established');
 
+        // Register custom step types before any flow can execute
+        stepTypeRegistry.loadPlugins();
+
         // Start background jobs
         jobs.initializeJobs();
         logger.job('System', 'Jobs initialized', { status: 'success' });
@@ -244,13 +254,16 @@ const gracefulShutdown = async (signal) => {
 
     // Stop accepting new requests
     if (server) {
+        // Workers stop claiming jobs now and drain running jobs while open requests finish
+        const jobsStopped = jobs.stop();
+
         server.close(async () => {
             logger.info('HTTP server closed');
 
             try {
-                // Stop background jobs
-                jobs.stop();
-                logger.info('Background jobs stopped');
+                // Wait for background jobs to drain
+                const { drained, remaining } = await jobsStopped;
+                logger.info('Background jobs stopped', { drained, remaining });
 
                 // Close database pool
                 await pool.end();
@@ -0,0 +1,28 @@
+const logger = require('../utils/logger');
+
+// Secrets the service cannot run safely without; there are no built-in defaults
+const REQUIRED_SECRETS = ['JWT_SECRET', 'BFS_API_KEY'];
+
+const isDevelopment = () => (process.env.NODE_ENV || 'development') === 'development';
+
+/**
+ * Check the required secrets are set before starting
+ * Throws outside development; in development it only warns (JWT_SECRET then gets a per-process
+ * random value and the BFS service key is refused)
+ */
+const checkRequiredSecrets = () => {
+    const missing = REQUIRED_SECRETS.filter(name => !process.env[name]);
+    if (missing.length === 0) {
+        return;
+    }
+
+    if (!isDevelopment()) {
+        throw new Error(`Missing required secrets: ${missing.join(', ')}`);
+    }
+    logger.warn('Required secrets are not set; allowed in development only', { missing });
+};
+
+module.exports = {
+    checkRequiredSecrets,
+    REQUIRED_SECRETS
+};
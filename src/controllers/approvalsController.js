@@ -0,0 +1,146 @@
+const approvalService = require('../services/approvalService');
+const logger = require('../utils/logger');
+
+/**
+ * The deciding user, with the request IP for the audit log
+ */
+const actor = (req) => ({ ...req.user, ip: req.ip });
+
+/**
+ * List approval requests
+ */
+const getApprovals = async (req, res) => {
+    try {
+        const { limit, offset, ...filters } = req.query;
+        const result = await approvalService.listApprovals(filters, { limit, offset });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get approvals failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get an approval request
+ */
+const getApprovalById = async (req, res) => {
+    try {
+        const approval = await approvalService.getApproval(req.params.id);
+
+        if (!approval) {
+            return res.status(404).json({
+                success: false,
+                error: 'Approval request not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: approval
+        });
+    } catch (error) {
+        logger.error('Get approval failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Approve a request and run its operation
+ */
+const approveRequest = async (req, res) => {
+    try {
+        const approval = await approvalService.approve(req.params.id, actor(req), req.body.comment);
+
+        res.json({
+            success: true,
+            data: approval
+        });
+    } catch (error) {
+        logger.error('Approve request failed', { approvalId: req.params.id, error: error.message });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+};
+
+/**
+ * Reject a request
+ */
+const rejectRequest = async (req, res) => {
+    try {
+        const approval = await approvalService.reject(req.params.id, actor(req), req.body.comment);
+
+        res.json({
+            success: true,
+            data: approval
+        });
+    } catch (error) {
+        logger.error('Reject request failed', { approvalId: req.params.id, error: error.message });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+};
+
+/**
+ * Approval limits by role
+ */
+const getApprovalLimits = async (req, res) => {
+    try {
+        const limits = await approvalService.listApprovalLimits();
+
+        res.json({
+            success: true,
+            data: limits
+        });
+    } catch (error) {
+        logger.error('Get approval limits failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Set a role's approval limit
+ */
+const setApprovalLimit = async (req, res) => {
+    try {
+        const limit = await approvalService.setApprovalLimit(req.body, actor(req));
+
+        res.json({
+            success: true,
+            data: limit
+        });
+    } catch (error) {
+        logger.error('Set approval limit failed', { error: error.message });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getApprovals,
+    getApprovalById,
+    approveRequest,
+    rejectRequest,
+    getApprovalLimits,
+    setApprovalLimit
+};
@@ -0,0 +1,88 @@
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+const requestContext = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null
+});
+
+/**
+ * Sign in and receive an access token and refresh token
+ */
+const login = async (req, res) => {
+    try {
+        const session = await authService.login(req.body, requestContext(req));
+
+        res.json({
+            success: true,
+            data: session
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Login failed', error);
+        }
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Authentication error'
+        });
+    }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ */
+const refreshToken = async (req, res) => {
+    try {
+        const session = await authService.refresh(req.body.refreshToken, requestContext(req));
+
+        res.json({
+            success: true,
+            data: session
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Token refresh failed', error);
+        }
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Authentication error'
+        });
+    }
+};
+
+/**
+ * Revoke a refresh token
+ */
+const logout = async (req, res) => {
+    try {
+        await authService.logout(req.body.refreshToken);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        logger.error('Logout failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Current user and permissions
+ */
+const getCurrentUser = (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+};
+
+module.exports = {
+    login,
+    refreshToken,
+    logout,
+    getCurrentUser
+};
@@ -1,4 +1,5 @@
 const callbackService = require('../services/callbackService');
+const reversalService = require('../services/reversalService');
 const { expectedCallbacksModel, receivedCallbacksModel, flowInstancesModel } = require('../models');
 const logger = require('../utils/logger');
 
@@ -100,6 +101,42 @@ const receiveFtcCallback = async (req, res) => {
     }
 };
 
+/**
+ * Receive GIP callback for an asynchronous reversal
+ */
+const receiveReversalCallback = async (req, res) => {
+    try {
+        const { reversalId } = req.params;
+        const payload = req.body;
+
+        logger.info('Received reversal callback', {
+            reversalId,
+            sessionId: payload.sessionId,
+            actionCode: payload.actionCode
+        });
+
+        const result = await reversalService.processReversalCallback(reversalId, payload);
+
+        res.json({
+            success: true,
+            data: {
+                message: 'Reversal callback received',
+                reversalId,
+                status: result.status
+            }
+        });
+    } catch (error) {
+        logger.error('Receive reversal callback failed', {
+            error: error.message,
+            reversalId: req.params.reversalId
+        });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 /**
  * Get expected callbacks
  */
@@ -418,6 +455,7 @@ module.exports = {
     receiveFtdCallback,
     receiveFtcCallback,
     receiveCallbackForStep,
+    receiveReversalCallback,
     getExpectedCallbacks,
     getReceivedCallbacks,
     getCallbackById,
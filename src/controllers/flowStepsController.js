@@ -7,7 +7,7 @@ const logger = require('../utils/logger');
  */
 const createFlowStep = async (req, res) => {
     try {
-        const step = await flowService.createFlowStep(req.params.flowId, req.body);
+        const step = await flowService.addStep({ ...req.body, flowId: req.params.flowId });
         res.status(201).json({
             success: true,
             data: step
@@ -88,14 +88,14 @@ const getStepById = async (req, res) => {
  */
 const updateFlowStep = async (req, res) => {
     try {
-        const step = await flowStepsModel.update(req.params.stepId, req.body);
+        const step = await flowService.updateStep(req.params.stepId, req.body);
         res.json({
             success: true,
             data: step
         });
     } catch (error) {
         logger.error('Update flow step failed', { error: error.message });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: error.message
         });
@@ -107,15 +107,21 @@ const updateFlowStep = async (req, res) => {
  */
 const deleteFlowStep = async (req, res) => {
     try {
+        const step = await flowStepsModel.findById(req.params.stepId, 'id');
+        if (!step) {
+            return res.status(404).json({
+                success: false,
+                error: 'Step not found'
+            });
+        }
+
         // First delete transitions
-        await stepTransitionsModel.deleteWhere({ from_step_id: req.params.stepId });
-        await stepTransitionsModel.deleteWhere({ to_step_id: req.params.stepId });
-        
-        // Delete field mappings
-        await fieldMappingsModel.deleteWhere({ step_id: req.params.stepId });
-        
-        // Delete the step
-        await flowStepsModel.delete(req.params.stepId);
+        await stepTransitionsModel.removeWhere({ from_step_id: step.id });
+        await stepTransitionsModel.removeWhere({ to_step_id: step.id });
+
+        // Deactivate rather than delete: executions and earlier versions still reference the step.
+        // It drops out of the draft and of versions created from now on
+        await flowStepsModel.update(step.id, { is_active: false });
         
         res.json({
             success: true,
@@ -136,12 +142,22 @@ const deleteFlowStep = async (req, res) => {
 const createTransition = async (req, res) => {
     try {
         const { fromStepId, toStepId, conditionType, conditionConfig, priority } = req.body;
+
+        const fromStep = await flowStepsModel.findById(fromStepId);
+        if (!fromStep) {
+            return res.status(404).json({
+                success: false,
+                error: 'From step not found'
+            });
+        }
         
+        // TIMEOUT transitions are boundary events, only followed when the step's deadline passes
         const transition = await stepTransitionsModel.create({
+            flow_id: fromStep.flow_id,
             from_step_id: fromStepId,
             to_step_id: toStepId,
-            condition_type: conditionType || 'ALWAYS',
-            condition_config: conditionConfig ? JSON.stringify(conditionConfig) : null,
+            transition_type: conditionType || 'ALWAYS',
+            conditions: JSON.stringify(conditionConfig ? [conditionConfig] : []),
             priority: priority || 0
         });
         
@@ -188,8 +204,8 @@ const updateTransition = async (req, res) => {
         const { conditionType, conditionConfig, priority } = req.body;
         
         const updateData = {};
-        if (conditionType) updateData.condition_type = conditionType;
-        if (conditionConfig) updateData.condition_config = JSON.stringify(conditionConfig);
+        if (conditionType) updateData.transition_type = conditionType;
+        if (conditionConfig) updateData.conditions = JSON.stringify([conditionConfig]);
         if (priority !== undefined) updateData.priority = priority;
         
         const transition = await stepTransitionsModel.update(req.params.transitionId, updateData);
@@ -1,4 +1,9 @@
 const flowService = require('../services/flowService');
+const flowValidationService = require('../services/flowValidationService');
+const flowTransferService = require('../services/flowTransferService');
+const executionService = require('../services/executionService');
+const rolloutService = require('../services/rolloutService');
+const simulationService = require('../services/simulationService');
 const logger = require('../utils/logger');
 
 /**
@@ -39,6 +44,122 @@ const getEventTypes = async (req, res) => {
     }
 };
 
+/**
+ * Start a canary rollout of a flow version for an event type
+ */
+const startRollout = async (req, res) => {
+    try {
+        const rollout = await rolloutService.startRollout(req.params.eventCode, req.body);
+        res.status(201).json({
+            success: true,
+            data: rollout
+        });
+    } catch (error) {
+        logger.error('Start rollout failed', { error: error.message });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: error.message,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * Get the active rollout with per-version metrics
+ */
+const getRollout = async (req, res) => {
+    try {
+        const rollout = await rolloutService.getRollout(req.params.eventCode);
+        res.json({
+            success: true,
+            data: rollout
+        });
+    } catch (error) {
+        logger.error('Get rollout failed', { error: error.message });
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List past and active rollouts for an event type
+ */
+const getRolloutHistory = async (req, res) => {
+    try {
+        const rollouts = await rolloutService.getRolloutHistory(req.params.eventCode);
+        res.json({
+            success: true,
+            data: rollouts
+        });
+    } catch (error) {
+        logger.error('Get rollout history failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Change the active rollout's percentage, filters or rollback thresholds
+ */
+const updateRollout = async (req, res) => {
+    try {
+        const rollout = await rolloutService.updateRollout(req.params.eventCode, req.body);
+        res.json({
+            success: true,
+            data: rollout
+        });
+    } catch (error) {
+        logger.error('Update rollout failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Promote the rollout candidate to the active version
+ */
+const promoteRollout = async (req, res) => {
+    try {
+        const rollout = await rolloutService.promoteRollout(req.params.eventCode);
+        res.json({
+            success: true,
+            data: rollout
+        });
+    } catch (error) {
+        logger.error('Promote rollout failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * Stop routing requests to the rollout candidate
+ */
+const rollbackRollout = async (req, res) => {
+    try {
+        const rollout = await rolloutService.rollbackRollout(req.params.eventCode, req.body?.reason);
+        res.json({
+            success: true,
+            data: rollout
+        });
+    } catch (error) {
+        logger.error('Rollback rollout failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 /**
  * Create new flow
  */
@@ -63,8 +184,13 @@ const createFlow = async (req, res) => {
  */
 const getFlows = async (req, res) => {
     try {
-        const { eventTypeId, status } = req.query;
-        const flows = await flowService.getFlows({ eventTypeId, status });
+        const { eventTypeCode, isActive, limit, offset } = req.query;
+        const flows = await flowService.listFlows({
+            eventTypeCode,
+            isActive: isActive === undefined ? undefined : isActive === 'true',
+            limit: parseInt(limit, 10) || undefined,
+            offset: parseInt(offset, 10) || undefined
+        });
         res.json({
             success: true,
             data: flows
@@ -176,6 +302,187 @@ const activateFlowVersion = async (req, res) => {
     } catch (error) {
         logger.error('Activate flow version failed', { error: error.message });
         res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * Structural diff between two flow versions (version numbers or IDs)
+ */
+const diffFlowVersions = async (req, res) => {
+    try {
+        const diff = await flowService.diffFlowVersions(
+            req.params.id,
+            req.params.fromVersion,
+            req.params.toVersion
+        );
+        res.json({
+            success: true,
+            data: diff
+        });
+    } catch (error) {
+        logger.error('Diff flow versions failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Move waiting instances onto a flow version using an explicit step mapping
+ */
+const migrateInstances = async (req, res) => {
+    try {
+        const result = await executionService.migrateInstancesToVersion(
+            req.params.id,
+            req.params.versionId,
+            req.body
+        );
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Migrate instances failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Validate flow definition (structure, reachability, references)
+ */
+const validateFlow = async (req, res) => {
+    try {
+        const result = await flowValidationService.validateFlow(req.params.id);
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Validate flow failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Dry-run a flow against scripted API and callback responses (nothing is persisted)
+ */
+const simulateFlow = async (req, res) => {
+    try {
+        const result = await simulationService.simulateFlow(req.params.id, req.body);
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Simulate flow failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Publish flow
+ */
+const publishFlow = async (req, res) => {
+    try {
+        const result = await flowService.publishFlow(req.params.id);
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Publish flow failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * Export flow as portable JSON (default) or BPMN 2.0 XML (?format=bpmn)
+ */
+const exportFlow = async (req, res) => {
+    try {
+        if (req.query.format === 'bpmn') {
+            const xml = await flowTransferService.exportFlowBpmn(req.params.id);
+            res.setHeader('Content-Type', 'application/xml');
+            res.setHeader('Content-Disposition', `attachment; filename=flow-${req.params.id}.bpmn`);
+            return res.send(xml);
+        }
+
+        const document = await flowTransferService.exportFlow(req.params.id);
+        res.json({
+            success: true,
+            data: document
+        });
+    } catch (error) {
+        logger.error('Export flow failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Import flow from a portable JSON document or BPMN XML string
+ */
+const importFlow = async (req, res) => {
+    try {
+        const { document, bpmn, overwrite, flowCode, eventTypeCode } = req.body;
+        const options = { overwrite, flowCode, eventTypeCode };
+
+        const result = bpmn
+            ? await flowTransferService.importFlowBpmn(bpmn, options)
+            : await flowTransferService.importFlow(document, options);
+
+        res.status(result.action === 'created' ? 201 : 200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Import flow failed', { error: error.message });
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Import flow from a raw BPMN XML body (options in the query string)
+ */
+const importFlowBpmn = async (req, res) => {
+    try {
+        const { overwrite, flowCode, eventTypeCode } = req.query;
+        const result = await flowTransferService.importFlowBpmn(req.body, {
+            overwrite: overwrite === 'true',
+            flowCode,
+            eventTypeCode
+        });
+
+        res.status(result.action === 'created' ? 201 : 200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Import BPMN flow failed', { error: error.message });
+        res.status(error.statusCode || 400).json({
             success: false,
             error: error.message
         });
@@ -243,6 +550,12 @@ const deleteFlow = async (req, res) => {
 module.exports = {
     createEventType,
     getEventTypes,
+    startRollout,
+    getRollout,
+    getRolloutHistory,
+    updateRollout,
+    promoteRollout,
+    rollbackRollout,
     createFlow,
     getFlows,
     getFlowById,
@@ -250,6 +563,14 @@ module.exports = {
     createFlowVersion,
     getFlowVersions,
     activateFlowVersion,
+    diffFlowVersions,
+    migrateInstances,
+    validateFlow,
+    simulateFlow,
+    publishFlow,
+    exportFlow,
+    importFlow,
+    importFlowBpmn,
     getFlowBpmnDiagram,
     cloneFlow,
     deleteFlow
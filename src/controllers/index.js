@@ -10,6 +10,9 @@ const processController = require('./processController');
 const callbacksController = require('./callbacksController');
 const monitoringController = require('./monitoringController');
 const reportsController = require('./reportsController');
+const authController = require('./authController');
+const approvalsController = require('./approvalsController');
+const manualTasksController = require('./manualTasksController');
 
 module.exports = {
     flowsController,
@@ -18,5 +21,8 @@ module.exports = {
     processController,
     callbacksController,
     monitoringController,
-    reportsController
+    reportsController,
+    authController,
+    approvalsController,
+    manualTasksController
 };
@@ -0,0 +1,121 @@
+const manualTaskService = require('../services/manualTaskService');
+const logger = require('../utils/logger');
+
+/**
+ * List manual tasks (the operator inbox)
+ */
+const getTasks = async (req, res) => {
+    try {
+        const { limit, offset, ...filters } = req.query;
+        const result = await manualTaskService.listTasks(filters, { limit, offset });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get manual tasks failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a manual task with its instance context and available outcomes
+ */
+const getTaskById = async (req, res) => {
+    try {
+        const task = await manualTaskService.getTask(req.params.id);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Manual task not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: task
+        });
+    } catch (error) {
+        logger.error('Get manual task failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Claim a task
+ */
+const claimTask = async (req, res) => {
+    try {
+        const task = await manualTaskService.claimTask(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            data: task
+        });
+    } catch (error) {
+        logger.error('Claim manual task failed', { taskId: req.params.id, error: error.message });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+};
+
+/**
+ * Release a claimed task back to the inbox
+ */
+const releaseTask = async (req, res) => {
+    try {
+        const task = await manualTaskService.releaseTask(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            data: task
+        });
+    } catch (error) {
+        logger.error('Release manual task failed', { taskId: req.params.id, error: error.message });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+};
+
+/**
+ * Decide a claimed task
+ */
+const decideTask = async (req, res) => {
+    try {
+        const task = await manualTaskService.decideTask(req.params.id, { ...req.user, ip: req.ip }, req.body);
+
+        res.json({
+            success: true,
+            data: task
+        });
+    } catch (error) {
+        logger.error('Decide manual task failed', { taskId: req.params.id, error: error.message });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+};
+
+module.exports = {
+    getTasks,
+    getTaskById,
+    claimTask,
+    releaseTask,
+    decideTask
+};
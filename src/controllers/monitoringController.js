@@ -9,6 +9,7 @@ const {
     processLogsModel,
     eventLogsModel
 } = require('../models');
+const deadLetterService = require('../services/deadLetterService');
 const logger = require('../utils/logger');
 
 /**
@@ -473,9 +474,10 @@ const getSystemHealth = async (req, res) => {
         const queueBacklog = await jobQueueModel.count({ status: 'PENDING' });
         
         // Get oldest pending job
-        const oldestPending = await jobQueueModel.findOne({
+        const [oldestPending] = await jobQueueModel.findAll({
             where: { status: 'PENDING' },
-            orderBy: 'created_at ASC'
+            orderBy: 'created_at ASC',
+            limit: 1
         });
         
         // Get stalled callbacks
@@ -511,6 +513,119 @@ const getSystemHealth = async (req, res) => {
     }
 };
 
+/**
+ * List dead-letter jobs
+ */
+const getDeadLetters = async (req, res) => {
+    try {
+        const { limit, offset, ...filters } = req.query;
+        const result = await deadLetterService.listDeadLetters(filters, { limit, offset });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Get dead letters failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Dead-letter queue depth and breakdown
+ */
+const getDeadLetterStats = async (req, res) => {
+    try {
+        const stats = await deadLetterService.getDeadLetterStats();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        logger.error('Get dead letter stats failed', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Inspect a dead-letter job
+ */
+const getDeadLetterById = async (req, res) => {
+    try {
+        const entry = await deadLetterService.getDeadLetter(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dead-letter job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        logger.error('Get dead letter failed', error, { deadLetterId: req.params.id });
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Re-queue dead-letter jobs by ids or filter
+ */
+const replayDeadLetters = async (req, res) => {
+    try {
+        const { ids, filter, limit } = req.body;
+        const result = await deadLetterService.replayDeadLetters({
+            ids,
+            filters: filter,
+            limit,
+            replayedBy: req.user?.id || 'SYSTEM'
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Replay dead letters failed', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete dead-letter jobs by ids or filter
+ */
+const purgeDeadLetters = async (req, res) => {
+    try {
+        const result = await deadLetterService.purgeDeadLetters(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Purge dead letters failed', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     getDashboardStats,
     getActiveFlowInstancesView,
@@ -523,5 +638,10 @@ module.exports = {
     getReversalRequests,
     getAlertHistory,
     getHourlyVolume,
-    getSystemHealth
+    getSystemHealth,
+    getDeadLetters,
+    getDeadLetterStats,
+    getDeadLetterById,
+    replayDeadLetters,
+    purgeDeadLetters
 };
@@ -1,9 +1,20 @@
 const executionService = require('../services/executionService');
 const callbackService = require('../services/callbackService');
 const tsqService = require('../services/tsqService');
-const reversalService = require('../services/reversalService');
+const idempotencyService = require('../services/idempotencyService');
+const approvalService = require('../services/approvalService');
+const manualTaskService = require('../services/manualTaskService');
+const { withInstanceLock } = require('../services/instanceLockService');
 const { flowInstancesModel, stepExecutionsModel, jobQueueModel } = require('../models');
 const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+const { waitForJob } = require('../jobs/jobCompletion');
+
+// How long a sync request waits for its flow before answering 202 (the flow keeps running)
+const SYNC_REQUEST_TIMEOUT_MS = parseInt(process.env.SYNC_REQUEST_TIMEOUT_MS, 10) || 30000;
+
+// Sync jobs are claimed ahead of async ones (priority 1): a caller is holding a connection open
+const SYNC_JOB_PRIORITY = 2;
 
 /**
  * Process incoming request from BFS
@@ -13,27 +24,92 @@ const processRequest = async (req, res) => {
         const { eventType, payload, metadata } = req.body;
         const { isSync } = req.query;
         
+        const idempotencyKey = req.get('Idempotency-Key') || null;
+        
         logger.service('ProcessController', 'processRequest', {
             eventType,
             sessionId: payload?.sessionId,
-            isSync: isSync === 'true'
+            isSync: isSync === 'true',
+            idempotencyKey
         }, req.requestId);
+
+        if (idempotencyKey && idempotencyKey.length > idempotencyService.MAX_IDEMPOTENCY_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Idempotency-Key must be at most ${idempotencyService.MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+                requestId: req.requestId
+            });
+        }
+
+        // A retried request gets the original instance's response instead of a second transfer
+        const existing = await idempotencyService.findExistingRequest({ eventType, payload, idempotencyKey });
+        if (existing) {
+            return replayProcessResponse(req, res, existing);
+        }
         
         // Create flow instance
-        const result = await executionService.createFlowInstance({
-            eventTypeCode: eventType,
-            sessionId: payload?.sessionId,
-            trackingNumber: payload?.trackingNumber,
-            inputPayload: payload,
-            bfsCallbackUrl: metadata?.callbackUrl,
-            metadata
-        });
+        let result;
+        try {
+            result = await executionService.createFlowInstance({
+                eventTypeCode: eventType,
+                sessionId: payload?.sessionId,
+                trackingNumber: payload?.trackingNumber,
+                inputPayload: payload,
+                bfsCallbackUrl: metadata?.callbackUrl,
+                metadata,
+                idempotencyKey,
+                syncRequest: isSync === 'true'
+            });
+        } catch (error) {
+            // A concurrent identical request created the instance first
+            if (idempotencyService.isDuplicateInsertError(error)) {
+                const original = await idempotencyService.findExistingRequest({ eventType, payload, idempotencyKey });
+                if (original) {
+                    return replayProcessResponse(req, res, original);
+                }
+            }
+            throw error;
+        }
         
         const { instance, flowDef, isSync: flowIsSync } = result;
         
         if (isSync === 'true') {
-            // Synchronous processing - wait for completion
-            const execResult = await executionService.executeFlowInstance(instance.id);
+            // Sync requests run on a worker like async ones; the response waits for the job to finish
+            const job = await jobQueueModel.create({
+                job_type: 'EXECUTE_FLOW',
+                payload: JSON.stringify({ flowInstanceId: instance.id }),
+                status: 'PENDING',
+                priority: SYNC_JOB_PRIORITY,
+                // The caller is waiting: fail now rather than retry after the response timed out
+                max_attempts: 1
+            });
+
+            const finished = await waitForJob(job.id, { timeoutMs: SYNC_REQUEST_TIMEOUT_MS });
+
+            if (finished?.status === 'FAILED') {
+                throw new Error(finished.error_message || 'Flow execution failed');
+            }
+
+            if (finished?.status !== 'COMPLETED') {
+                logger.flow('Sync request still running, answered as accepted', {
+                    flowInstanceId: instance.id,
+                    jobId: job.id,
+                    timeoutMs: SYNC_REQUEST_TIMEOUT_MS
+                }, req.requestId);
+
+                return res.status(202).json({
+                    success: true,
+                    data: {
+                        flowInstanceId: instance.id,
+                        sessionId: instance.session_id,
+                        trackingNumber: instance.tracking_number,
+                        status: 'PROCESSING',
+                        message: 'Request is still being processed'
+                    }
+                });
+            }
+
+            const execResult = safeJsonParse(finished.result, {}) || {};
 
             // Mark callback as sent since sync response is the callback
             await flowInstancesModel.update(instance.id, {
@@ -86,14 +162,31 @@ const processRequest = async (req, res) => {
             requestId: req.requestId,
             eventType: req.body?.eventType
         });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: error.message,
+            details: error.details,
             requestId: req.requestId
         });
     }
 };
 
+/**
+ * Answer a repeated process request with the original instance's response
+ */
+const replayProcessResponse = (req, res, instance) => {
+    const { statusCode, body } = idempotencyService.buildReplayResponse(instance);
+
+    logger.flow('Replayed original response for repeated request', {
+        flowInstanceId: instance.id,
+        sessionId: instance.session_id,
+        status: instance.status
+    }, req.requestId);
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(statusCode).json(body);
+};
+
 /**
  * Get flow instance status
  */
@@ -138,9 +231,7 @@ const getFlowInstanceBySession = async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        const instance = await flowInstancesModel.findOne({
-            where: { session_id: sessionId }
-        });
+        const instance = await flowInstancesModel.findOne({ session_id: sessionId });
         
         if (!instance) {
             return res.status(404).json({
@@ -178,36 +269,43 @@ const resumeFlowInstance = async (req, res) => {
         const { instanceId } = req.params;
         const { action, overrideData } = req.body;
         
-        const instance = await flowInstancesModel.findById(instanceId);
-        if (!instance) {
-            return res.status(404).json({
-                success: false,
-                error: 'Flow instance not found'
-            });
-        }
-        
-        if (instance.status !== 'MANUAL_INTERVENTION') {
-            return res.status(400).json({
-                success: false,
-                error: 'Flow instance is not in MANUAL_INTERVENTION status'
+        // Status check, update and execution happen under the instance lock
+        const result = await withInstanceLock(instanceId, async () => {
+            const instance = await flowInstancesModel.findById(instanceId);
+            
+            if (instance.status !== 'MANUAL_INTERVENTION') {
+                const error = new Error('Flow instance is not in MANUAL_INTERVENTION status');
+                error.statusCode = 400;
+                throw error;
+            }
+            
+            // MANUAL steps with requires_approval are decided through /approvals
+            const approval = await approvalService.findPendingApproval(instanceId, approvalService.APPROVAL_TYPES.MANUAL_STEP);
+            if (approval) {
+                const error = new Error(`Flow instance is waiting for approval ${approval.id}`);
+                error.statusCode = 409;
+                throw error;
+            }
+            
+            // Update instance with manual action
+            await flowInstancesModel.update(instanceId, {
+                status: 'RUNNING',
+                metadata: JSON.stringify({
+                    ...safeJsonParse(instance.metadata, {}),
+                    manualAction: action,
+                    manualOverrideData: overrideData,
+                    resumedAt: new Date().toISOString(),
+                    resumedBy: req.user?.id || 'SYSTEM'
+                })
             });
-        }
-        
-        // Update instance with manual action
-        await flowInstancesModel.update(instanceId, {
-            status: 'RUNNING',
-            metadata: JSON.stringify({
-                ...JSON.parse(instance.metadata || '{}'),
-                manualAction: action,
-                manualOverrideData: overrideData,
-                resumedAt: new Date().toISOString(),
-                resumedBy: req.user?.id || 'SYSTEM'
-            })
+            
+            // Resuming directly settles any inbox task for the instance
+            await manualTaskService.closeOpenTasks(instanceId, 'Instance resumed');
+            
+            // Resume execution
+            return executionService.executeFlowInstance(instanceId);
         });
         
-        // Resume execution
-        const result = await executionService.executeFlowInstance(instanceId);
-        
         res.json({
             success: true,
             data: {
@@ -218,7 +316,7 @@ const resumeFlowInstance = async (req, res) => {
         });
     } catch (error) {
         logger.error('Resume flow instance failed', { error: error.message });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: error.message
         });
@@ -226,45 +324,24 @@ const resumeFlowInstance = async (req, res) => {
 };
 
 /**
- * Cancel flow instance
+ * Request cancellation of a flow instance
+ * The instance is cancelled once another user approves the request (see /approvals)
  */
 const cancelFlowInstance = async (req, res) => {
     try {
         const { instanceId } = req.params;
         const { reason } = req.body;
         
-        const instance = await flowInstancesModel.findById(instanceId);
-        if (!instance) {
-            return res.status(404).json({
-                success: false,
-                error: 'Flow instance not found'
-            });
-        }
-        
-        if (['COMPLETED', 'CANCELLED', 'FAILED'].includes(instance.status)) {
-            return res.status(400).json({
-                success: false,
-                error: `Cannot cancel flow instance with status ${instance.status}`
-            });
-        }
+        const approval = await approvalService.requestCancellation(instanceId, { reason }, { ...req.user, ip: req.ip });
         
-        await flowInstancesModel.update(instanceId, {
-            status: 'CANCELLED',
-            metadata: JSON.stringify({
-                ...JSON.parse(instance.metadata || '{}'),
-                cancelReason: reason,
-                cancelledAt: new Date().toISOString(),
-                cancelledBy: req.user?.id || 'SYSTEM'
-            })
-        });
-        
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'Flow instance cancelled successfully'
+            message: 'Cancellation submitted for approval',
+            data: approval
         });
     } catch (error) {
         logger.error('Cancel flow instance failed', { error: error.message });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: error.message
         });
@@ -279,34 +356,32 @@ const retryFlowInstance = async (req, res) => {
         const { instanceId } = req.params;
         const { fromStepId, modifiedPayload } = req.body;
         
-        const instance = await flowInstancesModel.findById(instanceId);
-        if (!instance) {
-            return res.status(404).json({
-                success: false,
-                error: 'Flow instance not found'
+        const result = await withInstanceLock(instanceId, async () => {
+            const instance = await flowInstancesModel.findById(instanceId);
+            
+            // Update instance for retry
+            const currentPayload = safeJsonParse(instance.current_payload, {});
+            const newPayload = { ...currentPayload, ...modifiedPayload };
+            
+            await flowInstancesModel.update(instanceId, {
+                status: 'RUNNING',
+                current_step_id: fromStepId || instance.current_step_id,
+                current_payload: JSON.stringify(newPayload),
+                retry_count: (instance.retry_count || 0) + 1,
+                metadata: JSON.stringify({
+                    ...safeJsonParse(instance.metadata, {}),
+                    retriedAt: new Date().toISOString(),
+                    retriedBy: req.user?.id || 'SYSTEM',
+                    retryFromStep: fromStepId
+                })
             });
-        }
-        
-        // Update instance for retry
-        const currentPayload = JSON.parse(instance.current_payload || '{}');
-        const newPayload = { ...currentPayload, ...modifiedPayload };
-        
-        await flowInstancesModel.update(instanceId, {
-            status: 'RUNNING',
-            current_step_id: fromStepId || instance.current_step_id,
-            current_payload: JSON.stringify(newPayload),
-            retry_count: (instance.retry_count || 0) + 1,
-            metadata: JSON.stringify({
-                ...JSON.parse(instance.metadata || '{}'),
-                retriedAt: new Date().toISOString(),
-                retriedBy: req.user?.id || 'SYSTEM',
-                retryFromStep: fromStepId
-            })
+            
+            await manualTaskService.closeOpenTasks(instanceId, 'Instance retried');
+            
+            // Re-execute
+            return executionService.executeFlowInstance(instanceId);
         });
         
-        // Re-execute
-        const result = await executionService.executeFlowInstance(instanceId);
-        
         res.json({
             success: true,
             data: {
@@ -317,7 +392,7 @@ const retryFlowInstance = async (req, res) => {
         });
     } catch (error) {
         logger.error('Retry flow instance failed', { error: error.message });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: error.message
         });
@@ -350,30 +425,27 @@ const initiateTsq = async (req, res) => {
 };
 
 /**
- * Initiate reversal for a transaction
+ * Request a reversal for a transaction
+ * The reversal runs once another user approves the request (see /approvals)
  */
 const initiateReversal = async (req, res) => {
     try {
         const { instanceId } = req.params;
         const { reversalType, reason } = req.body;
         
-        const reversalRequest = await reversalService.createReversalRequest(
-            instanceId,
-            reversalType || 'FULL_REVERSAL',
-            reason,
-            req.user?.id || 'SYSTEM'
-        );
-        
-        // Execute reversal
-        const result = await reversalService.executeReversalRequest(reversalRequest.id);
+        const approval = await approvalService.requestReversal(instanceId, {
+            reversalType: reversalType || 'FULL_REVERSAL',
+            reason
+        }, { ...req.user, ip: req.ip });
         
-        res.json({
+        res.status(202).json({
             success: true,
-            data: result
+            message: 'Reversal submitted for approval',
+            data: approval
         });
     } catch (error) {
         logger.error('Initiate reversal failed', { error: error.message });
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             success: false,
             error: error.message
         });
@@ -1,6 +1,59 @@
 const { expectedCallbacksModel, receivedCallbacksModel, flowInstancesModel } = require('../models');
 const callbackService = require('../services/callbackService');
+const callbackSignatureService = require('../services/callbackSignatureService');
+const executionService = require('../services/executionService');
+const { withInstanceLock, isInstanceLockedError } = require('../services/instanceLockService');
 const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+/**
+ * Route one timed-out callback: boundary timeout transition, or fail the instance (and TSQ if configured)
+ */
+const handleTimedOutCallback = async (callback) => {
+    // Steps with a boundary TIMEOUT transition continue down that path
+    const boundaryResult = await executionService.handleStepTimeout(
+        callback.flow_instance_id,
+        callback.step_execution_id,
+        { deadline: callback.expected_by, reason: 'CALLBACK_TIMEOUT' }
+    );
+
+    if (boundaryResult) {
+        logger.callback('Timeout routed to timeout transition', {
+            callbackId: callback.id,
+            flowInstanceId: callback.flow_instance_id,
+            status: boundaryResult.status
+        });
+        return;
+    }
+
+    const instance = await flowInstancesModel.findById(callback.flow_instance_id);
+    const metadata = safeJsonParse(instance?.metadata, {}) || {};
+
+    // Fail the instance (a parent waiting on it as a SUBFLOW continues) and roll back its completed
+    // steps; with a TSQ pending the transaction may still have gone through, so the TSQ outcome decides
+    await executionService.finishInstance(callback.flow_instance_id, executionService.INSTANCE_STATUSES.FAILED, {
+        last_error: `Callback timeout for step execution ${callback.step_execution_id}`
+    }, { compensate: !metadata.triggerTsqOnTimeout });
+    
+    logger.callback('Timeout detected', {
+        callbackId: callback.id,
+        flowInstanceId: callback.flow_instance_id,
+        reason: 'expected_by exceeded'
+    });
+    
+    // Trigger TSQ based on configuration
+    if (instance && metadata.triggerTsqOnTimeout) {
+        const tsqService = require('../services/tsqService');
+        await tsqService.createTsqRequest(
+            callback.flow_instance_id,
+            safeJsonParse(instance.current_payload, {}),
+            'CALLBACK_TIMEOUT'
+        );
+        logger.tsq('Triggered on timeout', { 
+            flowInstanceId: callback.flow_instance_id 
+        });
+    }
+};
 
 /**
  * Check for timed out callbacks
@@ -27,33 +80,14 @@ const checkTimedOutCallbacks = async () => {
         
         for (const callback of timedOut) {
             try {
-                // Update flow instance
-                await flowInstancesModel.update(callback.flow_instance_id, {
-                    status: 'FAILED',
-                    error_message: `Callback timeout for step ${callback.step_id}`
-                });
-                
-                logger.callback('Timeout detected', {
-                    callbackId: callback.id,
-                    flowInstanceId: callback.flow_instance_id,
-                    reason: 'expected_by exceeded'
-                });
-                
-                // Trigger TSQ or reversal based on configuration
-                const instance = await flowInstancesModel.findById(callback.flow_instance_id);
-                if (instance) {
-                    const metadata = JSON.parse(instance.metadata || '{}');
-                    
-                    if (metadata.triggerTsqOnTimeout) {
-                        // Queue TSQ job
-                        const tsqService = require('../services/tsqService');
-                        await tsqService.createTsqRequest(callback.flow_instance_id, 'TIMEOUT');
-                        logger.tsq('Triggered on timeout', { 
-                            flowInstanceId: callback.flow_instance_id 
-                        });
-                    }
-                }
+                await withInstanceLock(callback.flow_instance_id, () => handleTimedOutCallback(callback));
             } catch (error) {
+                if (isInstanceLockedError(error)) {
+                    // The instance is busy on another node; pick the timeout up on the next run
+                    await expectedCallbacksModel.update(callback.id, { status: 'PENDING' });
+                    continue;
+                }
+
                 logger.error(`Handle timed out callback failed`, error, { 
                     callbackId: callback.id
                 });
@@ -95,11 +129,9 @@ const matchUnmatchedCallbacks = async () => {
                 
                 // Try to find matching expected callback
                 const expectedCallback = await expectedCallbacksModel.findOne({
-                    where: {
-                        session_id: sessionId,
-                        tracking_number: trackingNumber,
-                        status: 'PENDING'
-                    }
+                    session_id: sessionId,
+                    tracking_number: trackingNumber,
+                    status: 'PENDING'
                 });
                 
                 if (expectedCallback) {
@@ -243,6 +275,27 @@ const retryFailedBfsCallbacks = async () => {
     }
 };
 
+/**
+ * Forget old callback signatures kept for replay checks
+ */
+const purgeCallbackSignatures = async () => {
+    try {
+        const count = await callbackSignatureService.purgeRecordedSignatures();
+
+        if (count > 0) {
+            logger.job('CallbackMatcher', 'purgeSignatures', {
+                count,
+                status: 'success'
+            });
+        }
+    } catch (error) {
+        logger.error('Purge callback signatures failed', error, {
+            job: 'CallbackMatcher',
+            action: 'purgeSignatures'
+        });
+    }
+};
+
 /**
  * Get callback statistics
  */
@@ -270,5 +323,6 @@ module.exports = {
     matchUnmatchedCallbacks,
     sendPendingBfsCallbacks,
     retryFailedBfsCallbacks,
+    purgeCallbackSignatures,
     getCallbackStats
 };
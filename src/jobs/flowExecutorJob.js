@@ -1,115 +1,262 @@
+const os = require('os');
 const { jobQueueModel, flowInstancesModel } = require('../models');
 const executionService = require('../services/executionService');
+const deadLetterService = require('../services/deadLetterService');
+const { isInstanceLockedError } = require('../services/instanceLockService');
 const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
 
 /**
- * Process pending flow execution jobs
+ * Handlers for flow job types
+ */
+const JOB_HANDLERS = {
+    EXECUTE_FLOW: ({ flowInstanceId }) => executionService.executeFlowInstance(flowInstanceId),
+    RESUME_FLOW: async ({ flowInstanceId, stepExecutionId }) => {
+        const result = await executionService.resumeAfterTimer(flowInstanceId, stepExecutionId);
+        return result || { status: 'SKIPPED', reason: 'Step already resumed' };
+    },
+    RETRY_STEP: async ({ flowInstanceId, stepExecutionId }) => {
+        const result = await executionService.retryStep(flowInstanceId, stepExecutionId);
+        return result || { status: 'SKIPPED', reason: 'Step already retried' };
+    },
+    RESUME_CALLBACK: async ({ flowInstanceId, stepExecutionId, callbackPayload }) => {
+        const result = await executionService.resumeAfterCallback(flowInstanceId, stepExecutionId, callbackPayload);
+        return result || { status: 'SKIPPED', reason: 'Step no longer waiting for a callback' };
+    },
+    RESUME_SUBFLOW: async ({ flowInstanceId, stepExecutionId, childInstanceId }) => {
+        const child = await flowInstancesModel.findById(childInstanceId);
+        const result = child && await executionService.resumeAfterSubflow(flowInstanceId, stepExecutionId, child);
+        return result || { status: 'SKIPPED', reason: 'Parent step already resumed' };
+    }
+};
+
+// A job that finds its instance locked by another node waits this long before trying again
+const LOCK_CONFLICT_RETRY_MS = parseInt(process.env.INSTANCE_LOCK_RETRY_MS, 10) || 2000;
+
+// A claimed job is reclaimed by another worker if its lease is not renewed in time
+const DEFAULT_LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 60000;
+
+const defaultWorkerId = () => process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+
+const parseJobPayload = (job) => (typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload);
+
+/**
+ * Claim due jobs with a lease
+ * Also reclaims PROCESSING jobs whose lease expired (their worker crashed or stalled).
+ */
+const claimJobs = async ({ jobTypes = Object.keys(JOB_HANDLERS), limit = 10, workerId = defaultWorkerId(), leaseMs = DEFAULT_LEASE_MS } = {}) => {
+    return jobQueueModel.raw(`
+        UPDATE job_queue
+        SET status = 'PROCESSING',
+            locked_at = NOW(),
+            locked_by = $1,
+            heartbeat_at = NOW(),
+            lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond'),
+            started_at = COALESCE(started_at, NOW())
+        WHERE id IN (
+            SELECT id FROM job_queue
+            WHERE job_type = ANY($2)
+                AND (
+                    (status = 'PENDING'
+                        AND (scheduled_for IS NULL OR scheduled_for <= NOW())
+                        AND (next_retry_at IS NULL OR next_retry_at <= NOW()))
+                    OR (status = 'PROCESSING' AND lease_expires_at < NOW())
+                )
+            ORDER BY priority DESC, created_at ASC
+            LIMIT $4
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [workerId, jobTypes, leaseMs, limit]);
+};
+
+/**
+ * Extend the lease on jobs a worker is still running
+ */
+const renewLeases = async (jobIds, workerId = defaultWorkerId(), leaseMs = DEFAULT_LEASE_MS) => {
+    if (jobIds.length === 0) {
+        return [];
+    }
+
+    return jobQueueModel.raw(`
+        UPDATE job_queue
+        SET heartbeat_at = NOW(),
+            lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond')
+        WHERE id = ANY($1)
+            AND locked_by = $2
+            AND status = 'PROCESSING'
+        RETURNING id
+    `, [jobIds, workerId, leaseMs]);
+};
+
+/**
+ * Update a claimed job, unless another worker has reclaimed it since
+ * Returns false if the job was reclaimed.
+ */
+const updateClaimedJob = async (job, fields) => {
+    const columns = Object.keys(fields);
+    const sets = columns.map((column, i) => `${column} = $${i + 3}`);
+
+    const rows = await jobQueueModel.raw(`
+        UPDATE job_queue
+        SET ${sets.join(', ')}
+        WHERE id = $1 AND locked_by = $2
+        RETURNING id
+    `, [job.id, job.locked_by, ...columns.map(column => fields[column])]);
+
+    if (rows.length === 0) {
+        logger.warn('Job was reclaimed by another worker before it finished', {
+            jobId: job.id,
+            workerId: job.locked_by
+        });
+    }
+    return rows.length > 0;
+};
+
+/**
+ * Run one claimed job and record its result, retrying failures with backoff
+ */
+const runJob = async (job) => {
+    const jobData = parseJobPayload(job);
+    const { flowInstanceId } = jobData || {};
+
+    try {
+        logger.flow('Executing flow instance', {
+            flowInstanceId,
+            jobId: job.id,
+            jobType: job.job_type,
+            priority: job.priority
+        });
+
+        // Execute the flow
+        const result = await JOB_HANDLERS[job.job_type](jobData);
+
+        // Update job as completed
+        await updateClaimedJob(job, {
+            status: 'COMPLETED',
+            result: JSON.stringify(result),
+            completed_at: new Date(),
+            lease_expires_at: null
+        });
+
+        logger.flow('Execution completed', {
+            flowInstanceId,
+            status: result.status,
+            jobId: job.id
+        });
+    } catch (error) {
+        // Another node is working on the instance: try again later without using up an attempt
+        if (isInstanceLockedError(error)) {
+            await updateClaimedJob(job, {
+                status: 'PENDING',
+                locked_at: null,
+                locked_by: null,
+                lease_expires_at: null,
+                next_retry_at: new Date(Date.now() + LOCK_CONFLICT_RETRY_MS)
+            });
+
+            logger.flow('Instance locked, job re-queued', {
+                jobId: job.id,
+                flowInstanceId,
+                retryInMs: LOCK_CONFLICT_RETRY_MS
+            });
+            return;
+        }
+
+        logger.error(`Flow execution job failed`, error, {
+            jobId: job.id,
+            flowInstanceId
+        });
+
+        // Update job as failed or retry
+        const attemptNumber = (job.attempt_number || 0) + 1;
+        const maxAttempts = job.max_attempts || 3;
+
+        // Keep every failure so the dead-letter entry shows the full history
+        const metadata = safeJsonParse(job.metadata, {}) || {};
+        const attemptHistory = [...(metadata.attemptHistory || []), {
+            attempt: attemptNumber,
+            error: error.message,
+            workerId: job.locked_by,
+            failedAt: new Date().toISOString()
+        }];
+
+        if (attemptNumber < maxAttempts) {
+            await updateClaimedJob(job, {
+                status: 'PENDING',
+                attempt_number: attemptNumber,
+                error_message: error.message,
+                metadata: JSON.stringify({ ...metadata, attemptHistory }),
+                locked_at: null,
+                locked_by: null,
+                lease_expires_at: null,
+                next_retry_at: new Date(Date.now() + attemptNumber * 30000) // Exponential backoff
+            });
+
+            logger.flow('Execution scheduled for retry', {
+                jobId: job.id,
+                attemptNumber,
+                nextRetryIn: `${attemptNumber * 30}s`
+            });
+        } else {
+            const owned = await updateClaimedJob(job, {
+                status: 'FAILED',
+                attempt_number: attemptNumber,
+                error_message: error.message,
+                metadata: JSON.stringify({ ...metadata, attemptHistory }),
+                completed_at: new Date(),
+                lease_expires_at: null
+            });
+            if (!owned) {
+                return;
+            }
+
+            // Also update flow instance as failed
+            const instance = flowInstanceId
+                ? await flowInstancesModel.findById(flowInstanceId, 'id, status')
+                : null;
+            if (instance && !executionService.TERMINAL_INSTANCE_STATUSES.includes(instance.status)) {
+                await executionService.finishInstance(flowInstanceId, executionService.INSTANCE_STATUSES.FAILED, {
+                    last_error: `Job execution failed after ${maxAttempts} attempts: ${error.message}`
+                });
+            }
+
+            await deadLetterService.addDeadLetter(job, {
+                error,
+                attemptHistory,
+                flowInstanceId: instance?.id || null,
+                instanceStatus: instance?.status || null
+            });
+
+            logger.error('Flow execution max attempts exceeded', error, {
+                jobId: job.id,
+                maxAttempts,
+                flowInstanceId
+            });
+        }
+    }
+};
+
+/**
+ * Process pending flow execution jobs once, one after another
+ * The worker pool runs jobs as they arrive; this drains the queue on demand (tests, scripts)
  */
 const processFlowExecutionJobs = async () => {
     try {
-        // Get pending jobs with lock
-        const jobs = await jobQueueModel.raw(`
-            UPDATE job_queue
-            SET status = 'PROCESSING', 
-                locked_at = NOW(),
-                locked_by = $1
-            WHERE id IN (
-                SELECT id FROM job_queue 
-                WHERE job_type = 'EXECUTE_FLOW' 
-                    AND status = 'PENDING'
-                    AND (locked_at IS NULL OR locked_at < NOW() - INTERVAL '5 minutes')
-                ORDER BY priority DESC, created_at ASC
-                LIMIT 10
-                FOR UPDATE SKIP LOCKED
-            )
-            RETURNING *
-        `, [process.env.WORKER_ID || 'worker-1']);
-        
+        const jobs = await claimJobs();
+
         if (jobs.length === 0) {
             return;
         }
-        
+
         logger.job('FlowExecutor', 'processPending', {
             count: jobs.length,
-            workerId: process.env.WORKER_ID || 'worker-1',
+            workerId: defaultWorkerId(),
             status: 'processing'
         });
-        
+
         for (const job of jobs) {
-            try {
-                const jobData = typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload;
-                const { flowInstanceId } = jobData;
-                
-                logger.flow('Executing flow instance', {
-                    flowInstanceId,
-                    jobId: job.id,
-                    priority: job.priority
-                });
-                
-                // Execute the flow
-                const result = await executionService.executeFlowInstance(flowInstanceId);
-                
-                // Update job as completed
-                await jobQueueModel.update(job.id, {
-                    status: 'COMPLETED',
-                    result: JSON.stringify(result),
-                    completed_at: new Date()
-                });
-                
-                logger.flow('Execution completed', { 
-                    flowInstanceId,
-                    status: result.status,
-                    jobId: job.id
-                });
-            } catch (error) {
-                logger.error(`Flow execution job failed`, error, { 
-                    jobId: job.id,
-                    flowInstanceId: (typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload)?.flowInstanceId
-                });
-                
-                // Update job as failed or retry
-                const attemptNumber = (job.attempt_number || 0) + 1;
-                const maxAttempts = job.max_attempts || 3;
-
-                if (attemptNumber < maxAttempts) {
-                    await jobQueueModel.update(job.id, {
-                        status: 'PENDING',
-                        attempt_number: attemptNumber,
-                        error_message: error.message,
-                        locked_at: null,
-                        locked_by: null,
-                        next_retry_at: new Date(Date.now() + attemptNumber * 30000) // Exponential backoff
-                    });
-
-                    logger.flow('Execution scheduled for retry', {
-                        jobId: job.id,
-                        attemptNumber,
-                        nextRetryIn: `${attemptNumber * 30}s`
-                    });
-                } else {
-                    await jobQueueModel.update(job.id, {
-                        status: 'FAILED',
-                        attempt_number: attemptNumber,
-                        error_message: error.message,
-                        completed_at: new Date()
-                    });
-                    
-                    // Also update flow instance as failed
-                    const jobData = typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload;
-                    if (jobData?.flowInstanceId) {
-                        await flowInstancesModel.update(jobData.flowInstanceId, {
-                            status: 'FAILED',
-                            last_error: `Job execution failed after ${maxAttempts} attempts: ${error.message}`
-                        });
-                    }
-
-                    logger.error('Flow execution max attempts exceeded', error, {
-                        jobId: job.id,
-                        maxAttempts,
-                        flowInstanceId: jobData?.flowInstanceId
-                    });
-                }
-            }
+            await runJob(job);
         }
     } catch (error) {
         logger.error('Process flow execution jobs failed', error, {
@@ -124,12 +271,13 @@ const processFlowExecutionJobs = async () => {
  */
 const cleanupStaleJobs = async () => {
     try {
-        // Release jobs that have been locked for too long
+        // Release jobs whose lease expired (jobs claimed before leases existed have none)
         const released = await jobQueueModel.raw(`
             UPDATE job_queue
-            SET status = 'PENDING', locked_at = NULL, locked_by = NULL
-            WHERE status = 'PROCESSING' 
-                AND locked_at < NOW() - INTERVAL '10 minutes'
+            SET status = 'PENDING', locked_at = NULL, locked_by = NULL, lease_expires_at = NULL
+            WHERE status = 'PROCESSING'
+                AND (lease_expires_at < NOW()
+                    OR (lease_expires_at IS NULL AND locked_at < NOW() - INTERVAL '10 minutes'))
             RETURNING id
         `);
         
@@ -176,6 +324,12 @@ const getJobQueueStats = async () => {
 };
 
 module.exports = {
+    JOB_HANDLERS,
+    DEFAULT_LEASE_MS,
+    defaultWorkerId,
+    claimJobs,
+    renewLeases,
+    runJob,
     processFlowExecutionJobs,
     cleanupStaleJobs,
     getJobQueueStats
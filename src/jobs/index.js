@@ -2,28 +2,51 @@ const cron = require('node-cron');
 const flowExecutorJob = require('./flowExecutorJob');
 const callbackMatcherJob = require('./callbackMatcherJob');
 const tsqSchedulerJob = require('./tsqSchedulerJob');
+const rolloutMonitorJob = require('./rolloutMonitorJob');
+const manualTaskMonitorJob = require('./manualTaskMonitorJob');
+const { createWorkerPool } = require('./workerPool');
 const logger = require('../utils/logger');
 
+// Scheduled cron tasks, stopped on shutdown
+const tasks = [];
+
+// Runs job_queue jobs (EXECUTE_FLOW, RESUME_FLOW, RETRY_STEP) as they are queued
+let workerPool = null;
+
+/**
+ * Schedule a cron task and keep it for shutdown
+ */
+const schedule = (expression, fn) => {
+    tasks.push(cron.schedule(expression, fn));
+};
+
+/**
+ * Start the job workers (unless WORKERS_ENABLED=false, e.g. API-only nodes)
+ */
+const startWorkers = async () => {
+    if (process.env.WORKERS_ENABLED === 'false') {
+        logger.info('Job workers disabled (WORKERS_ENABLED=false)');
+        return null;
+    }
+
+    workerPool = createWorkerPool();
+    await workerPool.start();
+    return workerPool;
+};
+
 /**
  * Initialize all background jobs
  */
 const initializeJobs = () => {
     logger.info('✓ Initializing background jobs');
     
-    // Process flow execution jobs every 5 seconds
-    cron.schedule('*/5 * * * * *', async () => {
-        try {
-            await flowExecutorJob.processFlowExecutionJobs();
-        } catch (error) {
-            logger.error('Flow executor job error', error, {
-                schedule: 'every 5 seconds'
-            });
-        }
+    // Flow execution jobs are run by the worker pool as they are queued
+    startWorkers().catch(error => {
+        logger.error('Job workers failed to start', error);
     });
-    logger.debug('Scheduled: Flow execution processor (every 5s)');
     
     // Check timed out callbacks every 30 seconds
-    cron.schedule('*/30 * * * * *', async () => {
+    schedule('*/30 * * * * *', async () => {
         try {
             await callbackMatcherJob.checkTimedOutCallbacks();
         } catch (error) {
@@ -35,7 +58,7 @@ const initializeJobs = () => {
     logger.debug('Scheduled: Callback timeout checker (every 30s)');
     
     // Match unmatched callbacks every minute
-    cron.schedule('* * * * *', async () => {
+    schedule('* * * * *', async () => {
         try {
             await callbackMatcherJob.matchUnmatchedCallbacks();
         } catch (error) {
@@ -47,7 +70,7 @@ const initializeJobs = () => {
     logger.debug('Scheduled: Callback matcher (every 1m)');
     
     // Send pending BFS callbacks every 10 seconds
-    cron.schedule('*/10 * * * * *', async () => {
+    schedule('*/10 * * * * *', async () => {
         try {
             await callbackMatcherJob.sendPendingBfsCallbacks();
         } catch (error) {
@@ -59,7 +82,7 @@ const initializeJobs = () => {
     logger.debug('Scheduled: BFS callback sender (every 10s)');
     
     // Retry failed BFS callbacks every 2 minutes
-    cron.schedule('*/2 * * * *', async () => {
+    schedule('*/2 * * * *', async () => {
         try {
             await callbackMatcherJob.retryFailedBfsCallbacks();
         } catch (error) {
@@ -71,7 +94,7 @@ const initializeJobs = () => {
     logger.debug('Scheduled: BFS callback retry (every 2m)');
     
     // Process TSQ requests every 30 seconds
-    cron.schedule('*/30 * * * * *', async () => {
+    schedule('*/30 * * * * *', async () => {
         try {
             await tsqSchedulerJob.processPendingTsqRequests();
         } catch (error) {
@@ -83,7 +106,7 @@ const initializeJobs = () => {
     logger.debug('Scheduled: TSQ processor (every 30s)');
     
     // Schedule TSQ for indeterminate responses every minute
-    cron.schedule('* * * * *', async () => {
+    schedule('* * * * *', async () => {
         try {
             await tsqSchedulerJob.scheduleTsqForIndeterminateResponses();
         } catch (error) {
@@ -94,8 +117,32 @@ const initializeJobs = () => {
     });
     logger.debug('Scheduled: TSQ scheduler (every 1m)');
     
+    // Check canary rollouts for auto-rollback every 30 seconds
+    schedule('*/30 * * * * *', async () => {
+        try {
+            await rolloutMonitorJob.checkActiveRollouts();
+        } catch (error) {
+            logger.error('Rollout monitor error', error, {
+                schedule: 'every 30 seconds'
+            });
+        }
+    });
+    logger.debug('Scheduled: Rollout monitor (every 30s)');
+    
+    // Release expired task claims and escalate overdue manual tasks every minute
+    schedule('* * * * *', async () => {
+        try {
+            await manualTaskMonitorJob.checkManualTasks();
+        } catch (error) {
+            logger.error('Manual task monitor error', error, {
+                schedule: 'every minute'
+            });
+        }
+    });
+    logger.debug('Scheduled: Manual task monitor (every 1m)');
+    
     // Cleanup stale jobs every 5 minutes
-    cron.schedule('*/5 * * * *', async () => {
+    schedule('*/5 * * * *', async () => {
         try {
             await flowExecutorJob.cleanupStaleJobs();
         } catch (error) {
@@ -106,8 +153,20 @@ const initializeJobs = () => {
     });
     logger.debug('Scheduled: Job cleanup (every 5m)');
     
+    // Purge callback signatures kept for replay checks every hour
+    schedule('0 * * * *', async () => {
+        try {
+            await callbackMatcherJob.purgeCallbackSignatures();
+        } catch (error) {
+            logger.error('Callback signature purge error', error, {
+                schedule: 'every hour'
+            });
+        }
+    });
+    logger.debug('Scheduled: Callback signature purge (every 1h)');
+    
     // Cleanup old TSQ requests daily at 2am
-    cron.schedule('0 2 * * *', async () => {
+    schedule('0 2 * * *', async () => {
         try {
             await tsqSchedulerJob.cleanupOldTsqRequests();
         } catch (error) {
@@ -121,6 +180,21 @@ const initializeJobs = () => {
     logger.info('✓ Background jobs initialized successfully');
 };
 
+/**
+ * Stop scheduled jobs and drain the job workers
+ */
+const stopJobs = async () => {
+    tasks.forEach(task => task.stop());
+    tasks.length = 0;
+
+    if (workerPool) {
+        const result = await workerPool.stop();
+        workerPool = null;
+        return result;
+    }
+    return { drained: true, remaining: 0 };
+};
+
 /**
  * Get all job statistics
  */
@@ -134,15 +208,20 @@ const getAllJobStats = async () => {
     return {
         jobQueue: jobQueueStats,
         callbacks: callbackStats,
-        tsq: tsqStats
+        tsq: tsqStats,
+        workers: workerPool ? workerPool.getStats() : null
     };
 };
 
 module.exports = {
     start: initializeJobs,
+    stop: stopJobs,
     initializeJobs,
+    startWorkers,
     getAllJobStats,
     flowExecutorJob,
     callbackMatcherJob,
-    tsqSchedulerJob
+    tsqSchedulerJob,
+    rolloutMonitorJob,
+    manualTaskMonitorJob
 };
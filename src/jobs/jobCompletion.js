@@ -0,0 +1,153 @@
+const pool = require('../config/database');
+const { jobQueueModel } = require('../models');
+const logger = require('../utils/logger');
+
+// Channel the job_queue completion trigger notifies on (migrations/015_job_completion_notify.sql)
+const NOTIFY_CHANNEL = 'job_queue_done';
+
+const FINISHED_JOB_STATUSES = ['COMPLETED', 'FAILED'];
+
+// jobId -> wake-up callbacks of the requests waiting for that job
+const waiters = new Map();
+
+// The LISTEN connection (a promise of its release function), held only while someone is waiting
+let listening = null;
+
+/**
+ * Wake everyone waiting for a job
+ */
+const wakeWaiters = (jobId) => {
+    (waiters.get(jobId) || []).forEach(wake => wake());
+};
+
+const onNotification = (message) => {
+    try {
+        const { id } = JSON.parse(message.payload);
+        wakeWaiters(id);
+    } catch (error) {
+        logger.warn('Ignoring malformed job_queue_done notification', { payload: message.payload });
+    }
+};
+
+/**
+ * Open a dedicated connection that LISTENs for finished jobs; onLost runs if it drops
+ * The connection is destroyed rather than returned to the pool, so it stops listening.
+ * Resolves to a function that releases it
+ */
+const connect = async (onLost) => {
+    const client = await pool.connect();
+    let released = false;
+
+    const release = () => {
+        if (released) {
+            return;
+        }
+        released = true;
+        client.removeListener('notification', onNotification);
+        client.release(true);
+    };
+
+    client.on('notification', onNotification);
+    client.on('error', (error) => {
+        logger.error('Job completion connection lost', error, { waiting: waiters.size });
+        onLost();
+        release();
+        // Nothing more will be heard on this connection: waiters read their job's status instead
+        [...waiters.keys()].forEach(wakeWaiters);
+    });
+
+    try {
+        await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    } catch (error) {
+        release();
+        throw error;
+    }
+    return release;
+};
+
+/**
+ * The shared LISTEN connection, opened on first use
+ */
+const listen = () => {
+    if (!listening) {
+        const forget = () => {
+            if (listening === current) {
+                listening = null;
+            }
+        };
+        const current = connect(forget);
+        current.catch(forget);
+        listening = current;
+    }
+    return listening;
+};
+
+/**
+ * Close the LISTEN connection once nobody is waiting
+ */
+const releaseIfIdle = () => {
+    if (waiters.size > 0 || !listening) {
+        return;
+    }
+    const current = listening;
+    listening = null;
+    current.then(release => release(), () => {});
+};
+
+const addWaiter = (jobId, wake) => {
+    if (!waiters.has(jobId)) {
+        waiters.set(jobId, new Set());
+    }
+    waiters.get(jobId).add(wake);
+};
+
+const removeWaiter = (jobId, wake) => {
+    const callbacks = waiters.get(jobId);
+    if (callbacks) {
+        callbacks.delete(wake);
+        if (callbacks.size === 0) {
+            waiters.delete(jobId);
+        }
+    }
+    releaseIfIdle();
+};
+
+/**
+ * Wait for a queued job to finish (COMPLETED or FAILED)
+ * Returns the job row once it finished or the connection was lost (check its status), or null
+ * when timeoutMs passed first
+ */
+const waitForJob = async (jobId, { timeoutMs }) => {
+    let wake;
+    const notified = new Promise(resolve => {
+        wake = resolve;
+    });
+    addWaiter(jobId, wake);
+
+    let timeout;
+    try {
+        await listen();
+
+        // The job may have finished before the connection was listening
+        const job = await jobQueueModel.findById(jobId);
+        if (job && FINISHED_JOB_STATUSES.includes(job.status)) {
+            return job;
+        }
+
+        const woken = await Promise.race([
+            notified.then(() => true),
+            new Promise(resolve => {
+                timeout = setTimeout(() => resolve(false), timeoutMs);
+            })
+        ]);
+        return woken ? jobQueueModel.findById(jobId) : null;
+    } finally {
+        clearTimeout(timeout);
+        removeWaiter(jobId, wake);
+    }
+};
+
+module.exports = {
+    waitForJob,
+    FINISHED_JOB_STATUSES
+};
@@ -0,0 +1,30 @@
+const manualTaskService = require('../services/manualTaskService');
+const logger = require('../utils/logger');
+
+/**
+ * Release expired task claims and escalate tasks past their SLA
+ */
+const checkManualTasks = async () => {
+    try {
+        const { released, escalated } = await manualTaskService.checkTaskDeadlines();
+
+        if (released === 0 && escalated === 0) {
+            return;
+        }
+
+        logger.job('ManualTaskMonitor', 'checkDeadlines', {
+            status: 'success',
+            released,
+            escalated
+        });
+    } catch (error) {
+        logger.error('Check manual tasks failed', error, {
+            job: 'ManualTaskMonitor',
+            action: 'checkDeadlines'
+        });
+    }
+};
+
+module.exports = {
+    checkManualTasks
+};
@@ -0,0 +1,30 @@
+const rolloutService = require('../services/rolloutService');
+const logger = require('../utils/logger');
+
+/**
+ * Roll back canary rollouts whose candidate version fails too often
+ */
+const checkActiveRollouts = async () => {
+    try {
+        const rolledBack = await rolloutService.checkActiveRollouts();
+
+        if (rolledBack.length === 0) {
+            return;
+        }
+
+        logger.job('RolloutMonitor', 'autoRollback', {
+            count: rolledBack.length,
+            status: 'success',
+            rollouts: rolledBack.map(r => r.id)
+        });
+    } catch (error) {
+        logger.error('Check active rollouts failed', error, {
+            job: 'RolloutMonitor',
+            action: 'autoRollback'
+        });
+    }
+};
+
+module.exports = {
+    checkActiveRollouts
+};
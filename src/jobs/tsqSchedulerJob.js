@@ -1,5 +1,6 @@
 const { tsqRequestsModel, flowInstancesModel } = require('../models');
 const tsqService = require('../services/tsqService');
+const manualTaskService = require('../services/manualTaskService');
 const logger = require('../utils/logger');
 const { safeJsonParse } = require('../utils/helpers');
 
@@ -86,7 +87,12 @@ const processPendingTsqRequests = async () => {
                     // Update flow instance
                     await flowInstancesModel.update(tsq.flow_instance_id, {
                         status: 'MANUAL_INTERVENTION',
-                        error_message: `TSQ failed after ${maxAttempts} attempts`
+                        last_error: `TSQ failed after ${maxAttempts} attempts`
+                    });
+
+                    await manualTaskService.openTask(tsq.flow_instance_id, {
+                        source: manualTaskService.TASK_SOURCES.TSQ,
+                        reason: `TSQ failed after ${maxAttempts} attempts: ${error.message}`
                     });
                     
                     logger.error('TSQ max retries exceeded', error, {
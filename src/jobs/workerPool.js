@@ -0,0 +1,296 @@
+const pool = require('../config/database');
+const flowExecutorJob = require('./flowExecutorJob');
+const logger = require('../utils/logger');
+
+// Channel the job_queue trigger notifies on (migrations/007_job_queue_workers.sql)
+const NOTIFY_CHANNEL = 'job_queue';
+
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_POLL_INTERVAL_MS = 30000;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 25000;
+const LISTEN_RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Concurrency for a job type: WORKER_CONCURRENCY_<JOB_TYPE>, then WORKER_CONCURRENCY
+ */
+const concurrencyFromEnv = (jobType) => {
+    const value = process.env[`WORKER_CONCURRENCY_${jobType}`] || process.env.WORKER_CONCURRENCY;
+    return parseInt(value, 10) || DEFAULT_CONCURRENCY;
+};
+
+/**
+ * Create a pool of job workers
+ * Workers LISTEN for job_queue notifications and claim jobs as soon as they are inserted or
+ * become due, up to a concurrency limit per job type. Running jobs hold a lease renewed by
+ * heartbeats; jobs of a worker that stops heartbeating are reclaimed once their lease expires.
+ * A slow poll picks up anything a missed notification left behind.
+ *
+ * options: { workerId, jobTypes, concurrency: { [jobType]: n }, leaseMs, heartbeatMs, pollIntervalMs }
+ * Returns { start, stop, wake, getStats }
+ */
+const createWorkerPool = (options = {}) => {
+    const workerId = options.workerId || flowExecutorJob.defaultWorkerId();
+    const jobTypes = options.jobTypes || Object.keys(flowExecutorJob.JOB_HANDLERS);
+    const leaseMs = options.leaseMs || parseInt(process.env.JOB_LEASE_MS, 10) || flowExecutorJob.DEFAULT_LEASE_MS;
+    const heartbeatMs = options.heartbeatMs || Math.floor(leaseMs / 3);
+    const pollIntervalMs = options.pollIntervalMs || parseInt(process.env.WORKER_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS;
+
+    const concurrency = {};
+    for (const jobType of jobTypes) {
+        concurrency[jobType] = options.concurrency?.[jobType] || concurrencyFromEnv(jobType);
+    }
+
+    const running = new Map();
+    const active = Object.fromEntries(jobTypes.map(jobType => [jobType, 0]));
+    const filling = new Set();
+    const refillRequested = new Set();
+    const wakeTimers = new Set();
+
+    let listenClient = null;
+    let releaseListener = null;
+    let pollTimer = null;
+    let heartbeatTimer = null;
+    let reconnectTimer = null;
+    let started = false;
+    let stopping = false;
+
+    /**
+     * Claim as many jobs of a type as there are free slots, and start them
+     */
+    const fill = async (jobType) => {
+        if (stopping || !started) {
+            return;
+        }
+
+        // One claim at a time per type; a wake-up during a claim claims again afterwards
+        if (filling.has(jobType)) {
+            refillRequested.add(jobType);
+            return;
+        }
+        filling.add(jobType);
+
+        try {
+            let free = concurrency[jobType] - active[jobType];
+            while (free > 0 && !stopping) {
+                const jobs = await flowExecutorJob.claimJobs({ jobTypes: [jobType], limit: free, workerId, leaseMs });
+                jobs.forEach(startJob);
+                if (jobs.length < free) {
+                    break;
+                }
+                free = concurrency[jobType] - active[jobType];
+            }
+        } catch (error) {
+            logger.error('Worker failed to claim jobs', error, { workerId, jobType });
+        } finally {
+            filling.delete(jobType);
+            if (refillRequested.delete(jobType)) {
+                fill(jobType);
+            }
+        }
+    };
+
+    const fillAll = () => jobTypes.forEach(fill);
+
+    /**
+     * Run a claimed job; its slot is refilled when it finishes
+     */
+    const startJob = (job) => {
+        active[job.job_type] += 1;
+
+        const promise = flowExecutorJob.runJob(job)
+            .catch(error => logger.error('Worker job crashed', error, { workerId, jobId: job.id }))
+            .finally(() => {
+                active[job.job_type] -= 1;
+                running.delete(job.id);
+                fill(job.job_type);
+            });
+
+        running.set(job.id, { job, promise });
+    };
+
+    /**
+     * Renew the lease on every running job
+     */
+    const heartbeat = async () => {
+        try {
+            await flowExecutorJob.renewLeases([...running.keys()], workerId, leaseMs);
+        } catch (error) {
+            logger.error('Worker heartbeat failed', error, { workerId, running: running.size });
+        }
+    };
+
+    /**
+     * Wake for a job: now if it is due, otherwise when it becomes due
+     */
+    const wake = (jobType, runAt = null) => {
+        if (stopping || !jobTypes.includes(jobType)) {
+            return;
+        }
+
+        const delay = runAt ? new Date(runAt).getTime() - Date.now() : 0;
+        if (delay <= 0) {
+            fill(jobType);
+            return;
+        }
+        // Jobs due after the next poll are picked up by the poll
+        if (delay > pollIntervalMs) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            wakeTimers.delete(timer);
+            fill(jobType);
+        }, delay);
+        wakeTimers.add(timer);
+    };
+
+    const onNotification = (message) => {
+        try {
+            const { jobType, runAt } = JSON.parse(message.payload);
+            wake(jobType, runAt);
+        } catch (error) {
+            logger.warn('Ignoring malformed job_queue notification', { payload: message.payload });
+        }
+    };
+
+    /**
+     * Hold a dedicated connection that LISTENs for job notifications, reconnecting on failure
+     */
+    const listen = async () => {
+        let client = null;
+        let released = false;
+
+        // The connection is destroyed rather than returned to the pool, so it stops listening
+        const release = () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            if (listenClient === client) {
+                listenClient = null;
+                releaseListener = null;
+            }
+            client.removeListener('notification', onNotification);
+            client.release(true);
+        };
+
+        try {
+            client = await pool.connect();
+            client.on('notification', onNotification);
+            client.on('error', (error) => {
+                logger.error('Worker notification connection lost', error, { workerId });
+                release();
+                scheduleReconnect();
+            });
+            await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+            listenClient = client;
+            releaseListener = release;
+
+            // Jobs inserted while disconnected sent notifications nobody heard
+            fillAll();
+        } catch (error) {
+            logger.error('Worker failed to listen for jobs', error, { workerId });
+            if (client) {
+                release();
+            }
+            scheduleReconnect();
+        }
+    };
+
+    const scheduleReconnect = () => {
+        if (stopping || reconnectTimer) {
+            return;
+        }
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            listen();
+        }, LISTEN_RECONNECT_DELAY_MS);
+    };
+
+    /**
+     * Start listening and claiming jobs
+     */
+    const start = async () => {
+        if (started) {
+            return;
+        }
+        started = true;
+        stopping = false;
+
+        await listen();
+        pollTimer = setInterval(fillAll, pollIntervalMs);
+        heartbeatTimer = setInterval(heartbeat, heartbeatMs);
+        fillAll();
+
+        logger.info('✓ Job workers started', { workerId, concurrency, leaseMs, pollIntervalMs });
+    };
+
+    /**
+     * Stop claiming jobs and wait for running jobs to finish
+     * Jobs still running after timeoutMs keep their lease until it expires and are then reclaimed.
+     */
+    const stop = async ({ timeoutMs = parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS, 10) || DEFAULT_SHUTDOWN_TIMEOUT_MS } = {}) => {
+        if (!started || stopping) {
+            return { drained: true, remaining: 0 };
+        }
+        stopping = true;
+
+        clearInterval(pollTimer);
+        clearTimeout(reconnectTimer);
+        wakeTimers.forEach(clearTimeout);
+        wakeTimers.clear();
+
+        if (releaseListener) {
+            releaseListener();
+        }
+
+        logger.info('Draining job workers', { workerId, running: running.size });
+
+        let timeout;
+        const drained = await Promise.race([
+            Promise.allSettled([...running.values()].map(r => r.promise)).then(() => true),
+            new Promise(resolve => {
+                timeout = setTimeout(() => resolve(false), timeoutMs);
+            })
+        ]);
+        clearTimeout(timeout);
+        clearInterval(heartbeatTimer);
+        started = false;
+
+        if (!drained) {
+            logger.warn('Job workers stopped with jobs still running', {
+                workerId,
+                jobIds: [...running.keys()]
+            });
+        }
+
+        return { drained, remaining: running.size };
+    };
+
+    /**
+     * Current worker state
+     */
+    const getStats = () => ({
+        workerId,
+        listening: Boolean(listenClient),
+        stopping,
+        leaseMs,
+        jobTypes: jobTypes.map(jobType => ({
+            jobType,
+            concurrency: concurrency[jobType],
+            running: active[jobType]
+        }))
+    });
+
+    return {
+        start,
+        stop,
+        wake,
+        getStats
+    };
+};
+
+module.exports = {
+    createWorkerPool,
+    NOTIFY_CHANNEL
+};
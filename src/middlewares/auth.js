@@ -2,11 +2,23 @@
  * Authentication Middleware for Orchestrator Service
  */
 
-const jwt = require('jsonwebtoken');
-const { usersModel, rolesModel } = require('../models');
+const crypto = require('crypto');
+const authService = require('../services/authService');
+const callbackSignatureService = require('../services/callbackSignatureService');
 const logger = require('../utils/logger');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret';
+/**
+ * Compare a presented service key with BFS_API_KEY in constant time
+ * No key is accepted while BFS_API_KEY is unset
+ */
+const serviceKeyMatches = (apiKey) => {
+    if (!process.env.BFS_API_KEY) {
+        return false;
+    }
+    const expected = Buffer.from(process.env.BFS_API_KEY);
+    const presented = Buffer.from(String(apiKey));
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+};
 
 /**
  * Verify JWT token
@@ -25,49 +37,28 @@ const verifyToken = async (req, res, next) => {
         const token = authHeader.substring(7);
 
         try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            
-            // Fetch user
-            const user = await usersModel.findById(decoded.userId);
-            
-            if (!user) {
+            req.user = await authService.verifyAccessToken(token);
+            next();
+        } catch (jwtError) {
+            if (jwtError.name === 'TokenExpiredError') {
                 return res.status(401).json({
                     success: false,
-                    error: 'User not found'
+                    error: 'Token expired'
                 });
             }
-
-            if (!user.is_active) {
+            if (jwtError.statusCode === 401) {
                 return res.status(401).json({
                     success: false,
-                    error: 'User account is deactivated'
+                    error: jwtError.message
                 });
             }
-
-            // Fetch role
-            const role = await rolesModel.findById(user.role_id);
-            
-            req.user = {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                roleId: user.role_id,
-                roleName: role?.name,
-                permissions: role ? JSON.parse(role.permissions || '[]') : []
-            };
-
-            next();
-        } catch (jwtError) {
-            if (jwtError.name === 'TokenExpiredError') {
+            if (jwtError.name === 'JsonWebTokenError' || jwtError.name === 'NotBeforeError') {
                 return res.status(401).json({
                     success: false,
-                    error: 'Token expired'
+                    error: 'Invalid token'
                 });
             }
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
+            throw jwtError;
         }
     } catch (error) {
         logger.error('Token verification error', { error: error.message });
@@ -83,6 +74,11 @@ const verifyToken = async (req, res, next) => {
  */
 const requirePermission = (...requiredPermissions) => {
     return (req, res, next) => {
+        // The BFS service key is trusted on the routes that accept it (see verifyAuth)
+        if (req.isInternalService) {
+            return next();
+        }
+
         if (!req.user) {
             return res.status(401).json({
                 success: false,
@@ -90,22 +86,8 @@ const requirePermission = (...requiredPermissions) => {
             });
         }
 
-        const userPermissions = req.user.permissions || [];
-        
-        // Super admin has all permissions
-        if (userPermissions.includes('*')) {
-            return next();
-        }
-
-        // Check if user has at least one of the required permissions
-        const hasPermission = requiredPermissions.some(perm => {
-            // Check exact match
-            if (userPermissions.includes(perm)) return true;
-            
-            // Check wildcard (e.g., "flows:*" matches "flows:read")
-            const [resource, action] = perm.split(':');
-            return userPermissions.includes(`${resource}:*`);
-        });
+        // Check if user has at least one of the required permissions ("*" and "flows:*" are wildcards)
+        const hasPermission = requiredPermissions.some(perm => authService.hasPermission(req.user.permissions, perm));
 
         if (!hasPermission) {
             return res.status(403).json({
@@ -125,7 +107,6 @@ const requirePermission = (...requiredPermissions) => {
  */
 const verifyServiceKey = (req, res, next) => {
     const apiKey = req.headers['x-service-key'] || req.headers['x-api-key'];
-    const expectedKey = process.env.BFS_API_KEY || 'bfs-internal-api-key';
 
     if (!apiKey) {
         return res.status(401).json({
@@ -134,7 +115,7 @@ const verifyServiceKey = (req, res, next) => {
         });
     }
 
-    if (apiKey !== expectedKey) {
+    if (!serviceKeyMatches(apiKey)) {
         return res.status(401).json({
             success: false,
             error: 'Invalid service API key'
@@ -156,21 +137,7 @@ const optionalAuth = async (req, res, next) => {
     }
 
     try {
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await usersModel.findById(decoded.userId);
-        
-        if (user && user.is_active) {
-            const role = await rolesModel.findById(user.role_id);
-            req.user = {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                roleId: user.role_id,
-                roleName: role?.name,
-                permissions: role ? JSON.parse(role.permissions || '[]') : []
-            };
-        }
+        req.user = await authService.verifyAccessToken(authHeader.substring(7));
     } catch (error) {
         // Ignore auth errors for optional auth
     }
@@ -186,12 +153,9 @@ const verifyAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     // Try service key first (for internal communication)
-    if (serviceKey) {
-        const expectedKey = process.env.BFS_API_KEY || 'bfs-internal-api-key';
-        if (serviceKey === expectedKey) {
-            req.isInternalService = true;
-            return next();
-        }
+    if (serviceKey && serviceKeyMatches(serviceKey)) {
+        req.isInternalService = true;
+        return next();
     }
 
     // Try JWT token
@@ -205,10 +169,35 @@ const verifyAuth = async (req, res, next) => {
     });
 };
 
+/**
+ * Verify the HMAC signature of a callback from an external API (see callbackSignatureService)
+ * Needs the raw body captured by express.json's verify hook (captureRawBody)
+ */
+const verifyCallbackSignature = (apiCode) => {
+    return async (req, res, next) => {
+        try {
+            await callbackSignatureService.verifyInboundCallback(apiCode, req);
+            next();
+        } catch (error) {
+            if (!error.statusCode) {
+                logger.error('Callback signature verification error', { apiCode, error: error.message });
+            } else {
+                logger.warn('Callback signature rejected', { apiCode, path: req.path, code: error.code });
+            }
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.statusCode ? error.message : 'Callback verification error',
+                code: error.code
+            });
+        }
+    };
+};
+
 module.exports = {
     verifyToken,
     requirePermission,
     verifyServiceKey,
     optionalAuth,
-    verifyAuth
+    verifyAuth,
+    verifyCallbackSignature
 };
@@ -176,7 +176,7 @@ const rateLimit = (options = {}) => {
     };
 };
 
-// Clean up expired rate limits periodically
+// Clean up expired rate limits periodically (unref'd so it never keeps a process alive)
 setInterval(() => {
     const now = Date.now();
     for (const [key, value] of rateLimits.entries()) {
@@ -184,7 +184,7 @@ setInterval(() => {
             rateLimits.delete(key);
         }
     }
-}, 60000);
+}, 60000).unref();
 
 /**
  * Validate request body against schema
@@ -242,6 +242,13 @@ const validateQuery = (schema) => {
     };
 };
 
+/**
+ * express.json verify hook: keep the raw body for callback signature checks
+ */
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+};
+
 /**
  * Async handler wrapper
  */
@@ -260,5 +267,6 @@ module.exports = {
     validateBody,
     validateQuery,
     asyncHandler,
+    captureRawBody,
     sanitizeForAudit
 };
@@ -121,26 +121,46 @@ const createModel = (tableName) => {
         return result.rows;
     };
 
+    // Optional hook set by fenceUpdates
+    let updateFence = null;
+
     /**
      * Update a record by ID
+     * When a fence applies to the record, the update only matches while the fence's conditions
+     * hold and the fence's error is thrown if they no longer do
      */
     const update = async (id, data) => {
         const keys = Object.keys(data);
         const values = Object.values(data);
+        const fence = updateFence && updateFence(id);
+        const fenceKeys = fence ? Object.keys(fence.where) : [];
 
         const setClauses = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
+        const fenceClauses = fenceKeys.map((key, i) => ` AND ${key} = $${keys.length + i + 2}`).join('');
 
         const query = `
             UPDATE ${tableName}
             SET ${setClauses}, updated_at = NOW()
-            WHERE id = $${keys.length + 1}
+            WHERE id = $${keys.length + 1}${fenceClauses}
             RETURNING *
         `;
 
-        const result = await pool.query(query, [...values, id]);
+        const result = await pool.query(query, [...values, id, ...fenceKeys.map(key => fence.where[key])]);
+        if (fence && result.rows.length === 0) {
+            throw fence.error();
+        }
         return result.rows[0];
     };
 
+    /**
+     * Guard update() with extra conditions
+     * fence(id) returns null to update normally, or { where, error } to only update while the
+     * where conditions hold and throw error() otherwise
+     */
+    const fenceUpdates = (fence) => {
+        updateFence = fence;
+    };
+
     /**
      * Update records by conditions
      */
@@ -330,6 +350,7 @@ const createModel = (tableName) => {
         create,
         createMany,
         update,
+        fenceUpdates,
         updateWhere,
         remove,
         removeWhere,
@@ -6,6 +6,7 @@ const eventTypesModel = createModel('event_types');
 // Flows and Versions
 const flowsModel = createModel('flows');
 const flowVersionsModel = createModel('flow_versions');
+const flowRolloutsModel = createModel('flow_rollouts');
 
 // Steps and Transitions
 const flowStepsModel = createModel('flow_steps');
@@ -26,6 +27,13 @@ const receivedCallbacksModel = createModel('received_callbacks');
 const tsqRequestsModel = createModel('tsq_requests');
 const reversalRequestsModel = createModel('reversal_requests');
 
+// Maker-checker approvals
+const approvalRequestsModel = createModel('approval_requests');
+const approvalLimitsModel = createModel('approval_limits');
+
+// Manual task inbox
+const manualTasksModel = createModel('manual_tasks');
+
 // Logging
 const processLogsModel = createModel('process_logs');
 const eventLogsModel = createModel('event_logs');
@@ -37,13 +45,16 @@ const alertHistoryModel = createModel('alert_history');
 
 // Job Queue
 const jobQueueModel = createModel('job_queue');
+const deadLetterJobsModel = createModel('dead_letter_jobs');
 
 // External APIs
 const externalApisModel = createModel('external_apis');
+const callbackSignaturesModel = createModel('callback_signatures');
 
 // Users and Roles
 const usersModel = createModel('users');
 const rolesModel = createModel('roles');
+const refreshTokensModel = createModel('refresh_tokens');
 
 // System Configurations
 const systemConfigurationsModel = createModel('system_configurations');
@@ -52,6 +63,7 @@ module.exports = {
     eventTypesModel,
     flowsModel,
     flowVersionsModel,
+    flowRolloutsModel,
     flowStepsModel,
     stepTransitionsModel,
     fieldMappingsModel,
@@ -61,14 +73,20 @@ module.exports = {
     receivedCallbacksModel,
     tsqRequestsModel,
     reversalRequestsModel,
+    approvalRequestsModel,
+    approvalLimitsModel,
+    manualTasksModel,
     processLogsModel,
     eventLogsModel,
     auditLogsModel,
     alertRulesModel,
     alertHistoryModel,
     jobQueueModel,
+    deadLetterJobsModel,
     externalApisModel,
+    callbackSignaturesModel,
     usersModel,
     rolesModel,
+    refreshTokensModel,
     systemConfigurationsModel
 };
@@ -10,6 +10,13 @@ const callbacksController = require('../controllers/callbacksController');
 const monitoringController = require('../controllers/monitoringController');
 const reportsController = require('../controllers/reportsController');
 const testController = require('../controllers/testController');
+const authController = require('../controllers/authController');
+const approvalsController = require('../controllers/approvalsController');
+const manualTasksController = require('../controllers/manualTasksController');
+
+// Auth
+const { verifyToken, verifyAuth, requirePermission, verifyCallbackSignature } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/common');
 
 // Validators
 const { 
@@ -17,13 +24,35 @@ const {
     eventTypeSchemas, 
     flowSchemas, 
     flowStepSchemas,
+    flowTransferSchemas,
+    flowVersionSchemas,
+    rolloutSchemas,
+    simulationSchemas,
     transitionSchemas,
     fieldMappingSchemas,
     processSchemas,
     callbackSchemas,
-    reversalSchemas
+    reversalSchemas,
+    approvalSchemas,
+    taskSchemas,
+    deadLetterSchemas,
+    authSchemas,
+    validateQuery
 } = require('../validators');
 
+// Admin routes: JWT with at least one of the permissions
+const requireUser = (...permissions) => [verifyToken, requirePermission(...permissions)];
+
+// BFS routes: the service key, or JWT with at least one of the permissions
+const requireServiceOrUser = (...permissions) => [verifyAuth, requirePermission(...permissions)];
+
+// Login attempts per client IP per minute (password guessing across accounts)
+const loginRateLimit = rateLimit({
+    windowMs: 60000,
+    maxRequests: parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 20,
+    keyGenerator: (req) => `login:${req.ip}`
+});
+
 // ===========================================
 // Health Check
 // ===========================================
@@ -31,122 +60,184 @@ router.get('/health', (req, res) => {
     res.json({ status: 'ok', service: 'orchestrator', timestamp: new Date().toISOString() });
 });
 
+// ===========================================
+// Auth Routes
+// ===========================================
+router.post('/auth/login', loginRateLimit, validate(authSchemas.login), authController.login);
+router.post('/auth/refresh', validate(authSchemas.refresh), authController.refreshToken);
+router.post('/auth/logout', validate(authSchemas.refresh), authController.logout);
+router.get('/auth/me', verifyToken, authController.getCurrentUser);
+
 // ===========================================
 // Event Types Routes
 // ===========================================
-router.post('/event-types', validate(eventTypeSchemas.create), flowsController.createEventType);
-router.get('/event-types', flowsController.getEventTypes);
+router.post('/event-types', requireUser('flows:write'), validate(eventTypeSchemas.create), flowsController.createEventType);
+router.get('/event-types', requireUser('flows:read'), flowsController.getEventTypes);
+
+// Canary rollouts between flow versions
+router.post('/event-types/:eventCode/rollout', requireUser('flows:publish'), validate(rolloutSchemas.start), flowsController.startRollout);
+router.get('/event-types/:eventCode/rollout', requireUser('flows:read'), flowsController.getRollout);
+router.put('/event-types/:eventCode/rollout', requireUser('flows:publish'), validate(rolloutSchemas.update), flowsController.updateRollout);
+router.post('/event-types/:eventCode/rollout/promote', requireUser('flows:publish'), flowsController.promoteRollout);
+router.post('/event-types/:eventCode/rollout/rollback', requireUser('flows:publish'), validate(rolloutSchemas.rollback), flowsController.rollbackRollout);
+router.get('/event-types/:eventCode/rollouts', requireUser('flows:read'), flowsController.getRolloutHistory);
 
 // ===========================================
 // Flows Routes
 // ===========================================
-router.post('/flows', validate(flowSchemas.create), flowsController.createFlow);
-router.get('/flows', flowsController.getFlows);
-router.get('/flows/:id', flowsController.getFlowById);
-router.put('/flows/:id', validate(flowSchemas.update), flowsController.updateFlow);
-router.delete('/flows/:id', flowsController.deleteFlow);
-router.post('/flows/:id/clone', flowsController.cloneFlow);
-router.get('/flows/:id/bpmn', flowsController.getFlowBpmnDiagram);
+router.post('/flows', requireUser('flows:write'), validate(flowSchemas.create), flowsController.createFlow);
+router.post('/flows/import', requireUser('flows:write'), validate(flowTransferSchemas.import), flowsController.importFlow);
+router.post('/flows/import/bpmn', requireUser('flows:write'), express.text({ type: ['application/xml', 'text/xml'], limit: '10mb' }), flowsController.importFlowBpmn);
+router.get('/flows', requireUser('flows:read'), flowsController.getFlows);
+router.get('/flows/:id', requireUser('flows:read'), flowsController.getFlowById);
+router.put('/flows/:id', requireUser('flows:write'), validate(flowSchemas.update), flowsController.updateFlow);
+router.delete('/flows/:id', requireUser('flows:write'), flowsController.deleteFlow);
+router.post('/flows/:id/clone', requireUser('flows:write'), flowsController.cloneFlow);
+router.get('/flows/:id/bpmn', requireUser('flows:read'), flowsController.getFlowBpmnDiagram);
+router.get('/flows/:id/export', requireUser('flows:read'), flowsController.exportFlow);
+router.post('/flows/:id/validate', requireUser('flows:read'), flowsController.validateFlow);
+router.post('/flows/:id/publish', requireUser('flows:publish'), flowsController.publishFlow);
+router.post('/flows/:id/simulate', requireUser('flows:read'), validate(simulationSchemas.simulate), flowsController.simulateFlow);
 
 // Flow Versions
-router.post('/flows/:id/versions', flowsController.createFlowVersion);
-router.get('/flows/:id/versions', flowsController.getFlowVersions);
-router.put('/flows/:id/versions/:versionId/activate', flowsController.activateFlowVersion);
+router.post('/flows/:id/versions', requireUser('flows:write'), flowsController.createFlowVersion);
+router.get('/flows/:id/versions', requireUser('flows:read'), flowsController.getFlowVersions);
+router.put('/flows/:id/versions/:versionId/activate', requireUser('flows:publish'), flowsController.activateFlowVersion);
+router.get('/flows/:id/versions/:fromVersion/diff/:toVersion', requireUser('flows:read'), flowsController.diffFlowVersions);
+router.post('/flows/:id/versions/:versionId/migrate', requireUser('flows:publish'), validate(flowVersionSchemas.migrate), flowsController.migrateInstances);
 
 // ===========================================
 // Flow Steps Routes
 // ===========================================
-router.post('/flows/:flowId/steps', validate(flowStepSchemas.create), flowStepsController.createFlowStep);
-router.get('/flows/:flowId/steps', flowStepsController.getFlowSteps);
-router.get('/steps/:stepId', flowStepsController.getStepById);
-router.put('/steps/:stepId', validate(flowStepSchemas.update), flowStepsController.updateFlowStep);
-router.delete('/steps/:stepId', flowStepsController.deleteFlowStep);
-router.post('/flows/:flowId/steps/reorder', flowStepsController.reorderSteps);
+router.post('/flows/:flowId/steps', requireUser('steps:write'), validate(flowStepSchemas.create), flowStepsController.createFlowStep);
+router.get('/flows/:flowId/steps', requireUser('steps:read'), flowStepsController.getFlowSteps);
+router.get('/steps/:stepId', requireUser('steps:read'), flowStepsController.getStepById);
+router.put('/steps/:stepId', requireUser('steps:write'), validate(flowStepSchemas.update), flowStepsController.updateFlowStep);
+router.delete('/steps/:stepId', requireUser('steps:write'), flowStepsController.deleteFlowStep);
+router.post('/flows/:flowId/steps/reorder', requireUser('steps:write'), flowStepsController.reorderSteps);
 
 // Step Transitions
-router.post('/transitions', validate(transitionSchemas.create), flowStepsController.createTransition);
-router.get('/steps/:stepId/transitions', flowStepsController.getStepTransitions);
-router.put('/transitions/:transitionId', validate(transitionSchemas.update), flowStepsController.updateTransition);
-router.delete('/transitions/:transitionId', flowStepsController.deleteTransition);
+router.post('/transitions', requireUser('steps:write'), validate(transitionSchemas.create), flowStepsController.createTransition);
+router.get('/steps/:stepId/transitions', requireUser('steps:read'), flowStepsController.getStepTransitions);
+router.put('/transitions/:transitionId', requireUser('steps:write'), validate(transitionSchemas.update), flowStepsController.updateTransition);
+router.delete('/transitions/:transitionId', requireUser('steps:write'), flowStepsController.deleteTransition);
 
 // ===========================================
 // Field Mappings Routes
 // ===========================================
-router.post('/steps/:stepId/field-mappings', validate(fieldMappingSchemas.create), fieldMappingsController.createFieldMapping);
-router.get('/steps/:stepId/field-mappings', fieldMappingsController.getStepFieldMappings);
-router.get('/field-mappings/:mappingId', fieldMappingsController.getFieldMappingById);
-router.put('/field-mappings/:mappingId', validate(fieldMappingSchemas.update), fieldMappingsController.updateFieldMapping);
-router.delete('/field-mappings/:mappingId', fieldMappingsController.deleteFieldMapping);
-router.post('/steps/:stepId/field-mappings/bulk', validate(fieldMappingSchemas.bulkCreate), fieldMappingsController.bulkCreateFieldMappings);
-router.post('/steps/:stepId/field-mappings/copy', fieldMappingsController.copyFieldMappings);
-router.get('/field-mapping-templates', fieldMappingsController.getFieldMappingTemplates);
+router.post('/steps/:stepId/field-mappings', requireUser('mappings:write'), validate(fieldMappingSchemas.create), fieldMappingsController.createFieldMapping);
+router.get('/steps/:stepId/field-mappings', requireUser('mappings:read'), fieldMappingsController.getStepFieldMappings);
+router.get('/field-mappings/:mappingId', requireUser('mappings:read'), fieldMappingsController.getFieldMappingById);
+router.put('/field-mappings/:mappingId', requireUser('mappings:write'), validate(fieldMappingSchemas.update), fieldMappingsController.updateFieldMapping);
+router.delete('/field-mappings/:mappingId', requireUser('mappings:write'), fieldMappingsController.deleteFieldMapping);
+router.post('/steps/:stepId/field-mappings/bulk', requireUser('mappings:write'), validate(fieldMappingSchemas.bulkCreate), fieldMappingsController.bulkCreateFieldMappings);
+router.post('/steps/:stepId/field-mappings/copy', requireUser('mappings:write'), fieldMappingsController.copyFieldMappings);
+router.get('/field-mapping-templates', requireUser('mappings:read'), fieldMappingsController.getFieldMappingTemplates);
 
 // ===========================================
 // Process Routes (Main Transaction Processing)
 // ===========================================
-router.post('/process', validate(processSchemas.request), processController.processRequest);
-router.get('/process/:instanceId', processController.getFlowInstanceStatus);
-router.get('/process/session/:sessionId', processController.getFlowInstanceBySession);
-router.post('/process/:instanceId/resume', validate(processSchemas.resume), processController.resumeFlowInstance);
-router.post('/process/:instanceId/cancel', validate(processSchemas.cancel), processController.cancelFlowInstance);
-router.post('/process/:instanceId/retry', validate(processSchemas.retry), processController.retryFlowInstance);
-router.post('/process/:instanceId/tsq', processController.initiateTsq);
-router.post('/process/:instanceId/reversal', validate(reversalSchemas.initiate), processController.initiateReversal);
-router.get('/process/manual-interventions/pending', processController.getPendingManualInterventions);
-router.get('/process/active', processController.getActiveFlowInstances);
+router.post('/process', requireServiceOrUser('process:execute'), validate(processSchemas.request), processController.processRequest);
+router.get('/process/:instanceId', requireServiceOrUser('instances:read'), processController.getFlowInstanceStatus);
+router.get('/process/session/:sessionId', requireServiceOrUser('instances:read'), processController.getFlowInstanceBySession);
+router.post('/process/:instanceId/resume', requireUser('instances:write'), validate(processSchemas.resume), processController.resumeFlowInstance);
+router.post('/process/:instanceId/cancel', requireUser('instances:write'), validate(processSchemas.cancel), processController.cancelFlowInstance);
+router.post('/process/:instanceId/retry', requireUser('instances:write'), validate(processSchemas.retry), processController.retryFlowInstance);
+router.post('/process/:instanceId/tsq', requireUser('instances:write'), processController.initiateTsq);
+router.post('/process/:instanceId/reversal', requireUser('reversals:request'), validate(reversalSchemas.initiate), processController.initiateReversal);
+router.get('/process/manual-interventions/pending', requireUser('instances:read'), processController.getPendingManualInterventions);
+router.get('/process/active', requireUser('instances:read'), processController.getActiveFlowInstances);
+
+// ===========================================
+// Approval Routes (maker-checker)
+// ===========================================
+router.get('/approvals', requireUser('approvals:read'), validateQuery(approvalSchemas.list), approvalsController.getApprovals);
+router.get('/approvals/limits', requireUser('approvals:configure'), approvalsController.getApprovalLimits);
+router.put('/approvals/limits', requireUser('approvals:configure'), validate(approvalSchemas.limit), approvalsController.setApprovalLimit);
+router.get('/approvals/:id', requireUser('approvals:read'), approvalsController.getApprovalById);
+router.post('/approvals/:id/approve', requireUser('reversals:approve', 'instances:approve'), validate(approvalSchemas.approve), approvalsController.approveRequest);
+router.post('/approvals/:id/reject', requireUser('reversals:approve', 'instances:approve'), validate(approvalSchemas.reject), approvalsController.rejectRequest);
+
+// ===========================================
+// Manual Task Routes (operator inbox)
+// ===========================================
+router.get('/tasks', requireUser('instances:read'), validateQuery(taskSchemas.list), manualTasksController.getTasks);
+router.get('/tasks/:id', requireUser('instances:read'), manualTasksController.getTaskById);
+router.post('/tasks/:id/claim', requireUser('instances:write'), manualTasksController.claimTask);
+router.post('/tasks/:id/release', requireUser('instances:write'), manualTasksController.releaseTask);
+router.post('/tasks/:id/decide', requireUser('instances:write'), validate(taskSchemas.decide), manualTasksController.decideTask);
 
 // ===========================================
 // Callback Routes
 // ===========================================
-router.post('/callbacks', validate(callbackSchemas.receive), callbacksController.receiveCallback);
-router.post('/callbacks/ftd', validate(callbackSchemas.receive), callbacksController.receiveFtdCallback);
-router.post('/callbacks/ftc', validate(callbackSchemas.receive), callbacksController.receiveFtcCallback);
-router.post('/callbacks/receive/:instanceId/:stepId', callbacksController.receiveCallbackForStep);
-router.get('/callbacks/expected', callbacksController.getExpectedCallbacks);
-router.get('/callbacks/received', callbacksController.getReceivedCallbacks);
-router.get('/callbacks/pending', callbacksController.getPendingCallbacks);
-router.get('/callbacks/timed-out', callbacksController.getTimedOutCallbacks);
-router.get('/callbacks/unmatched', callbacksController.getUnmatchedCallbacks);
-router.get('/callbacks/:id', callbacksController.getCallbackById);
-router.post('/callbacks/:callbackId/match', validate(callbackSchemas.manualMatch), callbacksController.manuallyMatchCallback);
-router.post('/callbacks/bfs/:flowInstanceId/retry', callbacksController.retryBfsCallback);
+// Inbound GIP callbacks must carry GIP's HMAC signature (X-Signature, X-Signature-Timestamp)
+router.post('/callbacks', verifyCallbackSignature('GIP'), validate(callbackSchemas.receive), callbacksController.receiveCallback);
+router.post('/callbacks/ftd', verifyCallbackSignature('GIP'), validate(callbackSchemas.receive), callbacksController.receiveFtdCallback);
+router.post('/callbacks/ftc', verifyCallbackSignature('GIP'), validate(callbackSchemas.receive), callbacksController.receiveFtcCallback);
+router.post('/callbacks/receive/:instanceId/:stepId', verifyCallbackSignature('GIP'), callbacksController.receiveCallbackForStep);
+router.post('/reversals/:reversalId/callback', verifyCallbackSignature('GIP'), callbacksController.receiveReversalCallback);
+router.get('/callbacks/expected', requireUser('callbacks:read'), callbacksController.getExpectedCallbacks);
+router.get('/callbacks/received', requireUser('callbacks:read'), callbacksController.getReceivedCallbacks);
+router.get('/callbacks/pending', requireUser('callbacks:read'), callbacksController.getPendingCallbacks);
+router.get('/callbacks/timed-out', requireUser('callbacks:read'), callbacksController.getTimedOutCallbacks);
+router.get('/callbacks/unmatched', requireUser('callbacks:read'), callbacksController.getUnmatchedCallbacks);
+router.get('/callbacks/:id', requireUser('callbacks:read'), callbacksController.getCallbackById);
+router.post('/callbacks/:callbackId/match', requireUser('callbacks:write'), validate(callbackSchemas.manualMatch), callbacksController.manuallyMatchCallback);
+router.post('/callbacks/bfs/:flowInstanceId/retry', requireUser('callbacks:write'), callbacksController.retryBfsCallback);
 
 // ===========================================
 // Monitoring Routes
 // ===========================================
-router.get('/monitoring/dashboard', monitoringController.getDashboardStats);
-router.get('/monitoring/active-instances', monitoringController.getActiveFlowInstancesView);
-router.get('/monitoring/flow-statistics', monitoringController.getFlowStatistics);
-router.get('/monitoring/pending-callbacks', monitoringController.getPendingCallbacksView);
-router.get('/monitoring/process-logs', monitoringController.getProcessLogs);
-router.get('/monitoring/event-logs', monitoringController.getEventLogs);
-router.get('/monitoring/job-queue', monitoringController.getJobQueueStatus);
-router.get('/monitoring/tsq-requests', monitoringController.getTsqRequests);
-router.get('/monitoring/reversal-requests', monitoringController.getReversalRequests);
-router.get('/monitoring/alert-history', monitoringController.getAlertHistory);
-router.get('/monitoring/hourly-volume', monitoringController.getHourlyVolume);
-router.get('/monitoring/health', monitoringController.getSystemHealth);
+router.get('/monitoring/dashboard', requireUser('monitoring:read'), monitoringController.getDashboardStats);
+router.get('/monitoring/active-instances', requireUser('monitoring:read'), monitoringController.getActiveFlowInstancesView);
+router.get('/monitoring/flow-statistics', requireUser('monitoring:read'), monitoringController.getFlowStatistics);
+router.get('/monitoring/pending-callbacks', requireUser('monitoring:read'), monitoringController.getPendingCallbacksView);
+router.get('/monitoring/process-logs', requireUser('monitoring:read'), monitoringController.getProcessLogs);
+router.get('/monitoring/event-logs', requireUser('monitoring:read'), monitoringController.getEventLogs);
+router.get('/monitoring/job-queue', requireUser('monitoring:read'), monitoringController.getJobQueueStatus);
+router.get('/monitoring/tsq-requests', requireUser('monitoring:read'), monitoringController.getTsqRequests);
+router.get('/monitoring/reversal-requests', requireUser('monitoring:read'), monitoringController.getReversalRequests);
+router.get('/monitoring/alert-history', requireUser('monitoring:read'), monitoringController.getAlertHistory);
+router.get('/monitoring/hourly-volume', requireUser('monitoring:read'), monitoringController.getHourlyVolume);
+router.get('/monitoring/health', requireUser('monitoring:read'), monitoringController.getSystemHealth);
+router.get('/monitoring/dead-letters', requireUser('monitoring:read'), validateQuery(deadLetterSchemas.list), monitoringController.getDeadLetters);
+router.get('/monitoring/dead-letters/stats', requireUser('monitoring:read'), monitoringController.getDeadLetterStats);
+router.get('/monitoring/dead-letters/:id', requireUser('monitoring:read'), monitoringController.getDeadLetterById);
+router.post('/monitoring/dead-letters/replay', requireUser('monitoring:write'), validate(deadLetterSchemas.replay), monitoringController.replayDeadLetters);
+router.delete('/monitoring/dead-letters', requireUser('monitoring:write'), validate(deadLetterSchemas.purge), monitoringController.purgeDeadLetters);
 
 // ===========================================
 // Reports Routes
 // ===========================================
-router.get('/reports/transaction-summary', reportsController.getTransactionSummaryReport);
-router.get('/reports/flow-performance', reportsController.getFlowPerformanceReport);
-router.get('/reports/failure-analysis', reportsController.getFailureAnalysisReport);
-router.get('/reports/reversals', reportsController.getReversalReport);
-router.get('/reports/tsq', reportsController.getTsqReport);
-router.get('/reports/audit-logs', reportsController.getAuditLogs);
-router.get('/reports/export/transactions', reportsController.exportTransactions);
+router.get('/reports/transaction-summary', requireUser('reports:read'), reportsController.getTransactionSummaryReport);
+router.get('/reports/flow-performance', requireUser('reports:read'), reportsController.getFlowPerformanceReport);
+router.get('/reports/failure-analysis', requireUser('reports:read'), reportsController.getFailureAnalysisReport);
+router.get('/reports/reversals', requireUser('reports:read'), reportsController.getReversalReport);
+router.get('/reports/tsq', requireUser('reports:read'), reportsController.getTsqReport);
+router.get('/reports/audit-logs', requireUser('reports:read'), reportsController.getAuditLogs);
+router.get('/reports/export/transactions', requireUser('reports:read'), reportsController.exportTransactions);
 
 // ===========================================
 // Test Routes (Orchestrator to GIP Testing)
 // ===========================================
-router.get('/test/payloads', testController.getSamplePayloads);
-router.get('/test/recent', testController.getRecentTests);
-router.get('/test/status/:instanceId', testController.getTestStatus);
-router.post('/test/nec', testController.testNec);
-router.post('/test/ft', testController.testFt);
-router.post('/test/ft-sync', testController.testFtSync);
+router.get('/test/payloads', requireUser('test:execute'), testController.getSamplePayloads);
+router.get('/test/recent', requireUser('test:execute'), testController.getRecentTests);
+router.get('/test/status/:instanceId', requireUser('test:execute'), testController.getTestStatus);
+router.post('/test/nec', requireUser('test:execute'), testController.testNec);
+router.post('/test/ft', requireUser('test:execute'), testController.testFt);
+router.post('/test/ft-sync', requireUser('test:execute'), testController.testFtSync);
 router.post('/test/callback-receiver', testController.callbackReceiver);
 
+// Mock GIP for local end-to-end runs (point GIP_BASE_URL at <base>/api/v1/test/gip)
+if (process.env.GIP_MOCK_ENABLED === 'true') {
+    const { createGipMock } = require('../../tools/gip-mock/gipMock');
+    const gipMock = createGipMock({
+        scenario: process.env.GIP_MOCK_SCENARIO || 'success',
+        callbackUrl: `${process.env.ORCHESTRATOR_BASE_URL || 'http://localhost:3002'}/api/v1/callbacks`,
+        callbackSecret: process.env.GIP_CALLBACK_SECRET,
+        logger: require('../utils/logger')
+    });
+    router.use('/test/gip', gipMock.router);
+}
+
 module.exports = router;
@@ -0,0 +1,156 @@
+const axios = require('axios');
+const { alertRulesModel, alertHistoryModel } = require('../models');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+const ALERT_STATUSES = {
+    SENT: 'SENT',
+    FAILED: 'FAILED',
+    SKIPPED: 'SKIPPED'
+};
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Claim a rule for sending, unless it fired within its cooldown
+ */
+const claimRule = async (rule) => {
+    const rows = await alertRulesModel.raw(`
+        UPDATE alert_rules
+        SET last_triggered_at = NOW()
+        WHERE id = $1
+            AND (last_triggered_at IS NULL
+                OR last_triggered_at < NOW() - (COALESCE(cooldown_seconds, 0) * INTERVAL '1 second'))
+        RETURNING id
+    `, [rule.id]);
+    return rows.length > 0;
+};
+
+/**
+ * Webhook targets: the rule's URL recipients, or ALERT_WEBHOOK_URL
+ */
+const webhookTargets = (rule) => {
+    const recipients = (safeJsonParse(rule.recipients, []) || []).filter(r => /^https?:\/\//.test(r));
+    if (recipients.length > 0) {
+        return recipients;
+    }
+    return process.env.ALERT_WEBHOOK_URL ? [process.env.ALERT_WEBHOOK_URL] : [];
+};
+
+/**
+ * Deliver an alert on one channel and record each delivery in alert_history
+ */
+const deliver = async (rule, channel, alert) => {
+    const base = {
+        alert_rule_id: rule.id,
+        flow_instance_id: alert.flowInstanceId || null,
+        alert_type: rule.alert_type,
+        channel,
+        subject: alert.subject,
+        message: alert.message,
+        payload: JSON.stringify(alert.payload || {})
+    };
+
+    if (channel !== 'webhook') {
+        return [await alertHistoryModel.create({
+            ...base,
+            status: ALERT_STATUSES.SKIPPED,
+            error_message: `Channel not supported: ${channel}`
+        })];
+    }
+
+    const targets = webhookTargets(rule);
+    if (targets.length === 0) {
+        return [await alertHistoryModel.create({
+            ...base,
+            status: ALERT_STATUSES.SKIPPED,
+            error_message: 'No webhook recipient configured (set recipients or ALERT_WEBHOOK_URL)'
+        })];
+    }
+
+    const results = [];
+    for (const url of targets) {
+        try {
+            await axios.post(url, {
+                alertName: rule.alert_name,
+                alertType: rule.alert_type,
+                triggerEvent: rule.trigger_event,
+                subject: alert.subject,
+                message: alert.message,
+                payload: alert.payload || {},
+                timestamp: new Date().toISOString()
+            }, { timeout: WEBHOOK_TIMEOUT_MS });
+
+            results.push(await alertHistoryModel.create({
+                ...base,
+                recipient: url,
+                status: ALERT_STATUSES.SENT,
+                sent_at: new Date()
+            }));
+        } catch (error) {
+            logger.error('Alert webhook failed', error, { ruleId: rule.id, url });
+            results.push(await alertHistoryModel.create({
+                ...base,
+                recipient: url,
+                status: ALERT_STATUSES.FAILED,
+                error_message: error.message
+            }));
+        }
+    }
+    return results;
+};
+
+/**
+ * Send an alert through every active rule for a trigger event
+ * alert: { subject, message, payload, flowInstanceId, value }
+ * Rules with conditions.threshold only fire when alert.value reaches the threshold.
+ * Rules in their cooldown window are skipped. Returns the alert_history rows written.
+ */
+const triggerAlert = async (triggerEvent, alert) => {
+    const rules = await alertRulesModel.findAll({
+        where: { trigger_event: triggerEvent, is_active: true },
+        orderBy: 'created_at ASC'
+    });
+
+    const history = [];
+    for (const rule of rules) {
+        const conditions = safeJsonParse(rule.conditions, {}) || {};
+        if (conditions.threshold !== undefined && !(Number(alert.value) >= Number(conditions.threshold))) {
+            continue;
+        }
+
+        if (!(await claimRule(rule))) {
+            logger.debug('Alert rule in cooldown', { ruleId: rule.id, triggerEvent });
+            continue;
+        }
+
+        const channels = safeJsonParse(rule.channels, []) || [];
+        for (const channel of channels) {
+            history.push(...await deliver(rule, channel, alert));
+        }
+
+        logger.warn('Alert triggered', {
+            triggerEvent,
+            ruleId: rule.id,
+            alertName: rule.alert_name,
+            subject: alert.subject
+        });
+    }
+
+    return history;
+};
+
+/**
+ * Threshold of the first active rule for a trigger event, or the fallback
+ */
+const getRuleThreshold = async (triggerEvent, fallback) => {
+    const rule = await alertRulesModel.findOne({ trigger_event: triggerEvent, is_active: true });
+    const threshold = Number((safeJsonParse(rule?.conditions, {}) || {}).threshold);
+    return Number.isFinite(threshold) ? threshold : fallback;
+};
+
+module.exports = {
+    triggerAlert,
+    getRuleThreshold,
+    ALERT_STATUSES
+};
@@ -0,0 +1,586 @@
+const {
+    approvalRequestsModel,
+    approvalLimitsModel,
+    auditLogsModel,
+    flowInstancesModel,
+    rolesModel
+} = require('../models');
+const executionService = require('./executionService');
+const reversalService = require('./reversalService');
+const { hasPermission } = require('./authService');
+const { withInstanceLock, isInstanceLockedError } = require('./instanceLockService');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+const APPROVAL_TYPES = {
+    REVERSAL: 'REVERSAL',
+    CANCEL_INSTANCE: 'CANCEL_INSTANCE',
+    MANUAL_STEP: 'MANUAL_STEP'
+};
+
+const APPROVAL_STATUSES = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED'
+};
+
+// Permission the checker needs for each approval type
+const APPROVAL_PERMISSIONS = {
+    [APPROVAL_TYPES.REVERSAL]: 'reversals:approve',
+    [APPROVAL_TYPES.CANCEL_INSTANCE]: 'instances:approve',
+    [APPROVAL_TYPES.MANUAL_STEP]: 'instances:approve'
+};
+
+// approval_limits.approval_type that covers every type
+const ANY_APPROVAL_TYPE = '*';
+
+const UNIQUE_VIOLATION = '23505';
+
+const CANCELLABLE_EXCLUDED_STATUSES = ['COMPLETED', 'CANCELLED', 'FAILED'];
+
+const approvalError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) {
+        error.code = code;
+    }
+    return error;
+};
+
+/**
+ * Transaction amount of an instance (current payload, then the original request)
+ * Returns null when the instance carries no numeric amount
+ */
+const getInstanceAmount = (instance, payload = null) => {
+    const current = payload || safeJsonParse(instance.current_payload, {}) || {};
+    const original = safeJsonParse(instance.original_request, {}) || {};
+    const amount = parseFloat(current.amount ?? original.amount);
+    return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Write an audit_logs entry for an approval; failures are logged, not thrown
+ * actor: req.user plus ip (null for the flow itself)
+ */
+const audit = async (entityType, entityId, action, actor, { oldValues = null, newValues = null, metadata = {} } = {}) => {
+    try {
+        await auditLogsModel.create({
+            entity_type: entityType,
+            entity_id: entityId,
+            action,
+            actor_type: actor ? 'USER' : 'SYSTEM',
+            actor_id: actor?.id || null,
+            actor_name: actor?.username || 'SYSTEM',
+            ip_address: actor?.ip || null,
+            old_values: oldValues ? JSON.stringify(oldValues) : null,
+            new_values: newValues ? JSON.stringify(newValues) : null,
+            metadata: JSON.stringify(metadata)
+        });
+    } catch (error) {
+        logger.error('Approval audit log failed', { entityType, entityId, action, error: error.message });
+    }
+};
+
+/**
+ * Create a pending approval request
+ * Only one reversal or cancellation can be pending per instance (409 otherwise)
+ */
+const createApprovalRequest = async ({
+    approvalType,
+    instance,
+    stepExecutionId = null,
+    amount = null,
+    operation = {},
+    reason = null,
+    requiredRoles = [],
+    requestedBy = null
+}) => {
+    let approval;
+    try {
+        approval = await approvalRequestsModel.create({
+            approval_type: approvalType,
+            status: APPROVAL_STATUSES.PENDING,
+            flow_instance_id: instance.id,
+            step_execution_id: stepExecutionId,
+            amount,
+            operation: JSON.stringify(operation),
+            reason,
+            required_roles: JSON.stringify(requiredRoles),
+            requested_by: requestedBy?.id || null,
+            requested_by_name: requestedBy?.username || null
+        });
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            throw approvalError(`A ${approvalType} approval is already pending for instance ${instance.id}`, 409, 'APPROVAL_PENDING');
+        }
+        throw error;
+    }
+
+    await audit('approval_request', approval.id, 'REQUESTED', requestedBy, {
+        newValues: { approvalType, amount, operation, reason, requiredRoles },
+        metadata: { flowInstanceId: instance.id, stepExecutionId }
+    });
+
+    await executionService.createProcessLog(instance.id, 'APPROVAL_REQUESTED', {
+        approvalId: approval.id,
+        approvalType,
+        requestedBy: requestedBy?.username || 'SYSTEM'
+    });
+
+    logger.info('Approval requested', {
+        approvalId: approval.id,
+        approvalType,
+        instanceId: instance.id,
+        requestedBy: requestedBy?.id || 'SYSTEM'
+    });
+
+    return approval;
+};
+
+const getInstanceOrThrow = async (instanceId) => {
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance) {
+        throw approvalError(`Flow instance not found: ${instanceId}`, 404);
+    }
+    return instance;
+};
+
+/**
+ * Ask for a manual reversal (runs once another user approves it)
+ */
+const requestReversal = async (instanceId, { reversalType, reason, taskId }, requestedBy) => {
+    const instance = await getInstanceOrThrow(instanceId);
+
+    return createApprovalRequest({
+        approvalType: APPROVAL_TYPES.REVERSAL,
+        instance,
+        amount: getInstanceAmount(instance),
+        operation: taskId ? { reversalType, taskId } : { reversalType },
+        reason,
+        requestedBy
+    });
+};
+
+/**
+ * Ask for an instance to be cancelled (runs once another user approves it)
+ */
+const requestCancellation = async (instanceId, { reason }, requestedBy) => {
+    const instance = await getInstanceOrThrow(instanceId);
+
+    if (CANCELLABLE_EXCLUDED_STATUSES.includes(instance.status)) {
+        throw approvalError(`Cannot cancel flow instance with status ${instance.status}`, 400);
+    }
+
+    return createApprovalRequest({
+        approvalType: APPROVAL_TYPES.CANCEL_INSTANCE,
+        instance,
+        amount: getInstanceAmount(instance),
+        reason,
+        requestedBy
+    });
+};
+
+/**
+ * Open the approval for a MANUAL step with requires_approval (called by the step itself)
+ */
+const requestManualStepApproval = (instance, step, stepExecution, payload, reason) => {
+    return createApprovalRequest({
+        approvalType: APPROVAL_TYPES.MANUAL_STEP,
+        instance,
+        stepExecutionId: stepExecution.id,
+        amount: getInstanceAmount(instance, payload),
+        operation: { stepId: step.id, stepCode: step.step_code },
+        reason,
+        requiredRoles: safeJsonParse(step.approval_roles, []) || []
+    });
+};
+
+/**
+ * Approval limit of a role for an approval type; a type-specific row wins over '*'
+ */
+const getApprovalLimit = async (roleId, approvalType) => {
+    if (!roleId) {
+        return null;
+    }
+    const [limit] = await approvalLimitsModel.raw(`
+        SELECT * FROM approval_limits
+        WHERE role_id = $1 AND approval_type IN ($2, $3)
+        ORDER BY (approval_type = $2) DESC
+        LIMIT 1
+    `, [roleId, approvalType, ANY_APPROVAL_TYPE]);
+    return limit || null;
+};
+
+/**
+ * Check that a user may decide an approval request; throws 403 otherwise
+ * Approving also checks the role's amount limit (an instance without an amount passes any limit)
+ */
+const assertCanDecide = async (approval, user, { approving }) => {
+    if (approval.requested_by && approval.requested_by === user.id) {
+        throw approvalError('An approval request cannot be decided by the user who raised it', 403, 'SAME_USER');
+    }
+
+    const permission = APPROVAL_PERMISSIONS[approval.approval_type];
+    if (!hasPermission(user.permissions, permission)) {
+        throw approvalError(`Deciding ${approval.approval_type} approvals requires ${permission}`, 403, 'FORBIDDEN');
+    }
+
+    const requiredRoles = safeJsonParse(approval.required_roles, []) || [];
+    if (requiredRoles.length > 0 && !requiredRoles.includes(user.roleCode)) {
+        throw approvalError(`Only roles ${requiredRoles.join(', ')} can decide this approval`, 403, 'ROLE_NOT_ALLOWED');
+    }
+
+    if (!approving) {
+        return;
+    }
+
+    const limit = await getApprovalLimit(user.roleId, approval.approval_type);
+    if (!limit) {
+        throw approvalError(`Role ${user.roleCode || 'none'} has no approval limit for ${approval.approval_type}`, 403, 'NO_APPROVAL_LIMIT');
+    }
+    if (limit.max_amount !== null && approval.amount !== null && Number(approval.amount) > Number(limit.max_amount)) {
+        throw approvalError(`Amount ${approval.amount} exceeds the approval limit of ${limit.max_amount} for role ${user.roleCode}`, 403, 'LIMIT_EXCEEDED');
+    }
+};
+
+/**
+ * Cancel an instance for an approved CANCEL_INSTANCE request
+ * Other approvals still pending for the instance are cancelled with it
+ */
+const cancelInstance = async (approval, approver) => {
+    return withInstanceLock(approval.flow_instance_id, async () => {
+        const instance = await flowInstancesModel.findById(approval.flow_instance_id);
+
+        if (CANCELLABLE_EXCLUDED_STATUSES.includes(instance.status)) {
+            throw approvalError(`Cannot cancel flow instance with status ${instance.status}`, 400);
+        }
+
+        await executionService.finishInstance(instance.id, executionService.INSTANCE_STATUSES.CANCELLED, {
+            metadata: JSON.stringify({
+                ...safeJsonParse(instance.metadata, {}),
+                cancelReason: approval.reason,
+                cancelledAt: new Date().toISOString(),
+                cancelledBy: approval.requested_by || 'SYSTEM',
+                approvedBy: approver.id,
+                approvalId: approval.id
+            })
+        });
+
+        await approvalRequestsModel.raw(`
+            UPDATE approval_requests
+            SET status = $3, execution_error = 'Instance cancelled', updated_at = NOW()
+            WHERE flow_instance_id = $1 AND id <> $2 AND status = $4
+        `, [instance.id, approval.id, APPROVAL_STATUSES.CANCELLED, APPROVAL_STATUSES.PENDING]);
+
+        // Required here: manualTaskService depends on this module
+        const manualTaskService = require('./manualTaskService');
+        await manualTaskService.closeOpenTasks(instance.id, 'Instance cancelled');
+
+        return { instanceId: instance.id, status: 'CANCELLED' };
+    });
+};
+
+/**
+ * Create and execute the reversal for an approved REVERSAL request
+ */
+const executeReversal = async (approval, approver) => {
+    const { reversalType } = safeJsonParse(approval.operation, {}) || {};
+
+    const reversalRequest = await reversalService.createReversalRequest({
+        originalInstanceId: approval.flow_instance_id,
+        reversalType: reversalType || 'FULL_REVERSAL',
+        reason: approval.reason,
+        initiatedBy: approval.requested_by || 'SYSTEM',
+        metadata: { approvalId: approval.id, approvedBy: approver.id }
+    });
+
+    return reversalService.executeReversalRequest(reversalRequest.id);
+};
+
+/**
+ * Continue the instance parked on an approved MANUAL step
+ */
+const continueManualStep = async (approval, approver, comment) => {
+    const result = await executionService.resumeAfterApproval(approval.flow_instance_id, approval.step_execution_id, {
+        approved: true,
+        comment,
+        decidedBy: approver.id
+    });
+
+    if (!result) {
+        throw approvalError('The flow instance is no longer waiting on this step', 409, 'STEP_NOT_WAITING');
+    }
+    return { instanceId: result.instanceId, status: result.status };
+};
+
+// Operation run when each approval type is approved
+const APPROVAL_EXECUTORS = {
+    [APPROVAL_TYPES.REVERSAL]: executeReversal,
+    [APPROVAL_TYPES.CANCEL_INSTANCE]: cancelInstance,
+    [APPROVAL_TYPES.MANUAL_STEP]: continueManualStep
+};
+
+/**
+ * Claim a pending approval for a decision; returns null if it was decided meanwhile
+ */
+const claimPendingApproval = async (approvalId, status, decider, comment) => {
+    const [claimed] = await approvalRequestsModel.raw(`
+        UPDATE approval_requests
+        SET status = $2, decided_by = $3, decided_by_name = $4, decision_comment = $5,
+            decided_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = $6
+        RETURNING *
+    `, [approvalId, status, decider.id, decider.username, comment || null, APPROVAL_STATUSES.PENDING]);
+    return claimed || null;
+};
+
+/**
+ * Put a claimed approval back to PENDING (the instance was locked by another node)
+ */
+const releaseApproval = (approvalId) => approvalRequestsModel.raw(`
+    UPDATE approval_requests
+    SET status = $2, decided_by = NULL, decided_by_name = NULL, decision_comment = NULL,
+        decided_at = NULL, updated_at = NOW()
+    WHERE id = $1
+`, [approvalId, APPROVAL_STATUSES.PENDING]);
+
+const getPendingApprovalOrThrow = async (approvalId) => {
+    const approval = await approvalRequestsModel.findById(approvalId);
+    if (!approval) {
+        throw approvalError(`Approval request not found: ${approvalId}`, 404);
+    }
+    if (approval.status !== APPROVAL_STATUSES.PENDING) {
+        throw approvalError(`Approval request is already ${approval.status}`, 409, 'ALREADY_DECIDED');
+    }
+    return approval;
+};
+
+/**
+ * Approve a request and run its operation
+ * The approval ends APPROVED with the operation's result, or FAILED with its error.
+ * If the instance is locked by another node the approval stays PENDING and the 409 is rethrown.
+ */
+const approve = async (approvalId, approver, comment) => {
+    const approval = await getPendingApprovalOrThrow(approvalId);
+    await assertCanDecide(approval, approver, { approving: true });
+
+    const claimed = await claimPendingApproval(approvalId, APPROVAL_STATUSES.APPROVED, approver, comment);
+    if (!claimed) {
+        throw approvalError('Approval request was decided by someone else', 409, 'ALREADY_DECIDED');
+    }
+
+    let result = null;
+    let executionError = null;
+    try {
+        result = await APPROVAL_EXECUTORS[claimed.approval_type](claimed, approver, comment);
+    } catch (error) {
+        if (isInstanceLockedError(error)) {
+            await releaseApproval(approvalId);
+            throw error;
+        }
+        executionError = error;
+    }
+
+    const status = executionError ? APPROVAL_STATUSES.FAILED : APPROVAL_STATUSES.APPROVED;
+    const [updated] = await approvalRequestsModel.raw(`
+        UPDATE approval_requests
+        SET status = $2, execution_result = $3, execution_error = $4, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+    `, [approvalId, status, result ? JSON.stringify(result) : null, executionError?.message || null]);
+
+    await audit('approval_request', approvalId, 'APPROVED', approver, {
+        oldValues: { status: APPROVAL_STATUSES.PENDING },
+        newValues: { status, comment, executionError: executionError?.message },
+        metadata: { approvalType: claimed.approval_type, flowInstanceId: claimed.flow_instance_id, amount: claimed.amount }
+    });
+
+    logger.info('Approval approved', {
+        approvalId,
+        approvalType: claimed.approval_type,
+        approvedBy: approver.id,
+        status,
+        error: executionError?.message
+    });
+
+    return updated;
+};
+
+/**
+ * Reject a request; a rejected MANUAL step fails its instance
+ */
+const reject = async (approvalId, approver, comment) => {
+    const approval = await getPendingApprovalOrThrow(approvalId);
+    await assertCanDecide(approval, approver, { approving: false });
+
+    const claimed = await claimPendingApproval(approvalId, APPROVAL_STATUSES.REJECTED, approver, comment);
+    if (!claimed) {
+        throw approvalError('Approval request was decided by someone else', 409, 'ALREADY_DECIDED');
+    }
+
+    if (claimed.approval_type === APPROVAL_TYPES.MANUAL_STEP) {
+        try {
+            await executionService.resumeAfterApproval(claimed.flow_instance_id, claimed.step_execution_id, {
+                approved: false,
+                comment,
+                decidedBy: approver.id
+            });
+        } catch (error) {
+            if (isInstanceLockedError(error)) {
+                await releaseApproval(approvalId);
+            }
+            throw error;
+        }
+    }
+
+    if (claimed.approval_type === APPROVAL_TYPES.REVERSAL) {
+        await reopenReversalTask(claimed, comment);
+    }
+
+    await audit('approval_request', approvalId, 'REJECTED', approver, {
+        oldValues: { status: APPROVAL_STATUSES.PENDING },
+        newValues: { status: APPROVAL_STATUSES.REJECTED, comment },
+        metadata: { approvalType: claimed.approval_type, flowInstanceId: claimed.flow_instance_id, amount: claimed.amount }
+    });
+
+    logger.info('Approval rejected', { approvalId, approvalType: claimed.approval_type, rejectedBy: approver.id });
+
+    return claimed;
+};
+
+/**
+ * Put an instance back in the task inbox when the reversal chosen for its task is rejected
+ */
+const reopenReversalTask = async (approval, comment) => {
+    const { taskId } = safeJsonParse(approval.operation, {}) || {};
+    if (!taskId) {
+        return;
+    }
+
+    const instance = await flowInstancesModel.findById(approval.flow_instance_id);
+    if (instance?.status !== 'MANUAL_INTERVENTION') {
+        return;
+    }
+
+    // Required here: manualTaskService depends on this module
+    const manualTaskService = require('./manualTaskService');
+    await manualTaskService.openTask(instance.id, {
+        source: manualTaskService.TASK_SOURCES.REVERSAL_REJECTED,
+        reason: `Reversal rejected${comment ? `: ${comment}` : ''}`
+    });
+};
+
+/**
+ * List approval requests
+ * filters: { status, approvalType, flowInstanceId, requestedBy }
+ */
+const listApprovals = async (filters = {}, { limit = 50, offset = 0 } = {}) => {
+    const clauses = [];
+    const values = [];
+    const add = (column, value) => {
+        values.push(value);
+        clauses.push(`${column} = $${values.length}`);
+    };
+
+    if (filters.status) add('status', filters.status);
+    if (filters.approvalType) add('approval_type', filters.approvalType);
+    if (filters.flowInstanceId) add('flow_instance_id', filters.flowInstanceId);
+    if (filters.requestedBy) add('requested_by', filters.requestedBy);
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [items, countRows] = await Promise.all([
+        approvalRequestsModel.raw(`
+            SELECT * FROM approval_requests
+            ${where}
+            ORDER BY created_at DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `, [...values, limit, offset]),
+        approvalRequestsModel.raw(`SELECT COUNT(*)::int AS total FROM approval_requests ${where}`, values)
+    ]);
+
+    return { items, total: countRows[0].total, limit, offset };
+};
+
+/**
+ * Get an approval request with its flow instance
+ */
+const getApproval = async (approvalId) => {
+    const approval = await approvalRequestsModel.findById(approvalId);
+    if (!approval) {
+        return null;
+    }
+
+    const instance = await flowInstancesModel.findById(
+        approval.flow_instance_id,
+        'id, session_id, tracking_number, status, current_step_id, updated_at'
+    );
+
+    return { ...approval, instance };
+};
+
+/**
+ * Pending approval of a type for an instance, if any
+ */
+const findPendingApproval = (instanceId, approvalType) => {
+    return approvalRequestsModel.findOne({
+        flow_instance_id: instanceId,
+        approval_type: approvalType,
+        status: APPROVAL_STATUSES.PENDING
+    });
+};
+
+/**
+ * Approval limits with their role codes
+ */
+const listApprovalLimits = () => approvalLimitsModel.raw(`
+    SELECT al.*, r.role_code, r.role_name
+    FROM approval_limits al
+    JOIN roles r ON r.id = al.role_id
+    ORDER BY r.role_code, al.approval_type
+`);
+
+/**
+ * Set a role's approval limit (maxAmount null = unlimited)
+ */
+const setApprovalLimit = async ({ roleCode, approvalType, maxAmount }, actor) => {
+    const role = await rolesModel.findOne({ role_code: roleCode });
+    if (!role) {
+        throw approvalError(`Role not found: ${roleCode}`, 404);
+    }
+
+    const previous = await approvalLimitsModel.findOne({ role_id: role.id, approval_type: approvalType });
+
+    const [limit] = await approvalLimitsModel.raw(`
+        INSERT INTO approval_limits (role_id, approval_type, max_amount)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (role_id, approval_type) DO UPDATE SET max_amount = $3, updated_at = NOW()
+        RETURNING *
+    `, [role.id, approvalType, maxAmount]);
+
+    await audit('approval_limit', limit.id, previous ? 'UPDATE' : 'CREATE', actor, {
+        oldValues: previous ? { maxAmount: previous.max_amount } : null,
+        newValues: { roleCode, approvalType, maxAmount }
+    });
+
+    return { ...limit, role_code: role.role_code, role_name: role.role_name };
+};
+
+module.exports = {
+    requestReversal,
+    requestCancellation,
+    requestManualStepApproval,
+    approve,
+    reject,
+    listApprovals,
+    getApproval,
+    findPendingApproval,
+    listApprovalLimits,
+    setApprovalLimit,
+    getInstanceAmount,
+    APPROVAL_TYPES,
+    APPROVAL_STATUSES,
+    ANY_APPROVAL_TYPE
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { usersModel, rolesModel, refreshTokensModel } = require('../models');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+// Startup refuses to run without JWT_SECRET outside development (see config/secrets); in development
+// an unset secret gets a per-process random one, so tokens do not survive a restart
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+// Failed logins in a row before the account is locked, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+const authError = (message, statusCode = 401) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Load an active user with their role's permissions, shaped as req.user
+ * Returns null if the user does not exist; throws 401 if it cannot sign in
+ */
+const loadUser = async (userId) => {
+    const user = await usersModel.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.is_active) {
+        throw authError('User account is deactivated');
+    }
+    if (user.is_locked) {
+        throw authError('User account is locked');
+    }
+
+    const role = user.role_id ? await rolesModel.findById(user.role_id) : null;
+    const permissions = role && role.is_active !== false ? safeJsonParse(role.permissions, []) || [] : [];
+
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        roleId: user.role_id,
+        roleCode: role?.role_code,
+        roleName: role?.role_name,
+        permissions,
+        mustChangePassword: user.must_change_password
+    };
+};
+
+/**
+ * Check a user's permission list; "*" and "resource:*" are wildcards
+ */
+const hasPermission = (permissions = [], permission) => {
+    if (permissions.includes('*') || permissions.includes(permission)) {
+        return true;
+    }
+    const [resource] = permission.split(':');
+    return permissions.includes(`${resource}:*`);
+};
+
+const signAccessToken = (user) => jwt.sign(
+    { userId: user.id, username: user.username, role: user.roleCode },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Issue a refresh token; only its hash is stored
+ */
+const issueRefreshToken = async (userId, context = {}) => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const row = await refreshTokensModel.create({
+        user_id: userId,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        created_ip: context.ip || null,
+        user_agent: context.userAgent || null
+    });
+    return { token, row };
+};
+
+const buildSession = (user, issued) => ({
+    accessToken: signAccessToken(user),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: issued.token,
+    refreshTokenExpiresAt: issued.row.expires_at,
+    user
+});
+
+/**
+ * Sign in with username (or email) and password
+ * Locks the account for LOGIN_LOCKOUT_MINUTES after MAX_FAILED_LOGINS failures in a row
+ */
+const login = async ({ username, password }, context = {}) => {
+    const [account] = await usersModel.raw(
+        'SELECT * FROM users WHERE username = $1 OR email = $1 LIMIT 1',
+        [username]
+    );
+
+    // Same message for unknown users and wrong passwords
+    if (!account) {
+        throw authError('Invalid username or password');
+    }
+    if (account.is_locked) {
+        throw authError('User account is locked');
+    }
+    if (account.locked_until && new Date(account.locked_until) > new Date()) {
+        throw authError('User account is locked after repeated failed logins; try again later');
+    }
+
+    const valid = await bcrypt.compare(password, account.password_hash);
+    if (!valid) {
+        // Reaching the limit starts a lockout and a fresh count for when it ends
+        const [updated] = await usersModel.raw(`
+            UPDATE users
+            SET failed_login_attempts = CASE WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+                    THEN 0 ELSE COALESCE(failed_login_attempts, 0) + 1 END,
+                locked_until = CASE WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+                    THEN NOW() + make_interval(mins => $3) ELSE locked_until END,
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING failed_login_attempts, locked_until
+        `, [account.id, MAX_FAILED_LOGINS, LOGIN_LOCKOUT_MINUTES]);
+
+        logger.warn('Login failed', {
+            userId: account.id,
+            failedAttempts: updated?.failed_login_attempts,
+            lockedUntil: updated?.locked_until
+        });
+        throw authError('Invalid username or password');
+    }
+
+    const user = await loadUser(account.id);
+
+    await usersModel.update(account.id, {
+        failed_login_attempts: 0,
+        locked_until: null,
+        last_login_at: new Date()
+    });
+
+    logger.info('User logged in', { userId: user.id, username: user.username });
+
+    return buildSession(user, await issueRefreshToken(user.id, context));
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token (rotation)
+ * A revoked token being presented again means it leaked: all of the user's tokens are revoked.
+ */
+const refresh = async (refreshToken, context = {}) => {
+    const stored = await refreshTokensModel.findOne({ token_hash: hashToken(refreshToken) });
+    if (!stored) {
+        throw authError('Invalid refresh token');
+    }
+
+    if (stored.revoked_at) {
+        await revokeAllForUser(stored.user_id);
+        logger.warn('Revoked refresh token reused; all sessions revoked', { userId: stored.user_id });
+        throw authError('Invalid refresh token');
+    }
+    if (new Date(stored.expires_at) <= new Date()) {
+        throw authError('Refresh token expired');
+    }
+
+    // Revoke first so two concurrent refreshes cannot both succeed
+    const revoked = await refreshTokensModel.raw(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+        [stored.id]
+    );
+    if (revoked.length === 0) {
+        throw authError('Invalid refresh token');
+    }
+
+    const user = await loadUser(stored.user_id);
+    if (!user) {
+        throw authError('User not found');
+    }
+
+    const issued = await issueRefreshToken(user.id, context);
+    await refreshTokensModel.raw(
+        'UPDATE refresh_tokens SET replaced_by = $2 WHERE id = $1',
+        [stored.id, issued.row.id]
+    );
+
+    return buildSession(user, issued);
+};
+
+/**
+ * Revoke a refresh token (logout)
+ */
+const logout = async (refreshToken) => {
+    const rows = await refreshTokensModel.raw(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL RETURNING user_id',
+        [hashToken(refreshToken)]
+    );
+    if (rows.length > 0) {
+        logger.info('User logged out', { userId: rows[0].user_id });
+    }
+    return rows.length > 0;
+};
+
+const revokeAllForUser = (userId) => refreshTokensModel.raw(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+);
+
+/**
+ * Verify an access token and load its user
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await loadUser(decoded.userId);
+    if (!user) {
+        throw authError('User not found');
+    }
+    return user;
+};
+
+module.exports = {
+    login,
+    refresh,
+    logout,
+    revokeAllForUser,
+    verifyAccessToken,
+    loadUser,
+    hasPermission,
+    hashToken,
+    MAX_FAILED_LOGINS,
+    LOGIN_LOCKOUT_MINUTES
+};
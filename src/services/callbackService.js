@@ -6,10 +6,59 @@ const {
     processLogsModel
 } = require('../models');
 const executionService = require('./executionService');
+const callbackSignatureService = require('./callbackSignatureService');
+const { isInstanceLockedError } = require('./instanceLockService');
 const logger = require('../utils/logger');
 const { safeJsonParse, isSuccessResponse } = require('../utils/helpers');
 const axios = require('axios');
 
+/**
+ * Resume the instance waiting for a callback
+ * If another node still holds the instance (e.g. the callback beat the step that expects it),
+ * the resume is queued as a RESUME_CALLBACK job instead of being lost
+ */
+const resumeWithCallback = async (instanceId, stepExecutionId, callbackData) => {
+    try {
+        return await executionService.resumeAfterCallback(instanceId, stepExecutionId, callbackData);
+    } catch (error) {
+        if (!isInstanceLockedError(error)) {
+            throw error;
+        }
+
+        const job = await executionService.queueResumeJob('RESUME_CALLBACK', instanceId, {
+            stepExecutionId,
+            callbackPayload: callbackData
+        });
+        return { status: 'QUEUED', instanceId, jobId: job.id };
+    }
+};
+
+/**
+ * Find the pending expected callback an incoming callback answers
+ * Matches on session and, when the callback carries one, tracking number. Returns null when
+ * nothing matches or more than one step is waiting: a callback is never guessed onto a step
+ */
+const findExpectedCallback = async (sessionId, trackingNumber) => {
+    const candidates = await expectedCallbacksModel.findAll({
+        where: {
+            session_id: sessionId,
+            ...(trackingNumber && { tracking_number: trackingNumber }),
+            status: 'PENDING'
+        },
+        orderBy: 'created_at ASC'
+    });
+
+    if (candidates.length > 1) {
+        logger.warn('Callback matches more than one waiting step', {
+            sessionId,
+            trackingNumber,
+            stepExecutionIds: candidates.map(c => c.step_execution_id)
+        });
+        return null;
+    }
+    return candidates[0] || null;
+};
+
 /**
  * Process incoming callback from external API
  */
@@ -29,11 +78,7 @@ const processIncomingCallback = async (callbackData) => {
         function_code: callbackData.functionCode
     });
 
-    // Find matching expected callback (status = 'PENDING')
-    const expectedCallback = await expectedCallbacksModel.findOne({
-        session_id: sessionId,
-        status: 'PENDING'
-    });
+    const expectedCallback = await findExpectedCallback(sessionId, trackingNumber);
 
     if (!expectedCallback) {
         logger.warn('No matching expected callback found', { sessionId, trackingNumber });
@@ -78,7 +123,7 @@ const processIncomingCallback = async (callbackData) => {
 
     // Resume flow execution
     try {
-        const result = await executionService.resumeAfterCallback(
+        const result = await resumeWithCallback(
             expectedCallback.flow_instance_id,
             expectedCallback.step_execution_id,
             callbackData
@@ -139,7 +184,7 @@ const processCallbackForStep = async (instanceId, stepExecutionId, callbackData)
     }
 
     // Resume flow
-    const result = await executionService.resumeAfterCallback(
+    const result = await resumeWithCallback(
         instanceId,
         stepExecutionId,
         callbackData
@@ -181,14 +226,18 @@ const sendCallbackToBfs = async (instanceId, payload) => {
     });
 
     try {
+        // BFS verifies X-Signature over the exact body sent
+        const signed = await callbackSignatureService.signOutboundCallback('BFS', callbackPayload);
+
         const response = await axios({
             method: 'POST',
             url: instance.bfs_callback_url,
-            data: callbackPayload,
+            data: signed.body,
             headers: {
                 'Content-Type': 'application/json',
                 'X-Instance-ID': instanceId,
-                'X-Session-ID': instance.session_id
+                'X-Session-ID': instance.session_id,
+                ...signed.headers
             },
             timeout: 30000
         });
@@ -263,6 +312,16 @@ const checkTimedOutCallbacks = async () => {
             status: 'TIMEOUT'
         });
 
+        // Steps with a boundary TIMEOUT transition continue down that path
+        const boundaryResult = await executionService.handleStepTimeout(
+            callback.flow_instance_id,
+            callback.step_execution_id,
+            { deadline: callback.expected_by, reason: 'CALLBACK_TIMEOUT' }
+        );
+        if (boundaryResult) {
+            continue;
+        }
+
         // Update step execution
         await stepExecutionsModel.update(callback.step_execution_id, {
             status: 'TIMEOUT',
@@ -349,10 +408,7 @@ const retryUnmatchedCallbacks = async () => {
         const payload = safeJsonParse(callback.payload, {});
 
         // Try to find matching expected callback
-        const expectedCallback = await expectedCallbacksModel.findOne({
-            session_id: callback.session_id,
-            status: 'PENDING'
-        });
+        const expectedCallback = await findExpectedCallback(callback.session_id, callback.tracking_number);
 
         if (expectedCallback) {
             await expectedCallbacksModel.update(expectedCallback.id, {
@@ -370,7 +426,7 @@ const retryUnmatchedCallbacks = async () => {
 
             // Resume flow
             try {
-                await executionService.resumeAfterCallback(
+                await resumeWithCallback(
                     expectedCallback.flow_instance_id,
                     expectedCallback.step_execution_id,
                     payload
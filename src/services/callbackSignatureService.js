@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { externalApisModel, callbackSignaturesModel } = require('../models');
+const { resolveSecret } = require('./outboundAuthService');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+// HMAC-SHA256 over "<timestamp>.<raw body>", sent as "sha256=<hex>"
+const SIGNATURE_HEADER = 'X-Signature';
+const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+const SIGNATURE_SCHEME = 'sha256';
+const DIGEST_PATTERN = /^[0-9a-f]{64}$/;
+
+// How far a callback's timestamp may drift from our clock (either way)
+const DEFAULT_TOLERANCE_SECONDS = parseInt(process.env.CALLBACK_SIGNATURE_TOLERANCE_SECONDS, 10) || 300;
+
+const UNIQUE_VIOLATION = '23505';
+
+const signatureError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+};
+
+/**
+ * Whether inbound callbacks must be signed (CALLBACK_SIGNATURES_REQUIRED=false allows unsigned
+ * callbacks from sources without a secret, e.g. local development)
+ */
+const signaturesRequired = () => process.env.CALLBACK_SIGNATURES_REQUIRED !== 'false';
+
+/**
+ * Signing settings for a source, from external_apis.auth_config.callbackSigning
+ * The secret falls back to <API_CODE>_CALLBACK_SECRET when auth_config has none.
+ * Returns { apiCode, secret, toleranceSeconds }; secret is null when none is configured
+ */
+const getSigningConfig = async (apiCode) => {
+    const api = await externalApisModel.findOne({ api_code: apiCode });
+    const { callbackSigning = {} } = safeJsonParse(api?.auth_config, {}) || {};
+
+    // Like the outbound credentials, a secret in auth_config is an env: or file: reference
+    const secret = callbackSigning.secret
+        ? await resolveSecret(api, 'callbackSigning.secret', callbackSigning.secret)
+        : process.env[`${apiCode}_CALLBACK_SECRET`];
+
+    return {
+        apiCode,
+        secret: secret || null,
+        toleranceSeconds: parseInt(callbackSigning.toleranceSeconds, 10) || DEFAULT_TOLERANCE_SECONDS
+    };
+};
+
+/**
+ * HMAC of a timestamp and body with a shared secret (hex)
+ */
+const computeSignature = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Headers that sign a serialized body
+ */
+const signatureHeaders = (secret, body, now = Date.now()) => {
+    const timestamp = String(Math.floor(now / 1000));
+    return {
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: `${SIGNATURE_SCHEME}=${computeSignature(secret, timestamp, body)}`
+    };
+};
+
+/**
+ * Check a callback's signature headers against its raw body
+ * headers are Node's lower-cased request headers; returns the verified digest (our computed hex)
+ */
+const verifySignature = ({ secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }, headers, rawBody, now = Date.now()) => {
+    const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+    const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+
+    if (!timestamp || !signature) {
+        throw signatureError(`${SIGNATURE_HEADER} and ${TIMESTAMP_HEADER} headers are required`, 401, 'SIGNATURE_MISSING');
+    }
+
+    const seconds = Number(timestamp);
+    if (!Number.isInteger(seconds)) {
+        throw signatureError(`${TIMESTAMP_HEADER} must be a Unix timestamp in seconds`, 401, 'SIGNATURE_INVALID');
+    }
+    if (Math.abs(Math.floor(now / 1000) - seconds) > toleranceSeconds) {
+        throw signatureError(`Callback timestamp is outside the ${toleranceSeconds}s window`, 401, 'SIGNATURE_EXPIRED');
+    }
+
+    // Only the canonical form is accepted: Buffer.from(hex) ignores case and trailing junk, which
+    // would let one signed callback be replayed under many spellings
+    const [scheme, digest, ...rest] = String(signature).split('=');
+    if (scheme !== SIGNATURE_SCHEME || rest.length > 0 || !DIGEST_PATTERN.test(digest || '')) {
+        throw signatureError('Callback signature does not match', 401, 'SIGNATURE_INVALID');
+    }
+
+    const expected = computeSignature(secret, timestamp, rawBody || '');
+    if (!crypto.timingSafeEqual(Buffer.from(digest, 'hex'), Buffer.from(expected, 'hex'))) {
+        throw signatureError('Callback signature does not match', 401, 'SIGNATURE_INVALID');
+    }
+
+    return expected;
+};
+
+/**
+ * Remember a verified signature so the same callback cannot be replayed inside the window
+ */
+const recordSignature = async (apiCode, signature) => {
+    try {
+        await callbackSignaturesModel.create({ api_code: apiCode, signature });
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            throw signatureError('Callback was already received', 409, 'SIGNATURE_REPLAYED');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Verify an inbound callback from a source
+ * request: { headers, rawBody }; throws 401/409 errors with a code
+ */
+const verifyInboundCallback = async (apiCode, { headers, rawBody }) => {
+    const config = await getSigningConfig(apiCode);
+
+    if (!config.secret) {
+        if (signaturesRequired()) {
+            throw signatureError(`Callback signing is not configured for ${apiCode}`, 401, 'SIGNING_NOT_CONFIGURED');
+        }
+        return { verified: false };
+    }
+
+    const signature = verifySignature(config, headers, rawBody);
+    await recordSignature(apiCode, signature);
+
+    return { verified: true };
+};
+
+/**
+ * Serialize and sign an outbound callback body for a target
+ * Returns { body, headers }; headers are empty when the target has no secret
+ */
+const signOutboundCallback = async (apiCode, payload) => {
+    const body = JSON.stringify(payload);
+    const { secret } = await getSigningConfig(apiCode);
+
+    if (!secret) {
+        logger.warn('Callback sent unsigned: no signing secret configured', { apiCode });
+        return { body, headers: {} };
+    }
+
+    return { body, headers: signatureHeaders(secret, body) };
+};
+
+/**
+ * Forget recorded signatures after a day (far past any timestamp window, so they cannot pass again)
+ */
+const purgeRecordedSignatures = async () => {
+    const deleted = await callbackSignaturesModel.raw(
+        `DELETE FROM callback_signatures WHERE received_at < NOW() - INTERVAL '1 day' RETURNING id`
+    );
+    return deleted.length;
+};
+
+module.exports = {
+    getSigningConfig,
+    computeSignature,
+    signatureHeaders,
+    verifySignature,
+    verifyInboundCallback,
+    signOutboundCallback,
+    purgeRecordedSignatures,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER
+};
@@ -0,0 +1,282 @@
+const { deadLetterJobsModel, jobQueueModel, flowInstancesModel } = require('../models');
+const alertService = require('./alertService');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+const DLQ_STATUSES = {
+    DEAD: 'DEAD',
+    REPLAYED: 'REPLAYED'
+};
+
+const DEPTH_ALERT_EVENT = 'DLQ_DEPTH_EXCEEDED';
+
+// Used when no active DLQ_DEPTH_EXCEEDED rule sets conditions.threshold
+const DEFAULT_ALERT_THRESHOLD = parseInt(process.env.DLQ_ALERT_THRESHOLD, 10) || 10;
+
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Build a WHERE clause from list filters
+ * filters: { status, jobType, flowInstanceId, reason, from, to }
+ */
+const buildFilterClause = (filters = {}, values = []) => {
+    const clauses = [];
+    const add = (sql, value) => {
+        values.push(value);
+        clauses.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.status) add('status = ?', filters.status);
+    if (filters.jobType) add('job_type = ?', filters.jobType);
+    if (filters.flowInstanceId) add('flow_instance_id = ?', filters.flowInstanceId);
+    if (filters.reason) add('failure_reason ILIKE ?', `%${filters.reason}%`);
+    if (filters.from) add('created_at >= ?', new Date(filters.from));
+    if (filters.to) add('created_at <= ?', new Date(filters.to));
+    if (filters.ids) add('id = ANY(?)', filters.ids);
+
+    return {
+        where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+        values
+    };
+};
+
+/**
+ * Move an exhausted job to the dead-letter queue
+ * instanceStatus is the flow instance's status before the job failed it (restored on replay)
+ */
+const addDeadLetter = async (job, { error, attemptHistory = [], flowInstanceId = null, instanceStatus = null }) => {
+    const payload = safeJsonParse(job.payload, {});
+
+    const entry = await deadLetterJobsModel.create({
+        job_id: job.id,
+        job_type: job.job_type,
+        job_name: job.job_name,
+        flow_instance_id: flowInstanceId || job.flow_instance_id || null,
+        payload: JSON.stringify(payload),
+        priority: job.priority || 0,
+        failure_reason: error?.message || String(error),
+        attempts: attemptHistory.length || job.attempt_number || 0,
+        attempt_history: JSON.stringify(attemptHistory),
+        instance_status: instanceStatus,
+        status: DLQ_STATUSES.DEAD,
+        metadata: JSON.stringify({ replayOf: safeJsonParse(job.metadata, {})?.replayOf || null })
+    });
+
+    logger.warn('Job moved to dead-letter queue', {
+        deadLetterId: entry.id,
+        jobId: job.id,
+        jobType: job.job_type,
+        flowInstanceId: entry.flow_instance_id,
+        reason: entry.failure_reason
+    });
+
+    try {
+        await checkDepthAlert();
+    } catch (alertError) {
+        logger.error('DLQ depth alert check failed', alertError);
+    }
+
+    return entry;
+};
+
+/**
+ * List dead-letter entries with filters
+ */
+const listDeadLetters = async (filters = {}, { limit = 50, offset = 0 } = {}) => {
+    const { where, values } = buildFilterClause(filters);
+
+    const [items, countRows] = await Promise.all([
+        deadLetterJobsModel.raw(`
+            SELECT * FROM dead_letter_jobs
+            ${where}
+            ORDER BY created_at DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `, [...values, limit, offset]),
+        deadLetterJobsModel.raw(`SELECT COUNT(*)::int AS total FROM dead_letter_jobs ${where}`, values)
+    ]);
+
+    return { items, total: countRows[0].total, limit, offset };
+};
+
+/**
+ * Get a dead-letter entry with its original job, replay job and flow instance
+ */
+const getDeadLetter = async (id) => {
+    const entry = await deadLetterJobsModel.findById(id);
+    if (!entry) {
+        return null;
+    }
+
+    const [job, replayJob, instance] = await Promise.all([
+        jobQueueModel.findById(entry.job_id),
+        entry.replay_job_id ? jobQueueModel.findById(entry.replay_job_id) : null,
+        entry.flow_instance_id
+            ? flowInstancesModel.findById(entry.flow_instance_id, 'id, session_id, tracking_number, status, last_error, updated_at')
+            : null
+    ]);
+
+    return { ...entry, job, replayJob, flowInstance: instance };
+};
+
+/**
+ * Re-queue dead-letter entries as new jobs
+ * Selects DEAD entries by ids or filters (at most limit). Each entry is claimed before its job
+ * is queued, so concurrent replays never queue an entry twice. A flow instance still FAILED
+ * from the exhausted job gets its earlier status back.
+ */
+const replayDeadLetters = async ({ ids, filters = {}, limit = 100, replayedBy = 'SYSTEM' }) => {
+    const { where, values } = buildFilterClause({
+        ...(ids ? { ids } : filters),
+        status: DLQ_STATUSES.DEAD
+    });
+    const entries = await deadLetterJobsModel.raw(`
+        SELECT * FROM dead_letter_jobs
+        ${where}
+        ORDER BY created_at ASC
+        LIMIT $${values.length + 1}
+    `, [...values, Math.min(limit, MAX_BATCH_SIZE)]);
+
+    const replayed = [];
+    const failed = [];
+
+    for (const entry of entries) {
+        const claimed = await deadLetterJobsModel.raw(`
+            UPDATE dead_letter_jobs
+            SET status = $2, replayed_at = NOW(), replayed_by = $3, replay_count = replay_count + 1, updated_at = NOW()
+            WHERE id = $1 AND status = $4
+            RETURNING id
+        `, [entry.id, DLQ_STATUSES.REPLAYED, replayedBy, DLQ_STATUSES.DEAD]);
+        if (claimed.length === 0) {
+            continue;
+        }
+
+        try {
+            if (entry.flow_instance_id && entry.instance_status) {
+                await flowInstancesModel.raw(`
+                    UPDATE flow_instances SET status = $2, updated_at = NOW()
+                    WHERE id = $1 AND status = 'FAILED'
+                `, [entry.flow_instance_id, entry.instance_status]);
+            }
+
+            const job = await jobQueueModel.create({
+                job_type: entry.job_type,
+                job_name: entry.job_name,
+                flow_instance_id: entry.flow_instance_id,
+                payload: JSON.stringify(safeJsonParse(entry.payload, {})),
+                priority: entry.priority,
+                status: 'PENDING',
+                metadata: JSON.stringify({ replayOf: entry.id, replayedBy })
+            });
+
+            await deadLetterJobsModel.update(entry.id, { replay_job_id: job.id });
+            replayed.push({ id: entry.id, jobId: job.id });
+        } catch (error) {
+            logger.error('Dead-letter replay failed', error, { deadLetterId: entry.id });
+            await deadLetterJobsModel.update(entry.id, { status: DLQ_STATUSES.DEAD });
+            failed.push({ id: entry.id, error: error.message });
+        }
+    }
+
+    // Requested ids that were not replayable (unknown or already replayed)
+    const skipped = ids
+        ? ids.filter(id => !replayed.some(r => r.id === id) && !failed.some(f => f.id === id))
+        : [];
+
+    logger.info('Dead-letter replay finished', {
+        replayed: replayed.length,
+        failed: failed.length,
+        skipped: skipped.length,
+        replayedBy
+    });
+
+    return { replayed, failed, skipped };
+};
+
+/**
+ * Delete dead-letter entries by ids, or by filters and age
+ * criteria: { ids } or { status, jobType, flowInstanceId, reason, olderThanDays, to }
+ */
+const purgeDeadLetters = async (criteria) => {
+    const { ids, olderThanDays, ...filters } = criteria;
+    const values = [];
+    const clause = buildFilterClause(ids ? { ids } : filters, values);
+
+    let where = clause.where;
+    if (!ids && olderThanDays !== undefined) {
+        values.push(olderThanDays);
+        where += `${where ? ' AND' : 'WHERE'} created_at < NOW() - ($${values.length} * INTERVAL '1 day')`;
+    }
+    if (!where) {
+        const error = new Error('Purge needs ids or at least one filter');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const deleted = await deadLetterJobsModel.raw(`DELETE FROM dead_letter_jobs ${where} RETURNING id`, values);
+
+    logger.info('Dead-letter entries purged', { count: deleted.length, criteria });
+
+    return { purged: deleted.length, ids: deleted.map(r => r.id) };
+};
+
+/**
+ * Number of entries waiting in the DLQ
+ */
+const getDepth = async () => {
+    const rows = await deadLetterJobsModel.raw(
+        'SELECT COUNT(*)::int AS depth FROM dead_letter_jobs WHERE status = $1',
+        [DLQ_STATUSES.DEAD]
+    );
+    return rows[0].depth;
+};
+
+/**
+ * DLQ depth, breakdown by job type and status, and the alert threshold
+ */
+const getDeadLetterStats = async () => {
+    const [byType, depth, threshold] = await Promise.all([
+        deadLetterJobsModel.raw(`
+            SELECT job_type, status, COUNT(*)::int AS count, MIN(created_at) AS oldest
+            FROM dead_letter_jobs
+            GROUP BY job_type, status
+            ORDER BY job_type, status
+        `),
+        getDepth(),
+        alertService.getRuleThreshold(DEPTH_ALERT_EVENT, DEFAULT_ALERT_THRESHOLD)
+    ]);
+
+    return { depth, threshold, thresholdExceeded: depth >= threshold, byType };
+};
+
+/**
+ * Alert when the DLQ depth reaches the threshold (rule cooldown limits repeats)
+ */
+const checkDepthAlert = async () => {
+    const depth = await getDepth();
+    const threshold = await alertService.getRuleThreshold(DEPTH_ALERT_EVENT, DEFAULT_ALERT_THRESHOLD);
+
+    if (depth < threshold) {
+        return null;
+    }
+
+    logger.warn('Dead-letter queue depth threshold exceeded', { depth, threshold });
+
+    return alertService.triggerAlert(DEPTH_ALERT_EVENT, {
+        subject: `Dead-letter queue depth is ${depth}`,
+        message: `${depth} jobs are waiting in the dead-letter queue (threshold ${threshold})`,
+        payload: { depth, threshold },
+        value: depth
+    });
+};
+
+module.exports = {
+    addDeadLetter,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetters,
+    purgeDeadLetters,
+    getDeadLetterStats,
+    checkDepthAlert,
+    DLQ_STATUSES,
+    MAX_BATCH_SIZE
+};
@@ -1,43 +1,111 @@
 const {
+    flowsModel,
     flowInstancesModel,
     stepExecutionsModel,
     expectedCallbacksModel,
     externalApisModel,
-    processLogsModel
+    processLogsModel,
+    jobQueueModel
 } = require('../models');
+const Joi = require('joi');
 const flowService = require('./flowService');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const rolloutService = require('./rolloutService');
 const configService = require('./configService');
+const outboundAuthService = require('./outboundAuthService');
+const { lockingInstance, isInstanceLockedError } = require('./instanceLockService');
 const logger = require('../utils/logger');
 const {
     deepClone,
     safeJsonParse,
     applyFieldMappings,
     formatDateTime,
+    parseDateTime,
+    getNextCronDate,
+    getNextBusinessTime,
+    getNestedValue,
     formatAmount,
     retry,
+    calculateBackoffDelay,
     sleep,
     shouldTriggerTsq,
     isSuccessResponse
 } = require('../utils/helpers');
-const axios = require('axios');
+const { evaluateExpression, renderTemplate, renderValue, validateExpression, validateTemplate } = require('../utils/expression');
 
 const INSTANCE_STATUSES = {
     PENDING: 'PENDING',
     RUNNING: 'RUNNING',
     WAITING_CALLBACK: 'WAITING_CALLBACK',
+    WAITING_SUBFLOW: 'WAITING_SUBFLOW',
+    WAITING_TIMER: 'WAITING_TIMER',
+    WAITING_RETRY: 'WAITING_RETRY',
     COMPLETED: 'COMPLETED',
     FAILED: 'FAILED',
     CANCELLED: 'CANCELLED',
+    COMPENSATED: 'COMPENSATED',
     MANUAL_INTERVENTION: 'MANUAL_INTERVENTION'
 };
 
+// Statuses executeFlowInstance runs an instance from START in (new, or set back to RUNNING by an operator)
+const EXECUTABLE_INSTANCE_STATUSES = [
+    INSTANCE_STATUSES.PENDING,
+    INSTANCE_STATUSES.RUNNING
+];
+
+const TERMINAL_INSTANCE_STATUSES = [
+    INSTANCE_STATUSES.COMPLETED,
+    INSTANCE_STATUSES.FAILED,
+    INSTANCE_STATUSES.CANCELLED,
+    INSTANCE_STATUSES.COMPENSATED
+];
+
 const STEP_STATUSES = {
     PENDING: 'PENDING',
     RUNNING: 'RUNNING',
     COMPLETED: 'COMPLETED',
     FAILED: 'FAILED',
     SKIPPED: 'SKIPPED',
-    WAITING: 'WAITING'
+    WAITING: 'WAITING',
+    TIMEOUT: 'TIMEOUT'
+};
+
+// flow_steps.on_error_action values
+const ERROR_ACTIONS = {
+    FAIL: 'FAIL',
+    CONTINUE: 'CONTINUE',
+    SKIP: 'SKIP',
+    ROUTE_TO_HANDLER: 'ROUTE_TO_HANDLER',
+    MANUAL: 'MANUAL',
+    COMPENSATE: 'COMPENSATE',
+    // Retry by retry_config (DEFAULT_ERROR_ACTION_RETRIES times if it sets no max_retries), then fail
+    RETRY: 'RETRY'
+};
+
+const DEFAULT_ERROR_ACTION_RETRIES = 3;
+
+// Decisions on an instance waiting for manual intervention (see resolveManualIntervention)
+const MANUAL_OUTCOMES = {
+    CONTINUE: 'CONTINUE',
+    TRANSITION: 'TRANSITION',
+    FAIL: 'FAIL'
+};
+
+const COMPENSATION_STATUSES = {
+    COMPENSATED: 'COMPENSATED',
+    IN_PROGRESS: 'IN_PROGRESS',
+    FAILED: 'FAILED'
+};
+
+// Error code for simulated steps that have no scripted response
+const SIMULATION_NO_SCRIPT = 'SIMULATION_NO_SCRIPT';
+
+// Outcomes returned by a parallel branch that did not carry the flow forward
+const BRANCH_OUTCOMES = {
+    JOIN_WAITING: 'JOIN_WAITING',
+    JOIN_LATE: 'JOIN_LATE',
+    BRANCH_ENDED: 'BRANCH_ENDED',
+    BRANCH_ABORTED: 'BRANCH_ABORTED'
 };
 
 /**
@@ -50,7 +118,9 @@ const createFlowInstance = async (params) => {
         trackingNumber,
         inputPayload,
         bfsCallbackUrl,
-        metadata = {}
+        metadata = {},
+        idempotencyKey = null,
+        syncRequest = false
     } = params;
 
     // Get flow definition
@@ -60,32 +130,44 @@ const createFlowInstance = async (params) => {
     }
 
     const { flow, eventType } = flowInfo;
-    const flowDef = await flowService.getFlowDefinition(flow.id);
 
-    // Create flow instance
+    // A running rollout may send this request to its candidate version
+    const routing = await rolloutService.selectFlowVersion(eventType, flow, inputPayload);
+    const flowDef = await flowService.getFlowDefinition(flow.id, null, { versionId: routing?.versionId });
+    const instanceMetadata = routing
+        ? { ...metadata, rollout: { ...routing.rollout, version: flowDef.version.version } }
+        : metadata;
+
+    // Create flow instance, pinned to the version it starts on
     const instance = await flowInstancesModel.create({
         flow_id: flow.id,
+        flow_version_id: flowDef.version.id,
         session_id: sessionId,
         tracking_number: trackingNumber,
         status: INSTANCE_STATUSES.PENDING,
         original_request: JSON.stringify(inputPayload),
         current_payload: JSON.stringify(inputPayload),
         bfs_callback_url: bfsCallbackUrl,
-        metadata: JSON.stringify(metadata)
+        metadata: JSON.stringify(instanceMetadata),
+        idempotency_key: idempotencyKey,
+        sync_request: syncRequest
     });
 
     logger.info('Flow instance created', {
         instanceId: instance.id,
         flowId: flow.id,
         sessionId,
-        eventTypeCode
+        eventTypeCode,
+        flowVersion: flowDef.version.version
     });
 
     // Log process start
     await createProcessLog(instance.id, 'INSTANCE_CREATED', {
         flowName: flow.name,
+        flowVersion: flowDef.version.version,
         eventTypeCode,
-        sessionId
+        sessionId,
+        rollout: instanceMetadata.rollout
     });
 
     return {
@@ -97,22 +179,39 @@ const createFlowInstance = async (params) => {
 
 /**
  * Execute a flow instance
+ * This and the other entry points that change an instance (resume, retry, timeout, compensation)
+ * run under the instance lock, so only one node works on an instance at a time
  */
-const executeFlowInstance = async (instanceId) => {
+const executeFlowInstance = lockingInstance(async (instanceId) => {
     const instance = await flowInstancesModel.findById(instanceId);
     if (!instance) {
         throw new Error(`Flow instance not found: ${instanceId}`);
     }
 
+    // A job that ran (or was replayed) after the instance moved on must not restart it from START
+    if (!EXECUTABLE_INSTANCE_STATUSES.includes(instance.status)) {
+        logger.warn('Skipped executing flow instance that is not pending', {
+            instanceId,
+            status: instance.status
+        });
+        return { status: 'SKIPPED', instanceId, reason: `Instance is ${instance.status}` };
+    }
+
     // Update status to running
     await flowInstancesModel.update(instanceId, {
         status: INSTANCE_STATUSES.RUNNING,
         started_at: new Date()
     });
 
-    const flowDef = await flowService.getFlowDefinition(instance.flow_id);
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
     let currentPayload = safeJsonParse(instance.current_payload, {});
 
+    // Sub-flow and compensation children are pinned when they start
+    if (!instance.flow_version_id) {
+        await flowInstancesModel.update(instanceId, { flow_version_id: flowDef.version.id });
+        instance.flow_version_id = flowDef.version.id;
+    }
+
     // Start from the START step
     const startStep = flowDef.startStep;
     if (!startStep) {
@@ -129,24 +228,100 @@ const executeFlowInstance = async (instanceId) => {
             error: error.message
         });
 
-        await flowInstancesModel.update(instanceId, {
-            status: INSTANCE_STATUSES.FAILED,
-            last_error: error.message,
-            completed_at: new Date()
-        });
+        // Failed and compensated here: a rethrow would make the job run the instance again
+        await failInstance(instanceId, error);
 
-        await createProcessLog(instanceId, 'INSTANCE_FAILED', {
+        return {
+            status: INSTANCE_STATUSES.FAILED,
+            instanceId,
             error: error.message
+        };
+    }
+});
+
+/**
+ * Run compensations for a failed instance's completed steps
+ * A compensation error is logged, not thrown: the instance has failed either way
+ */
+const compensateFailedInstance = async (instanceId, reason) => {
+    try {
+        await compensateInstance(instanceId, { reason });
+    } catch (compensationError) {
+        logger.error('Compensation failed', {
+            instanceId,
+            error: compensationError.message
         });
+    }
+};
 
-        throw error;
+/**
+ * Mark a flow instance as failed and run compensations for its completed steps
+ */
+const failInstance = async (instanceId, error) => {
+    await flowInstancesModel.update(instanceId, {
+        status: INSTANCE_STATUSES.FAILED,
+        last_error: error.message,
+        completed_at: new Date()
+    });
+
+    await createProcessLog(instanceId, 'INSTANCE_FAILED', {
+        error: error.message
+    });
+
+    await compensateFailedInstance(instanceId, error.message);
+
+    await notifyParentInstance(instanceId);
+};
+
+/**
+ * Move an instance to a terminal status without running its flow any further
+ * For terminal transitions made outside the executor (callback timeout, exhausted job, TSQ, cancellation);
+ * like completeInstance and failInstance, it lets a parent waiting on a SUBFLOW continue.
+ * fields: other flow_instances columns to set (last_error, metadata, ...)
+ * options.compensate: roll back completed steps (default for FAILED, like failInstance); false leaves
+ * them for a later outcome, e.g. a TSQ that may still confirm the transaction
+ */
+const finishInstance = async (instanceId, status, fields = {}, options = {}) => {
+    if (!TERMINAL_INSTANCE_STATUSES.includes(status)) {
+        throw new Error(`Not a terminal instance status: ${status}`);
+    }
+    const { compensate = status === INSTANCE_STATUSES.FAILED } = options;
+
+    await flowInstancesModel.update(instanceId, {
+        status,
+        completed_at: new Date(),
+        ...fields
+    });
+
+    if (compensate) {
+        await compensateFailedInstance(instanceId, fields.last_error || `Instance ${status}`);
     }
+
+    await notifyParentInstance(instanceId);
 };
 
+/**
+ * flow_instances.current_payload for the payload a step left behind
+ * Inside a parallel branch it stays unset: siblings run concurrently, so a branch's payload lives
+ * only on its step_executions and the join writes the merged payload
+ */
+const instancePayload = (branch, payload) => (branch ? {} : { current_payload: JSON.stringify(payload) });
+
+/**
+ * Whether a sibling branch failed (or an enclosing split was abandoned)
+ */
+const isSplitAborted = (abort) => Boolean(abort && (abort.aborted || isSplitAborted(abort.parent)));
+
 /**
  * Execute from a specific step
+ * options.branch ({ splitExecutionId, branchIndex }) marks execution inside a parallel branch
+ * options.abort ({ aborted, parent }) is shared by the branches of one split; a branch stops before
+ * its next step once a sibling has failed
+ * options.attempt ({ number, firstAttemptAt, previousAttemptId }) marks a retry of the first step
  */
-const executeFromStep = async (instance, flowDef, step, payload) => {
+const executeFromStep = async (instance, flowDef, step, payload, options = {}) => {
+    const { branch = null, abort = null } = options;
+    let attempt = options.attempt || null;
     let currentStep = step;
     let currentPayload = deepClone(payload);
     let stepCount = 0;
@@ -155,6 +330,20 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
     while (currentStep && stepCount < maxSteps) {
         stepCount++;
 
+        if (isSplitAborted(abort)) {
+            return {
+                status: BRANCH_OUTCOMES.BRANCH_ABORTED,
+                instanceId: instance.id,
+                stepId: currentStep.id,
+                payload: currentPayload
+            };
+        }
+
+        // Parallel branches stop at the join gateway and wait for their siblings
+        if (branch && isJoinGateway(currentStep)) {
+            return arriveAtJoin(instance, flowDef, currentStep, currentPayload, branch);
+        }
+
         logger.debug('Executing step', {
             instanceId: instance.id,
             stepId: currentStep.id,
@@ -162,14 +351,22 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
             stepName: currentStep.name
         });
 
-        // Create step execution record
+        // Create step execution record (one row per attempt)
+        const executionMetadata = {
+            ...(branch && { branch }),
+            ...(attempt && { retry: attempt })
+        };
         const stepExecution = await stepExecutionsModel.create({
             flow_instance_id: instance.id,
             step_id: currentStep.id,
             status: STEP_STATUSES.RUNNING,
             input_payload: JSON.stringify(currentPayload),
-            started_at: new Date()
+            started_at: new Date(),
+            attempt_number: attempt ? attempt.number : 1,
+            metadata: JSON.stringify(executionMetadata)
         });
+        const currentAttempt = attempt;
+        attempt = null;
 
         try {
             // Execute the step
@@ -180,15 +377,17 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
                 status: result.status,
                 output_payload: JSON.stringify(result.outputPayload),
                 completed_at: new Date(),
-                metadata: JSON.stringify(result.metadata || {})
+                metadata: JSON.stringify({ ...(result.metadata || {}), ...executionMetadata })
             });
 
-            // Update instance current payload
+            // Update instance current payload (branches keep theirs on the step execution)
             currentPayload = result.outputPayload;
-            await flowInstancesModel.update(instance.id, {
-                current_payload: JSON.stringify(currentPayload),
-                current_step_id: currentStep.id
-            });
+            if (!branch) {
+                await flowInstancesModel.update(instance.id, {
+                    current_payload: JSON.stringify(currentPayload),
+                    current_step_id: currentStep.id
+                });
+            }
 
             // Check if we need to wait (callback, manual intervention)
             if (result.waitForCallback) {
@@ -211,6 +410,55 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
                 };
             }
 
+            if (result.waitForSubflow) {
+                await flowInstancesModel.update(instance.id, {
+                    status: INSTANCE_STATUSES.WAITING_SUBFLOW
+                });
+
+                await createProcessLog(instance.id, 'WAITING_SUBFLOW', {
+                    stepId: currentStep.id,
+                    stepName: currentStep.name,
+                    childInstanceId: result.childInstanceId
+                });
+
+                const waitingResult = {
+                    status: 'WAITING_SUBFLOW',
+                    instanceId: instance.id,
+                    stepId: currentStep.id,
+                    payload: currentPayload,
+                    childInstanceId: result.childInstanceId
+                };
+
+                // The child may have finished while the parent was being parked
+                const child = await flowInstancesModel.findById(result.childInstanceId);
+                if (child && TERMINAL_INSTANCE_STATUSES.includes(child.status)) {
+                    return (await resumeAfterSubflow(instance.id, stepExecution.id, child)) || waitingResult;
+                }
+
+                return waitingResult;
+            }
+
+            if (result.waitForTimer) {
+                await flowInstancesModel.update(instance.id, {
+                    status: INSTANCE_STATUSES.WAITING_TIMER
+                });
+
+                await createProcessLog(instance.id, 'WAITING_TIMER', {
+                    stepId: currentStep.id,
+                    stepName: currentStep.name,
+                    resumeAt: result.resumeAt,
+                    jobId: result.jobId
+                });
+
+                return {
+                    status: 'WAITING_TIMER',
+                    instanceId: instance.id,
+                    stepId: currentStep.id,
+                    payload: currentPayload,
+                    resumeAt: result.resumeAt
+                };
+            }
+
             if (result.manualIntervention) {
                 await flowInstancesModel.update(instance.id, {
                     status: INSTANCE_STATUSES.MANUAL_INTERVENTION
@@ -225,6 +473,11 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
                 };
             }
 
+            // AND/OR split gateways fan out into concurrent branches
+            if (isParallelSplit(currentStep)) {
+                return executeParallelSplit(instance, flowDef, currentStep, currentPayload, stepExecution, branch, abort);
+            }
+
             // Get next step
             currentStep = await flowService.getNextStep(flowDef, currentStep.id, currentPayload);
 
@@ -239,29 +492,21 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
                         input_payload: JSON.stringify(currentPayload),
                         output_payload: JSON.stringify(currentPayload),
                         started_at: new Date(),
-                        completed_at: new Date()
+                        completed_at: new Date(),
+                        metadata: JSON.stringify(branch ? { branch } : {})
                     });
                 }
 
-                // Complete the instance
-                // For sync flows, mark callback_sent = true since response is returned directly
-                const isSync = flowDef.flow && flowDef.flow.is_sync;
-                await flowInstancesModel.update(instance.id, {
-                    status: INSTANCE_STATUSES.COMPLETED,
-                    final_response: JSON.stringify(currentPayload),
-                    completed_at: new Date(),
-                    callback_sent: isSync ? true : false
-                });
-
-                await createProcessLog(instance.id, 'INSTANCE_COMPLETED', {
-                    finalPayload: currentPayload
-                });
+                // A branch that ends without reaching a join only finishes itself
+                if (branch) {
+                    return {
+                        status: BRANCH_OUTCOMES.BRANCH_ENDED,
+                        instanceId: instance.id,
+                        payload: currentPayload
+                    };
+                }
 
-                return {
-                    status: 'COMPLETED',
-                    instanceId: instance.id,
-                    payload: currentPayload
-                };
+                return completeInstance(instance, flowDef, currentPayload);
             }
 
         } catch (error) {
@@ -272,18 +517,43 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
                 completed_at: new Date()
             });
 
-            // Check if we should retry
-            const retryConfig = safeJsonParse(currentStep.retry_config, { max_retries: 0 });
-            if (stepExecution.attempt_number < (retryConfig.max_retries || 0)) {
+            // Reschedule the step through the job queue if its retry policy allows
+            const retryResult = await scheduleStepRetry(instance, currentStep, stepExecution, error, currentAttempt);
+            if (retryResult) {
+                return retryResult;
+            }
+
+            // Timeouts follow the step's boundary TIMEOUT transition when it declares one
+            const timeoutStep = isTimeoutError(error)
+                ? flowService.getTimeoutTransitionStep(flowDef, currentStep.id)
+                : null;
+            if (timeoutStep) {
                 await stepExecutionsModel.update(stepExecution.id, {
-                    attempt_number: (stepExecution.attempt_number || 1) + 1
+                    status: STEP_STATUSES.TIMEOUT
                 });
 
-                await sleep(retryConfig.retry_interval_ms || 5000);
-                continue; // Retry the same step
+                await createProcessLog(instance.id, 'STEP_TIMEOUT', {
+                    stepCode: currentStep.step_code,
+                    timeoutStepCode: timeoutStep.step_code,
+                    error: error.message
+                });
+
+                currentPayload = {
+                    ...currentPayload,
+                    stepTimeout: { stepCode: currentStep.step_code, stepType: currentStep.step_type, message: error.message }
+                };
+                currentStep = timeoutStep;
+                continue;
             }
 
-            throw error;
+            // Apply the step's on_error_action (FAIL rethrows)
+            const errorOutcome = await handleStepError(instance, flowDef, currentStep, stepExecution, currentPayload, error, branch);
+            if (errorOutcome.result) {
+                return errorOutcome.result;
+            }
+
+            currentStep = errorOutcome.nextStep;
+            currentPayload = errorOutcome.payload;
         }
     }
 
@@ -299,503 +569,2107 @@ const executeFromStep = async (instance, flowDef, step, payload) => {
 };
 
 /**
- * Execute a single step
+ * Check whether an error is a deadline/timeout: a transport timeout code (axios, sockets), or
+ * error.isTimeout set by the step that raised it. The message is never inspected - an upstream
+ * error merely mentioning "timeout" must not take the TIMEOUT path.
  */
-const executeStep = async (instance, step, payload, stepExecution) => {
-    const stepType = step.step_type;
-    const config = safeJsonParse(step.config, {});
+const isTimeoutError = (error) => {
+    return ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(error.code) ||
+        error.isTimeout === true;
+};
+
+/**
+ * Route a waiting step whose deadline passed (e.g. callback timeout) to its boundary TIMEOUT transition
+ * Returns null when the step declares no timeout transition or is no longer waiting
+ */
+const handleStepTimeout = lockingInstance(async (instanceId, stepExecutionId, details = {}) => {
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance || TERMINAL_INSTANCE_STATUSES.includes(instance.status)) {
+        return null;
+    }
+
+    const stepExecution = await stepExecutionsModel.findById(stepExecutionId);
+    if (!stepExecution) {
+        return null;
+    }
 
-    switch (stepType) {
-        case 'START':
-            return executeStartStep(step, payload);
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+    const step = flowDef.steps.find(s => s.id === stepExecution.step_id);
+    const timeoutStep = step ? flowService.getTimeoutTransitionStep(flowDef, step.id) : null;
+    if (!timeoutStep) {
+        return null;
+    }
 
-        case 'END':
-            return executeEndStep(step, payload);
+    // Claim the waiting step so a late callback cannot resume it as well
+    const claimed = await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET status = $1, error_message = $2, completed_at = NOW()
+        WHERE id = $3 AND status = $4
+        RETURNING *
+    `, [STEP_STATUSES.TIMEOUT, 'Step deadline exceeded', stepExecutionId, STEP_STATUSES.WAITING]);
+
+    if (claimed.length === 0) {
+        return null;
+    }
 
-        case 'TRANSFORM':
-            return executeTransformStep(step, payload, stepExecution);
+    const { branch = null } = safeJsonParse(stepExecution.metadata, {}) || {};
+    const basePayload = branch
+        ? safeJsonParse(stepExecution.output_payload, {})
+        : safeJsonParse(instance.current_payload, {});
+    const currentPayload = {
+        ...(basePayload || {}),
+        stepTimeout: { stepCode: step.step_code, stepType: step.step_type, ...details }
+    };
 
-        case 'API_CALL':
-            return executeApiCallStep(instance, step, payload, stepExecution);
+    await flowInstancesModel.update(instanceId, {
+        status: INSTANCE_STATUSES.RUNNING,
+        ...instancePayload(branch, currentPayload)
+    });
 
-        case 'LISTENER':
-        case 'CALLBACK':
-            return executeCallbackStep(instance, step, payload, stepExecution);
+    await createProcessLog(instanceId, 'STEP_TIMEOUT', {
+        stepCode: step.step_code,
+        timeoutStepCode: timeoutStep.step_code,
+        ...details
+    });
 
-        case 'CONDITION':
-        case 'GATEWAY':
-            return executeConditionStep(step, payload);
+    logger.flow('Step deadline passed, following timeout transition', {
+        instanceId,
+        stepCode: step.step_code,
+        timeoutStepCode: timeoutStep.step_code
+    });
 
-        case 'MANUAL':
-            return executeManualStep(step, payload);
+    const refreshedInstance = await flowInstancesModel.findById(instanceId);
 
-        case 'ALERT':
-            return executeAlertStep(instance, step, payload);
+    try {
+        return await executeFromStep(refreshedInstance, flowDef, timeoutStep, currentPayload, { branch });
+    } catch (error) {
+        logger.error('Flow execution failed after timeout', {
+            instanceId,
+            error: error.message
+        });
 
-        case 'TASK':
-            return executeTaskStep(instance, step, payload);
+        await failInstance(instanceId, error);
 
-        default:
-            logger.warn('Unknown step type', { stepType, stepId: step.id });
-            return { status: STEP_STATUSES.COMPLETED, outputPayload: payload };
+        return {
+            status: INSTANCE_STATUSES.FAILED,
+            instanceId,
+            error: error.message
+        };
     }
-};
+});
 
 /**
- * Execute START step
+ * A step's retry policy (flow_steps.retry_config)
+ * on_error_action RETRY retries even without a retry_config
  */
-const executeStartStep = async (step, payload) => {
-    return {
-        status: STEP_STATUSES.COMPLETED,
-        outputPayload: payload
-    };
+const getStepRetryConfig = (step) => {
+    const retryConfig = safeJsonParse(step.retry_config, {}) || {};
+    const action = String(step.on_error_action || '').toUpperCase();
+
+    if (action === ERROR_ACTIONS.RETRY && retryConfig.max_retries === undefined) {
+        return { ...retryConfig, max_retries: DEFAULT_ERROR_ACTION_RETRIES };
+    }
+    return retryConfig;
 };
 
 /**
- * Execute END step
+ * Check whether a step error is covered by the retry policy
+ * retry_on: { errors: ['ECONNRESET', 'TimeoutError'], status_codes: [502, 503] } - absent means retry everything
  */
-const executeEndStep = async (step, payload) => {
-    return {
-        status: STEP_STATUSES.COMPLETED,
-        outputPayload: payload
-    };
+const isRetryableError = (error, retryConfig) => {
+    const retryOn = retryConfig.retry_on;
+    if (!retryOn) {
+        return true;
+    }
+
+    const statusCode = error.response?.status;
+    if (statusCode && (retryOn.status_codes || []).includes(statusCode)) {
+        return true;
+    }
+
+    const errorKeys = [error.code, error.name, error.constructor?.name].filter(Boolean);
+    return (retryOn.errors || []).some(e => errorKeys.includes(e));
 };
 
 /**
- * Execute TRANSFORM step - apply field mappings
+ * Schedule a RETRY_STEP job for a failed step execution
+ * Returns null when the retry policy does not allow another attempt
  */
-const executeTransformStep = async (step, payload, stepExecution) => {
-    // Handle fieldMappings from multiple sources:
-    // 1. step.fieldMappings.input (from flowService mapping)
-    // 2. step.fieldMappings (if it's an array directly)
-    // 3. step.input_mapping (raw from database, parsed)
-    let mappings = [];
+const scheduleStepRetry = async (instance, step, stepExecution, error, attempt) => {
+    const retryConfig = getStepRetryConfig(step);
+    const maxRetries = retryConfig.max_retries || 0;
+    const attemptNumber = attempt ? attempt.number : 1;
 
-    if (step.fieldMappings) {
-        if (Array.isArray(step.fieldMappings)) {
-            mappings = step.fieldMappings;
-        } else if (Array.isArray(step.fieldMappings.input)) {
-            mappings = step.fieldMappings.input;
-        } else if (typeof step.fieldMappings.input === 'object') {
-            // Handle case where input is an object (from safeJsonParse default)
-            mappings = [];
-        }
+    if (retryConfig.enabled === false || attemptNumber > maxRetries) {
+        return null;
     }
 
-    // Fallback: check raw input_mapping from step
-    if (mappings.length === 0 && step.input_mapping) {
-        const parsed = safeJsonParse(step.input_mapping, []);
-        if (Array.isArray(parsed)) {
-            mappings = parsed;
-        }
+    if (!isRetryableError(error, retryConfig)) {
+        logger.info('Step error not retryable', {
+            instanceId: instance.id,
+            stepCode: step.step_code,
+            error: error.message
+        });
+        return null;
     }
 
-    const config = safeJsonParse(step.config, {});
+    const firstAttemptAt = new Date(attempt ? attempt.firstAttemptAt : stepExecution.started_at || Date.now());
+    const nextRetryAt = new Date(Date.now() + calculateBackoffDelay(retryConfig, attemptNumber));
 
-    if (mappings.length === 0 && !config.transformations) {
-        return {
-            status: STEP_STATUSES.COMPLETED,
-            outputPayload: payload
-        };
+    if (retryConfig.max_elapsed_ms && nextRetryAt - firstAttemptAt > retryConfig.max_elapsed_ms) {
+        logger.info('Step retry window exhausted', {
+            instanceId: instance.id,
+            stepCode: step.step_code,
+            maxElapsedMs: retryConfig.max_elapsed_ms
+        });
+        return null;
     }
 
-    let transformedPayload = deepClone(payload);
+    await stepExecutionsModel.update(stepExecution.id, {
+        next_retry_at: nextRetryAt,
+        max_attempts: maxRetries + 1
+    });
 
-    // Apply field mappings
-    if (mappings.length > 0) {
-        const swapConfig = config.swapConfig || null;
-        const mappedData = applyFieldMappings(payload, mappings, swapConfig);
-        transformedPayload = { ...transformedPayload, ...mappedData };
-    }
+    const job = await jobQueueModel.create({
+        job_type: 'RETRY_STEP',
+        job_name: `Retry ${step.step_code} (attempt ${attemptNumber + 1})`,
+        flow_instance_id: instance.id,
+        step_execution_id: stepExecution.id,
+        payload: JSON.stringify({
+            flowInstanceId: instance.id,
+            stepExecutionId: stepExecution.id
+        }),
+        status: 'PENDING',
+        priority: 1,
+        scheduled_for: nextRetryAt
+    });
 
-    // Apply additional transformations from config
-    if (config.transformations) {
-        for (const transform of config.transformations) {
-            transformedPayload = applyTransform(transformedPayload, transform);
-        }
-    }
+    await flowInstancesModel.update(instance.id, {
+        status: INSTANCE_STATUSES.WAITING_RETRY,
+        last_error: error.message
+    });
 
-    // Save the transformed payload to step execution
-    if (stepExecution) {
-        await stepExecutionsModel.update(stepExecution.id, {
-            transformed_payload: JSON.stringify(transformedPayload)
-        });
-    }
+    await createProcessLog(instance.id, 'STEP_RETRY_SCHEDULED', {
+        stepCode: step.step_code,
+        stepExecutionId: stepExecution.id,
+        attemptNumber: attemptNumber + 1,
+        nextRetryAt,
+        jobId: job.id,
+        error: error.message
+    });
 
     return {
-        status: STEP_STATUSES.COMPLETED,
-        outputPayload: transformedPayload
+        status: 'WAITING_RETRY',
+        instanceId: instance.id,
+        stepId: step.id,
+        nextRetryAt,
+        attemptNumber: attemptNumber + 1
     };
 };
 
 /**
- * Apply a single transformation
+ * Apply a step's on_error_action once retries are exhausted
+ * Returns { nextStep, payload } to keep executing, or { result } to stop; FAIL rethrows
  */
-const applyTransform = (payload, transform) => {
-    const { type, field, value, sourceField } = transform;
-    const result = deepClone(payload);
+const handleStepError = async (instance, flowDef, step, stepExecution, payload, error, branch) => {
+    const action = String(step.on_error_action || ERROR_ACTIONS.FAIL).toUpperCase();
+    const stepError = {
+        stepCode: step.step_code,
+        message: error.message,
+        code: error.code,
+        statusCode: error.response?.status
+    };
 
-    switch (type) {
-        case 'set':
-            result[field] = value;
-            break;
-        case 'copy':
-            result[field] = payload[sourceField];
-            break;
-        case 'delete':
-            delete result[field];
-            break;
-        case 'formatAmount':
-            result[field] = formatAmount(payload[sourceField || field]);
-            break;
-        case 'formatDateTime':
-            result[field] = formatDateTime(new Date());
-            break;
-        default:
-            break;
+    // RETRY has had its retries by now (see getStepRetryConfig)
+    if (action === ERROR_ACTIONS.FAIL || action === ERROR_ACTIONS.RETRY || !Object.values(ERROR_ACTIONS).includes(action)) {
+        throw error;
     }
 
-    return result;
-};
+    logger.flow('Step error handled', {
+        instanceId: instance.id,
+        stepCode: step.step_code,
+        action,
+        error: error.message
+    });
 
-/**
- * Execute API_CALL step - call external API
- */
-const executeApiCallStep = async (instance, step, payload, stepExecution) => {
-    const config = safeJsonParse(step.config, {});
-    const { apiId, method = 'POST', pathTemplate, includeCallback = false } = config;
+    await createProcessLog(instance.id, 'STEP_ERROR_HANDLED', {
+        stepCode: step.step_code,
+        action,
+        error: error.message
+    });
 
-    // Get external API configuration
-    let apiConfig;
-    if (apiId) {
-        apiConfig = await externalApisModel.findById(apiId);
-    } else if (config.url) {
-        apiConfig = { base_url: config.url };
-    }
+    switch (action) {
+        case ERROR_ACTIONS.CONTINUE:
+        case ERROR_ACTIONS.SKIP: {
+            // CONTINUE carries the error forward, SKIP behaves as if the step never ran
+            const nextPayload = action === ERROR_ACTIONS.CONTINUE ? { ...payload, stepError } : payload;
+            if (action === ERROR_ACTIONS.SKIP) {
+                await stepExecutionsModel.update(stepExecution.id, {
+                    status: STEP_STATUSES.SKIPPED
+                });
+            }
 
-    if (!apiConfig) {
-        throw new Error(`External API configuration not found for step: ${step.id}`);
-    }
+            const nextStep = await flowService.getNextStep(flowDef, step.id, nextPayload);
+            if (nextStep) {
+                return { nextStep, payload: nextPayload };
+            }
 
-    // Build request URL
-    let url = apiConfig.base_url;
-    if (pathTemplate) {
-        url += interpolateTemplate(pathTemplate, payload);
-    }
+            if (branch) {
+                return {
+                    result: { status: BRANCH_OUTCOMES.BRANCH_ENDED, instanceId: instance.id, payload: nextPayload }
+                };
+            }
 
-    // Apply field mappings for request body
-    let requestBody = deepClone(payload);
-    if (step.fieldMappings && step.fieldMappings.length > 0) {
-        const swapConfig = config.swapConfig || null;
-        requestBody = applyFieldMappings(payload, step.fieldMappings, swapConfig);
-    }
+            return { result: await completeInstance(instance, flowDef, nextPayload) };
+        }
 
-    // Add callback URL if needed (from database config or env var)
-    if (includeCallback) {
-        const baseUrl = await configService.getOrchestratorBaseUrl();
-        requestBody.callbackUrl = `${baseUrl}/api/v1/callbacks/receive/${instance.id}/${stepExecution.id}`;
-    }
+        case ERROR_ACTIONS.ROUTE_TO_HANDLER: {
+            const handlerStep = flowDef.steps.find(s => s.id === step.error_handler_step_id);
+            if (!handlerStep) {
+                throw new Error(`Error handler step not found for ${step.step_code}: ${error.message}`);
+            }
 
-    // Build headers
-    const headers = {
-        'Content-Type': 'application/json',
-        ...safeJsonParse(apiConfig.default_headers, {}),
-        ...config.headers
-    };
+            return { nextStep: handlerStep, payload: { ...payload, stepError } };
+        }
 
-    logger.info('Calling external API', {
-        instanceId: instance.id,
-        stepId: step.id,
-        url,
-        method
-    });
+        case ERROR_ACTIONS.MANUAL: {
+            const reason = `Step ${step.step_code} failed: ${error.message}`;
 
-    // Save the API request before making the call
-    await stepExecutionsModel.update(stepExecution.id, {
-        api_request: JSON.stringify({
-            url,
-            method,
-            headers: { ...headers, Authorization: headers.Authorization ? '[REDACTED]' : undefined },
-            body: requestBody
-        }),
-        transformed_payload: JSON.stringify(requestBody)
-    });
+            await flowInstancesModel.update(instance.id, {
+                status: INSTANCE_STATUSES.MANUAL_INTERVENTION,
+                requires_manual: true,
+                manual_reason: reason,
+                last_error: error.message,
+                ...instancePayload(branch, { ...payload, stepError })
+            });
 
-    const startTime = Date.now();
+            // Required here: manualTaskService depends on this module
+            const manualTaskService = require('./manualTaskService');
+            await manualTaskService.openTask(instance.id, {
+                source: manualTaskService.TASK_SOURCES.STEP_ERROR,
+                stepId: step.id,
+                stepExecutionId: stepExecution.id,
+                reason
+            });
 
-    try {
-        const response = await axios({
-            method,
-            url,
-            data: requestBody,
-            headers,
-            timeout: step.timeout_ms || 30000
-        });
+            return {
+                result: {
+                    status: 'MANUAL_INTERVENTION',
+                    instanceId: instance.id,
+                    stepId: step.id,
+                    payload: { ...payload, stepError },
+                    reason
+                }
+            };
+        }
 
-        const responseTime = Date.now() - startTime;
-        const responseData = response.data;
+        case ERROR_ACTIONS.COMPENSATE: {
+            // Roll back now; the instance ends COMPENSATED unless a compensation fails
+            const compensation = await compensateInstance(instance.id, { reason: error.message });
+            const status = compensation.failed > 0 ? INSTANCE_STATUSES.FAILED : INSTANCE_STATUSES.COMPENSATED;
 
-        // Filter out null/undefined values from response before merging
-        const nonNullResponseFields = {};
-        if (typeof responseData === 'object' && responseData !== null) {
-            for (const [key, value] of Object.entries(responseData)) {
-                if (value !== null && value !== undefined) {
-                    nonNullResponseFields[key] = value;
+            await flowInstancesModel.update(instance.id, {
+                status,
+                last_error: error.message,
+                completed_at: new Date()
+            });
+
+            await createProcessLog(instance.id,
+                status === INSTANCE_STATUSES.COMPENSATED ? 'INSTANCE_COMPENSATED' : 'INSTANCE_FAILED', {
+                    error: error.message,
+                    compensated: compensation.compensated,
+                    failed: compensation.failed
+                });
+
+            await notifyParentInstance(instance.id);
+
+            return {
+                result: {
+                    status,
+                    instanceId: instance.id,
+                    error: error.message,
+                    compensation
                 }
-            }
+            };
         }
 
-        // Merge response with payload - only non-null response values overwrite
-        const outputPayload = {
-            ...payload,
-            apiResponse: responseData,
-            ...nonNullResponseFields
-        };
+        default:
+            throw error;
+    }
+};
 
-        // Update step execution with response
-        await stepExecutionsModel.update(stepExecution.id, {
-            api_response: JSON.stringify(responseData),
-            api_status_code: response.status,
-            api_response_time_ms: responseTime
-        });
+/**
+ * Re-run a failed step as a new attempt (called by the RETRY_STEP job)
+ * Returns null when the retry was already taken or the instance is finished
+ */
+const retryStep = lockingInstance(async (instanceId, failedExecutionId) => {
+    // Claim the failed execution so a duplicate job cannot retry twice
+    const claimed = await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET next_retry_at = NULL
+        WHERE id = $1 AND status = $2 AND next_retry_at IS NOT NULL
+        RETURNING *
+    `, [failedExecutionId, STEP_STATUSES.FAILED]);
+
+    if (claimed.length === 0) {
+        return null;
+    }
 
-        // NOTE: If includeCallback is true, the callback URL was added to the request
-        // but we DON'T wait here. The next step should be a CALLBACK step that handles waiting.
-        // This allows the flow to: API_CALL → CALLBACK (waits) → CONDITION (checks result)
+    const failedExecution = claimed[0];
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance) {
+        throw new Error(`Flow instance not found: ${instanceId}`);
+    }
 
-        // Check if response indicates we need TSQ
-        const actionCode = responseData.actionCode;
-        if (shouldTriggerTsq(actionCode)) {
-            outputPayload.needsTsq = true;
-            outputPayload.tsqReason = actionCode;
-        }
+    if (TERMINAL_INSTANCE_STATUSES.includes(instance.status)) {
+        logger.warn('Retry skipped for finished instance', { instanceId, status: instance.status });
+        return null;
+    }
 
-        return {
-            status: STEP_STATUSES.COMPLETED,
-            outputPayload
-        };
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+    const step = flowDef.steps.find(s => s.id === failedExecution.step_id);
+    const { branch = null, retry = null } = safeJsonParse(failedExecution.metadata, {}) || {};
+    const attempt = {
+        number: (failedExecution.attempt_number || 1) + 1,
+        firstAttemptAt: retry?.firstAttemptAt || failedExecution.started_at,
+        previousAttemptId: failedExecution.id
+    };
 
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
+    await flowInstancesModel.update(instanceId, {
+        status: INSTANCE_STATUSES.RUNNING
+    });
 
-        logger.error('API call failed', {
-            instanceId: instance.id,
-            stepId: step.id,
-            error: error.message,
-            responseTime
-        });
+    await createProcessLog(instanceId, 'STEP_RETRY', {
+        stepCode: step.step_code,
+        attemptNumber: attempt.number,
+        previousAttemptId: failedExecution.id
+    });
 
-        await stepExecutionsModel.update(stepExecution.id, {
-            api_response: JSON.stringify(error.response?.data || { error: error.message }),
-            api_status_code: error.response?.status || 0,
-            api_response_time_ms: responseTime,
-            error_message: error.message,
-            error_details: JSON.stringify({
-                code: error.code,
-                status: error.response?.status,
-                statusText: error.response?.statusText
-            })
+    const refreshedInstance = await flowInstancesModel.findById(instanceId);
+    const payload = safeJsonParse(failedExecution.input_payload, {}) || {};
+
+    try {
+        return await executeFromStep(refreshedInstance, flowDef, step, payload, { branch, attempt });
+    } catch (error) {
+        logger.error('Flow execution failed after retry', {
+            instanceId,
+            error: error.message
         });
 
-        throw error;
+        await failInstance(instanceId, error);
+
+        return {
+            status: INSTANCE_STATUSES.FAILED,
+            instanceId,
+            error: error.message
+        };
     }
-};
+});
 
 /**
- * Execute CALLBACK/LISTENER step - wait for callback
+ * Mark a flow instance as completed
  */
-const executeCallbackStep = async (instance, step, payload, stepExecution) => {
-    const config = safeJsonParse(step.config, {});
+const completeInstance = async (instance, flowDef, payload) => {
+    // For sync flows, mark callback_sent = true since response is returned directly
+    const isSync = flowDef.flow && flowDef.flow.is_sync;
+    await flowInstancesModel.update(instance.id, {
+        status: INSTANCE_STATUSES.COMPLETED,
+        final_response: JSON.stringify(payload),
+        completed_at: new Date(),
+        callback_sent: isSync ? true : false
+    });
 
-    // Register expected callback
-    await expectedCallbacksModel.create({
-        flow_instance_id: instance.id,
-        step_execution_id: stepExecution.id,
-        session_id: payload.sessionId,
-        tracking_number: payload.trackingNumber,
-        callback_type: config.callbackType || 'CALLBACK',
-        status: 'PENDING',
-        match_fields: JSON.stringify(config.expectedFields || ['actionCode']),
-        expected_by: new Date(Date.now() + (config.timeout || 300000))
+    await createProcessLog(instance.id, 'INSTANCE_COMPLETED', {
+        finalPayload: payload
     });
 
+    await notifyParentInstance(instance.id);
+
     return {
-        status: STEP_STATUSES.WAITING,
-        outputPayload: payload,
-        waitForCallback: true,
-        callbackId: stepExecution.id
+        status: 'COMPLETED',
+        instanceId: instance.id,
+        payload
     };
 };
 
 /**
- * Execute CONDITION/GATEWAY step
+ * Check if a step is an AND/OR split gateway
  */
-const executeConditionStep = async (step, payload) => {
-    // Condition evaluation happens in transition selection
-    // This step just passes through
-    return {
-        status: STEP_STATUSES.COMPLETED,
-        outputPayload: payload
-    };
+const isParallelSplit = (step) => {
+    if (step.step_type !== 'GATEWAY') return false;
+    const { gatewayType, direction } = flowService.getGatewayConfig(step);
+    return direction === flowService.GATEWAY_DIRECTIONS.SPLIT &&
+        [flowService.GATEWAY_TYPES.AND, flowService.GATEWAY_TYPES.OR].includes(gatewayType);
 };
 
 /**
- * Execute MANUAL step - requires human intervention
+ * Check if a step is a join gateway
  */
-const executeManualStep = async (step, payload) => {
-    const config = safeJsonParse(step.config, {});
+const isJoinGateway = (step) => {
+    if (step.step_type !== 'GATEWAY') return false;
+    return flowService.getGatewayConfig(step).direction === flowService.GATEWAY_DIRECTIONS.JOIN;
+};
+
+/**
+ * Merge branch payloads over the payload the split started with (in arrival order)
+ */
+const mergeBranchPayloads = (basePayload, branchPayloads) => {
+    return branchPayloads.reduce((merged, branchPayload) => ({ ...merged, ...branchPayload }), deepClone(basePayload));
+};
+
+/**
+ * Execute an AND/OR split - run each outgoing branch concurrently
+ * AND takes every outgoing transition, OR takes every transition whose condition matches.
+ * A failing branch stops its siblings before their next step; the failure is rethrown once every
+ * branch has stopped, so nothing still runs when the instance is failed.
+ */
+const executeParallelSplit = async (instance, flowDef, splitStep, payload, splitExecution, parentBranch, parentAbort = null) => {
+    const { gatewayType } = flowService.getGatewayConfig(splitStep);
+    const branchSteps = await flowService.getNextSteps(flowDef, splitStep.id, payload, {
+        ignoreConditions: gatewayType === flowService.GATEWAY_TYPES.AND
+    });
+
+    if (branchSteps.length === 0) {
+        throw new Error(`Gateway ${splitStep.step_code} has no branch to take`);
+    }
+
+    // Branch count is read by the join to know how many arrivals to wait for
+    await stepExecutionsModel.update(splitExecution.id, {
+        metadata: JSON.stringify({
+            gateway: {
+                gatewayType,
+                branchCount: branchSteps.length,
+                branchStepIds: branchSteps.map(s => s.id)
+            },
+            ...(parentBranch && { branch: parentBranch })
+        })
+    });
+
+    await createProcessLog(instance.id, 'PARALLEL_SPLIT', {
+        stepId: splitStep.id,
+        stepCode: splitStep.step_code,
+        gatewayType,
+        branches: branchSteps.map(s => s.step_code)
+    });
+
+    const abort = { aborted: false, parent: parentAbort };
+    const settled = await Promise.allSettled(branchSteps.map((branchStep, branchIndex) =>
+        executeFromStep(instance, flowDef, branchStep, payload, {
+            branch: { splitExecutionId: splitExecution.id, branchIndex },
+            abort
+        }).catch((error) => {
+            abort.aborted = true;
+            throw error;
+        })
+    ));
+
+    const failure = settled.find(s => s.status === 'rejected');
+    if (failure) {
+        throw failure.reason;
+    }
+
+    const outcomes = settled.map(s => s.value);
+
+    // An enclosing split was abandoned while these branches ran
+    if (outcomes.some(o => o.status === BRANCH_OUTCOMES.BRANCH_ABORTED)) {
+        return { status: BRANCH_OUTCOMES.BRANCH_ABORTED, instanceId: instance.id, stepId: splitStep.id, payload };
+    }
+
+    // The branch that released the join carried the flow forward
+    const joined = outcomes.find(o => o.joined);
+    if (joined) {
+        return joined;
+    }
+
+    // Otherwise surface a branch that is parked (callback, manual intervention)
+    const parked = outcomes.find(o => !Object.values(BRANCH_OUTCOMES).includes(o.status));
+    if (parked) {
+        return parked;
+    }
+
+    // Every branch ended on its own - the split completes the flow
+    if (outcomes.every(o => o.status === BRANCH_OUTCOMES.BRANCH_ENDED)) {
+        const mergedPayload = mergeBranchPayloads(payload, outcomes.map(o => o.payload));
+        if (parentBranch) {
+            return {
+                status: BRANCH_OUTCOMES.BRANCH_ENDED,
+                instanceId: instance.id,
+                payload: mergedPayload
+            };
+        }
+        return completeInstance(instance, flowDef, mergedPayload);
+    }
+
+    logger.warn('Parallel branches finished without releasing join', {
+        instanceId: instance.id,
+        splitStepCode: splitStep.step_code,
+        outcomes: outcomes.map(o => o.status)
+    });
 
     return {
-        status: STEP_STATUSES.WAITING,
-        outputPayload: payload,
-        manualIntervention: true,
-        reason: config.reason || 'Manual intervention required'
+        status: BRANCH_OUTCOMES.JOIN_WAITING,
+        instanceId: instance.id,
+        stepId: splitStep.id,
+        payload
     };
 };
 
 /**
- * Execute ALERT step
+ * Record a branch arriving at a join gateway
+ * AND joins wait for every branch, OR joins release after the first joinCount branches
  */
-const executeAlertStep = async (instance, step, payload) => {
-    const config = safeJsonParse(step.config, {});
+const arriveAtJoin = async (instance, flowDef, joinStep, payload, branch) => {
+    const splitExecution = await stepExecutionsModel.findById(branch.splitExecutionId);
+    if (!splitExecution) {
+        throw new Error(`Split execution not found: ${branch.splitExecutionId}`);
+    }
+
+    const splitMetadata = safeJsonParse(splitExecution.metadata, {}) || {};
+    const branchCount = splitMetadata.gateway?.branchCount || 1;
+    const { gatewayType, joinCount } = flowService.getGatewayConfig(joinStep);
+    const requiredArrivals = gatewayType === flowService.GATEWAY_TYPES.OR
+        ? Math.min(joinCount || 1, branchCount)
+        : branchCount;
+
+    const arrival = await stepExecutionsModel.create({
+        flow_instance_id: instance.id,
+        step_id: joinStep.id,
+        status: STEP_STATUSES.WAITING,
+        input_payload: JSON.stringify(payload),
+        output_payload: JSON.stringify(payload),
+        started_at: new Date(),
+        metadata: JSON.stringify({ branch, join: { gatewayType, requiredArrivals } })
+    });
+
+    const arrivals = await stepExecutionsModel.raw(`
+        SELECT id, output_payload FROM step_executions
+        WHERE flow_instance_id = $1
+          AND step_id = $2
+          AND metadata->'branch'->>'splitExecutionId' = $3
+        ORDER BY created_at ASC, started_at ASC
+    `, [instance.id, joinStep.id, splitExecution.id]);
+
+    logger.flow('Branch arrived at join', {
+        instanceId: instance.id,
+        joinStepCode: joinStep.step_code,
+        branchIndex: branch.branchIndex,
+        arrivals: arrivals.length,
+        requiredArrivals
+    });
+
+    if (arrivals.length < requiredArrivals) {
+        return {
+            status: BRANCH_OUTCOMES.JOIN_WAITING,
+            instanceId: instance.id,
+            stepId: joinStep.id,
+            payload
+        };
+    }
+
+    // Only one branch may release the join
+    const released = await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('joinReleasedAt', NOW())
+        WHERE id = $1 AND NOT (COALESCE(metadata, '{}'::jsonb) ? 'joinReleasedAt')
+        RETURNING id
+    `, [splitExecution.id]);
+
+    if (released.length === 0) {
+        await stepExecutionsModel.update(arrival.id, {
+            status: STEP_STATUSES.SKIPPED,
+            completed_at: new Date()
+        });
+
+        return {
+            status: BRANCH_OUTCOMES.JOIN_LATE,
+            instanceId: instance.id,
+            stepId: joinStep.id,
+            payload
+        };
+    }
+
+    const joinedArrivals = arrivals.slice(0, requiredArrivals);
+    const joinedPayload = mergeBranchPayloads(
+        safeJsonParse(splitExecution.output_payload, {}) || {},
+        joinedArrivals.map(a => safeJsonParse(a.output_payload, {}) || {})
+    );
+
+    await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET status = $1, completed_at = NOW()
+        WHERE id = ANY($2)
+    `, [STEP_STATUSES.COMPLETED, joinedArrivals.map(a => a.id)]);
+
+    await flowInstancesModel.update(instance.id, {
+        status: INSTANCE_STATUSES.RUNNING,
+        current_payload: JSON.stringify(joinedPayload),
+        current_step_id: joinStep.id
+    });
+
+    await createProcessLog(instance.id, 'PARALLEL_JOIN', {
+        stepId: joinStep.id,
+        stepCode: joinStep.step_code,
+        gatewayType,
+        joinedBranches: joinedArrivals.length,
+        branchCount
+    });
+
+    // Continue past the join in the context the split was running in
+    const parentBranch = splitMetadata.branch || null;
+    const nextStep = await flowService.getNextStep(flowDef, joinStep.id, joinedPayload);
+    const refreshedInstance = await flowInstancesModel.findById(instance.id);
+
+    let result;
+    if (nextStep) {
+        result = await executeFromStep(refreshedInstance, flowDef, nextStep, joinedPayload, { branch: parentBranch });
+    } else if (parentBranch) {
+        result = { status: BRANCH_OUTCOMES.BRANCH_ENDED, instanceId: instance.id, payload: joinedPayload };
+    } else {
+        result = await completeInstance(refreshedInstance, flowDef, joinedPayload);
+    }
+
+    return { ...result, joined: true };
+};
+
+/**
+ * Roll back a failed instance - walk completed step executions backwards
+ * and run the compensating step or sub-flow declared on each step
+ */
+const compensateInstance = lockingInstance(async (instanceId, options = {}) => {
+    const { reason = 'Instance failed' } = options;
+
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance) {
+        throw new Error(`Flow instance not found: ${instanceId}`);
+    }
+
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+
+    // Completed executions that have not been compensated and are not compensations themselves
+    const completedExecutions = await stepExecutionsModel.raw(`
+        SELECT * FROM step_executions
+        WHERE flow_instance_id = $1
+          AND status = $2
+          AND compensation_status IS NULL
+          AND NOT (COALESCE(metadata, '{}'::jsonb) ? 'compensates')
+        ORDER BY completed_at DESC NULLS LAST, started_at DESC
+    `, [instanceId, STEP_STATUSES.COMPLETED]);
+
+    const pending = completedExecutions
+        .map(execution => ({
+            execution,
+            step: flowDef.steps.find(s => s.id === execution.step_id)
+        }))
+        .filter(({ step }) => step && (step.compensation_step_id || step.compensation_flow_code));
+
+    if (pending.length === 0) {
+        return { instanceId, compensated: 0, failed: 0, results: [] };
+    }
+
+    logger.flow('Compensating flow instance', {
+        instanceId,
+        reason,
+        steps: pending.map(({ step }) => step.step_code)
+    });
+
+    await createProcessLog(instanceId, 'COMPENSATION_STARTED', {
+        reason,
+        steps: pending.map(({ step }) => step.step_code)
+    });
+
+    const results = [];
+    for (const { execution, step } of pending) {
+        results.push(await compensateStepExecution(instance, flowDef, step, execution, reason));
+    }
+
+    const failed = results.filter(r => r.status === COMPENSATION_STATUSES.FAILED);
+    if (failed.length > 0) {
+        await flowInstancesModel.update(instanceId, {
+            requires_manual: true,
+            manual_reason: `Compensation failed for: ${failed.map(r => r.stepCode).join(', ')}`
+        });
+    }
+
+    await createProcessLog(instanceId, 'COMPENSATION_COMPLETED', {
+        compensated: results.length - failed.length,
+        failed: failed.length,
+        results
+    });
+
+    return {
+        instanceId,
+        compensated: results.length - failed.length,
+        failed: failed.length,
+        results
+    };
+});
+
+/**
+ * Run the compensation declared on a step for one of its completed executions
+ */
+const compensateStepExecution = async (instance, flowDef, step, execution, reason) => {
+    const compensationPayload = {
+        ...(safeJsonParse(instance.current_payload, {}) || {}),
+        ...(safeJsonParse(execution.output_payload, {}) || {}),
+        compensation: {
+            stepExecutionId: execution.id,
+            stepCode: step.step_code,
+            reason
+        }
+    };
+
+    let status;
+    let details = {};
+    let compensationExecution = null;
+
+    try {
+        if (step.compensation_step_id) {
+            const compensationStep = flowDef.steps.find(s => s.id === step.compensation_step_id);
+            if (!compensationStep) {
+                throw new Error(`Compensation step not found: ${step.compensation_step_id}`);
+            }
+
+            compensationExecution = await stepExecutionsModel.create({
+                flow_instance_id: instance.id,
+                step_id: compensationStep.id,
+                status: STEP_STATUSES.RUNNING,
+                input_payload: JSON.stringify(compensationPayload),
+                started_at: new Date(),
+                metadata: JSON.stringify({ compensates: execution.id })
+            });
+
+            details = {
+                compensationStepCode: compensationStep.step_code,
+                compensationExecutionId: compensationExecution.id
+            };
+
+            const result = await executeStep(instance, compensationStep, compensationPayload, compensationExecution);
+
+            await stepExecutionsModel.update(compensationExecution.id, {
+                status: result.status,
+                output_payload: JSON.stringify(result.outputPayload),
+                completed_at: result.status === STEP_STATUSES.COMPLETED ? new Date() : null,
+                metadata: JSON.stringify({ ...(result.metadata || {}), compensates: execution.id })
+            });
+
+            // Compensations that wait for a callback finish in resumeAfterCallback
+            status = result.status === STEP_STATUSES.COMPLETED
+                ? COMPENSATION_STATUSES.COMPENSATED
+                : COMPENSATION_STATUSES.IN_PROGRESS;
+        } else {
+            const child = await startCompensationFlow(instance, step.compensation_flow_code, compensationPayload);
+            details = {
+                compensationFlowCode: step.compensation_flow_code,
+                childInstanceId: child.childInstanceId,
+                ...(child.error && { error: child.error })
+            };
+
+            if (child.status === INSTANCE_STATUSES.COMPLETED) {
+                status = COMPENSATION_STATUSES.COMPENSATED;
+            } else if (child.status === INSTANCE_STATUSES.FAILED) {
+                status = COMPENSATION_STATUSES.FAILED;
+            } else {
+                status = COMPENSATION_STATUSES.IN_PROGRESS;
+            }
+        }
+    } catch (error) {
+        status = COMPENSATION_STATUSES.FAILED;
+        details = { ...details, error: error.message };
+
+        if (compensationExecution) {
+            await stepExecutionsModel.update(compensationExecution.id, {
+                status: STEP_STATUSES.FAILED,
+                error_message: error.message,
+                completed_at: new Date()
+            });
+        }
+
+        logger.error('Step compensation failed', {
+            instanceId: instance.id,
+            stepCode: step.step_code,
+            error: error.message
+        });
+    }
+
+    await stepExecutionsModel.update(execution.id, {
+        compensation_status: status,
+        compensated_at: new Date(),
+        compensation_details: JSON.stringify(details)
+    });
+
+    await createProcessLog(instance.id,
+        status === COMPENSATION_STATUSES.FAILED ? 'STEP_COMPENSATION_FAILED' : 'STEP_COMPENSATED', {
+            stepExecutionId: execution.id,
+            stepCode: step.step_code,
+            status,
+            ...details
+        });
+
+    return {
+        stepExecutionId: execution.id,
+        stepCode: step.step_code,
+        status,
+        ...details
+    };
+};
+
+/**
+ * Start a compensating sub-flow as a child instance of the failed instance
+ */
+const startCompensationFlow = async (instance, flowCode, payload) => {
+    const flow = await flowsModel.findOne({ flow_code: flowCode, is_active: true });
+    if (!flow) {
+        throw new Error(`Compensation flow not found or inactive: ${flowCode}`);
+    }
+
+    const child = await flowInstancesModel.create({
+        flow_id: flow.id,
+        parent_instance_id: instance.id,
+        status: INSTANCE_STATUSES.PENDING,
+        original_request: JSON.stringify(payload),
+        current_payload: JSON.stringify(payload),
+        metadata: JSON.stringify({ compensationFor: instance.id })
+    });
+
+    await createProcessLog(instance.id, 'COMPENSATION_FLOW_STARTED', {
+        flowCode,
+        childInstanceId: child.id
+    });
+
+    try {
+        const result = await executeFlowInstance(child.id);
+        return { childInstanceId: child.id, status: result.status };
+    } catch (error) {
+        return { childInstanceId: child.id, status: INSTANCE_STATUSES.FAILED, error: error.message };
+    }
+};
+
+/**
+ * Execute a single step via its registered step type handler
+ */
+const executeStep = async (instance, step, payload, stepExecution) => {
+    const stepType = stepTypeRegistry.getStepType(step.step_type);
+    if (!stepType) {
+        throw new Error(`Unknown step type: ${step.step_type}`);
+    }
+
+    const config = safeJsonParse(step.config, {}) || {};
+    return stepType.execute({ instance, step, config, payload, stepExecution });
+};
+
+/**
+ * Execute START step
+ */
+const executeStartStep = async (step, payload) => {
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: payload
+    };
+};
+
+/**
+ * Execute END step
+ */
+const executeEndStep = async (step, payload) => {
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: payload
+    };
+};
+
+/**
+ * Execute TRANSFORM step - apply field mappings
+ */
+const executeTransformStep = async (step, payload, stepExecution) => {
+    // Handle fieldMappings from multiple sources:
+    // 1. step.fieldMappings.input (from flowService mapping)
+    // 2. step.fieldMappings (if it's an array directly)
+    // 3. step.input_mapping (raw from database, parsed)
+    let mappings = [];
+
+    if (step.fieldMappings) {
+        if (Array.isArray(step.fieldMappings)) {
+            mappings = step.fieldMappings;
+        } else if (Array.isArray(step.fieldMappings.input)) {
+            mappings = step.fieldMappings.input;
+        } else if (typeof step.fieldMappings.input === 'object') {
+            // Handle case where input is an object (from safeJsonParse default)
+            mappings = [];
+        }
+    }
+
+    // Fallback: check raw input_mapping from step
+    if (mappings.length === 0 && step.input_mapping) {
+        const parsed = safeJsonParse(step.input_mapping, []);
+        if (Array.isArray(parsed)) {
+            mappings = parsed;
+        }
+    }
+
+    const config = safeJsonParse(step.config, {});
+
+    if (mappings.length === 0 && !config.transformations) {
+        return {
+            status: STEP_STATUSES.COMPLETED,
+            outputPayload: payload
+        };
+    }
+
+    let transformedPayload = deepClone(payload);
+
+    // Apply field mappings
+    if (mappings.length > 0) {
+        const swapConfig = config.swapConfig || null;
+        const mappedData = applyFieldMappings(payload, mappings, swapConfig);
+        transformedPayload = { ...transformedPayload, ...mappedData };
+    }
+
+    // Apply additional transformations from config
+    if (config.transformations) {
+        for (const transform of config.transformations) {
+            transformedPayload = applyTransform(transformedPayload, transform);
+        }
+    }
+
+    // Save the transformed payload to step execution
+    if (stepExecution) {
+        await stepExecutionsModel.update(stepExecution.id, {
+            transformed_payload: JSON.stringify(transformedPayload)
+        });
+    }
+
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: transformedPayload
+    };
+};
+
+/**
+ * Apply a single transformation
+ */
+const applyTransform = (payload, transform) => {
+    const { type, field, value, sourceField, expression } = transform;
+    const result = deepClone(payload);
+
+    switch (type) {
+        case 'set':
+            result[field] = renderValue(value, payload);
+            break;
+        case 'expression':
+            result[field] = evaluateExpression(expression, payload);
+            break;
+        case 'copy':
+            result[field] = payload[sourceField];
+            break;
+        case 'delete':
+            delete result[field];
+            break;
+        case 'formatAmount':
+            result[field] = formatAmount(payload[sourceField || field]);
+            break;
+        case 'formatDateTime':
+            result[field] = formatDateTime(new Date());
+            break;
+        default:
+            break;
+    }
+
+    return result;
+};
+
+/**
+ * Execute API_CALL step - call external API
+ */
+const executeApiCallStep = async (instance, step, payload, stepExecution) => {
+    const config = safeJsonParse(step.config, {});
+    const { apiId, method = 'POST', pathTemplate, includeCallback = false } = config;
+
+    // Get external API configuration
+    let apiConfig;
+    if (apiId) {
+        apiConfig = await externalApisModel.findById(apiId);
+    } else if (config.url) {
+        apiConfig = { base_url: config.url };
+    }
+
+    if (!apiConfig) {
+        throw new Error(`External API configuration not found for step: ${step.id}`);
+    }
+
+    // Build request URL
+    let url = apiConfig.base_url;
+    if (pathTemplate) {
+        url += renderTemplate(pathTemplate, payload);
+    }
+
+    // Apply field mappings for request body
+    let requestBody = deepClone(payload);
+    if (step.fieldMappings && step.fieldMappings.length > 0) {
+        const swapConfig = config.swapConfig || null;
+        requestBody = applyFieldMappings(payload, step.fieldMappings, swapConfig);
+    }
+
+    // Add callback URL if needed (from database config or env var)
+    if (includeCallback) {
+        const baseUrl = await configService.getOrchestratorBaseUrl();
+        requestBody.callbackUrl = `${baseUrl}/api/v1/callbacks/receive/${instance.id}/${stepExecution.id}`;
+    }
+
+    // Build headers, rendering {{ expression }} placeholders against the payload
+    const headers = {
+        'Content-Type': 'application/json',
+        ...safeJsonParse(apiConfig.default_headers, {}),
+        ...config.headers
+    };
+    for (const [name, value] of Object.entries(headers)) {
+        headers[name] = renderTemplate(value, payload);
+    }
+
+    logger.info('Calling external API', {
+        instanceId: instance.id,
+        stepId: step.id,
+        url,
+        method
+    });
+
+    // Save the API request before making the call
+    await stepExecutionsModel.update(stepExecution.id, {
+        api_request: JSON.stringify({
+            url,
+            method,
+            authType: apiConfig.auth_type || 'NONE',
+            headers: { ...headers, Authorization: headers.Authorization ? '[REDACTED]' : undefined },
+            body: requestBody
+        }),
+        transformed_payload: JSON.stringify(requestBody)
+    });
+
+    const startTime = Date.now();
+
+    try {
+        // Credentials from the API's auth_type/auth_config are added here and never recorded
+        const response = await outboundAuthService.callExternalApi(apiConfig, {
+            method,
+            url,
+            data: requestBody,
+            headers,
+            timeout: config.timeoutMs || step.api_timeout_ms || step.timeout_ms || 30000
+        });
+
+        const responseTime = Date.now() - startTime;
+        const responseData = response.data;
+        const outputPayload = mergeApiResponse(payload, responseData);
+
+        // Update step execution with response
+        await stepExecutionsModel.update(stepExecution.id, {
+            api_response: JSON.stringify(responseData),
+            api_status_code: response.status,
+            api_response_time_ms: responseTime
+        });
+
+        // NOTE: If includeCallback is true, the callback URL was added to the request
+        // but we DON'T wait here. The next step should be a CALLBACK step that handles waiting.
+        // This allows the flow to: API_CALL → CALLBACK (waits) → CONDITION (checks result)
+
+        return {
+            status: STEP_STATUSES.COMPLETED,
+            outputPayload
+        };
+
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+
+        logger.error('API call failed', {
+            instanceId: instance.id,
+            stepId: step.id,
+            error: error.message,
+            responseTime
+        });
+
+        await stepExecutionsModel.update(stepExecution.id, {
+            api_response: JSON.stringify(error.response?.data || { error: error.message }),
+            api_status_code: error.response?.status || 0,
+            api_response_time_ms: responseTime,
+            error_message: error.message,
+            error_details: JSON.stringify({
+                code: error.code,
+                status: error.response?.status,
+                statusText: error.response?.statusText
+            })
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Merge an API response into the payload (only non-null response fields overwrite)
+ * and flag responses that need a TSQ
+ */
+const mergeApiResponse = (payload, responseData) => {
+    // Filter out null/undefined values from response before merging
+    const nonNullResponseFields = {};
+    if (typeof responseData === 'object' && responseData !== null) {
+        for (const [key, value] of Object.entries(responseData)) {
+            if (value !== null && value !== undefined) {
+                nonNullResponseFields[key] = value;
+            }
+        }
+    }
+
+    const outputPayload = {
+        ...payload,
+        apiResponse: responseData,
+        ...nonNullResponseFields
+    };
+
+    // Check if response indicates we need TSQ
+    const actionCode = responseData?.actionCode;
+    if (shouldTriggerTsq(actionCode)) {
+        outputPayload.needsTsq = true;
+        outputPayload.tsqReason = actionCode;
+    }
+
+    return outputPayload;
+};
+
+/**
+ * Merge a received callback into the payload
+ */
+const mergeCallbackPayload = (payload, callbackPayload) => ({
+    ...payload,
+    callbackResponse: callbackPayload,
+    ...callbackPayload
+});
+
+/**
+ * Execute CALLBACK/LISTENER step - wait for callback
+ */
+const executeCallbackStep = async (instance, step, payload, stepExecution) => {
+    const config = safeJsonParse(step.config, {});
+
+    // Register expected callback
+    await expectedCallbacksModel.create({
+        flow_instance_id: instance.id,
+        step_execution_id: stepExecution.id,
+        session_id: payload.sessionId,
+        tracking_number: payload.trackingNumber,
+        callback_type: config.callbackType || 'CALLBACK',
+        status: 'PENDING',
+        match_fields: JSON.stringify(config.expectedFields || ['actionCode']),
+        expected_by: new Date(Date.now() + (config.timeout || 300000))
+    });
+
+    return {
+        status: STEP_STATUSES.WAITING,
+        outputPayload: payload,
+        waitForCallback: true,
+        callbackId: stepExecution.id
+    };
+};
+
+/**
+ * Execute SUBFLOW step - run another flow as a child instance
+ * config: { flowCode, inputMapping, outputMapping, resultField }
+ */
+const executeSubflowStep = async (instance, step, payload, stepExecution) => {
+    const config = safeJsonParse(step.config, {});
+    const { flowCode, inputMapping } = config;
+
+    if (!flowCode) {
+        throw new Error(`SUBFLOW step ${step.step_code} has no flowCode configured`);
+    }
+
+    const flow = await flowsModel.findOne({ flow_code: flowCode, is_active: true });
+    if (!flow) {
+        throw new Error(`Subflow not found or inactive: ${flowCode}`);
+    }
+
+    const childInput = Array.isArray(inputMapping) && inputMapping.length > 0
+        ? applyFieldMappings(payload, inputMapping)
+        : deepClone(payload);
+
+    const child = await flowInstancesModel.create({
+        flow_id: flow.id,
+        parent_instance_id: instance.id,
+        status: INSTANCE_STATUSES.PENDING,
+        original_request: JSON.stringify(childInput),
+        current_payload: JSON.stringify(childInput),
+        metadata: JSON.stringify({
+            parentStepExecutionId: stepExecution.id,
+            parentStepId: step.id
+        })
+    });
+
+    const subflow = { flowCode, childInstanceId: child.id };
+
+    logger.flow('Subflow started', {
+        instanceId: instance.id,
+        stepCode: step.step_code,
+        ...subflow
+    });
+
+    await createProcessLog(instance.id, 'SUBFLOW_STARTED', {
+        stepCode: step.step_code,
+        ...subflow
+    });
+
+    // Run the child inline; it parks on its own if it has to wait (callback, timer, ...)
+    let childResult;
+    try {
+        childResult = await executeFlowInstance(child.id);
+    } catch (error) {
+        throw new Error(`Subflow ${flowCode} failed: ${error.message}`);
+    }
+
+    // A child that failed inline was already failed and compensated by executeFlowInstance
+    if (childResult.status === INSTANCE_STATUSES.FAILED) {
+        throw new Error(`Subflow ${flowCode} failed: ${childResult.error}`);
+    }
+
+    if (childResult.status === INSTANCE_STATUSES.COMPLETED) {
+        return {
+            status: STEP_STATUSES.COMPLETED,
+            outputPayload: mergeSubflowOutput(config, payload, childResult.payload || {}),
+            metadata: { subflow }
+        };
+    }
+
+    // Parent waits until the child reaches a terminal status (see notifyParentInstance)
+    return {
+        status: STEP_STATUSES.WAITING,
+        outputPayload: payload,
+        waitForSubflow: true,
+        childInstanceId: child.id,
+        metadata: { subflow }
+    };
+};
+
+/**
+ * Merge a child instance's output into the parent payload
+ */
+const mergeSubflowOutput = (config, payload, childOutput) => {
+    const { outputMapping, resultField } = config || {};
+    const mapped = Array.isArray(outputMapping) && outputMapping.length > 0
+        ? applyFieldMappings(childOutput, outputMapping)
+        : childOutput;
+
+    return resultField
+        ? { ...payload, [resultField]: mapped }
+        : { ...payload, ...mapped };
+};
+
+/**
+ * Execute TIMER step - park the instance and schedule a RESUME_FLOW job
+ * config: { durationMs } | { untilField } | { cron } | { businessHours: { days, start, end } }
+ */
+const executeTimerStep = async (instance, step, payload, stepExecution) => {
+    const config = safeJsonParse(step.config, {});
+    const resumeAt = resolveTimerResumeAt(config, payload);
+
+    if (resumeAt <= new Date()) {
+        return {
+            status: STEP_STATUSES.COMPLETED,
+            outputPayload: payload,
+            metadata: { timer: { resumeAt, elapsed: true } }
+        };
+    }
+
+    // Park the step before queueing: the RESUME_FLOW job only claims a WAITING step execution
+    await stepExecutionsModel.update(stepExecution.id, {
+        status: STEP_STATUSES.WAITING,
+        output_payload: JSON.stringify(payload)
+    });
+
+    const job = await jobQueueModel.create({
+        job_type: 'RESUME_FLOW',
+        job_name: `Resume ${step.step_code}`,
+        flow_instance_id: instance.id,
+        step_execution_id: stepExecution.id,
+        payload: JSON.stringify({
+            flowInstanceId: instance.id,
+            stepExecutionId: stepExecution.id
+        }),
+        status: 'PENDING',
+        priority: 1,
+        scheduled_for: resumeAt
+    });
+
+    logger.flow('Timer scheduled', {
+        instanceId: instance.id,
+        stepCode: step.step_code,
+        resumeAt,
+        jobId: job.id
+    });
+
+    return {
+        status: STEP_STATUSES.WAITING,
+        outputPayload: payload,
+        waitForTimer: true,
+        resumeAt,
+        jobId: job.id,
+        metadata: { timer: { resumeAt, jobId: job.id } }
+    };
+};
+
+/**
+ * Work out when a TIMER step should fire
+ */
+const resolveTimerResumeAt = (config, payload, now = new Date()) => {
+    if (config.durationMs !== undefined) {
+        return new Date(now.getTime() + Number(config.durationMs));
+    }
+
+    if (config.untilField) {
+        const value = getNestedValue(payload, config.untilField);
+        // Accept Date values, ISO strings / epoch millis and YYMMDDHHMMSS
+        const resumeAt = typeof value === 'string' && /^\d{12}$/.test(value)
+            ? parseDateTime(value)
+            : new Date(value);
+
+        if (!resumeAt || Number.isNaN(resumeAt.getTime())) {
+            throw new Error(`Invalid timestamp in payload field ${config.untilField}: ${value}`);
+        }
+        return resumeAt;
+    }
+
+    if (config.cron) {
+        return getNextCronDate(config.cron, now);
+    }
+
+    if (config.businessHours) {
+        return getNextBusinessTime(config.businessHours, now);
+    }
+
+    throw new Error('TIMER step requires durationMs, untilField, cron or businessHours in config');
+};
+
+/**
+ * Execute CONDITION/GATEWAY step
+ */
+const executeConditionStep = async (step, payload) => {
+    // Condition evaluation happens in transition selection
+    // This step just passes through
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: payload
+    };
+};
+
+/**
+ * Execute MANUAL step - requires human intervention
+ * Opens a task in the manual task inbox, or a MANUAL_STEP approval request for a step with
+ * requires_approval; context carries the instance and step execution (simulations pass none)
+ */
+const executeManualStep = async (step, payload, context = null) => {
+    const config = safeJsonParse(step.config, {});
+    const reason = config.reason || 'Manual intervention required';
+    const waiting = {
+        status: STEP_STATUSES.WAITING,
+        outputPayload: payload,
+        manualIntervention: true,
+        reason
+    };
+
+    if (!context) {
+        return waiting;
+    }
+
+    if (step.requires_approval) {
+        // Required here: approvalService depends on this module
+        const approvalService = require('./approvalService');
+        const approval = await approvalService.requestManualStepApproval(context.instance, step, context.stepExecution, payload, reason);
+        return { ...waiting, metadata: { approvalId: approval.id } };
+    }
+
+    // Required here: manualTaskService depends on this module
+    const manualTaskService = require('./manualTaskService');
+    const task = await manualTaskService.openTask(context.instance.id, {
+        source: manualTaskService.TASK_SOURCES.MANUAL_STEP,
+        stepId: step.id,
+        stepExecutionId: context.stepExecution.id,
+        reason,
+        slaMinutes: config.slaMinutes,
+        priority: config.priority
+    });
+    return { ...waiting, metadata: { taskId: task?.id } };
+};
+
+/**
+ * Execute ALERT step
+ */
+const executeAlertStep = async (instance, step, payload) => {
+    const config = safeJsonParse(step.config, {});
+
+    // Create alert (would integrate with alert service)
+    logger.info('Alert step executed', {
+        instanceId: instance.id,
+        stepId: step.id,
+        alertType: config.alertType,
+        message: renderTemplate(config.messageTemplate || '', payload)
+    });
+
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: payload,
+        metadata: { alertSent: true }
+    };
+};
+
+/**
+ * Execute generic TASK step
+ */
+const executeTaskStep = async (instance, step, payload) => {
+    const config = safeJsonParse(step.config, {});
+
+    // Execute based on task type
+    switch (config.taskType) {
+        case 'log':
+            logger.info('Task log', {
+                instanceId: instance.id,
+                message: renderTemplate(config.message || '', payload)
+            });
+            break;
+
+        case 'delay':
+            await sleep(config.delayMs || 1000);
+            break;
+
+        case 'validate':
+            // Add validation logic
+            break;
+
+        case 'REVERSAL': {
+            // Required here: reversalService depends on this module
+            const reversalService = require('./reversalService');
+            const reversalRequest = await reversalService.createReversalRequest({
+                originalInstanceId: instance.id,
+                reversalType: config.reversalType || reversalService.REVERSAL_TYPES.FTD_REVERSAL,
+                reason: config.reason || 'Triggered by flow',
+                initiatedBy: 'FLOW'
+            });
+            const reversal = await reversalService.executeReversalRequest(reversalRequest.id);
+
+            return {
+                status: STEP_STATUSES.COMPLETED,
+                outputPayload: {
+                    ...payload,
+                    reversal: { reversalId: reversalRequest.id, status: reversal.status }
+                },
+                metadata: { reversalId: reversalRequest.id }
+            };
+        }
+
+        default:
+            break;
+    }
+
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: payload
+    };
+};
+
+/**
+ * Error for a simulated step that needs a scripted response but has none
+ */
+const missingScriptError = (step, what) => {
+    const error = new Error(`No scripted ${what} for ${step.step_type} step ${step.step_code}`);
+    error.code = SIMULATION_NO_SCRIPT;
+    return error;
+};
+
+/**
+ * Simulate API_CALL - merge the scripted response as if the API had returned it
+ */
+const simulateApiCallStep = (step, payload, script) => {
+    if (!script || script.response === undefined) {
+        throw missingScriptError(step, 'response');
+    }
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: mergeApiResponse(payload, script.response),
+        metadata: { apiResponse: script.response }
+    };
+};
+
+/**
+ * Simulate CALLBACK/LISTENER - the scripted callback arrives immediately
+ */
+const simulateCallbackStep = (step, payload, script) => {
+    if (!script || script.callback === undefined) {
+        throw missingScriptError(step, 'callback');
+    }
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: mergeCallbackPayload(payload, script.callback),
+        metadata: { callback: script.callback }
+    };
+};
+
+/**
+ * Simulate SUBFLOW - the child ends with the scripted status and output
+ */
+const simulateSubflowStep = (step, config, payload, script) => {
+    if (!script || (script.output === undefined && script.status === undefined)) {
+        throw missingScriptError(step, 'subflow result');
+    }
+
+    const status = script.status || INSTANCE_STATUSES.COMPLETED;
+    if (status !== INSTANCE_STATUSES.COMPLETED) {
+        throw new Error(`Subflow ${config.flowCode} ended with status ${status}`);
+    }
+
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: mergeSubflowOutput(config, payload, script.output || {}),
+        metadata: { subflow: { flowCode: config.flowCode, status } }
+    };
+};
+
+/**
+ * Simulate TIMER - record when the timer would fire and continue without waiting
+ */
+const simulateTimerStep = (config, payload) => {
+    const resumeAt = resolveTimerResumeAt(config, payload);
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: payload,
+        metadata: { timer: { resumeAt, waitSkipped: resumeAt > new Date() } }
+    };
+};
+
+/**
+ * Simulate MANUAL - a scripted output stands in for the operator, otherwise the flow stops here
+ */
+const simulateManualStep = (step, payload, script) => {
+    if (script && script.output !== undefined) {
+        return {
+            status: STEP_STATUSES.COMPLETED,
+            outputPayload: { ...payload, ...script.output }
+        };
+    }
+    return executeManualStep(step, payload);
+};
+
+/**
+ * Create process log entry
+ */
+const createProcessLog = async (instanceId, logType, details = {}) => {
+    try {
+        await processLogsModel.create({
+            flow_instance_id: instanceId,
+            log_type: logType,
+            message: logType,
+            details: JSON.stringify(details)
+        });
+    } catch (error) {
+        logger.error('Failed to create process log', { error: error.message });
+    }
+};
+
+/**
+ * Record a callback that arrived for a step that is no longer waiting for it
+ */
+const recordIgnoredCallback = async (instanceId, stepExecutionId, callbackPayload, reason) => {
+    logger.warn('Callback ignored', { instanceId, stepExecutionId, reason });
+
+    await createProcessLog(instanceId, 'CALLBACK_IGNORED', {
+        stepExecutionId,
+        reason,
+        actionCode: callbackPayload?.actionCode
+    });
+
+    return null;
+};
+
+/**
+ * Resume flow instance after callback received
+ * Returns null when the step is no longer waiting (timed out, already resumed) or the instance
+ * has finished; the callback is recorded and the flow is not run again
+ */
+const resumeAfterCallback = lockingInstance(async (instanceId, stepExecutionId, callbackPayload) => {
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance) {
+        throw new Error(`Flow instance not found: ${instanceId}`);
+    }
+
+    const stepExecution = await stepExecutionsModel.findById(stepExecutionId);
+    if (!stepExecution) {
+        throw new Error(`Step execution not found: ${stepExecutionId}`);
+    }
+
+    // Steps inside a parallel branch resume from the branch's own payload
+    const { branch = null, compensates = null } = safeJsonParse(stepExecution.metadata, {}) || {};
+
+    // Compensating steps finish on a failed instance; any other step needs a live one
+    if (!compensates && TERMINAL_INSTANCE_STATUSES.includes(instance.status)) {
+        return recordIgnoredCallback(instanceId, stepExecutionId, callbackPayload, `Instance is ${instance.status}`);
+    }
+
+    // Claim the waiting step so a late callback (the step timed out and took its TIMEOUT transition)
+    // or a repeated one (duplicate delivery, queued RESUME_CALLBACK) cannot run the flow on again
+    const claimed = await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET status = $1, completed_at = NOW()
+        WHERE id = $2 AND status = $3
+        RETURNING id
+    `, [STEP_STATUSES.COMPLETED, stepExecutionId, STEP_STATUSES.WAITING]);
+
+    if (claimed.length === 0) {
+        const current = await stepExecutionsModel.findById(stepExecutionId, 'id, status');
+        return recordIgnoredCallback(instanceId, stepExecutionId, callbackPayload, `Step execution is ${current?.status}`);
+    }
+
+    // Get flow definition
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+
+    // Merge callback payload with current payload
+    const basePayload = branch
+        ? safeJsonParse(stepExecution.output_payload, {})
+        : safeJsonParse(instance.current_payload, {});
+    const currentPayload = mergeCallbackPayload(basePayload, callbackPayload);
+
+    // Update step execution with callback data
+    await stepExecutionsModel.update(stepExecutionId, {
+        status: STEP_STATUSES.COMPLETED,
+        output_payload: JSON.stringify(currentPayload),
+        callback_payload: JSON.stringify(callbackPayload),
+        callback_received: true,
+        callback_received_at: new Date(),
+        action_code: callbackPayload.actionCode,
+        approval_code: callbackPayload.approvalCode,
+        response_code: callbackPayload.responseCode,
+        response_message: callbackPayload.responseMessage || callbackPayload.narration,
+        completed_at: new Date()
+    });
+
+    // A compensating step finishing does not continue the (failed) flow
+    if (compensates) {
+        await stepExecutionsModel.update(compensates, {
+            compensation_status: COMPENSATION_STATUSES.COMPENSATED,
+            compensated_at: new Date()
+        });
+
+        await createProcessLog(instanceId, 'STEP_COMPENSATED', {
+            stepExecutionId: compensates,
+            compensationExecutionId: stepExecutionId
+        });
+
+        return {
+            status: COMPENSATION_STATUSES.COMPENSATED,
+            instanceId,
+            payload: currentPayload
+        };
+    }
+
+    // Update instance
+    await flowInstancesModel.update(instanceId, {
+        status: INSTANCE_STATUSES.RUNNING,
+        ...instancePayload(branch, currentPayload)
+    });
+
+    // Get current step and continue
+    const currentStep = flowDef.steps.find(s => s.id === stepExecution.step_id);
+
+    logger.info('Resuming flow after callback', {
+        instanceId,
+        currentStepCode: currentStep?.step_code,
+        currentStepType: currentStep?.step_type,
+        actionCode: currentPayload.actionCode
+    });
+
+    return continueAfterStep(instanceId, flowDef, currentStep, currentPayload, branch);
+});
+
+/**
+ * Resume a parent instance once its SUBFLOW child reaches a terminal status
+ * Returns null when the step was already resumed (or is still running inline)
+ */
+const resumeAfterSubflow = lockingInstance(async (instanceId, stepExecutionId, child) => {
+    const childSucceeded = child.status === INSTANCE_STATUSES.COMPLETED;
+
+    // Claim the waiting step so the parent is resumed exactly once
+    const claimed = await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET status = $1, completed_at = NOW()
+        WHERE id = $2 AND status = $3
+        RETURNING *
+    `, [childSucceeded ? STEP_STATUSES.COMPLETED : STEP_STATUSES.FAILED, stepExecutionId, STEP_STATUSES.WAITING]);
+
+    if (claimed.length === 0) {
+        return null;
+    }
+
+    const stepExecution = claimed[0];
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance) {
+        throw new Error(`Flow instance not found: ${instanceId}`);
+    }
+
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+    const currentStep = flowDef.steps.find(s => s.id === stepExecution.step_id);
+    const { branch = null } = safeJsonParse(stepExecution.metadata, {}) || {};
+
+    if (!childSucceeded) {
+        const error = new Error(`Subflow instance ${child.id} ended with status ${child.status}${child.last_error ? `: ${child.last_error}` : ''}`);
+
+        await stepExecutionsModel.update(stepExecutionId, {
+            error_message: error.message
+        });
+
+        await failInstance(instanceId, error);
+
+        return {
+            status: INSTANCE_STATUSES.FAILED,
+            instanceId,
+            error: error.message
+        };
+    }
+
+    const basePayload = branch
+        ? safeJsonParse(stepExecution.output_payload, {})
+        : safeJsonParse(instance.current_payload, {});
+    const currentPayload = mergeSubflowOutput(
+        safeJsonParse(currentStep.config, {}),
+        basePayload || {},
+        safeJsonParse(child.final_response, {}) || {}
+    );
+
+    await stepExecutionsModel.update(stepExecutionId, {
+        output_payload: JSON.stringify(currentPayload)
+    });
+
+    await flowInstancesModel.update(instanceId, {
+        status: INSTANCE_STATUSES.RUNNING,
+        ...instancePayload(branch, currentPayload)
+    });
+
+    await createProcessLog(instanceId, 'SUBFLOW_COMPLETED', {
+        stepCode: currentStep.step_code,
+        childInstanceId: child.id
+    });
+
+    logger.info('Resuming flow after subflow', {
+        instanceId,
+        currentStepCode: currentStep.step_code,
+        childInstanceId: child.id
+    });
+
+    return continueAfterStep(instanceId, flowDef, currentStep, currentPayload, branch);
+});
+
+/**
+ * Resume an instance parked on a TIMER step (called by the RESUME_FLOW job)
+ * Returns null when the step was already resumed or the instance is no longer waiting
+ */
+const resumeAfterTimer = lockingInstance(async (instanceId, stepExecutionId) => {
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance) {
+        throw new Error(`Flow instance not found: ${instanceId}`);
+    }
+
+    if (TERMINAL_INSTANCE_STATUSES.includes(instance.status)) {
+        logger.warn('Timer fired for finished instance', { instanceId, status: instance.status });
+        return null;
+    }
+
+    // Claim the waiting step so a duplicate job cannot resume twice
+    const claimed = await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET status = $1, completed_at = NOW()
+        WHERE id = $2 AND status = $3
+        RETURNING *
+    `, [STEP_STATUSES.COMPLETED, stepExecutionId, STEP_STATUSES.WAITING]);
+
+    if (claimed.length === 0) {
+        return null;
+    }
+
+    const stepExecution = claimed[0];
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+    const currentStep = flowDef.steps.find(s => s.id === stepExecution.step_id);
+    const { branch = null } = safeJsonParse(stepExecution.metadata, {}) || {};
+
+    const currentPayload = branch
+        ? safeJsonParse(stepExecution.output_payload, {})
+        : safeJsonParse(instance.current_payload, {});
 
-    // Create alert (would integrate with alert service)
-    logger.info('Alert step executed', {
-        instanceId: instance.id,
-        stepId: step.id,
-        alertType: config.alertType,
-        message: interpolateTemplate(config.messageTemplate || '', payload)
+    await flowInstancesModel.update(instanceId, {
+        status: INSTANCE_STATUSES.RUNNING
     });
 
-    return {
-        status: STEP_STATUSES.COMPLETED,
-        outputPayload: payload,
-        metadata: { alertSent: true }
-    };
-};
+    await createProcessLog(instanceId, 'TIMER_FIRED', {
+        stepCode: currentStep.step_code,
+        stepExecutionId
+    });
+
+    logger.info('Resuming flow after timer', {
+        instanceId,
+        currentStepCode: currentStep.step_code
+    });
+
+    return continueAfterStep(instanceId, flowDef, currentStep, currentPayload || {}, branch);
+});
 
 /**
- * Execute generic TASK step
+ * Continue or fail an instance parked on a MANUAL step once its approval request is decided
+ * decision: { approved, comment, decidedBy }
+ * Returns null when the step is no longer waiting or the instance has finished
  */
-const executeTaskStep = async (instance, step, payload) => {
-    const config = safeJsonParse(step.config, {});
+const resumeAfterApproval = lockingInstance(async (instanceId, stepExecutionId, decision) => {
+    const instance = await flowInstancesModel.findById(instanceId);
+    if (!instance) {
+        throw new Error(`Flow instance not found: ${instanceId}`);
+    }
 
-    // Execute based on task type
-    switch (config.taskType) {
-        case 'log':
-            logger.info('Task log', {
-                instanceId: instance.id,
-                message: interpolateTemplate(config.message || '', payload)
-            });
-            break;
+    if (TERMINAL_INSTANCE_STATUSES.includes(instance.status)) {
+        logger.warn('Approval decided for finished instance', { instanceId, status: instance.status });
+        return null;
+    }
 
-        case 'delay':
-            await sleep(config.delayMs || 1000);
-            break;
+    const { approved, comment, decidedBy } = decision;
+    const reason = `Manual step rejected${comment ? `: ${comment}` : ''}`;
+
+    // Claim the waiting step so it cannot be decided twice
+    const claimed = await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET status = $1, completed_at = NOW(), error_message = $4
+        WHERE id = $2 AND status = $3
+        RETURNING *
+    `, [
+        approved ? STEP_STATUSES.COMPLETED : STEP_STATUSES.FAILED,
+        stepExecutionId,
+        STEP_STATUSES.WAITING,
+        approved ? null : reason
+    ]);
+
+    if (claimed.length === 0) {
+        return null;
+    }
 
-        case 'validate':
-            // Add validation logic
-            break;
+    const stepExecution = claimed[0];
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+    const currentStep = flowDef.steps.find(s => s.id === stepExecution.step_id);
 
-        default:
-            break;
+    await createProcessLog(instanceId, approved ? 'MANUAL_STEP_APPROVED' : 'MANUAL_STEP_REJECTED', {
+        stepCode: currentStep.step_code,
+        stepExecutionId,
+        decidedBy,
+        comment
+    });
+
+    if (!approved) {
+        await failInstance(instanceId, new Error(reason));
+        return { status: INSTANCE_STATUSES.FAILED, instanceId, error: reason };
     }
 
-    return {
-        status: STEP_STATUSES.COMPLETED,
-        outputPayload: payload
-    };
-};
+    const { branch = null } = safeJsonParse(stepExecution.metadata, {}) || {};
+    const currentPayload = branch
+        ? safeJsonParse(stepExecution.output_payload, {})
+        : safeJsonParse(instance.current_payload, {});
 
-/**
- * Interpolate template string with payload values
- */
-const interpolateTemplate = (template, data) => {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-        return data[key] !== undefined ? data[key] : match;
+    await flowInstancesModel.update(instanceId, {
+        status: INSTANCE_STATUSES.RUNNING
     });
-};
 
-/**
- * Create process log entry
- */
-const createProcessLog = async (instanceId, logType, details = {}) => {
-    try {
-        await processLogsModel.create({
-            flow_instance_id: instanceId,
-            log_type: logType,
-            message: logType,
-            details: JSON.stringify(details)
-        });
-    } catch (error) {
-        logger.error('Failed to create process log', { error: error.message });
-    }
-};
+    logger.info('Resuming flow after manual step approval', {
+        instanceId,
+        currentStepCode: currentStep.step_code
+    });
+
+    return continueAfterStep(instanceId, flowDef, currentStep, currentPayload || {}, branch);
+});
 
 /**
- * Resume flow instance after callback received
+ * Apply an operator's decision to an instance waiting for manual intervention (manual task inbox)
+ * decision: { outcome, transitionId, comment, decidedBy }
+ *   CONTINUE   - carry on along the current step's transitions
+ *   TRANSITION - follow the current step's outgoing transition transitionId
+ *   FAIL       - fail the instance (compensations run)
  */
-const resumeAfterCallback = async (instanceId, stepExecutionId, callbackPayload) => {
+const resolveManualIntervention = lockingInstance(async (instanceId, decision) => {
+    const { outcome, transitionId, comment, decidedBy } = decision;
+
     const instance = await flowInstancesModel.findById(instanceId);
     if (!instance) {
-        throw new Error(`Flow instance not found: ${instanceId}`);
+        const error = new Error(`Flow instance not found: ${instanceId}`);
+        error.statusCode = 404;
+        throw error;
+    }
+    if (instance.status !== INSTANCE_STATUSES.MANUAL_INTERVENTION) {
+        const error = new Error(`Flow instance is ${instance.status}, not waiting for manual intervention`);
+        error.statusCode = 409;
+        throw error;
     }
 
-    const stepExecution = await stepExecutionsModel.findById(stepExecutionId);
-    if (!stepExecution) {
-        throw new Error(`Step execution not found: ${stepExecutionId}`);
+    const flowDef = await flowService.getInstanceFlowDefinition(instance);
+    const currentStep = flowDef.steps.find(s => s.id === instance.current_step_id);
+
+    let nextStep = null;
+    if (outcome === MANUAL_OUTCOMES.TRANSITION) {
+        const transition = currentStep && flowDef.stepGraph[currentStep.id].outgoing.find(t => t.id === transitionId);
+        if (!transition) {
+            const error = new Error(`Transition ${transitionId} does not leave the current step`);
+            error.statusCode = 400;
+            throw error;
+        }
+        nextStep = flowDef.stepGraph[transition.to_step_id].step;
+    } else if (outcome !== MANUAL_OUTCOMES.FAIL && !currentStep) {
+        const error = new Error('Flow instance has no current step to continue from');
+        error.statusCode = 409;
+        throw error;
     }
 
-    // Get flow definition
-    const flowDef = await flowService.getFlowDefinition(instance.flow_id);
+    // A MANUAL step is still waiting; steps that failed into manual intervention are already closed
+    const [waitingExecution] = currentStep ? await stepExecutionsModel.raw(`
+        UPDATE step_executions
+        SET status = $1, completed_at = NOW()
+        WHERE flow_instance_id = $2 AND step_id = $3 AND status = $4
+        RETURNING *
+    `, [
+        outcome === MANUAL_OUTCOMES.FAIL ? STEP_STATUSES.FAILED : STEP_STATUSES.COMPLETED,
+        instanceId,
+        currentStep.id,
+        STEP_STATUSES.WAITING
+    ]) : [];
 
-    // Merge callback payload with current payload
-    let currentPayload = safeJsonParse(instance.current_payload, {});
-    currentPayload = {
-        ...currentPayload,
-        callbackResponse: callbackPayload,
-        ...callbackPayload
-    };
+    await flowInstancesModel.update(instanceId, {
+        requires_manual: false,
+        metadata: JSON.stringify({
+            ...safeJsonParse(instance.metadata, {}),
+            manualDecision: { outcome, transitionId, comment, decidedBy, decidedAt: new Date().toISOString() }
+        })
+    });
 
-    // Update step execution with callback data
-    await stepExecutionsModel.update(stepExecutionId, {
-        status: STEP_STATUSES.COMPLETED,
-        output_payload: JSON.stringify(currentPayload),
-        callback_payload: JSON.stringify(callbackPayload),
-        callback_received: true,
-        callback_received_at: new Date(),
-        action_code: callbackPayload.actionCode,
-        approval_code: callbackPayload.approvalCode,
-        response_code: callbackPayload.responseCode,
-        response_message: callbackPayload.responseMessage || callbackPayload.narration,
-        completed_at: new Date()
+    await createProcessLog(instanceId, 'MANUAL_DECISION', {
+        stepCode: currentStep?.step_code,
+        outcome,
+        transitionId,
+        comment,
+        decidedBy
     });
 
-    // Update instance
+    if (outcome === MANUAL_OUTCOMES.FAIL) {
+        const reason = `Failed by operator${comment ? `: ${comment}` : ''}`;
+        await failInstance(instanceId, new Error(reason));
+        return { status: INSTANCE_STATUSES.FAILED, instanceId, error: reason };
+    }
+
+    const { branch = null } = safeJsonParse(waitingExecution?.metadata, {}) || {};
+    const currentPayload = branch
+        ? safeJsonParse(waitingExecution.output_payload, {})
+        : safeJsonParse(instance.current_payload, {});
+
     await flowInstancesModel.update(instanceId, {
-        status: INSTANCE_STATUSES.RUNNING,
-        current_payload: JSON.stringify(currentPayload)
+        status: INSTANCE_STATUSES.RUNNING
     });
 
-    // Get current step and continue
-    const currentStep = flowDef.steps.find(s => s.id === stepExecution.step_id);
+    if (!nextStep) {
+        return continueAfterStep(instanceId, flowDef, currentStep, currentPayload || {}, branch);
+    }
 
-    logger.info('Resuming flow after callback', {
+    try {
+        const refreshedInstance = await flowInstancesModel.findById(instanceId);
+        return await executeFromStep(refreshedInstance, flowDef, nextStep, currentPayload || {}, { branch });
+    } catch (error) {
+        logger.error('Flow execution failed after manual decision', {
+            instanceId,
+            error: error.message
+        });
+
+        await failInstance(instanceId, error);
+
+        return {
+            status: INSTANCE_STATUSES.FAILED,
+            instanceId,
+            error: error.message
+        };
+    }
+});
+
+/**
+ * Notify the parent instance (if any) that a SUBFLOW child reached a terminal status
+ */
+const notifyParentInstance = async (childInstanceId) => {
+    const child = await flowInstancesModel.findById(childInstanceId);
+    if (!child || !child.parent_instance_id) {
+        return;
+    }
+
+    // Only SUBFLOW children resume their parent (compensation flows do not)
+    const { parentStepExecutionId } = safeJsonParse(child.metadata, {}) || {};
+    if (!parentStepExecutionId) {
+        return;
+    }
+
+    try {
+        await resumeAfterSubflow(child.parent_instance_id, parentStepExecutionId, child);
+    } catch (error) {
+        if (isInstanceLockedError(error)) {
+            await queueResumeJob('RESUME_SUBFLOW', child.parent_instance_id, {
+                stepExecutionId: parentStepExecutionId,
+                childInstanceId
+            });
+            return;
+        }
+
+        logger.error('Failed to resume parent instance after subflow', {
+            instanceId: child.parent_instance_id,
+            childInstanceId,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Queue a resume that found the instance locked by another node
+ * The job worker runs it once the lock is free (RESUME_CALLBACK, RESUME_SUBFLOW)
+ */
+const queueResumeJob = async (jobType, instanceId, payload) => {
+    const job = await jobQueueModel.create({
+        job_type: jobType,
+        job_name: `${jobType} ${instanceId}`,
+        flow_instance_id: instanceId,
+        step_execution_id: payload.stepExecutionId || null,
+        payload: JSON.stringify({ flowInstanceId: instanceId, ...payload }),
+        status: 'PENDING',
+        priority: 1
+    });
+
+    logger.flow('Instance locked, resume queued', {
         instanceId,
-        currentStepCode: currentStep?.step_code,
-        currentStepType: currentStep?.step_type,
-        actionCode: currentPayload.actionCode
+        jobType,
+        jobId: job.id
     });
 
+    return job;
+};
+
+/**
+ * Continue execution after a resumed step (callback, subflow)
+ */
+const continueAfterStep = async (instanceId, flowDef, currentStep, currentPayload, branch = null) => {
     const nextStep = await flowService.getNextStep(flowDef, currentStep.id, currentPayload);
 
-    logger.info('Next step determined after callback', {
+    logger.info('Next step determined after resume', {
         instanceId,
         fromStep: currentStep?.step_code,
         nextStep: nextStep?.step_code,
         nextStepType: nextStep?.step_type
     });
 
+    if (!nextStep && branch) {
+        return {
+            status: BRANCH_OUTCOMES.BRANCH_ENDED,
+            instanceId,
+            payload: currentPayload
+        };
+    }
+
+    // Refresh instance data
+    const refreshedInstance = await flowInstancesModel.findById(instanceId);
+
     if (!nextStep) {
         // Flow complete
         logger.info('Flow complete - no next step', {
@@ -803,30 +2677,146 @@ const resumeAfterCallback = async (instanceId, stepExecutionId, callbackPayload)
             finalStepCode: currentStep?.step_code
         });
 
-        await flowInstancesModel.update(instanceId, {
-            status: INSTANCE_STATUSES.COMPLETED,
-            final_response: JSON.stringify(currentPayload),
-            completed_at: new Date()
+        return completeInstance(refreshedInstance, flowDef, currentPayload);
+    }
+
+    // Continue execution
+    logger.info('Continuing flow execution', {
+        instanceId,
+        nextStepCode: nextStep.step_code,
+        nextStepType: nextStep.step_type
+    });
+
+    try {
+        return await executeFromStep(refreshedInstance, flowDef, nextStep, currentPayload, { branch });
+    } catch (error) {
+        logger.error('Flow execution failed after resume', {
+            instanceId,
+            error: error.message
         });
 
+        await failInstance(instanceId, error);
+
         return {
-            status: 'COMPLETED',
+            status: INSTANCE_STATUSES.FAILED,
             instanceId,
-            payload: currentPayload
+            error: error.message
         };
     }
+};
 
-    // Refresh instance data
-    const refreshedInstance = await flowInstancesModel.findById(instanceId);
+// Instances parked outside a step run can be moved between versions
+const MIGRATABLE_INSTANCE_STATUSES = [
+    INSTANCE_STATUSES.WAITING_CALLBACK,
+    INSTANCE_STATUSES.WAITING_TIMER,
+    INSTANCE_STATUSES.WAITING_RETRY,
+    INSTANCE_STATUSES.WAITING_SUBFLOW,
+    INSTANCE_STATUSES.MANUAL_INTERVENTION
+];
 
-    // Continue execution
-    logger.info('Continuing flow execution', {
-        instanceId,
-        nextStepCode: nextStep.step_code,
-        nextStepType: nextStep.step_type
+/**
+ * Move waiting instances of a flow onto another version of it
+ * stepMapping maps each parked step's code in the instance's current version to a step code in
+ * the target version; every parked step (waiting, pending retry, current step) must be mapped.
+ * Each instance is migrated in its own transaction; instances that cannot move are reported as skipped.
+ */
+const migrateInstancesToVersion = async (flowId, versionRef, { instanceIds, stepMapping }) => {
+    const targetVersion = await flowService.resolveFlowVersion(flowId, versionRef);
+    const targetDef = await flowService.getFlowDefinition(flowId, null, { versionId: targetVersion.id });
+    const targetStepsByCode = new Map(targetDef.steps.map(s => [s.step_code, s]));
+
+    for (const [fromCode, toCode] of Object.entries(stepMapping)) {
+        if (!targetStepsByCode.has(toCode)) {
+            throw new Error(`Step mapping ${fromCode} -> ${toCode}: step ${toCode} does not exist in version ${targetVersion.version}`);
+        }
+    }
+
+    const migrated = [];
+    const skipped = [];
+
+    for (const instanceId of instanceIds) {
+        try {
+            const result = await flowInstancesModel.transaction(async (client) => {
+                const { rows: [instance] } = await client.query(
+                    'SELECT * FROM flow_instances WHERE id = $1 FOR UPDATE', [instanceId]
+                );
+                if (!instance || instance.flow_id !== flowId) {
+                    throw new Error('Instance not found for this flow');
+                }
+                if (!MIGRATABLE_INSTANCE_STATUSES.includes(instance.status)) {
+                    throw new Error(`Instance is ${instance.status}; only waiting instances can be migrated`);
+                }
+                if (instance.flow_version_id === targetVersion.id) {
+                    throw new Error(`Instance is already on version ${targetVersion.version}`);
+                }
+
+                const sourceDef = await flowService.getInstanceFlowDefinition(instance);
+                const sourceCodesById = new Map(sourceDef.steps.map(s => [s.id, s.step_code]));
+
+                const { rows: parked } = await client.query(`
+                    SELECT * FROM step_executions
+                    WHERE flow_instance_id = $1
+                      AND (status = $2 OR (status = $3 AND next_retry_at IS NOT NULL))
+                `, [instanceId, STEP_STATUSES.WAITING, STEP_STATUSES.FAILED]);
+
+                if (parked.some(e => safeJsonParse(e.metadata, {})?.branch)) {
+                    throw new Error('Instance is waiting inside a parallel branch');
+                }
+
+                const resolveTarget = (stepId) => {
+                    const fromCode = sourceCodesById.get(stepId);
+                    if (!fromCode || !stepMapping[fromCode]) {
+                        throw new Error(`No step mapping for step ${fromCode || stepId}`);
+                    }
+                    return targetStepsByCode.get(stepMapping[fromCode]);
+                };
+
+                const movedSteps = [];
+                for (const execution of parked) {
+                    const targetStep = resolveTarget(execution.step_id);
+                    await client.query(
+                        'UPDATE step_executions SET step_id = $1 WHERE id = $2',
+                        [targetStep.id, execution.id]
+                    );
+                    movedSteps.push({
+                        stepExecutionId: execution.id,
+                        from: sourceCodesById.get(execution.step_id),
+                        to: targetStep.step_code
+                    });
+                }
+
+                const currentStep = instance.current_step_id ? resolveTarget(instance.current_step_id) : null;
+
+                await client.query(`
+                    UPDATE flow_instances
+                    SET flow_version_id = $1, current_step_id = $2, updated_at = NOW()
+                    WHERE id = $3
+                `, [targetVersion.id, currentStep ? currentStep.id : null, instanceId]);
+
+                return {
+                    instanceId,
+                    fromVersion: sourceDef.version.version,
+                    toVersion: targetVersion.version,
+                    currentStepCode: currentStep ? currentStep.step_code : null,
+                    steps: movedSteps
+                };
+            });
+
+            await createProcessLog(instanceId, 'INSTANCE_MIGRATED', result);
+            migrated.push(result);
+        } catch (error) {
+            skipped.push({ instanceId, reason: error.message });
+        }
+    }
+
+    logger.flow('Instances migrated to flow version', {
+        flowId,
+        version: targetVersion.version,
+        migrated: migrated.length,
+        skipped: skipped.length
     });
 
-    return executeFromStep(refreshedInstance, flowDef, nextStep, currentPayload);
+    return { version: targetVersion.version, migrated, skipped };
 };
 
 /**
@@ -851,14 +2841,216 @@ const getInstanceStatus = async (instanceId) => {
     };
 };
 
+/**
+ * Register the built-in step types with the step type registry
+ * Called by stepTypeRegistry.registerBuiltInStepTypes, never directly
+ */
+const registerBuiltInStepTypes = () => {
+    const passThrough = ({ payload }) => ({ status: STEP_STATUSES.COMPLETED, outputPayload: payload });
+
+    const expressionString = Joi.string().custom((value, helpers) => {
+        const { valid, error } = validateExpression(value);
+        return valid ? value : helpers.message(error);
+    }, 'expression');
+
+    const templateString = Joi.string().allow('').custom((value, helpers) => {
+        const { valid, error } = validateTemplate(value);
+        return valid ? value : helpers.message(error);
+    }, 'template');
+
+    const templateValue = Joi.alternatives().conditional(Joi.string(), { then: templateString, otherwise: Joi.any() });
+
+    stepTypeRegistry.registerStepType('START', {
+        description: 'Flow entry point',
+        bpmnElement: 'startEvent',
+        execute: ({ step, payload }) => executeStartStep(step, payload),
+        simulate: ({ step, payload }) => executeStartStep(step, payload)
+    });
+
+    stepTypeRegistry.registerStepType('END', {
+        description: 'Flow completion point',
+        bpmnElement: 'endEvent',
+        execute: ({ step, payload }) => executeEndStep(step, payload),
+        simulate: ({ step, payload }) => executeEndStep(step, payload)
+    });
+
+    stepTypeRegistry.registerStepType('TRANSFORM', {
+        description: 'Apply field mappings and transformations',
+        bpmnElement: 'scriptTask',
+        configSchema: Joi.object({
+            transformations: Joi.array().items(Joi.object({
+                type: Joi.string().required(),
+                value: templateValue,
+                expression: expressionString.when('type', { is: 'expression', then: Joi.required() })
+            }).unknown(true)),
+            swapConfig: Joi.object().allow(null)
+        }).unknown(true),
+        execute: ({ step, payload, stepExecution }) => executeTransformStep(step, payload, stepExecution),
+        simulate: ({ step, payload }) => executeTransformStep(step, payload, null)
+    });
+
+    stepTypeRegistry.registerStepType('API_CALL', {
+        description: 'Call external API',
+        bpmnElement: 'serviceTask',
+        configSchema: Joi.object({
+            apiId: Joi.string().uuid(),
+            url: Joi.string().uri(),
+            method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE'),
+            pathTemplate: templateString,
+            includeCallback: Joi.boolean(),
+            headers: Joi.object().pattern(Joi.string(), templateValue),
+            timeoutMs: Joi.number().integer().min(1),
+            swapConfig: Joi.object().allow(null)
+        }).or('apiId', 'url').unknown(true),
+        execute: ({ instance, step, payload, stepExecution }) => executeApiCallStep(instance, step, payload, stepExecution),
+        simulate: ({ step, payload, script }) => simulateApiCallStep(step, payload, script)
+    });
+
+    const callbackSchema = Joi.object({
+        timeout: Joi.number().integer().min(1),
+        callbackType: Joi.string(),
+        expectedFields: Joi.array().items(Joi.string())
+    }).unknown(true);
+
+    stepTypeRegistry.registerStepType('CALLBACK', {
+        description: 'Wait for external callback',
+        bpmnElement: 'receiveTask',
+        configSchema: callbackSchema,
+        execute: ({ instance, step, payload, stepExecution }) => executeCallbackStep(instance, step, payload, stepExecution),
+        simulate: ({ step, payload, script }) => simulateCallbackStep(step, payload, script)
+    });
+
+    stepTypeRegistry.registerStepType('LISTENER', {
+        description: 'Listen for events',
+        bpmnElement: 'intermediateCatchEvent',
+        configSchema: callbackSchema,
+        execute: ({ instance, step, payload, stepExecution }) => executeCallbackStep(instance, step, payload, stepExecution),
+        simulate: ({ step, payload, script }) => simulateCallbackStep(step, payload, script)
+    });
+
+    stepTypeRegistry.registerStepType('CONDITION', {
+        description: 'Evaluate conditions for branching',
+        bpmnElement: 'exclusiveGateway',
+        execute: ({ step, payload }) => executeConditionStep(step, payload),
+        simulate: ({ step, payload }) => executeConditionStep(step, payload)
+    });
+
+    stepTypeRegistry.registerStepType('GATEWAY', {
+        description: 'Decision gateway (XOR, AND, OR)',
+        bpmnElement: 'exclusiveGateway',
+        configSchema: Joi.object({
+            gatewayType: Joi.string().valid('XOR', 'AND', 'OR').insensitive(),
+            direction: Joi.string().valid('SPLIT', 'JOIN').insensitive(),
+            joinCount: Joi.number().integer().min(1)
+        }).unknown(true),
+        execute: ({ step, payload }) => executeConditionStep(step, payload),
+        simulate: ({ step, payload }) => executeConditionStep(step, payload)
+    });
+
+    stepTypeRegistry.registerStepType('SUBFLOW', {
+        description: 'Run another flow as a child instance',
+        bpmnElement: 'callActivity',
+        configSchema: Joi.object({
+            flowCode: Joi.string().max(50).required(),
+            inputMapping: Joi.array().items(Joi.object()),
+            outputMapping: Joi.array().items(Joi.object()),
+            resultField: Joi.string()
+        }).unknown(true),
+        execute: ({ instance, step, payload, stepExecution }) => executeSubflowStep(instance, step, payload, stepExecution),
+        simulate: ({ step, config, payload, script }) => simulateSubflowStep(step, config, payload, script)
+    });
+
+    stepTypeRegistry.registerStepType('TIMER', {
+        description: 'Durable wait resumed by the job queue',
+        bpmnElement: 'intermediateCatchEvent',
+        configSchema: Joi.object({
+            durationMs: Joi.number().integer().min(0),
+            untilField: Joi.string(),
+            cron: Joi.string().custom((value) => {
+                getNextCronDate(value);
+                return value;
+            }, 'cron expression'),
+            businessHours: Joi.object({
+                days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1),
+                start: Joi.string().pattern(/^\d{2}:\d{2}$/),
+                end: Joi.string().pattern(/^\d{2}:\d{2}$/)
+            })
+        }).xor('durationMs', 'untilField', 'cron', 'businessHours').unknown(true),
+        execute: ({ instance, step, payload, stepExecution }) => executeTimerStep(instance, step, payload, stepExecution),
+        simulate: ({ config, payload }) => simulateTimerStep(config, payload)
+    });
+
+    stepTypeRegistry.registerStepType('MANUAL', {
+        description: 'Require human intervention',
+        bpmnElement: 'userTask',
+        execute: ({ instance, step, payload, stepExecution }) => executeManualStep(step, payload, { instance, stepExecution }),
+        simulate: ({ step, payload, script }) => simulateManualStep(step, payload, script)
+    });
+
+    stepTypeRegistry.registerStepType('ALERT', {
+        description: 'Send alert notification',
+        bpmnElement: 'sendTask',
+        configSchema: Joi.object({
+            alertType: Joi.string(),
+            messageTemplate: templateString
+        }).unknown(true),
+        execute: ({ instance, step, payload }) => executeAlertStep(instance, step, payload),
+        simulate: ({ config, payload }) => ({
+            status: STEP_STATUSES.COMPLETED,
+            outputPayload: payload,
+            metadata: { alert: { alertType: config.alertType, message: renderTemplate(config.messageTemplate || '', payload) } }
+        })
+    });
+
+    stepTypeRegistry.registerStepType('TASK', {
+        description: 'Execute generic task',
+        bpmnElement: 'task',
+        configSchema: Joi.object({
+            taskType: Joi.string(),
+            message: templateString
+        }).unknown(true),
+        execute: ({ instance, step, payload }) => executeTaskStep(instance, step, payload),
+        simulate: passThrough
+    });
+
+    stepTypeRegistry.registerStepType('EVENT', {
+        description: 'Intermediate event (pass-through)',
+        bpmnElement: 'intermediateThrowEvent',
+        execute: passThrough,
+        simulate: passThrough
+    });
+};
+
 module.exports = {
     createFlowInstance,
     executeFlowInstance,
+    finishInstance,
     executeFromStep,
     executeStep,
     resumeAfterCallback,
+    resumeAfterSubflow,
+    resumeAfterTimer,
+    resumeAfterApproval,
+    resolveManualIntervention,
+    retryStep,
+    handleStepTimeout,
+    queueResumeJob,
+    compensateInstance,
+    migrateInstancesToVersion,
     getInstanceStatus,
     createProcessLog,
+    isParallelSplit,
+    isJoinGateway,
+    mergeBranchPayloads,
+    isTimeoutError,
+    getStepRetryConfig,
+    isRetryableError,
+    registerBuiltInStepTypes,
     INSTANCE_STATUSES,
-    STEP_STATUSES
+    TERMINAL_INSTANCE_STATUSES,
+    STEP_STATUSES,
+    ERROR_ACTIONS,
+    MANUAL_OUTCOMES,
+    COMPENSATION_STATUSES,
+    SIMULATION_NO_SCRIPT
 };
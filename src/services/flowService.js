@@ -7,8 +7,25 @@ const {
     eventTypesModel,
     flowInstancesModel
 } = require('../models');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const flowValidationService = require('./flowValidationService');
 const logger = require('../utils/logger');
-const { deepClone, safeJsonParse } = require('../utils/helpers');
+const { deepClone, safeJsonParse, stableStringify } = require('../utils/helpers');
+const { evaluateExpression } = require('../utils/expression');
+
+const GATEWAY_TYPES = {
+    XOR: 'XOR',
+    AND: 'AND',
+    OR: 'OR'
+};
+
+const GATEWAY_DIRECTIONS = {
+    SPLIT: 'SPLIT',
+    JOIN: 'JOIN'
+};
+
+// Boundary timeout transitions are only followed when a step's deadline passes
+const TIMEOUT_TRANSITION_TYPE = 'TIMEOUT';
 
 /**
  * Get flow by event type code
@@ -37,29 +54,38 @@ const getFlowByEventType = async (eventTypeCode) => {
 
 /**
  * Get complete flow definition with all steps and transitions
+ * Versions whose snapshot holds steps and transitions run from the snapshot; older snapshots
+ * (steps only) fall back to the live flow_steps/step_transitions rows.
+ * options.versionId selects a version by ID (used to run pinned instances)
+ * options.draft reads the live (possibly unpublished) steps and transitions with no version
  */
-const getFlowDefinition = async (flowId, version = null) => {
+const getFlowDefinition = async (flowId, version = null, options = {}) => {
     // Get flow
     const flow = await flowsModel.findById(flowId);
     if (!flow) {
         throw new Error(`Flow not found: ${flowId}`);
     }
 
-    // Get specific version or active version
-    let flowVersion;
-    if (version) {
+    // Get specific version or active version (none for a draft)
+    let flowVersion = null;
+    if (options.versionId) {
+        flowVersion = await flowVersionsModel.findOne({
+            id: options.versionId,
+            flow_id: flowId
+        });
+    } else if (version) {
         flowVersion = await flowVersionsModel.findOne({ 
             flow_id: flowId, 
             version: version 
         });
-    } else {
+    } else if (!options.draft) {
         flowVersion = await flowVersionsModel.findOne({ 
             flow_id: flowId, 
             is_active: true 
         });
     }
 
-    if (!flowVersion) {
+    if (!flowVersion && !options.draft) {
         const allVersions = await flowVersionsModel.findAll({ where: { flow_id: flowId } });
         logger.error('Flow version not found', new Error(`No active version found for flow: ${flowId}`), {
             flowId,
@@ -69,21 +95,31 @@ const getFlowDefinition = async (flowId, version = null) => {
         throw new Error(`No active version found for flow: ${flowId}. Available versions: ${allVersions.length}. Please run seed script or create a flow version.`);
     }
 
-    // Get all steps for this flow version
-    const steps = await flowStepsModel.findAll({
-        where: { flow_id: flowId },
-        orderBy: 'step_order ASC'
-    });
-
-    // Get all transitions
-    const stepIds = steps.map(s => s.id);
+    // Get all steps and transitions for this flow version
+    const snapshot = flowVersion ? safeJsonParse(flowVersion.flow_definition, {}) || {} : {};
+    let steps;
     let transitions = [];
-    if (stepIds.length > 0) {
-        transitions = await stepTransitionsModel.raw(`
-            SELECT * FROM step_transitions
-            WHERE from_step_id = ANY($1) OR to_step_id = ANY($1)
-            ORDER BY priority ASC
-        `, [stepIds]);
+    if (isCompleteSnapshot(snapshot)) {
+        steps = [...snapshot.steps].sort((a, b) => a.step_order - b.step_order);
+        transitions = [...snapshot.transitions].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+    } else {
+        steps = await flowStepsModel.findAll({
+            where: { flow_id: flowId },
+            orderBy: 'step_order ASC'
+        });
+        if (options.draft) {
+            // Deactivated steps were removed from the draft but are kept for history
+            steps = steps.filter(step => step.is_active !== false);
+        }
+
+        const stepIds = steps.map(s => s.id);
+        if (stepIds.length > 0) {
+            transitions = await stepTransitionsModel.raw(`
+                SELECT * FROM step_transitions
+                WHERE from_step_id = ANY($1) OR to_step_id = ANY($1)
+                ORDER BY priority ASC
+            `, [stepIds]);
+        }
     }
 
     // Get field mappings for each step (from step's built-in mapping fields)
@@ -114,6 +150,35 @@ const getFlowDefinition = async (flowId, version = null) => {
     };
 };
 
+/**
+ * A version snapshot that can be executed on its own (created by createFlowVersion)
+ */
+const isCompleteSnapshot = (snapshot) => {
+    return Array.isArray(snapshot?.steps) && Array.isArray(snapshot?.transitions);
+};
+
+/**
+ * Get the flow definition an instance is pinned to (active version for unpinned instances)
+ */
+const getInstanceFlowDefinition = async (instance) => {
+    return getFlowDefinition(instance.flow_id, null, { versionId: instance.flow_version_id });
+};
+
+/**
+ * Resolve a version reference (version number or flow_versions ID) for a flow
+ */
+const resolveFlowVersion = async (flowId, versionRef) => {
+    const ref = String(versionRef);
+    const version = /^\d+$/.test(ref)
+        ? await flowVersionsModel.findOne({ flow_id: flowId, version: parseInt(ref, 10) })
+        : await flowVersionsModel.findOne({ flow_id: flowId, id: ref });
+
+    if (!version) {
+        throw new Error(`Flow version not found: ${versionRef}`);
+    }
+    return version;
+};
+
 /**
  * Build a graph representation of steps and transitions
  */
@@ -159,8 +224,9 @@ const getNextStep = async (flowDefinition, currentStepId, executionData) => {
         actionCode: executionData.actionCode
     });
 
-    // First try explicit transitions
+    // First try explicit transitions (boundary timeouts are not part of the normal path)
     const outgoingTransitions = currentNode.outgoing
+        .filter(t => t.transition_type !== TIMEOUT_TRANSITION_TYPE)
         .sort((a, b) => a.priority - b.priority);
 
     logger.debug('Evaluating transitions', {
@@ -254,11 +320,84 @@ const getNextStep = async (flowDefinition, currentStepId, executionData) => {
     return null;
 };
 
+/**
+ * Get every next step whose transition matches (used by AND/OR split gateways)
+ * AND splits ignore conditions and take all outgoing transitions
+ */
+const getNextSteps = async (flowDefinition, currentStepId, executionData, options = {}) => {
+    const { ignoreConditions = false } = options;
+    const { stepGraph } = flowDefinition;
+    const currentNode = stepGraph[currentStepId];
+
+    if (!currentNode) {
+        throw new Error(`Step not found in graph: ${currentStepId}`);
+    }
+
+    const outgoingTransitions = currentNode.outgoing
+        .filter(t => t.transition_type !== TIMEOUT_TRANSITION_TYPE)
+        .sort((a, b) => a.priority - b.priority);
+
+    const nextSteps = [];
+    for (const transition of outgoingTransitions) {
+        if (!ignoreConditions && !evaluateTransitionCondition(transition, executionData)) {
+            continue;
+        }
+
+        const nextStepNode = stepGraph[transition.to_step_id];
+        if (nextStepNode && !nextSteps.some(s => s.id === nextStepNode.step.id)) {
+            nextSteps.push(nextStepNode.step);
+        }
+    }
+
+    logger.debug('Parallel next steps selected', {
+        fromStep: currentNode.step.step_code,
+        ignoreConditions,
+        toSteps: nextSteps.map(s => s.step_code)
+    });
+
+    return nextSteps;
+};
+
+/**
+ * Get the step a boundary TIMEOUT transition leads to, or null if the step declares none
+ */
+const getTimeoutTransitionStep = (flowDefinition, stepId) => {
+    const node = flowDefinition.stepGraph[stepId];
+    if (!node) {
+        return null;
+    }
+
+    const timeoutTransition = node.outgoing
+        .filter(t => t.transition_type === TIMEOUT_TRANSITION_TYPE)
+        .sort((a, b) => a.priority - b.priority)[0];
+
+    if (!timeoutTransition) {
+        return null;
+    }
+
+    const targetNode = flowDefinition.stepGraph[timeoutTransition.to_step_id];
+    return targetNode ? targetNode.step : null;
+};
+
+/**
+ * Get gateway configuration for a GATEWAY step
+ * config: { gatewayType: 'XOR' | 'AND' | 'OR', direction: 'SPLIT' | 'JOIN', joinCount }
+ */
+const getGatewayConfig = (step) => {
+    const config = safeJsonParse(step.config, {}) || {};
+    return {
+        gatewayType: String(config.gatewayType || GATEWAY_TYPES.XOR).toUpperCase(),
+        direction: String(config.direction || GATEWAY_DIRECTIONS.SPLIT).toUpperCase(),
+        joinCount: config.joinCount ? parseInt(config.joinCount, 10) : null
+    };
+};
+
 /**
  * Evaluate transition condition
- * Supports both:
- * - condition_expression: Complex JSON conditions (e.g., { actionCode: { $eq: '000' } })
+ * Supports:
+ * - condition_expression: Complex JSON conditions (e.g., { actionCode: { $eq: '000' } }) or an expression string
  * - conditions: Simple condition array from seed (e.g., [{ condition: 'SUCCESS' }])
+ * - conditions: Expression entries (e.g., [{ expression: "callbackResponse.actionCode == '000'" }])
  */
 const evaluateTransitionCondition = (transition, data) => {
     // First check condition_expression (complex conditions)
@@ -268,6 +407,9 @@ const evaluateTransitionCondition = (transition, data) => {
             if (condition) {
                 return evaluateConditionObject(condition, data);
             }
+            if (typeof transition.condition_expression === 'string') {
+                return Boolean(evaluateExpression(transition.condition_expression, data));
+            }
         } catch (error) {
             logger.error('Failed to evaluate condition_expression', {
                 transitionId: transition.id,
@@ -285,6 +427,16 @@ const evaluateTransitionCondition = (transition, data) => {
                 const conditionObj = conditions[0];
                 const conditionType = conditionObj?.condition;
 
+                if (conditionObj?.expression) {
+                    const result = Boolean(evaluateExpression(conditionObj.expression, data));
+                    logger.debug('Expression condition result', {
+                        transitionId: transition.id,
+                        expression: conditionObj.expression,
+                        result
+                    });
+                    return result;
+                }
+
                 if (conditionType) {
                     // Get the actionCode from callback response
                     const actionCode = data.actionCode || data.callbackResponse?.actionCode;
@@ -351,6 +503,9 @@ const evaluateConditionObject = (condition, data) => {
     if (condition.$not) {
         return !evaluateConditionObject(condition.$not, data);
     }
+    if (condition.$expr && !evaluateExpression(condition.$expr, data)) {
+        return false;
+    }
 
     // Handle field conditions
     for (const [field, value] of Object.entries(condition)) {
@@ -463,21 +618,80 @@ const createFlow = async (flowData) => {
     return { flow, version };
 };
 
+// Step request field -> flow_steps column (see flowStepSchemas)
+const STEP_FIELDS = {
+    stepCode: 'step_code',
+    name: 'step_name',
+    stepType: 'step_type',
+    sequenceNumber: 'step_order',
+    description: 'description',
+    config: 'config',
+    timeout: 'api_timeout_ms',
+    isAsync: 'wait_for_callback',
+    retryConfig: 'retry_config',
+    errorHandling: 'on_error_action',
+    errorHandlerStepId: 'error_handler_step_id',
+    compensationStepId: 'compensation_step_id',
+    compensationFlowCode: 'compensation_flow_code',
+    requiresApproval: 'requires_approval',
+    approvalRoles: 'approval_roles'
+};
+
+const STEP_JSON_FIELDS = new Set(['config', 'retryConfig', 'approvalRoles']);
+
+/**
+ * flow_steps columns for the fields present in a step request
+ * retryCount/retryDelay are shorthand for retry_config.max_retries/retry_interval_ms, applied over
+ * currentRetryConfig unless a full retryConfig is given
+ */
+const toStepRow = (stepData, currentRetryConfig = {}) => {
+    const row = {};
+    for (const [field, column] of Object.entries(STEP_FIELDS)) {
+        if (stepData[field] !== undefined) {
+            row[column] = STEP_JSON_FIELDS.has(field) && stepData[field] !== null
+                ? JSON.stringify(stepData[field])
+                : stepData[field];
+        }
+    }
+
+    const { retryConfig, retryCount, retryDelay } = stepData;
+    if (!retryConfig && (retryCount !== undefined || retryDelay !== undefined)) {
+        const maxRetries = retryCount ?? currentRetryConfig.max_retries ?? 0;
+        row.retry_config = JSON.stringify({
+            ...currentRetryConfig,
+            enabled: maxRetries > 0,
+            max_retries: maxRetries,
+            retry_interval_ms: retryDelay ?? currentRetryConfig.retry_interval_ms ?? 0
+        });
+    }
+
+    return row;
+};
+
+/**
+ * Step code from a step name when none is given (e.g. "Debit Account" -> DEBIT_ACCOUNT)
+ */
+const toStepCode = (name) => name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+
+const checkStepConfig = (stepType, config) => {
+    if (!stepTypeRegistry.isRegisteredStepType(stepType)) {
+        throw new Error(`Unknown step type: ${stepType}`);
+    }
+
+    const { error: configError } = stepTypeRegistry.validateStepConfig(stepType, config || {});
+    if (configError) {
+        throw new Error(`Invalid config for ${stepType} step: ${configError.message}`);
+    }
+};
+
 /**
  * Add a step to a flow
  */
 const addStep = async (stepData) => {
-    const {
-        flowId,
-        stepType,
-        name,
-        description,
-        config = {},
-        sequenceNumber,
-        timeout = 30000,
-        retryCount = 0,
-        retryDelay = 5000
-    } = stepData;
+    const { flowId, stepType, name, sequenceNumber } = stepData;
+    const config = stepData.config || {};
+
+    checkStepConfig(stepType, config);
 
     // Get max step order if not provided
     let stepOrder = sequenceNumber;
@@ -491,18 +705,48 @@ const addStep = async (stepData) => {
 
     const step = await flowStepsModel.create({
         flow_id: flowId,
-        step_type: stepType,
-        name,
-        description,
-        config: JSON.stringify(config),
-        step_order: stepOrder,
-        timeout_ms: timeout,
-        retry_count: retryCount,
-        retry_delay_ms: retryDelay,
-        is_active: true
+        is_active: true,
+        ...toStepRow({
+            errorHandling: 'FAIL',
+            requiresApproval: false,
+            approvalRoles: [],
+            retryCount: 0,
+            ...stepData,
+            stepCode: stepData.stepCode || toStepCode(name),
+            sequenceNumber: stepOrder,
+            config
+        })
     });
 
-    logger.info('Step added to flow', { stepId: step.id, flowId, stepType, name });
+    logger.info('Step added to flow', { stepId: step.id, flowId, stepType, stepCode: step.step_code });
+
+    return step;
+};
+
+/**
+ * Update a step from a partial step request
+ */
+const updateStep = async (stepId, stepData) => {
+    const existing = await flowStepsModel.findById(stepId);
+    if (!existing) {
+        const error = new Error('Step not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (stepData.stepType || stepData.config) {
+        checkStepConfig(
+            stepData.stepType || existing.step_type,
+            stepData.config !== undefined ? stepData.config : safeJsonParse(existing.config, {})
+        );
+    }
+
+    const step = await flowStepsModel.update(
+        stepId,
+        toStepRow(stepData, safeJsonParse(existing.retry_config, {}) || {})
+    );
+
+    logger.info('Step updated', { stepId, fields: Object.keys(stepData) });
 
     return step;
 };
@@ -515,6 +759,7 @@ const addTransition = async (transitionData) => {
         fromStepId,
         toStepId,
         name,
+        transitionType = 'DEFAULT',
         conditionExpression = null,
         priority = 0
     } = transitionData;
@@ -523,6 +768,7 @@ const addTransition = async (transitionData) => {
         from_step_id: fromStepId,
         to_step_id: toStepId,
         name,
+        transition_type: transitionType,
         condition_expression: conditionExpression ? JSON.stringify(conditionExpression) : null,
         priority,
         is_active: true
@@ -586,7 +832,9 @@ const generateBpmnDiagram = async (flowId) => {
 
     // Add elements for each step
     for (const step of steps) {
-        const elementType = getBpmnElementType(step.step_type);
+        const elementType = step.step_type === 'GATEWAY'
+            ? getBpmnGatewayType(step)
+            : getBpmnElementType(step.step_type);
         bpmn += `    <bpmn:${elementType} id="Step_${step.id}" name="${step.name}"`;
         
         if (step.step_type === 'START') {
@@ -599,10 +847,20 @@ const generateBpmnDiagram = async (flowId) => {
         }
     }
 
+    // Boundary timer events for TIMEOUT transitions
+    for (const transition of transitions.filter(t => t.transition_type === TIMEOUT_TRANSITION_TYPE)) {
+        bpmn += `    <bpmn:boundaryEvent id="Timeout_${transition.id}" attachedToRef="Step_${transition.from_step_id}">\n`;
+        bpmn += `      <bpmn:timerEventDefinition />\n`;
+        bpmn += `    </bpmn:boundaryEvent>\n`;
+    }
+
     // Add sequence flows for transitions
     for (const transition of transitions) {
+        const sourceRef = transition.transition_type === TIMEOUT_TRANSITION_TYPE
+            ? `Timeout_${transition.id}`
+            : `Step_${transition.from_step_id}`;
         bpmn += `    <bpmn:sequenceFlow id="Flow_${transition.id}" `;
-        bpmn += `sourceRef="Step_${transition.from_step_id}" `;
+        bpmn += `sourceRef="${sourceRef}" `;
         bpmn += `targetRef="Step_${transition.to_step_id}"`;
         if (transition.condition_expression) {
             bpmn += ` name="${transition.name || 'condition'}"`;
@@ -637,9 +895,21 @@ const getBpmnElementType = (stepType) => {
         'TRANSFORM': 'scriptTask',
         'CONDITION': 'exclusiveGateway',
         'MANUAL': 'userTask',
-        'ALERT': 'sendTask'
+        'ALERT': 'sendTask',
+        'SUBFLOW': 'callActivity',
+        'TIMER': 'intermediateCatchEvent'
     };
-    return mapping[stepType] || 'task';
+    return mapping[stepType] || stepTypeRegistry.getStepType(stepType)?.bpmnElement || 'task';
+};
+
+/**
+ * Map GATEWAY step to BPMN gateway element based on its gateway type
+ */
+const getBpmnGatewayType = (step) => {
+    const { gatewayType } = getGatewayConfig(step);
+    if (gatewayType === GATEWAY_TYPES.AND) return 'parallelGateway';
+    if (gatewayType === GATEWAY_TYPES.OR) return 'inclusiveGateway';
+    return 'exclusiveGateway';
 };
 
 /**
@@ -649,7 +919,7 @@ const listFlows = async (filters = {}) => {
     const { isActive, eventTypeCode, limit = 50, offset = 0 } = filters;
 
     let query = `
-        SELECT f.*, et.code as event_type_code, et.name as event_type_name,
+        SELECT f.*, et.event_code as event_type_code, et.event_name as event_type_name,
                fv.version as current_version
         FROM flows f
         JOIN event_types et ON f.event_type_id = et.id
@@ -665,7 +935,7 @@ const listFlows = async (filters = {}) => {
     }
 
     if (eventTypeCode) {
-        query += ` AND et.code = $${paramIndex++}`;
+        query += ` AND et.event_code = $${paramIndex++}`;
         values.push(eventTypeCode);
     }
 
@@ -675,19 +945,257 @@ const listFlows = async (filters = {}) => {
     return flowsModel.raw(query, values);
 };
 
+/**
+ * Snapshot the flow's current steps and transitions as a new (inactive) version
+ */
+const createFlowVersion = async (flowId, versionData = {}) => {
+    const flow = await flowsModel.findById(flowId);
+    if (!flow) {
+        throw new Error(`Flow not found: ${flowId}`);
+    }
+
+    // Deactivated steps are kept for history but are not part of the flow any more
+    const steps = (await flowStepsModel.findAll({
+        where: { flow_id: flowId },
+        orderBy: 'step_order ASC'
+    })).filter(step => step.is_active !== false);
+
+    const stepIds = steps.map(s => s.id);
+    const transitions = stepIds.length > 0
+        ? await stepTransitionsModel.raw(`
+            SELECT * FROM step_transitions
+            WHERE from_step_id = ANY($1) AND to_step_id = ANY($1)
+            ORDER BY priority ASC
+        `, [stepIds])
+        : [];
+
+    const [{ next_version: nextVersion }] = await flowVersionsModel.raw(`
+        SELECT COALESCE(MAX(version), 0) + 1 as next_version
+        FROM flow_versions WHERE flow_id = $1
+    `, [flowId]);
+
+    const version = await flowVersionsModel.create({
+        flow_id: flowId,
+        version: nextVersion,
+        flow_definition: JSON.stringify({
+            flowId,
+            version: nextVersion,
+            name: versionData.name || `${flow.flow_name} v${nextVersion}`,
+            description: versionData.description || null,
+            steps,
+            transitions
+        }),
+        is_active: false,
+        created_by: versionData.createdBy || null
+    });
+
+    logger.info('Flow version created', { flowId, version: nextVersion });
+
+    return version;
+};
+
+/**
+ * Get all versions of a flow, newest first
+ */
+const getFlowVersions = async (flowId) => {
+    return flowVersionsModel.findAll({
+        where: { flow_id: flowId },
+        orderBy: 'version DESC'
+    });
+};
+
+/**
+ * Activate a flow version (the flow must pass static validation)
+ */
+const activateFlowVersion = async (flowId, versionId) => {
+    const version = await flowVersionsModel.findOne({ id: versionId, flow_id: flowId });
+    if (!version) {
+        throw new Error(`Flow version not found: ${versionId}`);
+    }
+
+    // Validate what will actually run: the snapshot, or the live rows for older snapshots
+    const snapshot = safeJsonParse(version.flow_definition, {}) || {};
+    await flowValidationService.assertFlowValid(flowId, {
+        definition: isCompleteSnapshot(snapshot) ? snapshot : null
+    });
+
+    const activated = await flowVersionsModel.transaction(async (client) => {
+        await client.query(`
+            UPDATE flow_versions
+            SET is_active = false, deactivated_at = NOW()
+            WHERE flow_id = $1 AND is_active = true AND id <> $2
+        `, [flowId, versionId]);
+
+        const result = await client.query(`
+            UPDATE flow_versions
+            SET is_active = true, activated_at = NOW(), deactivated_at = NULL
+            WHERE id = $1
+            RETURNING *
+        `, [versionId]);
+
+        await client.query(`
+            UPDATE flows SET version = $1, updated_at = NOW() WHERE id = $2
+        `, [version.version, flowId]);
+
+        return result.rows[0];
+    });
+
+    logger.info('Flow version activated', { flowId, versionId, version: version.version });
+
+    return activated;
+};
+
+/**
+ * Publish a flow (the flow must pass static validation)
+ */
+const publishFlow = async (flowId) => {
+    const validation = await flowValidationService.assertFlowValid(flowId);
+
+    const flow = await flowsModel.update(flowId, {
+        is_published: true,
+        published_at: new Date()
+    });
+
+    logger.info('Flow published', { flowId, flowCode: flow.flow_code });
+
+    return { flow, warnings: validation.warnings };
+};
+
+// Columns that identify or position a row rather than define behaviour
+const DIFF_IGNORED_COLUMNS = new Set([
+    'id', 'flow_id', 'from_step_id', 'to_step_id', 'error_handler_step_id', 'compensation_step_id',
+    'position_x', 'position_y', 'created_at', 'updated_at', 'created_by', 'updated_by'
+]);
+
+/**
+ * Field-level changes between two rows (JSON columns compared by value)
+ */
+const diffRows = (before, after) => {
+    const changes = {};
+    const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const column of columns) {
+        if (DIFF_IGNORED_COLUMNS.has(column)) continue;
+
+        const from = safeJsonParse(before[column], before[column]);
+        const to = safeJsonParse(after[column], after[column]);
+        if (stableStringify(from) !== stableStringify(to)) {
+            changes[column] = { from: from ?? null, to: to ?? null };
+        }
+    }
+    return changes;
+};
+
+/**
+ * Index a definition's steps by code and transitions by from->to:type (with step-ID references as codes)
+ */
+const indexDefinition = (definition) => {
+    const codesById = new Map(definition.steps.map(s => [s.id, s.step_code]));
+
+    // fieldMappings is derived from input_mapping/output_mapping
+    const steps = new Map(definition.steps.map(({ fieldMappings, ...step }) => [step.step_code, {
+        ...step,
+        error_handler_step_code: codesById.get(step.error_handler_step_id) || null,
+        compensation_step_code: codesById.get(step.compensation_step_id) || null
+    }]));
+
+    const transitions = new Map();
+    for (const transition of definition.transitions) {
+        const fromCode = codesById.get(transition.from_step_id);
+        const toCode = codesById.get(transition.to_step_id);
+        if (!fromCode || !toCode) continue;
+
+        const baseKey = `${fromCode}->${toCode}:${transition.transition_type || 'DEFAULT'}`;
+        let key = baseKey;
+        for (let n = 2; transitions.has(key); n++) {
+            key = `${baseKey}#${n}`;
+        }
+        transitions.set(key, { ...transition, from_step_code: fromCode, to_step_code: toCode });
+    }
+
+    return { steps, transitions };
+};
+
+const diffIndexed = (from, to) => {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, row] of to) {
+        if (!from.has(key)) {
+            added.push({ key, ...row });
+        } else {
+            const changes = diffRows(from.get(key), row);
+            if (Object.keys(changes).length > 0) {
+                changed.push({ key, changes });
+            }
+        }
+    }
+    for (const [key, row] of from) {
+        if (!to.has(key)) {
+            removed.push({ key, ...row });
+        }
+    }
+
+    return { added, removed, changed };
+};
+
+/**
+ * Structural diff between two versions of a flow (version numbers or IDs)
+ * Steps are matched by step_code, transitions by from->to step codes and transition type
+ */
+const diffFlowVersions = async (flowId, fromRef, toRef) => {
+    const fromVersion = await resolveFlowVersion(flowId, fromRef);
+    const toVersion = await resolveFlowVersion(flowId, toRef);
+
+    const fromDef = await getFlowDefinition(flowId, null, { versionId: fromVersion.id });
+    const toDef = await getFlowDefinition(flowId, null, { versionId: toVersion.id });
+
+    const fromIndex = indexDefinition(fromDef);
+    const toIndex = indexDefinition(toDef);
+
+    const steps = diffIndexed(fromIndex.steps, toIndex.steps);
+    const transitions = diffIndexed(fromIndex.transitions, toIndex.transitions);
+
+    return {
+        flowId,
+        from: { id: fromVersion.id, version: fromVersion.version },
+        to: { id: toVersion.id, version: toVersion.version },
+        identical: [steps, transitions].every(d => d.added.length + d.removed.length + d.changed.length === 0),
+        steps,
+        transitions
+    };
+};
+
 module.exports = {
     getFlowByEventType,
     getFlowDefinition,
+    getInstanceFlowDefinition,
+    resolveFlowVersion,
     buildStepGraph,
     getNextStep,
+    getNextSteps,
+    getGatewayConfig,
+    getTimeoutTransitionStep,
     evaluateTransitionCondition,
     evaluateConditionObject,
     evaluateOperator,
     getFieldValue,
     createFlow,
     addStep,
+    updateStep,
     addTransition,
     addFieldMapping,
     generateBpmnDiagram,
-    listFlows
+    getBpmnElementType,
+    getBpmnGatewayType,
+    listFlows,
+    createFlowVersion,
+    getFlowVersions,
+    activateFlowVersion,
+    publishFlow,
+    diffFlowVersions,
+    GATEWAY_TYPES,
+    GATEWAY_DIRECTIONS,
+    TIMEOUT_TRANSITION_TYPE
 };
@@ -0,0 +1,828 @@
+const Joi = require('joi');
+const {
+    flowsModel,
+    flowStepsModel,
+    stepTransitionsModel,
+    eventTypesModel,
+    fieldMappingsModel,
+    externalApisModel
+} = require('../models');
+const flowService = require('./flowService');
+const flowValidationService = require('./flowValidationService');
+const logger = require('../utils/logger');
+const { safeJsonParse, stableStringify } = require('../utils/helpers');
+const { parseXml, escapeXml, cdata, childrenByName, childByName } = require('../utils/xml');
+
+const FORMAT_VERSION = 1;
+
+const ORCH_NAMESPACE = 'http://payment-orchestrator/schema/bpmn';
+
+// Portable key -> column, per table. IDs never leave the database; references use codes.
+const FLOW_COLUMNS = {
+    flowName: 'flow_name',
+    description: 'description',
+    isSync: 'is_sync',
+    timeoutSeconds: 'timeout_seconds',
+    retryConfig: 'retry_config',
+    isActive: 'is_active',
+    metadata: 'metadata'
+};
+
+const STEP_COLUMNS = {
+    stepName: 'step_name',
+    stepType: 'step_type',
+    stepOrder: 'step_order',
+    description: 'description',
+    config: 'config',
+    apiEndpoint: 'api_endpoint',
+    apiMethod: 'api_method',
+    apiHeaders: 'api_headers',
+    apiTimeoutMs: 'api_timeout_ms',
+    inputMapping: 'input_mapping',
+    outputMapping: 'output_mapping',
+    conditions: 'conditions',
+    validationRules: 'validation_rules',
+    onErrorAction: 'on_error_action',
+    retryConfig: 'retry_config',
+    waitForCallback: 'wait_for_callback',
+    callbackTimeoutSeconds: 'callback_timeout_seconds',
+    callbackSuccessConditions: 'callback_success_conditions',
+    callbackFailureConditions: 'callback_failure_conditions',
+    requiresApproval: 'requires_approval',
+    approvalRoles: 'approval_roles',
+    positionX: 'position_x',
+    positionY: 'position_y',
+    isActive: 'is_active',
+    metadata: 'metadata',
+    compensationFlowCode: 'compensation_flow_code'
+};
+
+const TRANSITION_COLUMNS = {
+    transitionName: 'transition_name',
+    transitionType: 'transition_type',
+    conditions: 'conditions',
+    priority: 'priority',
+    isDefault: 'is_default',
+    isActive: 'is_active',
+    metadata: 'metadata'
+};
+
+// auth_config is deliberately not exported: credentials stay in the source environment
+const API_COLUMNS = {
+    apiName: 'api_name',
+    baseUrl: 'base_url',
+    authType: 'auth_type',
+    defaultHeaders: 'default_headers',
+    timeoutMs: 'timeout_ms',
+    retryConfig: 'retry_config',
+    isActive: 'is_active',
+    metadata: 'metadata'
+};
+
+const MAPPING_COLUMNS = {
+    mappingName: 'mapping_name',
+    description: 'description',
+    mappings: 'mappings',
+    transformations: 'transformations',
+    swapConfig: 'swap_config',
+    isActive: 'is_active',
+    metadata: 'metadata'
+};
+
+const JSON_COLUMNS = new Set([
+    'retry_config', 'metadata', 'config', 'api_headers', 'input_mapping', 'output_mapping',
+    'conditions', 'validation_rules', 'callback_success_conditions', 'callback_failure_conditions',
+    'approval_roles', 'default_headers', 'mappings', 'transformations', 'swap_config'
+]);
+
+const codeSchema = Joi.string().max(50).required();
+
+const documentSchema = Joi.object({
+    formatVersion: Joi.number().valid(FORMAT_VERSION).required(),
+    exportedAt: Joi.string().allow(null),
+    flow: Joi.object({
+        flowCode: codeSchema,
+        flowName: Joi.string().max(255).required(),
+        eventTypeCode: codeSchema
+    }).unknown(true).required(),
+    steps: Joi.array().items(Joi.object({
+        stepCode: codeSchema,
+        stepName: Joi.string().max(255).required(),
+        stepType: Joi.string().max(50).required(),
+        errorHandlerStepCode: Joi.string().allow(null),
+        compensationStepCode: Joi.string().allow(null)
+    }).unknown(true)).min(1).unique('stepCode').required(),
+    transitions: Joi.array().items(Joi.object({
+        fromStepCode: Joi.string().required(),
+        toStepCode: Joi.string().required()
+    }).unknown(true)).default([]),
+    externalApis: Joi.array().items(Joi.object({
+        apiCode: codeSchema,
+        apiName: Joi.string().required(),
+        baseUrl: Joi.string().required()
+    }).unknown(true)).unique('apiCode').default([]),
+    fieldMappings: Joi.array().items(Joi.object({
+        mappingCode: codeSchema,
+        mappingName: Joi.string().required()
+    }).unknown(true)).unique('mappingCode').default([])
+});
+
+/**
+ * Error for imports that would overwrite existing definitions
+ */
+const conflictError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+};
+
+const toPortable = (row, columns) => {
+    const result = {};
+    for (const [key, column] of Object.entries(columns)) {
+        result[key] = JSON_COLUMNS.has(column) ? safeJsonParse(row[column], null) : row[column];
+    }
+    return result;
+};
+
+const fromPortable = (data, columns) => {
+    const row = {};
+    for (const [key, column] of Object.entries(columns)) {
+        if (data[key] === undefined) continue;
+        row[column] = JSON_COLUMNS.has(column) && data[key] !== null ? JSON.stringify(data[key]) : data[key];
+    }
+    return row;
+};
+
+const insertRow = async (client, table, data) => {
+    const keys = Object.keys(data);
+    const placeholders = keys.map((_, i) => `$${i + 1}`).join(', ');
+    const result = await client.query(
+        `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+        Object.values(data)
+    );
+    return result.rows[0];
+};
+
+const updateRow = async (client, table, id, data) => {
+    const keys = Object.keys(data);
+    const setClauses = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
+    const result = await client.query(
+        `UPDATE ${table} SET ${setClauses}, updated_at = NOW() WHERE id = $${keys.length + 1} RETURNING *`,
+        [...Object.values(data), id]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Export a flow as a portable JSON document
+ * Steps reference each other, external APIs and field mappings by code instead of ID
+ */
+const exportFlow = async (flowId) => {
+    const flow = await flowsModel.findById(flowId);
+    if (!flow) {
+        throw new Error(`Flow not found: ${flowId}`);
+    }
+
+    const eventType = flow.event_type_id ? await eventTypesModel.findById(flow.event_type_id) : null;
+
+    const steps = await flowStepsModel.findAll({
+        where: { flow_id: flowId },
+        orderBy: 'step_order ASC'
+    });
+    const stepCodesById = new Map(steps.map(s => [s.id, s.step_code]));
+
+    const stepIds = steps.map(s => s.id);
+    const transitions = stepIds.length > 0
+        ? await stepTransitionsModel.raw(`
+            SELECT * FROM step_transitions
+            WHERE from_step_id = ANY($1)
+            ORDER BY priority ASC, created_at ASC
+        `, [stepIds])
+        : [];
+
+    const apiIds = [...new Set(steps
+        .map(s => safeJsonParse(s.config, {})?.apiId)
+        .filter(Boolean))];
+    const apis = apiIds.length > 0
+        ? await externalApisModel.raw('SELECT * FROM external_apis WHERE id = ANY($1)', [apiIds])
+        : [];
+    const apiCodesById = new Map(apis.map(a => [a.id, a.api_code]));
+
+    const fieldMappings = eventType
+        ? await fieldMappingsModel.findAll({ where: { event_type_id: eventType.id }, orderBy: 'mapping_code ASC' })
+        : [];
+
+    return {
+        formatVersion: FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        flow: {
+            flowCode: flow.flow_code,
+            eventTypeCode: eventType?.event_code || null,
+            ...toPortable(flow, FLOW_COLUMNS)
+        },
+        steps: steps.map(step => {
+            const portable = { stepCode: step.step_code, ...toPortable(step, STEP_COLUMNS) };
+            const config = portable.config || {};
+            if (config.apiId) {
+                const { apiId, ...rest } = config;
+                portable.config = { ...rest, apiCode: apiCodesById.get(apiId) || null };
+            }
+            portable.errorHandlerStepCode = stepCodesById.get(step.error_handler_step_id) || null;
+            portable.compensationStepCode = stepCodesById.get(step.compensation_step_id) || null;
+            return portable;
+        }),
+        transitions: transitions
+            .filter(t => stepCodesById.has(t.to_step_id))
+            .map(t => ({
+                fromStepCode: stepCodesById.get(t.from_step_id),
+                toStepCode: stepCodesById.get(t.to_step_id),
+                ...toPortable(t, TRANSITION_COLUMNS)
+            })),
+        externalApis: apis.map(api => ({ apiCode: api.api_code, ...toPortable(api, API_COLUMNS) })),
+        fieldMappings: fieldMappings.map(m => ({ mappingCode: m.mapping_code, ...toPortable(m, MAPPING_COLUMNS) }))
+    };
+};
+
+/**
+ * Upsert a code-keyed reference row (external API, field mapping)
+ * An existing row that differs from the import is a conflict unless overwrite is set
+ */
+const upsertByCode = async (client, table, codeColumn, code, row, overwrite) => {
+    const existing = (await client.query(`SELECT * FROM ${table} WHERE ${codeColumn} = $1`, [code])).rows[0];
+    if (!existing) {
+        return { row: await insertRow(client, table, { [codeColumn]: code, ...row }), action: 'created' };
+    }
+
+    const differs = Object.entries(row).some(([column, value]) => {
+        if (JSON_COLUMNS.has(column)) {
+            return stableStringify(safeJsonParse(existing[column], null)) !== stableStringify(safeJsonParse(value, null));
+        }
+        return existing[column] !== value;
+    });
+
+    if (!differs) {
+        return { row: existing, action: 'unchanged' };
+    }
+    if (!overwrite) {
+        throw conflictError(`${table} ${code} already exists with a different definition`);
+    }
+    return { row: await updateRow(client, table, existing.id, row), action: 'updated' };
+};
+
+/**
+ * Import a portable flow document
+ * New IDs are generated for every row. An existing flow (same flowCode) or a differing
+ * external API / field mapping is refused unless options.overwrite is set; on overwrite,
+ * steps are matched by step code so in-flight instances keep pointing at valid steps.
+ */
+const importFlow = async (document, options = {}) => {
+    const { overwrite = false } = options;
+
+    const { error, value: doc } = documentSchema.validate(document, { abortEarly: false });
+    if (error) {
+        throw new Error(`Invalid flow document: ${error.message}`);
+    }
+
+    const flowCode = options.flowCode || doc.flow.flowCode;
+    const stepCodes = new Set(doc.steps.map(s => s.stepCode));
+
+    for (const transition of doc.transitions) {
+        for (const code of [transition.fromStepCode, transition.toStepCode]) {
+            if (!stepCodes.has(code)) {
+                throw new Error(`Transition references unknown step code: ${code}`);
+            }
+        }
+    }
+    for (const step of doc.steps) {
+        for (const code of [step.errorHandlerStepCode, step.compensationStepCode]) {
+            if (code && !stepCodes.has(code)) {
+                throw new Error(`Step ${step.stepCode} references unknown step code: ${code}`);
+            }
+        }
+    }
+
+    const summary = await flowsModel.transaction(async (client) => {
+        const existingFlow = (await client.query(
+            'SELECT * FROM flows WHERE flow_code = $1 FOR UPDATE', [flowCode]
+        )).rows[0];
+
+        if (existingFlow && !overwrite) {
+            throw conflictError(`Flow ${flowCode} already exists`);
+        }
+
+        // Event type
+        let eventType = (await client.query(
+            'SELECT * FROM event_types WHERE event_code = $1', [doc.flow.eventTypeCode]
+        )).rows[0];
+        if (!eventType) {
+            eventType = await insertRow(client, 'event_types', {
+                event_code: doc.flow.eventTypeCode,
+                event_name: doc.flow.eventTypeCode,
+                is_active: true
+            });
+        }
+
+        // Referenced external APIs and field mappings
+        const apiIdsByCode = new Map();
+        const references = { externalApis: {}, fieldMappings: {} };
+        for (const api of doc.externalApis) {
+            const { row, action } = await upsertByCode(
+                client, 'external_apis', 'api_code', api.apiCode, fromPortable(api, API_COLUMNS), overwrite
+            );
+            apiIdsByCode.set(api.apiCode, row.id);
+            references.externalApis[api.apiCode] = action;
+        }
+        for (const mapping of doc.fieldMappings) {
+            const { action } = await upsertByCode(
+                client, 'field_mappings', 'mapping_code', mapping.mappingCode,
+                { ...fromPortable(mapping, MAPPING_COLUMNS), event_type_id: eventType.id }, overwrite
+            );
+            references.fieldMappings[mapping.mappingCode] = action;
+        }
+
+        // Flow
+        const flowRow = {
+            ...fromPortable(doc.flow, FLOW_COLUMNS),
+            event_type_id: eventType.id
+        };
+        const flow = existingFlow
+            ? await updateRow(client, 'flows', existingFlow.id, flowRow)
+            : await insertRow(client, 'flows', { flow_code: flowCode, ...flowRow });
+
+        // Steps, matched by code on overwrite
+        const existingSteps = existingFlow
+            ? (await client.query('SELECT * FROM flow_steps WHERE flow_id = $1', [flow.id])).rows
+            : [];
+        const existingByCode = new Map(existingSteps.map(s => [s.step_code, s]));
+        const stepIdsByCode = new Map();
+
+        for (const step of doc.steps) {
+            const config = { ...(step.config || {}) };
+            if (config.apiCode) {
+                let apiId = apiIdsByCode.get(config.apiCode);
+                if (!apiId) {
+                    const api = (await client.query(
+                        'SELECT id FROM external_apis WHERE api_code = $1', [config.apiCode]
+                    )).rows[0];
+                    if (!api) {
+                        throw new Error(`Step ${step.stepCode} references unknown external API: ${config.apiCode}`);
+                    }
+                    apiId = api.id;
+                }
+                delete config.apiCode;
+                config.apiId = apiId;
+            }
+
+            const row = {
+                ...fromPortable({ ...step, config }, STEP_COLUMNS),
+                error_handler_step_id: null,
+                compensation_step_id: null
+            };
+            const existing = existingByCode.get(step.stepCode);
+            const saved = existing
+                ? await updateRow(client, 'flow_steps', existing.id, { is_active: true, ...row })
+                : await insertRow(client, 'flow_steps', { flow_id: flow.id, step_code: step.stepCode, ...row });
+            stepIdsByCode.set(step.stepCode, saved.id);
+        }
+
+        for (const step of doc.steps) {
+            if (step.errorHandlerStepCode || step.compensationStepCode) {
+                await updateRow(client, 'flow_steps', stepIdsByCode.get(step.stepCode), {
+                    error_handler_step_id: stepIdsByCode.get(step.errorHandlerStepCode) || null,
+                    compensation_step_id: stepIdsByCode.get(step.compensationStepCode) || null
+                });
+            }
+        }
+
+        // Steps dropped by the import are deleted, or deactivated if executions still reference them
+        const keptIds = [...stepIdsByCode.values()];
+        let removedSteps = 0;
+        if (existingFlow) {
+            await client.query(`
+                DELETE FROM step_transitions
+                WHERE flow_id = $1 OR from_step_id IN (SELECT id FROM flow_steps WHERE flow_id = $1)
+            `, [flow.id]);
+
+            const removed = await client.query(`
+                DELETE FROM flow_steps fs
+                WHERE fs.flow_id = $1 AND NOT (fs.id = ANY($2))
+                    AND NOT EXISTS (SELECT 1 FROM step_executions se WHERE se.step_id = fs.id)
+                    AND NOT EXISTS (SELECT 1 FROM flow_instances fi WHERE fi.current_step_id = fs.id)
+            `, [flow.id, keptIds]);
+            removedSteps = removed.rowCount;
+
+            await client.query(`
+                UPDATE flow_steps SET is_active = false, updated_at = NOW()
+                WHERE flow_id = $1 AND NOT (id = ANY($2))
+            `, [flow.id, keptIds]);
+        }
+
+        for (const transition of doc.transitions) {
+            await insertRow(client, 'step_transitions', {
+                flow_id: flow.id,
+                from_step_id: stepIdsByCode.get(transition.fromStepCode),
+                to_step_id: stepIdsByCode.get(transition.toStepCode),
+                ...fromPortable(transition, TRANSITION_COLUMNS)
+            });
+        }
+
+        return {
+            flow,
+            action: existingFlow ? 'updated' : 'created',
+            stepIds: Object.fromEntries(stepIdsByCode),
+            removedSteps,
+            references
+        };
+    });
+
+    const validation = await flowValidationService.validateFlow(summary.flow.id);
+
+    logger.info('Flow imported', {
+        flowId: summary.flow.id,
+        flowCode,
+        action: summary.action,
+        steps: doc.steps.length,
+        transitions: doc.transitions.length,
+        valid: validation.valid
+    });
+
+    return { ...summary, validation };
+};
+
+// =====================================================
+// BPMN 2.0 XML
+// =====================================================
+
+const SHAPE_SIZES = {
+    event: { width: 36, height: 36 },
+    gateway: { width: 50, height: 50 },
+    task: { width: 100, height: 80 }
+};
+
+const shapeSizeFor = (elementType) => {
+    if (/Event$/.test(elementType)) return SHAPE_SIZES.event;
+    if (/Gateway$/.test(elementType)) return SHAPE_SIZES.gateway;
+    return SHAPE_SIZES.task;
+};
+
+const toXmlId = (prefix, code) => `${prefix}_${String(code).replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+
+/**
+ * Lay steps out left to right by distance from START when no positions are stored
+ */
+const layoutSteps = (doc) => {
+    const positioned = doc.steps.some(s => s.positionX || s.positionY);
+    const positions = new Map();
+
+    if (positioned) {
+        for (const step of doc.steps) {
+            positions.set(step.stepCode, { x: step.positionX || 0, y: step.positionY || 0 });
+        }
+        return positions;
+    }
+
+    const levels = new Map();
+    const start = doc.steps.find(s => s.stepType === 'START') || doc.steps[0];
+    const queue = [[start.stepCode, 0]];
+    while (queue.length > 0) {
+        const [code, level] = queue.shift();
+        if (levels.has(code)) continue;
+        levels.set(code, level);
+        for (const t of doc.transitions.filter(tr => tr.fromStepCode === code)) {
+            queue.push([t.toStepCode, level + 1]);
+        }
+    }
+
+    let maxLevel = Math.max(0, ...levels.values());
+    const rows = new Map();
+    for (const step of doc.steps) {
+        if (!levels.has(step.stepCode)) {
+            levels.set(step.stepCode, ++maxLevel);
+        }
+        const level = levels.get(step.stepCode);
+        const row = rows.get(level) || 0;
+        rows.set(level, row + 1);
+        positions.set(step.stepCode, { x: 150 + level * 180, y: 100 + row * 140 });
+    }
+    return positions;
+};
+
+/**
+ * Conditions shown as a BPMN conditionExpression (expression conditions only)
+ */
+const conditionExpressionOf = (transition) => {
+    const conditions = Array.isArray(transition.conditions) ? transition.conditions : [];
+    return conditions[0]?.expression || null;
+};
+
+/**
+ * Render a portable flow document as BPMN 2.0 XML with diagram interchange (layout)
+ * Orchestrator settings ride along in extensionElements so the XML round-trips
+ */
+const toBpmnXml = (doc) => {
+    const processId = toXmlId('Process', doc.flow.flowCode);
+    const stepIds = new Map(doc.steps.map(s => [s.stepCode, toXmlId('Step', s.stepCode)]));
+    const positions = layoutSteps(doc);
+    const shapes = [];
+    const edges = [];
+    const { flow, externalApis, fieldMappings } = doc;
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL"
+    xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI"
+    xmlns:dc="http://www.omg.org/spec/DD/20100524/DC"
+    xmlns:di="http://www.omg.org/spec/DD/20100524/DI"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xmlns:orch="${ORCH_NAMESPACE}"
+    id="Definitions_${escapeXml(flow.flowCode)}"
+    targetNamespace="http://bpmn.io/schema/bpmn"
+    exporter="payment-orchestrator"
+    exporterVersion="${FORMAT_VERSION}">
+  <bpmn:process id="${escapeXml(processId)}" name="${escapeXml(flow.flowName)}" isExecutable="true">
+    <bpmn:extensionElements>
+      <orch:flow>${cdata(JSON.stringify({ formatVersion: FORMAT_VERSION, flow, externalApis, fieldMappings }))}</orch:flow>
+    </bpmn:extensionElements>
+`;
+
+    for (const step of doc.steps) {
+        const id = stepIds.get(step.stepCode);
+        const elementType = step.stepType === 'GATEWAY'
+            ? flowService.getBpmnGatewayType({ config: step.config })
+            : flowService.getBpmnElementType(step.stepType);
+        const defaultFlow = doc.transitions.findIndex(t =>
+            t.fromStepCode === step.stepCode && (t.isDefault || t.transitionType === 'DEFAULT'));
+        const defaultAttr = /Gateway$/.test(elementType) && defaultFlow !== -1
+            ? ` default="Flow_${defaultFlow + 1}"`
+            : '';
+
+        xml += `    <bpmn:${elementType} id="${escapeXml(id)}" name="${escapeXml(step.stepName)}"${defaultAttr}>\n`;
+        xml += `      <bpmn:extensionElements>\n`;
+        xml += `        <orch:step>${cdata(JSON.stringify(step))}</orch:step>\n`;
+        xml += `      </bpmn:extensionElements>\n`;
+        if (step.stepType === 'TIMER') {
+            xml += `      <bpmn:timerEventDefinition />\n`;
+        }
+        xml += `    </bpmn:${elementType}>\n`;
+
+        const { x, y } = positions.get(step.stepCode);
+        shapes.push({ id, x, y, ...shapeSizeFor(elementType) });
+    }
+
+    doc.transitions.forEach((transition, index) => {
+        const flowId = `Flow_${index + 1}`;
+        let sourceRef = stepIds.get(transition.fromStepCode);
+
+        if (transition.transitionType === 'TIMEOUT') {
+            const boundaryId = `Timeout_${index + 1}`;
+            xml += `    <bpmn:boundaryEvent id="${boundaryId}" attachedToRef="${escapeXml(sourceRef)}">\n`;
+            xml += `      <bpmn:timerEventDefinition />\n`;
+            xml += `    </bpmn:boundaryEvent>\n`;
+            const host = shapes.find(s => s.id === sourceRef);
+            shapes.push({ id: boundaryId, x: host.x + host.width - 18, y: host.y + host.height - 18, ...SHAPE_SIZES.event });
+            sourceRef = boundaryId;
+        }
+
+        const expression = conditionExpressionOf(transition);
+        const name = transition.transitionName ? ` name="${escapeXml(transition.transitionName)}"` : '';
+        xml += `    <bpmn:sequenceFlow id="${flowId}" sourceRef="${escapeXml(sourceRef)}" targetRef="${escapeXml(stepIds.get(transition.toStepCode))}"${name}>\n`;
+        xml += `      <bpmn:extensionElements>\n`;
+        xml += `        <orch:transition>${cdata(JSON.stringify(transition))}</orch:transition>\n`;
+        xml += `      </bpmn:extensionElements>\n`;
+        if (expression) {
+            xml += `      <bpmn:conditionExpression xsi:type="bpmn:tFormalExpression">${escapeXml(expression)}</bpmn:conditionExpression>\n`;
+        }
+        xml += `    </bpmn:sequenceFlow>\n`;
+
+        edges.push({ id: flowId, sourceRef, targetRef: stepIds.get(transition.toStepCode) });
+    });
+
+    xml += `  </bpmn:process>
+  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
+    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="${escapeXml(processId)}">
+`;
+
+    for (const shape of shapes) {
+        xml += `      <bpmndi:BPMNShape id="${escapeXml(shape.id)}_di" bpmnElement="${escapeXml(shape.id)}">\n`;
+        xml += `        <dc:Bounds x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" />\n`;
+        xml += `      </bpmndi:BPMNShape>\n`;
+    }
+
+    for (const edge of edges) {
+        const source = shapes.find(s => s.id === edge.sourceRef);
+        const target = shapes.find(s => s.id === edge.targetRef);
+        xml += `      <bpmndi:BPMNEdge id="${edge.id}_di" bpmnElement="${edge.id}">\n`;
+        xml += `        <di:waypoint x="${source.x + source.width}" y="${source.y + source.height / 2}" />\n`;
+        xml += `        <di:waypoint x="${target.x}" y="${target.y + target.height / 2}" />\n`;
+        xml += `      </bpmndi:BPMNEdge>\n`;
+    }
+
+    xml += `    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</bpmn:definitions>
+`;
+
+    return xml;
+};
+
+/**
+ * Export a flow as BPMN 2.0 XML
+ */
+const exportFlowBpmn = async (flowId) => {
+    return toBpmnXml(await exportFlow(flowId));
+};
+
+// BPMN elements without orchestrator extensions map to the closest step type
+const BPMN_STEP_TYPES = {
+    startEvent: 'START',
+    endEvent: 'END',
+    task: 'TASK',
+    serviceTask: 'API_CALL',
+    scriptTask: 'TRANSFORM',
+    businessRuleTask: 'CONDITION',
+    receiveTask: 'CALLBACK',
+    userTask: 'MANUAL',
+    manualTask: 'MANUAL',
+    sendTask: 'ALERT',
+    callActivity: 'SUBFLOW',
+    exclusiveGateway: 'GATEWAY',
+    parallelGateway: 'GATEWAY',
+    inclusiveGateway: 'GATEWAY',
+    intermediateThrowEvent: 'EVENT',
+    intermediateCatchEvent: 'LISTENER'
+};
+
+const BPMN_GATEWAY_TYPES = {
+    exclusiveGateway: 'XOR',
+    parallelGateway: 'AND',
+    inclusiveGateway: 'OR'
+};
+
+const readExtension = (element, localName) => {
+    const extensions = childByName(element, 'extensionElements');
+    const node = extensions && childByName(extensions, localName);
+    if (!node) return null;
+
+    const parsed = safeJsonParse(node.text.trim());
+    if (!parsed) {
+        throw new Error(`Invalid orch:${localName} extension on ${element.attributes.id}`);
+    }
+    return parsed;
+};
+
+const toStepCode = (id) => String(id).replace(/^Step_/, '').replace(/[^A-Za-z0-9_]/g, '_').slice(0, 50);
+
+/**
+ * Convert BPMN 2.0 XML into a portable flow document
+ * Orchestrator extensions are used when present; plain BPMN is mapped element by element
+ * (options.flowCode / options.eventTypeCode fill in what plain BPMN cannot carry)
+ */
+const parseBpmnXml = (xml, options = {}) => {
+    const definitions = parseXml(xml);
+    if (definitions.localName !== 'definitions') {
+        throw new Error('Not a BPMN document: root element must be definitions');
+    }
+
+    const process = childByName(definitions, 'process');
+    if (!process) {
+        throw new Error('BPMN document has no process');
+    }
+
+    // Shape positions from diagram interchange
+    const bounds = new Map();
+    for (const diagram of childrenByName(definitions, 'BPMNDiagram')) {
+        for (const plane of childrenByName(diagram, 'BPMNPlane')) {
+            for (const shape of childrenByName(plane, 'BPMNShape')) {
+                const box = childByName(shape, 'Bounds');
+                if (box) {
+                    bounds.set(shape.attributes.bpmnElement, {
+                        x: Math.round(Number(box.attributes.x) || 0),
+                        y: Math.round(Number(box.attributes.y) || 0)
+                    });
+                }
+            }
+        }
+    }
+
+    const flowExtension = readExtension(process, 'flow') || {};
+    const flowCode = options.flowCode || flowExtension.flow?.flowCode
+        || String(process.attributes.id).replace(/^Process_/, '').replace(/[^A-Za-z0-9_]/g, '_').slice(0, 50);
+    const eventTypeCode = options.eventTypeCode || flowExtension.flow?.eventTypeCode;
+    if (!eventTypeCode) {
+        throw new Error('eventTypeCode is required to import BPMN without orchestrator extensions');
+    }
+
+    const stepCodesByElement = new Map();
+    const boundaryHosts = new Map();
+    const steps = [];
+    const sequenceFlows = [];
+    let order = 0;
+
+    for (const element of process.children) {
+        const { id } = element.attributes;
+
+        if (element.localName === 'sequenceFlow') {
+            sequenceFlows.push(element);
+            continue;
+        }
+        if (element.localName === 'boundaryEvent') {
+            boundaryHosts.set(id, element.attributes.attachedToRef);
+            continue;
+        }
+
+        const extension = readExtension(element, 'step');
+        if (!extension && !BPMN_STEP_TYPES[element.localName]) {
+            continue;
+        }
+
+        order++;
+        const position = bounds.get(id) || {};
+        let step;
+        if (extension) {
+            step = { ...extension, positionX: position.x ?? extension.positionX, positionY: position.y ?? extension.positionY };
+        } else {
+            let stepType = BPMN_STEP_TYPES[element.localName];
+            const config = {};
+            if (element.localName === 'intermediateCatchEvent' && childByName(element, 'timerEventDefinition')) {
+                stepType = 'TIMER';
+            }
+            if (BPMN_GATEWAY_TYPES[element.localName]) {
+                config.gatewayType = BPMN_GATEWAY_TYPES[element.localName];
+                config.direction = element.attributes.gatewayDirection === 'Converging' ? 'JOIN' : 'SPLIT';
+            }
+            step = {
+                stepCode: toStepCode(id),
+                stepName: element.attributes.name || id,
+                stepType,
+                stepOrder: order,
+                config,
+                positionX: position.x || 0,
+                positionY: position.y || 0
+            };
+        }
+
+        stepCodesByElement.set(id, step.stepCode);
+        steps.push(step);
+    }
+
+    const defaultFlows = new Set(process.children.map(e => e.attributes.default).filter(Boolean));
+
+    const transitions = sequenceFlows.map((element, index) => {
+        const { id, sourceRef, targetRef, name } = element.attributes;
+        const isTimeout = boundaryHosts.has(sourceRef);
+        const fromStepCode = stepCodesByElement.get(isTimeout ? boundaryHosts.get(sourceRef) : sourceRef);
+        const toStepCode = stepCodesByElement.get(targetRef);
+
+        if (!fromStepCode || !toStepCode) {
+            throw new Error(`Sequence flow ${id} connects unsupported elements`);
+        }
+
+        const extension = readExtension(element, 'transition');
+        if (extension) {
+            return { ...extension, fromStepCode, toStepCode };
+        }
+
+        const expression = childByName(element, 'conditionExpression')?.text.trim();
+        const isDefault = defaultFlows.has(id);
+        return {
+            fromStepCode,
+            toStepCode,
+            transitionName: name || null,
+            transitionType: isTimeout ? 'TIMEOUT' : isDefault ? 'DEFAULT' : expression ? 'CONDITION' : 'ALWAYS',
+            conditions: expression ? [{ expression }] : [],
+            priority: index,
+            isDefault
+        };
+    });
+
+    return {
+        formatVersion: FORMAT_VERSION,
+        exportedAt: null,
+        flow: {
+            ...flowExtension.flow,
+            flowCode,
+            flowName: flowExtension.flow?.flowName || process.attributes.name || flowCode,
+            eventTypeCode
+        },
+        steps,
+        transitions,
+        externalApis: flowExtension.externalApis || [],
+        fieldMappings: flowExtension.fieldMappings || []
+    };
+};
+
+/**
+ * Import a flow from BPMN 2.0 XML
+ */
+const importFlowBpmn = async (xml, options = {}) => {
+    return importFlow(parseBpmnXml(xml, options), options);
+};
+
+module.exports = {
+    exportFlow,
+    exportFlowBpmn,
+    importFlow,
+    importFlowBpmn,
+    toBpmnXml,
+    parseBpmnXml,
+    FORMAT_VERSION
+};
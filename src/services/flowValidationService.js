@@ -0,0 +1,393 @@
+const {
+    flowsModel,
+    flowStepsModel,
+    stepTransitionsModel,
+    externalApisModel
+} = require('../models');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+const VALIDATION_CODES = {
+    NO_START: 'NO_START',
+    MULTIPLE_START: 'MULTIPLE_START',
+    NO_END: 'NO_END',
+    UNKNOWN_STEP_TYPE: 'UNKNOWN_STEP_TYPE',
+    DANGLING_TRANSITION: 'DANGLING_TRANSITION',
+    ORPHAN_STEP: 'ORPHAN_STEP',
+    UNREACHABLE_STEP: 'UNREACHABLE_STEP',
+    NO_OUTGOING: 'NO_OUTGOING',
+    CYCLE_WITHOUT_EXIT: 'CYCLE_WITHOUT_EXIT',
+    CONDITION_NO_DEFAULT: 'CONDITION_NO_DEFAULT',
+    MISSING_API: 'MISSING_API',
+    UNKNOWN_API: 'UNKNOWN_API',
+    INACTIVE_API: 'INACTIVE_API',
+    UNKNOWN_ERROR_HANDLER: 'UNKNOWN_ERROR_HANDLER',
+    UNKNOWN_COMPENSATION_STEP: 'UNKNOWN_COMPENSATION_STEP',
+    PARALLEL_CALLBACKS: 'PARALLEL_CALLBACKS'
+};
+
+/**
+ * Build an issue entry, tagged with the step it concerns
+ */
+const issue = (code, message, step = null) => ({
+    code,
+    message,
+    stepId: step?.id || null,
+    stepCode: step?.step_code || null
+});
+
+/**
+ * A transition with no condition (or an explicit DEFAULT) is always taken
+ */
+const isUnconditionalTransition = (transition) => {
+    if (transition.transition_type === 'TIMEOUT') return false;
+    if (transition.is_default || transition.transition_type === 'DEFAULT') return true;
+
+    const conditions = safeJsonParse(transition.conditions, []);
+    const hasConditions = Array.isArray(conditions)
+        ? conditions.length > 0
+        : conditions && Object.keys(conditions).length > 0;
+
+    return !hasConditions && !transition.condition_expression;
+};
+
+/**
+ * Strongly connected components (Tarjan), iterative over the adjacency map
+ */
+const findStronglyConnected = (nodeIds, adjacency) => {
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+
+    for (const root of nodeIds) {
+        if (indices.has(root)) continue;
+
+        const work = [{ node: root, edge: 0 }];
+        indices.set(root, index);
+        lowLinks.set(root, index++);
+        stack.push(root);
+        onStack.add(root);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const edges = adjacency.get(frame.node) || [];
+
+            if (frame.edge < edges.length) {
+                const next = edges[frame.edge++];
+                if (!indices.has(next)) {
+                    indices.set(next, index);
+                    lowLinks.set(next, index++);
+                    stack.push(next);
+                    onStack.add(next);
+                    work.push({ node: next, edge: 0 });
+                } else if (onStack.has(next)) {
+                    lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indices.get(next)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+            }
+
+            if (lowLinks.get(frame.node) === indices.get(frame.node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.node);
+                components.push(component);
+            }
+        }
+    }
+
+    return components;
+};
+
+/**
+ * CALLBACK steps each parallel branch of an AND/OR split can wait on before its join
+ * gatewayRole(step) is SPLIT for AND/OR splits, JOIN for joins and null for other steps.
+ * Returns one list of step IDs per outgoing transition of the split
+ */
+const findBranchCallbacks = (split, stepsById, outgoingByStep, gatewayRole) => {
+    return (outgoingByStep.get(split.id) || [])
+        .filter(transition => transition.transition_type !== 'TIMEOUT')
+        .map(transition => {
+            const callbacks = new Set();
+            const visited = new Set();
+            // depth counts the nested splits entered, so only this split's join ends the branch
+            const queue = [{ stepId: transition.to_step_id, depth: 0 }];
+            while (queue.length > 0) {
+                const { stepId, depth } = queue.shift();
+                const key = `${stepId}:${depth}`;
+                const step = stepsById.get(stepId);
+                if (visited.has(key) || !step || depth > stepsById.size) continue;
+                visited.add(key);
+
+                let nextDepth = depth;
+                if (gatewayRole(step) === 'JOIN') {
+                    if (depth === 0) continue;
+                    nextDepth = depth - 1;
+                } else if (gatewayRole(step) === 'SPLIT') {
+                    nextDepth = depth + 1;
+                }
+                if (step.step_type === 'CALLBACK') {
+                    callbacks.add(step.id);
+                }
+                for (const next of outgoingByStep.get(stepId) || []) {
+                    queue.push({ stepId: next.to_step_id, depth: nextDepth });
+                }
+            }
+            return [...callbacks];
+        });
+};
+
+/**
+ * Statically validate a flow's steps and transitions
+ * options.externalApis: rows from external_apis ({ id, is_active }) used to check API_CALL apiIds
+ * Returns { valid, errors, warnings }
+ */
+const validateFlowGraph = (steps, transitions, options = {}) => {
+    const { externalApis = [] } = options;
+    const errors = [];
+    const warnings = [];
+
+    const stepsById = new Map(steps.map(step => [step.id, step]));
+    const apisById = new Map(externalApis.map(api => [api.id, api]));
+
+    // START / END
+    const startSteps = steps.filter(s => s.step_type === 'START');
+    if (startSteps.length === 0) {
+        errors.push(issue(VALIDATION_CODES.NO_START, 'Flow has no START step'));
+    } else if (startSteps.length > 1) {
+        errors.push(issue(VALIDATION_CODES.MULTIPLE_START, `Flow has ${startSteps.length} START steps`));
+    }
+    if (!steps.some(s => s.step_type === 'END')) {
+        errors.push(issue(VALIDATION_CODES.NO_END, 'Flow has no END step'));
+    }
+
+    // Transitions must connect two steps of this flow
+    const adjacency = new Map(steps.map(step => [step.id, []]));
+    const incoming = new Map(steps.map(step => [step.id, []]));
+    const validTransitions = [];
+
+    for (const transition of transitions) {
+        const fromStep = stepsById.get(transition.from_step_id);
+        const toStep = stepsById.get(transition.to_step_id);
+        if (!fromStep || !toStep) {
+            errors.push(issue(
+                VALIDATION_CODES.DANGLING_TRANSITION,
+                `Transition ${transition.id} points ${!fromStep ? 'from' : 'to'} a step outside this flow`,
+                fromStep || toStep
+            ));
+            continue;
+        }
+        adjacency.get(fromStep.id).push(toStep.id);
+        incoming.get(toStep.id).push(transition);
+        validTransitions.push(transition);
+    }
+
+    // Steps entered outside of transitions: error handlers and compensation steps
+    const sideEntryIds = new Set();
+    for (const step of steps) {
+        if (step.error_handler_step_id) {
+            if (stepsById.has(step.error_handler_step_id)) {
+                sideEntryIds.add(step.error_handler_step_id);
+            } else {
+                errors.push(issue(VALIDATION_CODES.UNKNOWN_ERROR_HANDLER,
+                    `Error handler step ${step.error_handler_step_id} is not part of this flow`, step));
+            }
+        }
+        if (step.compensation_step_id) {
+            if (stepsById.has(step.compensation_step_id)) {
+                sideEntryIds.add(step.compensation_step_id);
+            } else {
+                errors.push(issue(VALIDATION_CODES.UNKNOWN_COMPENSATION_STEP,
+                    `Compensation step ${step.compensation_step_id} is not part of this flow`, step));
+            }
+        }
+    }
+
+    // Orphans have no way in; unreachable steps have one, but not from START
+    const reachable = new Set();
+    const queue = [...startSteps.map(s => s.id), ...sideEntryIds];
+    while (queue.length > 0) {
+        const stepId = queue.shift();
+        if (reachable.has(stepId)) continue;
+        reachable.add(stepId);
+        queue.push(...adjacency.get(stepId));
+    }
+
+    for (const step of steps) {
+        if (step.step_type === 'START' || sideEntryIds.has(step.id)) continue;
+
+        if (incoming.get(step.id).length === 0) {
+            errors.push(issue(VALIDATION_CODES.ORPHAN_STEP,
+                `Step ${step.step_code} has no incoming transitions`, step));
+        } else if (startSteps.length > 0 && !reachable.has(step.id)) {
+            errors.push(issue(VALIDATION_CODES.UNREACHABLE_STEP,
+                `Step ${step.step_code} cannot be reached from START`, step));
+        }
+    }
+
+    // Per-step checks
+    for (const step of steps) {
+        const config = safeJsonParse(step.config, {}) || {};
+        const outgoing = validTransitions.filter(t => t.from_step_id === step.id);
+
+        if (!stepTypeRegistry.isRegisteredStepType(step.step_type)) {
+            errors.push(issue(VALIDATION_CODES.UNKNOWN_STEP_TYPE,
+                `Step ${step.step_code} has unknown step type ${step.step_type}`, step));
+        }
+
+        if (step.step_type !== 'END' && outgoing.length === 0) {
+            warnings.push(issue(VALIDATION_CODES.NO_OUTGOING,
+                `Step ${step.step_code} has no outgoing transitions and will complete the instance`, step));
+        }
+
+        if (step.step_type === 'CONDITION' && outgoing.length > 0 && !outgoing.some(isUnconditionalTransition)) {
+            errors.push(issue(VALIDATION_CODES.CONDITION_NO_DEFAULT,
+                `CONDITION step ${step.step_code} has no default branch`, step));
+        }
+
+        if (step.step_type === 'API_CALL') {
+            if (!config.apiId && !config.url) {
+                errors.push(issue(VALIDATION_CODES.MISSING_API,
+                    `API_CALL step ${step.step_code} has neither apiId nor url`, step));
+            } else if (config.apiId) {
+                const api = apisById.get(config.apiId);
+                if (!api) {
+                    errors.push(issue(VALIDATION_CODES.UNKNOWN_API,
+                        `API_CALL step ${step.step_code} references unknown external API ${config.apiId}`, step));
+                } else if (api.is_active === false) {
+                    warnings.push(issue(VALIDATION_CODES.INACTIVE_API,
+                        `API_CALL step ${step.step_code} references inactive external API ${api.api_code || api.id}`, step));
+                }
+            }
+        }
+    }
+
+    // Incoming callbacks are matched to the waiting step by session, so two branches of one split
+    // waiting on callbacks at the same time could have a callback resume the wrong branch
+    const outgoingByStep = new Map(steps.map(step => [step.id, validTransitions.filter(t => t.from_step_id === step.id)]));
+    // Required here: flowService depends on this module
+    const { getGatewayConfig, GATEWAY_TYPES, GATEWAY_DIRECTIONS } = require('./flowService');
+    const gatewayRole = (step) => {
+        if (step.step_type !== 'GATEWAY') return null;
+        const { gatewayType, direction } = getGatewayConfig(step);
+        if (direction === GATEWAY_DIRECTIONS.JOIN) return 'JOIN';
+        return [GATEWAY_TYPES.AND, GATEWAY_TYPES.OR].includes(gatewayType) ? 'SPLIT' : null;
+    };
+    for (const step of steps) {
+        if (gatewayRole(step) !== 'SPLIT') continue;
+
+        const branches = findBranchCallbacks(step, stepsById, outgoingByStep, gatewayRole)
+            .filter(ids => ids.length > 0);
+        if (branches.length > 1) {
+            const codes = [...new Set(branches.flat())].map(id => stepsById.get(id).step_code);
+            errors.push(issue(VALIDATION_CODES.PARALLEL_CALLBACKS,
+                `Gateway ${step.step_code} runs CALLBACK steps ${codes.join(', ')} in parallel branches`, step));
+        }
+    }
+
+    // Cycles need a way out (a transition leaving the loop or an END inside it)
+    const components = findStronglyConnected(steps.map(s => s.id), adjacency);
+    for (const component of components) {
+        const members = new Set(component);
+        const isCycle = component.length > 1 || adjacency.get(component[0]).includes(component[0]);
+        if (!isCycle) continue;
+
+        const hasExit = component.some(stepId =>
+            stepsById.get(stepId).step_type === 'END' ||
+            adjacency.get(stepId).some(next => !members.has(next))
+        );
+
+        if (!hasExit) {
+            // Tarjan pops members in reverse discovery order
+            const ordered = [...component].reverse();
+            const codes = ordered.map(id => stepsById.get(id).step_code);
+            errors.push(issue(VALIDATION_CODES.CYCLE_WITHOUT_EXIT,
+                `Cycle ${codes.join(' -> ')} has no exit`, stepsById.get(ordered[0])));
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings
+    };
+};
+
+/**
+ * Load a flow's steps and transitions and validate them
+ * options.definition: { steps, transitions } to validate instead of the live rows (version snapshots)
+ */
+const validateFlow = async (flowId, options = {}) => {
+    const flow = await flowsModel.findById(flowId);
+    if (!flow) {
+        throw new Error(`Flow not found: ${flowId}`);
+    }
+
+    let steps;
+    let transitions;
+    if (options.definition) {
+        ({ steps, transitions } = options.definition);
+    } else {
+        // Deactivated steps (e.g. dropped by an import but still referenced by history) are ignored
+        steps = (await flowStepsModel.findAll({
+            where: { flow_id: flowId },
+            orderBy: 'step_order ASC'
+        })).filter(step => step.is_active !== false);
+
+        const stepIds = steps.map(s => s.id);
+        transitions = stepIds.length > 0
+            ? await stepTransitionsModel.raw(`
+                SELECT * FROM step_transitions
+                WHERE flow_id = $1 OR from_step_id = ANY($2) OR to_step_id = ANY($2)
+                ORDER BY priority ASC
+            `, [flowId, stepIds])
+            : await stepTransitionsModel.findAll({ where: { flow_id: flowId } });
+    }
+
+    const externalApis = await externalApisModel.findAll({ select: 'id, api_code, is_active' });
+
+    const result = validateFlowGraph(steps, transitions, { externalApis });
+
+    logger.flow('Flow validated', {
+        flowId,
+        flowCode: flow.flow_code,
+        valid: result.valid,
+        errors: result.errors.length,
+        warnings: result.warnings.length
+    });
+
+    return { flowId, flowCode: flow.flow_code, ...result };
+};
+
+/**
+ * Validate a flow and throw if it has errors (used before publish/activation)
+ */
+const assertFlowValid = async (flowId, options = {}) => {
+    const result = await validateFlow(flowId, options);
+    if (!result.valid) {
+        const error = new Error(`Flow validation failed: ${result.errors.map(e => e.message).join('; ')}`);
+        error.details = result.errors;
+        throw error;
+    }
+    return result;
+};
+
+module.exports = {
+    validateFlowGraph,
+    validateFlow,
+    assertFlowValid,
+    VALIDATION_CODES
+};
@@ -0,0 +1,138 @@
+const { flowInstancesModel } = require('../models');
+const logger = require('../utils/logger');
+const { safeJsonParse, stableStringify } = require('../utils/helpers');
+
+// Longest Idempotency-Key header accepted (flow_instances.idempotency_key)
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// PostgreSQL unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// A sync request replayed while its original is still executing has no result to return yet
+const IN_PROGRESS_STATUSES = ['PENDING', 'RUNNING'];
+
+/**
+ * Error for a repeated request that does not match the original
+ */
+const conflictError = (message, instance) => {
+    const error = new Error(message);
+    error.statusCode = 409;
+    error.details = { flowInstanceId: instance.id, sessionId: instance.session_id };
+    return error;
+};
+
+/**
+ * Find the flow instance with its event type code
+ */
+const findInstanceWithEventType = async (column, value) => {
+    const rows = await flowInstancesModel.raw(`
+        SELECT fi.*, et.event_code
+        FROM flow_instances fi
+        JOIN flows f ON f.id = fi.flow_id
+        JOIN event_types et ON et.id = f.event_type_id
+        WHERE fi.${column} = $1
+        LIMIT 1
+    `, [value]);
+    return rows[0] || null;
+};
+
+/**
+ * Check whether a request repeats the one that created an instance
+ * The payload is compared key-order independently; metadata (callback URL etc.) is not compared
+ */
+const isSameRequest = (instance, eventType, payload) => {
+    return instance.event_code === eventType &&
+        stableStringify(safeJsonParse(instance.original_request, {})) === stableStringify(payload);
+};
+
+/**
+ * Find the instance an earlier identical request created
+ * Matches on Idempotency-Key first, then on sessionId plus event type.
+ * Returns null for a new request; throws 409 when the key or session was used for a different request.
+ */
+const findExistingRequest = async ({ eventType, payload, idempotencyKey }) => {
+    if (idempotencyKey) {
+        const byKey = await findInstanceWithEventType('idempotency_key', idempotencyKey);
+        if (byKey) {
+            if (!isSameRequest(byKey, eventType, payload)) {
+                throw conflictError('Idempotency-Key has already been used with a different request', byKey);
+            }
+            return byKey;
+        }
+    }
+
+    const sessionId = payload?.sessionId;
+    if (!sessionId) {
+        return null;
+    }
+
+    const bySession = await findInstanceWithEventType('session_id', sessionId);
+    if (!bySession) {
+        return null;
+    }
+
+    if (bySession.event_code !== eventType) {
+        throw conflictError(`Session ID ${sessionId} has already been used for event type ${bySession.event_code}`, bySession);
+    }
+    if (!isSameRequest(bySession, eventType, payload)) {
+        throw conflictError(`Session ID ${sessionId} has already been used with a different payload`, bySession);
+    }
+
+    logger.info('Duplicate process request detected', {
+        flowInstanceId: bySession.id,
+        sessionId,
+        eventType
+    });
+
+    return bySession;
+};
+
+/**
+ * Check whether an error is a unique violation from a concurrent identical request
+ */
+const isDuplicateInsertError = (error) => error?.code === UNIQUE_VIOLATION;
+
+/**
+ * Build the response the original request received
+ * Async requests replay the 202 acknowledgement; sync requests replay the instance's result.
+ */
+const buildReplayResponse = (instance) => {
+    if (!instance.sync_request) {
+        return {
+            statusCode: 202,
+            body: {
+                success: true,
+                data: {
+                    flowInstanceId: instance.id,
+                    sessionId: instance.session_id,
+                    trackingNumber: instance.tracking_number,
+                    status: 'ACCEPTED',
+                    message: 'Request accepted for processing'
+                }
+            }
+        };
+    }
+
+    if (IN_PROGRESS_STATUSES.includes(instance.status)) {
+        throw conflictError('The original request is still being processed', instance);
+    }
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            data: {
+                flowInstanceId: instance.id,
+                status: instance.status,
+                result: safeJsonParse(instance.final_response, null) || safeJsonParse(instance.current_payload, {})
+            }
+        }
+    };
+};
+
+module.exports = {
+    findExistingRequest,
+    isDuplicateInsertError,
+    buildReplayResponse,
+    MAX_IDEMPOTENCY_KEY_LENGTH
+};
@@ -0,0 +1,157 @@
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const { flowInstancesModel } = require('../models');
+const logger = require('../utils/logger');
+
+// A node that crashes mid-execution blocks the instance until its lease expires
+const LOCK_LEASE_MS = parseInt(process.env.INSTANCE_LOCK_LEASE_MS, 10) || 60000;
+
+// How long a caller waits for another node to release the instance before giving up
+const LOCK_WAIT_MS = parseInt(process.env.INSTANCE_LOCK_WAIT_MS, 10) || 5000;
+
+const LOCK_POLL_MS = 100;
+
+const INSTANCE_LOCKED = 'INSTANCE_LOCKED';
+
+const nodeId = () => process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+
+// Instances locked by the current call chain (instanceId -> lock version), so nested calls re-enter
+const heldLocks = new AsyncLocalStorage();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Conflict error for an instance another node is working on
+ */
+const instanceLockedError = (instanceId, lockedBy) => {
+    const error = new Error(`Flow instance ${instanceId} is being processed by ${lockedBy || 'another node'}; try again shortly`);
+    error.statusCode = 409;
+    error.code = INSTANCE_LOCKED;
+    error.instanceId = instanceId;
+    return error;
+};
+
+const isInstanceLockedError = (error) => error?.code === INSTANCE_LOCKED;
+
+/**
+ * The lock version this call chain holds on an instance, undefined if it holds none
+ */
+const heldLockVersion = (instanceId) => heldLocks.getStore()?.get(instanceId);
+
+// Instance updates made while holding the lease only apply while lock_version is still ours, so a
+// node that lost its lease (stalled past it and was taken over) cannot overwrite the new holder
+flowInstancesModel.fenceUpdates((instanceId) => {
+    const version = heldLockVersion(instanceId);
+    if (version === undefined) {
+        return null;
+    }
+    return {
+        where: { lock_version: version },
+        error: () => {
+            logger.warn('Flow instance update refused: lease lost', { instanceId, lockVersion: version });
+            return instanceLockedError(instanceId);
+        }
+    };
+});
+
+/**
+ * Take the instance lease if it is free or expired
+ * Returns the new lock version, null if someone else holds the lease
+ */
+const tryAcquire = async (instanceId, leaseMs) => {
+    const rows = await flowInstancesModel.raw(`
+        UPDATE flow_instances
+        SET locked_by = $2,
+            locked_at = NOW(),
+            lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond'),
+            lock_version = lock_version + 1
+        WHERE id = $1
+            AND (locked_by IS NULL OR lease_expires_at < NOW())
+        RETURNING lock_version
+    `, [instanceId, nodeId(), leaseMs]);
+    return rows.length > 0 ? rows[0].lock_version : null;
+};
+
+const renew = (instanceId, version, leaseMs) => flowInstancesModel.raw(`
+    UPDATE flow_instances
+    SET lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond')
+    WHERE id = $1 AND lock_version = $2 AND locked_by IS NOT NULL
+    RETURNING id
+`, [instanceId, version, leaseMs]);
+
+const release = (instanceId, version) => flowInstancesModel.raw(`
+    UPDATE flow_instances
+    SET locked_by = NULL, locked_at = NULL, lease_expires_at = NULL
+    WHERE id = $1 AND lock_version = $2
+`, [instanceId, version]);
+
+/**
+ * Run fn while holding the instance lease
+ * Waits up to waitMs for another holder, then throws a 409 INSTANCE_LOCKED error.
+ * The lease is renewed every third of leaseMs while fn runs. Re-entrant within one call chain.
+ * If the lease is lost anyway, fn's flowInstancesModel.update calls on the instance throw INSTANCE_LOCKED.
+ */
+const withInstanceLock = async (instanceId, fn, { waitMs = LOCK_WAIT_MS, leaseMs = LOCK_LEASE_MS } = {}) => {
+    const held = heldLocks.getStore();
+    if (held?.has(instanceId)) {
+        return fn();
+    }
+
+    const deadline = Date.now() + waitMs;
+    let version = await tryAcquire(instanceId, leaseMs);
+    if (version === null) {
+        const instance = await flowInstancesModel.findById(instanceId, 'id');
+        if (!instance) {
+            const error = new Error(`Flow instance not found: ${instanceId}`);
+            error.statusCode = 404;
+            throw error;
+        }
+    }
+    while (version === null) {
+        if (Date.now() >= deadline) {
+            const instance = await flowInstancesModel.findById(instanceId, 'id, locked_by');
+            throw instanceLockedError(instanceId, instance?.locked_by);
+        }
+        await sleep(LOCK_POLL_MS);
+        version = await tryAcquire(instanceId, leaseMs);
+    }
+
+    const heartbeat = setInterval(() => {
+        renew(instanceId, version, leaseMs)
+            .then(rows => {
+                if (rows.length === 0) {
+                    // Our instance updates are refused from now on (see fenceUpdates above)
+                    logger.warn('Flow instance lease lost', { instanceId, lockVersion: version });
+                }
+            })
+            .catch(error => logger.error('Flow instance lease renewal failed', error, { instanceId }));
+    }, Math.max(Math.floor(leaseMs / 3), 10));
+    heartbeat.unref();
+
+    try {
+        return await heldLocks.run(new Map(held || []).set(instanceId, version), fn);
+    } finally {
+        clearInterval(heartbeat);
+        try {
+            await release(instanceId, version);
+        } catch (error) {
+            // The lease expires on its own
+            logger.error('Flow instance lock release failed', error, { instanceId });
+        }
+    }
+};
+
+/**
+ * Wrap a function whose first argument is an instance ID so it runs under the instance lock
+ */
+const lockingInstance = (fn) => (instanceId, ...args) => withInstanceLock(instanceId, () => fn(instanceId, ...args));
+
+module.exports = {
+    withInstanceLock,
+    lockingInstance,
+    isInstanceLockedError,
+    instanceLockedError,
+    INSTANCE_LOCKED,
+    LOCK_LEASE_MS,
+    LOCK_WAIT_MS
+};
@@ -0,0 +1,422 @@
+const {
+    manualTasksModel,
+    flowInstancesModel,
+    stepExecutionsModel,
+    processLogsModel
+} = require('../models');
+const executionService = require('./executionService');
+const flowService = require('./flowService');
+const approvalService = require('./approvalService');
+const alertService = require('./alertService');
+const { hasPermission } = require('./authService');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+const TASK_STATUSES = {
+    OPEN: 'OPEN',
+    CLAIMED: 'CLAIMED',
+    COMPLETED: 'COMPLETED',
+    CANCELLED: 'CANCELLED'
+};
+
+// Why the instance is waiting for an operator
+const TASK_SOURCES = {
+    MANUAL_STEP: 'MANUAL_STEP',
+    STEP_ERROR: 'STEP_ERROR',
+    TSQ: 'TSQ',
+    REVERSAL_REJECTED: 'REVERSAL_REJECTED'
+};
+
+// Outcomes an operator can pick; REVERSE submits a reversal for maker-checker approval
+const TASK_OUTCOMES = {
+    ...executionService.MANUAL_OUTCOMES,
+    REVERSE: 'REVERSE'
+};
+
+// Time to decide a task before it is escalated (MANUAL steps can set config.slaMinutes)
+const SLA_MINUTES = parseInt(process.env.MANUAL_TASK_SLA_MINUTES, 10) || 60;
+
+// How long a claim holds before the task returns to the inbox
+const CLAIM_MINUTES = parseInt(process.env.MANUAL_TASK_CLAIM_MINUTES, 10) || 30;
+
+const SLA_ALERT_EVENT = 'MANUAL_TASK_SLA_BREACHED';
+const CLAIM_ALERT_EVENT = 'MANUAL_TASK_CLAIM_EXPIRED';
+
+const UNIQUE_VIOLATION = '23505';
+
+const taskError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) {
+        error.code = code;
+    }
+    return error;
+};
+
+/**
+ * Open a task for an instance waiting for manual intervention
+ * Returns the instance's open task if it already has one; failures are logged and return null
+ * so the flow still parks (the instance stays listed under /process/manual-interventions/pending)
+ */
+const openTask = async (instanceId, { source, stepId = null, stepExecutionId = null, reason = null, slaMinutes, priority } = {}) => {
+    const minutes = parseInt(slaMinutes, 10) || SLA_MINUTES;
+
+    try {
+        const task = await manualTasksModel.create({
+            flow_instance_id: instanceId,
+            step_id: stepId,
+            step_execution_id: stepExecutionId,
+            source,
+            reason,
+            status: TASK_STATUSES.OPEN,
+            priority: parseInt(priority, 10) || 0,
+            due_at: new Date(Date.now() + minutes * 60 * 1000)
+        });
+
+        await executionService.createProcessLog(instanceId, 'MANUAL_TASK_OPENED', {
+            taskId: task.id,
+            source,
+            reason
+        });
+
+        logger.flow('Manual task opened', { taskId: task.id, instanceId, source });
+
+        return task;
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            const [existing] = await manualTasksModel.raw(
+                'SELECT * FROM manual_tasks WHERE flow_instance_id = $1 AND status IN ($2, $3)',
+                [instanceId, TASK_STATUSES.OPEN, TASK_STATUSES.CLAIMED]
+            );
+            return existing || null;
+        }
+
+        logger.error('Failed to open manual task', { instanceId, source, error: error.message });
+        return null;
+    }
+};
+
+/**
+ * Cancel an instance's open task (the instance was resumed or cancelled another way)
+ */
+const closeOpenTasks = async (instanceId, reason) => {
+    const closed = await manualTasksModel.raw(`
+        UPDATE manual_tasks
+        SET status = $2, decision_comment = $3, decided_at = NOW(), updated_at = NOW()
+        WHERE flow_instance_id = $1 AND status IN ($4, $5)
+        RETURNING id
+    `, [instanceId, TASK_STATUSES.CANCELLED, reason, TASK_STATUSES.OPEN, TASK_STATUSES.CLAIMED]);
+
+    if (closed.length > 0) {
+        logger.info('Manual tasks closed', { instanceId, taskIds: closed.map(t => t.id), reason });
+    }
+    return closed.length;
+};
+
+/**
+ * List tasks, most urgent first
+ * filters: { status, source, claimedBy, flowInstanceId, overdue }
+ */
+const listTasks = async (filters = {}, { limit = 50, offset = 0 } = {}) => {
+    const clauses = [];
+    const values = [];
+    const add = (sql, value) => {
+        values.push(value);
+        clauses.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.status) add('mt.status = ?', filters.status);
+    if (filters.source) add('mt.source = ?', filters.source);
+    if (filters.claimedBy) add('mt.claimed_by = ?', filters.claimedBy);
+    if (filters.flowInstanceId) add('mt.flow_instance_id = ?', filters.flowInstanceId);
+    if (filters.overdue) clauses.push('mt.due_at < NOW()');
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [items, countRows] = await Promise.all([
+        manualTasksModel.raw(`
+            SELECT mt.*, fi.session_id, fi.tracking_number, fi.status AS instance_status,
+                   fs.step_code, fs.step_name
+            FROM manual_tasks mt
+            JOIN flow_instances fi ON fi.id = mt.flow_instance_id
+            LEFT JOIN flow_steps fs ON fs.id = mt.step_id
+            ${where}
+            ORDER BY mt.priority DESC, mt.due_at ASC NULLS LAST, mt.created_at ASC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `, [...values, limit, offset]),
+        manualTasksModel.raw(`SELECT COUNT(*)::int AS total FROM manual_tasks mt ${where}`, values)
+    ]);
+
+    return { items, total: countRows[0].total, limit, offset };
+};
+
+/**
+ * Outcomes an operator can pick for a task: continue, each outgoing transition of the
+ * parked step, fail, or reverse
+ */
+const getTaskOutcomes = (flowDef, stepId) => {
+    const outcomes = [{ outcome: TASK_OUTCOMES.CONTINUE, description: 'Continue along the step\'s transitions' }];
+
+    const node = stepId ? flowDef.stepGraph[stepId] : null;
+    for (const transition of node ? node.outgoing : []) {
+        const target = flowDef.stepGraph[transition.to_step_id]?.step;
+        outcomes.push({
+            outcome: TASK_OUTCOMES.TRANSITION,
+            transitionId: transition.id,
+            name: transition.transition_name || null,
+            transitionType: transition.transition_type,
+            toStepCode: target?.step_code,
+            toStepName: target?.step_name
+        });
+    }
+
+    outcomes.push(
+        { outcome: TASK_OUTCOMES.FAIL, description: 'Fail the instance (compensations run)' },
+        { outcome: TASK_OUTCOMES.REVERSE, description: 'Submit a reversal for approval' }
+    );
+
+    return outcomes;
+};
+
+/**
+ * Get a task with the instance context an operator needs to decide it
+ */
+const getTask = async (taskId) => {
+    const task = await manualTasksModel.findById(taskId);
+    if (!task) {
+        return null;
+    }
+
+    const instance = await flowInstancesModel.findById(task.flow_instance_id);
+    const [flowDef, stepExecutions, processLogs] = await Promise.all([
+        flowService.getInstanceFlowDefinition(instance),
+        stepExecutionsModel.raw(`
+            SELECT se.id, se.status, se.error_message, se.attempt_number, se.started_at, se.completed_at,
+                   fs.step_code, fs.step_name, fs.step_type
+            FROM step_executions se
+            JOIN flow_steps fs ON fs.id = se.step_id
+            WHERE se.flow_instance_id = $1
+            ORDER BY se.created_at DESC, se.id
+            LIMIT 20
+        `, [instance.id]),
+        processLogsModel.findAll({ where: { flow_instance_id: instance.id }, limit: 20 })
+    ]);
+
+    const stepId = task.step_id || instance.current_step_id;
+    const step = flowDef.steps.find(s => s.id === stepId) || null;
+
+    return {
+        ...task,
+        instance: {
+            id: instance.id,
+            sessionId: instance.session_id,
+            trackingNumber: instance.tracking_number,
+            status: instance.status,
+            lastError: instance.last_error,
+            payload: safeJsonParse(instance.current_payload, {}),
+            metadata: safeJsonParse(instance.metadata, {}),
+            createdAt: instance.created_at
+        },
+        step: step && {
+            id: step.id,
+            stepCode: step.step_code,
+            name: step.step_name,
+            stepType: step.step_type
+        },
+        stepExecutions,
+        processLogs,
+        outcomes: getTaskOutcomes(flowDef, step?.id)
+    };
+};
+
+/**
+ * Explain why a task could not be claimed or decided by the user
+ */
+const unavailableError = async (taskId, user) => {
+    const task = await manualTasksModel.findById(taskId);
+    if (!task) {
+        return taskError(`Manual task not found: ${taskId}`, 404);
+    }
+    if (task.status === TASK_STATUSES.CLAIMED && task.claimed_by !== user.id) {
+        return taskError(`Task is claimed by ${task.claimed_by_name || task.claimed_by} until ${new Date(task.claim_expires_at).toISOString()}`, 409, 'TASK_CLAIMED');
+    }
+    if (task.status === TASK_STATUSES.OPEN) {
+        return taskError('Claim the task before deciding it', 409, 'TASK_NOT_CLAIMED');
+    }
+    if (task.status === TASK_STATUSES.CLAIMED) {
+        return taskError('Your claim on the task expired; claim it again', 409, 'CLAIM_EXPIRED');
+    }
+    return taskError(`Task is already ${task.status}`, 409, 'TASK_CLOSED');
+};
+
+/**
+ * Claim a task for CLAIM_MINUTES; claiming your own task again extends the claim
+ * A task whose claim expired can be claimed by anyone
+ */
+const claimTask = async (taskId, user) => {
+    const [task] = await manualTasksModel.raw(`
+        UPDATE manual_tasks
+        SET status = $2, claimed_by = $3, claimed_by_name = $4, claimed_at = NOW(),
+            claim_expires_at = NOW() + ($5 * INTERVAL '1 minute'), updated_at = NOW()
+        WHERE id = $1
+          AND (status = $6 OR (status = $2 AND (claimed_by = $3 OR claim_expires_at < NOW())))
+        RETURNING *
+    `, [taskId, TASK_STATUSES.CLAIMED, user.id, user.username, CLAIM_MINUTES, TASK_STATUSES.OPEN]);
+
+    if (!task) {
+        throw await unavailableError(taskId, user);
+    }
+
+    logger.info('Manual task claimed', { taskId, userId: user.id });
+    return task;
+};
+
+/**
+ * Give a claimed task back to the inbox
+ */
+const releaseTask = async (taskId, user) => {
+    const [task] = await manualTasksModel.raw(`
+        UPDATE manual_tasks
+        SET status = $2, claimed_by = NULL, claimed_by_name = NULL, claimed_at = NULL,
+            claim_expires_at = NULL, updated_at = NOW()
+        WHERE id = $1 AND status = $3 AND claimed_by = $4
+        RETURNING *
+    `, [taskId, TASK_STATUSES.OPEN, TASK_STATUSES.CLAIMED, user.id]);
+
+    if (!task) {
+        throw await unavailableError(taskId, user);
+    }
+    return task;
+};
+
+/**
+ * Decide a task the user has claimed
+ * decision: { outcome, transitionId, comment, reversalType }
+ * The task is closed before the outcome runs, so a step further on that parks the instance
+ * again opens a new task. Errors with a statusCode (invalid outcome, instance locked or no
+ * longer waiting) put the claim back; an error while the flow runs on after the decision is
+ * recorded in the task's result.
+ */
+const decideTask = async (taskId, user, decision) => {
+    const { outcome, transitionId, comment, reversalType } = decision;
+
+    if (outcome === TASK_OUTCOMES.REVERSE && !hasPermission(user.permissions, 'reversals:request')) {
+        throw taskError('Choosing REVERSE requires reversals:request', 403, 'FORBIDDEN');
+    }
+
+    const [task] = await manualTasksModel.raw(`
+        UPDATE manual_tasks
+        SET status = $2, outcome = $3, decision_comment = $4, decided_by = $5, decided_by_name = $6,
+            decided_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = $7 AND claimed_by = $5 AND claim_expires_at > NOW()
+        RETURNING *
+    `, [taskId, TASK_STATUSES.COMPLETED, outcome, comment || null, user.id, user.username, TASK_STATUSES.CLAIMED]);
+
+    if (!task) {
+        throw await unavailableError(taskId, user);
+    }
+
+    let result;
+    try {
+        if (outcome === TASK_OUTCOMES.REVERSE) {
+            const approval = await approvalService.requestReversal(task.flow_instance_id, {
+                reversalType: reversalType || 'FULL_REVERSAL',
+                reason: comment || task.reason,
+                taskId: task.id
+            }, user);
+            result = { approvalId: approval.id, status: approval.status };
+        } else {
+            const outcomeResult = await executionService.resolveManualIntervention(task.flow_instance_id, {
+                outcome,
+                transitionId,
+                comment,
+                decidedBy: user.id
+            });
+            result = { status: outcomeResult?.status };
+        }
+    } catch (error) {
+        if (error.statusCode) {
+            await manualTasksModel.raw(`
+                UPDATE manual_tasks
+                SET status = $2, outcome = NULL, decision_comment = NULL, decided_by = NULL,
+                    decided_by_name = NULL, decided_at = NULL, updated_at = NOW()
+                WHERE id = $1
+            `, [taskId, TASK_STATUSES.CLAIMED]);
+            throw error;
+        }
+        result = { status: 'FAILED', error: error.message };
+    }
+
+    const [decided] = await manualTasksModel.raw(
+        'UPDATE manual_tasks SET result = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [taskId, JSON.stringify(result)]
+    );
+
+    logger.info('Manual task decided', { taskId, instanceId: task.flow_instance_id, outcome, userId: user.id });
+
+    return decided;
+};
+
+/**
+ * Return tasks with expired claims to the inbox and escalate tasks past their SLA
+ * Each kind raises one alert per run listing the tasks
+ */
+const checkTaskDeadlines = async () => {
+    const released = await manualTasksModel.raw(`
+        WITH expired AS (
+            SELECT id, claimed_by_name FROM manual_tasks
+            WHERE status = $2 AND claim_expires_at < NOW()
+            FOR UPDATE SKIP LOCKED
+        )
+        UPDATE manual_tasks mt
+        SET status = $1, claimed_by = NULL, claimed_by_name = NULL, claimed_at = NULL,
+            claim_expires_at = NULL, updated_at = NOW()
+        FROM expired
+        WHERE mt.id = expired.id
+        RETURNING mt.id, mt.flow_instance_id, expired.claimed_by_name
+    `, [TASK_STATUSES.OPEN, TASK_STATUSES.CLAIMED]);
+
+    const escalated = await manualTasksModel.raw(`
+        UPDATE manual_tasks
+        SET escalated_at = NOW(), priority = priority + 1, updated_at = NOW()
+        WHERE status IN ($1, $2) AND due_at < NOW() AND escalated_at IS NULL
+        RETURNING id, flow_instance_id, source, reason, due_at, status, claimed_by_name
+    `, [TASK_STATUSES.OPEN, TASK_STATUSES.CLAIMED]);
+
+    if (released.length > 0) {
+        await alertService.triggerAlert(CLAIM_ALERT_EVENT, {
+            subject: `${released.length} manual task claim(s) expired`,
+            message: `Claims on ${released.length} manual task(s) expired without a decision; the tasks are back in the inbox`,
+            payload: { tasks: released },
+            value: released.length
+        });
+    }
+
+    if (escalated.length > 0) {
+        await alertService.triggerAlert(SLA_ALERT_EVENT, {
+            subject: `${escalated.length} manual task(s) past their SLA`,
+            message: `${escalated.length} manual task(s) were not decided in time and have been escalated`,
+            payload: { tasks: escalated },
+            value: escalated.length
+        });
+    }
+
+    return { released: released.length, escalated: escalated.length };
+};
+
+module.exports = {
+    openTask,
+    closeOpenTasks,
+    listTasks,
+    getTask,
+    getTaskOutcomes,
+    claimTask,
+    releaseTask,
+    decideTask,
+    checkTaskDeadlines,
+    TASK_STATUSES,
+    TASK_SOURCES,
+    TASK_OUTCOMES,
+    SLA_MINUTES,
+    CLAIM_MINUTES
+};
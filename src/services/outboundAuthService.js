@@ -0,0 +1,286 @@
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { safeJsonParse } = require('../utils/helpers');
+
+// external_apis.auth_type values
+const AUTH_TYPES = {
+    NONE: 'NONE',
+    API_KEY: 'API_KEY',
+    BASIC: 'BASIC',
+    OAUTH2_CLIENT_CREDENTIALS: 'OAUTH2_CLIENT_CREDENTIALS',
+    MTLS: 'MTLS'
+};
+
+// Refresh OAuth2 tokens this long before they expire
+const TOKEN_REFRESH_SKEW_SECONDS = 60;
+
+// Token lifetime assumed when the token endpoint sends no expires_in
+const DEFAULT_TOKEN_TTL_SECONDS = 300;
+
+// OAuth2 tokens by API (see tokenCacheKey), and token requests in flight
+const tokenCache = new Map();
+const pendingTokens = new Map();
+
+// HTTPS agents carrying client certificates, by TLS settings
+const agentCache = new Map();
+
+const authConfigError = (apiConfig, message) => {
+    const error = new Error(`Invalid auth_config for ${apiConfig.api_code || apiConfig.base_url}: ${message}`);
+    error.code = 'AUTH_CONFIG_INVALID';
+    return error;
+};
+
+/**
+ * Resolve a credential reference: "env:NAME" reads an environment variable, "file:/path" reads a
+ * secret file (trailing newline trimmed). Literal values are refused so secrets never sit in the database.
+ */
+const resolveSecret = async (apiConfig, field, reference) => {
+    if (typeof reference !== 'string' || reference === '') {
+        throw authConfigError(apiConfig, `${field} is required`);
+    }
+
+    if (reference.startsWith('env:')) {
+        const value = process.env[reference.slice(4)];
+        if (!value) {
+            throw authConfigError(apiConfig, `${field} refers to unset environment variable ${reference.slice(4)}`);
+        }
+        return value;
+    }
+
+    if (reference.startsWith('file:')) {
+        try {
+            const value = await fs.promises.readFile(reference.slice(5), 'utf8');
+            return value.replace(/\r?\n$/, '');
+        } catch (error) {
+            throw authConfigError(apiConfig, `${field} secret file could not be read (${error.code || error.message})`);
+        }
+    }
+
+    throw authConfigError(apiConfig, `${field} must be an env: or file: reference, not a literal value`);
+};
+
+/**
+ * HTTPS agent presenting the client certificate in auth_config.tls
+ * tls: { certFile, keyFile, caFile, passphrase (reference), rejectUnauthorized }
+ */
+const getHttpsAgent = async (apiConfig, tls) => {
+    if (!tls.certFile || !tls.keyFile) {
+        throw authConfigError(apiConfig, 'tls.certFile and tls.keyFile are required');
+    }
+
+    const cacheKey = JSON.stringify([tls.certFile, tls.keyFile, tls.caFile, tls.passphrase, tls.rejectUnauthorized]);
+    if (agentCache.has(cacheKey)) {
+        return agentCache.get(cacheKey);
+    }
+
+    const readFile = async (field, filePath) => {
+        try {
+            return await fs.promises.readFile(filePath);
+        } catch (error) {
+            throw authConfigError(apiConfig, `tls.${field} could not be read (${error.code || error.message})`);
+        }
+    };
+
+    const agent = new https.Agent({
+        cert: await readFile('certFile', tls.certFile),
+        key: await readFile('keyFile', tls.keyFile),
+        ca: tls.caFile ? await readFile('caFile', tls.caFile) : undefined,
+        passphrase: tls.passphrase ? await resolveSecret(apiConfig, 'tls.passphrase', tls.passphrase) : undefined,
+        rejectUnauthorized: tls.rejectUnauthorized !== false,
+        keepAlive: true
+    });
+
+    agentCache.set(cacheKey, agent);
+    return agent;
+};
+
+const tokenCacheKey = (apiConfig, oauth) => apiConfig.id || `${oauth.tokenUrl}|${oauth.clientId}`;
+
+/**
+ * Request a client-credentials token from the token endpoint
+ * oauth: { tokenUrl, clientId, clientSecret (reference), scope, audience, clientAuth: 'basic' | 'body' }
+ */
+const requestToken = async (apiConfig, oauth, httpsAgent) => {
+    if (!oauth.tokenUrl || !oauth.clientId) {
+        throw authConfigError(apiConfig, 'oauth2.tokenUrl and oauth2.clientId are required');
+    }
+
+    const clientId = oauth.clientId.startsWith('env:') || oauth.clientId.startsWith('file:')
+        ? await resolveSecret(apiConfig, 'oauth2.clientId', oauth.clientId)
+        : oauth.clientId;
+    const clientSecret = await resolveSecret(apiConfig, 'oauth2.clientSecret', oauth.clientSecret);
+
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (oauth.scope) form.set('scope', oauth.scope);
+    if (oauth.audience) form.set('audience', oauth.audience);
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (oauth.clientAuth === 'body') {
+        form.set('client_id', clientId);
+        form.set('client_secret', clientSecret);
+    } else {
+        headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+    }
+
+    const response = await axios.request({
+        method: 'POST',
+        url: oauth.tokenUrl,
+        data: form.toString(),
+        headers,
+        httpsAgent,
+        timeout: oauth.timeoutMs || 10000
+    });
+
+    const { access_token: accessToken, token_type: tokenType = 'Bearer', expires_in: expiresIn } = response.data || {};
+    if (!accessToken) {
+        throw new Error(`Token endpoint for ${apiConfig.api_code || oauth.tokenUrl} returned no access_token`);
+    }
+
+    const ttlSeconds = parseInt(expiresIn, 10) || DEFAULT_TOKEN_TTL_SECONDS;
+    logger.debug('OAuth2 token obtained', { apiCode: apiConfig.api_code, expiresIn: ttlSeconds });
+
+    return {
+        accessToken,
+        tokenType: /^bearer$/i.test(tokenType) ? 'Bearer' : tokenType,
+        expiresAt: Date.now() + ttlSeconds * 1000
+    };
+};
+
+/**
+ * Cached client-credentials token, refreshed shortly before it expires
+ * Concurrent callers share one token request.
+ */
+const getOAuthToken = async (apiConfig, oauth, httpsAgent) => {
+    const key = tokenCacheKey(apiConfig, oauth);
+
+    const cached = tokenCache.get(key);
+    if (cached && cached.expiresAt - TOKEN_REFRESH_SKEW_SECONDS * 1000 > Date.now()) {
+        return cached;
+    }
+
+    if (!pendingTokens.has(key)) {
+        const pending = requestToken(apiConfig, oauth, httpsAgent)
+            .then((token) => {
+                tokenCache.set(key, token);
+                return token;
+            })
+            .finally(() => pendingTokens.delete(key));
+        pendingTokens.set(key, pending);
+    }
+
+    return pendingTokens.get(key);
+};
+
+/**
+ * Drop an API's cached token (e.g. after the API answered 401)
+ */
+const invalidateToken = (apiConfig) => {
+    const { oauth2 = {} } = safeJsonParse(apiConfig.auth_config, {}) || {};
+    tokenCache.delete(tokenCacheKey(apiConfig, oauth2));
+};
+
+/**
+ * Request options that authenticate a call to an external API, from its auth_type and auth_config
+ * Returns { headers, params, httpsAgent }
+ */
+const getAuthOptions = async (apiConfig) => {
+    const authType = (apiConfig.auth_type || AUTH_TYPES.NONE).toUpperCase();
+    const authConfig = safeJsonParse(apiConfig.auth_config, {}) || {};
+    const options = { headers: {}, params: {}, httpsAgent: undefined };
+
+    // Client certificates can back any scheme (MTLS alone, or with OAuth2, API key or Basic)
+    if (authConfig.tls || authType === AUTH_TYPES.MTLS) {
+        options.httpsAgent = await getHttpsAgent(apiConfig, authConfig.tls || {});
+    }
+
+    switch (authType) {
+        case AUTH_TYPES.NONE:
+        case AUTH_TYPES.MTLS:
+            break;
+
+        case AUTH_TYPES.API_KEY: {
+            // apiKey: { value (reference), header (default X-API-Key), prefix, queryParam }
+            const apiKey = authConfig.apiKey || {};
+            const value = await resolveSecret(apiConfig, 'apiKey.value', apiKey.value);
+            if (apiKey.queryParam) {
+                options.params[apiKey.queryParam] = value;
+            } else {
+                options.headers[apiKey.header || 'X-API-Key'] = apiKey.prefix ? `${apiKey.prefix} ${value}` : value;
+            }
+            break;
+        }
+
+        case AUTH_TYPES.BASIC: {
+            // basic: { username, password (reference) }
+            const basic = authConfig.basic || {};
+            if (!basic.username) {
+                throw authConfigError(apiConfig, 'basic.username is required');
+            }
+            const password = await resolveSecret(apiConfig, 'basic.password', basic.password);
+            options.headers.Authorization = `Basic ${Buffer.from(`${basic.username}:${password}`).toString('base64')}`;
+            break;
+        }
+
+        case AUTH_TYPES.OAUTH2_CLIENT_CREDENTIALS: {
+            const token = await getOAuthToken(apiConfig, authConfig.oauth2 || {}, options.httpsAgent);
+            options.headers.Authorization = `${token.tokenType} ${token.accessToken}`;
+            break;
+        }
+
+        default:
+            throw authConfigError(apiConfig, `unsupported auth_type ${authType}`);
+    }
+
+    return options;
+};
+
+/**
+ * Call an external API with its configured authentication
+ * request: axios request options (method, url, data, headers, timeout). An OAuth2 API that
+ * answers 401 gets one retry with a fresh token.
+ */
+const callExternalApi = async (apiConfig, request) => {
+    const send = async () => {
+        const auth = await getAuthOptions(apiConfig);
+        return axios.request({
+            ...request,
+            headers: { ...request.headers, ...auth.headers },
+            params: { ...request.params, ...auth.params },
+            httpsAgent: auth.httpsAgent
+        });
+    };
+
+    try {
+        return await send();
+    } catch (error) {
+        const authType = (apiConfig.auth_type || '').toUpperCase();
+        if (error.response?.status !== 401 || authType !== AUTH_TYPES.OAUTH2_CLIENT_CREDENTIALS) {
+            throw error;
+        }
+
+        logger.warn('External API rejected the OAuth2 token; refreshing', { apiCode: apiConfig.api_code });
+        invalidateToken(apiConfig);
+        return send();
+    }
+};
+
+/**
+ * Forget cached tokens and TLS agents (certificate or credential rotation)
+ */
+const clearAuthCache = () => {
+    tokenCache.clear();
+    pendingTokens.clear();
+    agentCache.forEach(agent => agent.destroy());
+    agentCache.clear();
+};
+
+module.exports = {
+    getAuthOptions,
+    callExternalApi,
+    resolveSecret,
+    invalidateToken,
+    clearAuthCache,
+    AUTH_TYPES
+};
@@ -8,9 +8,9 @@ const {
 const executionService = require('./executionService');
 const flowService = require('./flowService');
 const callbackService = require('./callbackService');
+const outboundAuthService = require('./outboundAuthService');
 const logger = require('../utils/logger');
 const { safeJsonParse, formatDateTime, formatAmount, deepClone } = require('../utils/helpers');
-const axios = require('axios');
 
 const REVERSAL_STATUSES = {
     PENDING: 'PENDING',
@@ -52,7 +52,7 @@ const createReversalRequest = async (params) => {
 
     // Create reversal request
     const reversalRequest = await reversalRequestsModel.create({
-        original_instance_id: originalInstanceId,
+        flow_instance_id: originalInstanceId,
         original_session_id: originalInstance.session_id,
         original_tracking_number: originalInstance.tracking_number,
         reversal_type: reversalType,
@@ -73,7 +73,8 @@ const createReversalRequest = async (params) => {
 
     await processLogsModel.create({
         flow_instance_id: originalInstanceId,
-        event_type: 'REVERSAL_CREATED',
+        log_type: 'REVERSAL_CREATED',
+        message: `Reversal request created: ${reversalType}`,
         details: JSON.stringify({
             reversalId: reversalRequest.id,
             reversalType,
@@ -178,7 +179,7 @@ const executeReversalRequest = async (reversalId) => {
 
     try {
         // Get GIP API configuration
-        const gipApi = await externalApisModel.findOne({ code: 'GIP' });
+        const gipApi = await externalApisModel.findOne({ api_code: 'GIP' });
         if (!gipApi) {
             throw new Error('GIP API configuration not found');
         }
@@ -192,13 +193,13 @@ const executeReversalRequest = async (reversalId) => {
         reversalPayload.callbackUrl = callbackUrl;
 
         // Execute reversal
-        const response = await axios({
+        const response = await outboundAuthService.callExternalApi(gipApi, {
             method: 'POST',
             url,
             data: reversalPayload,
             headers: {
                 'Content-Type': 'application/json',
-                ...safeJsonParse(gipApi.headers, {})
+                ...safeJsonParse(gipApi.default_headers, {})
             },
             timeout: 30000
         });
@@ -216,8 +217,9 @@ const executeReversalRequest = async (reversalId) => {
         if (responseData.actionCode === '001') {
             // Pending - wait for callback
             await processLogsModel.create({
-                flow_instance_id: reversalRequest.original_instance_id,
-                event_type: 'REVERSAL_PENDING',
+                flow_instance_id: reversalRequest.flow_instance_id,
+                log_type: 'REVERSAL_PENDING',
+                message: 'Reversal sent, waiting for callback',
                 details: JSON.stringify({
                     reversalId,
                     actionCode: responseData.actionCode,
@@ -248,8 +250,9 @@ const executeReversalRequest = async (reversalId) => {
         });
 
         await processLogsModel.create({
-            flow_instance_id: reversalRequest.original_instance_id,
-            event_type: 'REVERSAL_FAILED',
+            flow_instance_id: reversalRequest.flow_instance_id,
+            log_type: 'REVERSAL_FAILED',
+            message: `Reversal failed: ${error.message}`,
             details: JSON.stringify({
                 reversalId,
                 error: error.message
@@ -312,8 +315,9 @@ const processReversalResult = async (reversalId, responseData) => {
 
     // Log result
     await processLogsModel.create({
-        flow_instance_id: reversalRequest.original_instance_id,
-        event_type: status === REVERSAL_STATUSES.SUCCESS ? 'REVERSAL_SUCCESS' : 'REVERSAL_FAILED',
+        flow_instance_id: reversalRequest.flow_instance_id,
+        log_type: status === REVERSAL_STATUSES.SUCCESS ? 'REVERSAL_SUCCESS' : 'REVERSAL_FAILED',
+        message: description,
         details: JSON.stringify({
             reversalId,
             actionCode,
@@ -323,7 +327,7 @@ const processReversalResult = async (reversalId, responseData) => {
     });
 
     // Update original instance
-    const originalInstance = await flowInstancesModel.findById(reversalRequest.original_instance_id);
+    const originalInstance = await flowInstancesModel.findById(reversalRequest.flow_instance_id);
     if (originalInstance) {
         const currentPayload = safeJsonParse(originalInstance.current_payload, {});
         currentPayload.reversalResult = {
@@ -410,7 +414,7 @@ const getReversalStats = async (timeRange = '24 hours') => {
  */
 const listReversalsForInstance = async (instanceId) => {
     return reversalRequestsModel.findAll({
-        where: { original_instance_id: instanceId },
+        where: { flow_instance_id: instanceId },
         orderBy: 'created_at DESC'
     });
 };
@@ -435,8 +439,9 @@ const cancelReversal = async (reversalId, reason) => {
     });
 
     await processLogsModel.create({
-        flow_instance_id: reversal.original_instance_id,
-        event_type: 'REVERSAL_CANCELLED',
+        flow_instance_id: reversal.flow_instance_id,
+        log_type: 'REVERSAL_CANCELLED',
+        message: `Reversal cancelled: ${reason}`,
         details: JSON.stringify({
             reversalId,
             reason
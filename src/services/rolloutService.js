@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const {
+    eventTypesModel,
+    flowRolloutsModel,
+    flowInstancesModel
+} = require('../models');
+const flowService = require('./flowService');
+const flowValidationService = require('./flowValidationService');
+const logger = require('../utils/logger');
+const { safeJsonParse, getNestedValue } = require('../utils/helpers');
+
+const ROLLOUT_STATUSES = {
+    ACTIVE: 'ACTIVE',
+    PROMOTED: 'PROMOTED',
+    ROLLED_BACK: 'ROLLED_BACK'
+};
+
+const ROLLOUT_VARIANTS = {
+    BASELINE: 'BASELINE',
+    CANDIDATE: 'CANDIDATE'
+};
+
+// Instance statuses counted as a failed outcome for the version that ran them
+const FAILED_INSTANCE_STATUSES = ['FAILED', 'COMPENSATED'];
+
+/**
+ * Find an active event type and its active flow
+ */
+const getEventTypeFlow = async (eventCode) => {
+    const flowInfo = await flowService.getFlowByEventType(eventCode);
+    if (!flowInfo) {
+        throw new Error(`No active flow found for event type: ${eventCode}`);
+    }
+    return flowInfo;
+};
+
+/**
+ * Request matches the rollout's filters (every listed field must hold one of its values)
+ */
+const matchesRolloutRules = (rollout, payload) => {
+    const rules = safeJsonParse(rollout.match_rules, {}) || {};
+
+    return Object.entries(rules).every(([field, allowed]) => {
+        const values = Array.isArray(allowed) ? allowed : [allowed];
+        const value = getNestedValue(payload, field);
+        return value !== undefined && value !== null && values.map(String).includes(String(value));
+    });
+};
+
+/**
+ * Bucket 0-99 for a request: stable per sticky field value, random otherwise
+ */
+const routingBucket = (rollout, payload) => {
+    const stickyValue = rollout.sticky_field ? getNestedValue(payload, rollout.sticky_field) : undefined;
+    if (stickyValue === undefined || stickyValue === null) {
+        return crypto.randomInt(100);
+    }
+
+    const digest = crypto.createHash('sha256').update(`${rollout.id}:${stickyValue}`).digest();
+    return digest.readUInt32BE(0) % 100;
+};
+
+/**
+ * Pick the flow version for a new instance of an event type
+ * Returns null when no rollout applies (the active version runs), otherwise
+ * { versionId, rollout: { rolloutId, variant } } where versionId is null for the baseline
+ */
+const selectFlowVersion = async (eventType, flow, payload) => {
+    const rollout = await flowRolloutsModel.findOne({
+        event_type_id: eventType.id,
+        status: ROLLOUT_STATUSES.ACTIVE
+    });
+
+    if (!rollout || rollout.flow_id !== flow.id || !matchesRolloutRules(rollout, payload)) {
+        return null;
+    }
+
+    const isCandidate = routingBucket(rollout, payload) < rollout.percentage;
+
+    return {
+        versionId: isCandidate ? rollout.candidate_version_id : null,
+        rollout: {
+            rolloutId: rollout.id,
+            variant: isCandidate ? ROLLOUT_VARIANTS.CANDIDATE : ROLLOUT_VARIANTS.BASELINE
+        }
+    };
+};
+
+/**
+ * Outcome counts per variant for the instances a rollout routed
+ */
+const getRolloutMetrics = async (rollout) => {
+    const rows = await flowInstancesModel.raw(`
+        SELECT
+            metadata->'rollout'->>'variant' AS variant,
+            COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE status = 'COMPLETED')::int AS completed,
+            COUNT(*) FILTER (WHERE status = ANY($2))::int AS failed,
+            ROUND(AVG(EXTRACT(EPOCH FROM (completed_at - started_at)) * 1000)
+                FILTER (WHERE status = 'COMPLETED'))::int AS avg_duration_ms
+        FROM flow_instances
+        WHERE metadata->'rollout'->>'rolloutId' = $1
+        GROUP BY metadata->'rollout'->>'variant'
+    `, [rollout.id, FAILED_INSTANCE_STATUSES]);
+
+    const metrics = {};
+    for (const variant of Object.values(ROLLOUT_VARIANTS)) {
+        const row = rows.find(r => r.variant === variant) || {};
+        const completed = row.completed || 0;
+        const failed = row.failed || 0;
+        const finished = completed + failed;
+
+        metrics[variant.toLowerCase()] = {
+            versionId: variant === ROLLOUT_VARIANTS.CANDIDATE
+                ? rollout.candidate_version_id
+                : rollout.baseline_version_id,
+            total: row.total || 0,
+            completed,
+            failed,
+            inFlight: (row.total || 0) - finished,
+            failureRate: finished > 0 ? Math.round((failed / finished) * 10000) / 100 : null,
+            avgDurationMs: row.avg_duration_ms ?? null
+        };
+    }
+
+    return metrics;
+};
+
+/**
+ * Close a rollout with a final status, keeping its metrics
+ */
+const endRollout = async (rollout, status, reason) => {
+    const metrics = await getRolloutMetrics(rollout);
+
+    const [ended] = await flowRolloutsModel.raw(`
+        UPDATE flow_rollouts
+        SET status = $1, ended_at = NOW(), end_reason = $2, metrics_snapshot = $3, updated_at = NOW()
+        WHERE id = $4 AND status = $5
+        RETURNING *
+    `, [status, reason, JSON.stringify(metrics), rollout.id, ROLLOUT_STATUSES.ACTIVE]);
+
+    if (!ended) {
+        throw new Error(`Rollout ${rollout.id} is no longer active`);
+    }
+
+    logger.flow('Rollout ended', {
+        rolloutId: rollout.id,
+        status,
+        reason,
+        candidateFailureRate: metrics.candidate.failureRate
+    });
+
+    return { ...ended, metrics };
+};
+
+/**
+ * Get an event type's running rollout (throws if there is none)
+ */
+const getActiveRollout = async (eventType) => {
+    const rollout = await flowRolloutsModel.findOne({
+        event_type_id: eventType.id,
+        status: ROLLOUT_STATUSES.ACTIVE
+    });
+    if (!rollout) {
+        throw new Error(`No active rollout for event type: ${eventType.event_code}`);
+    }
+    return rollout;
+};
+
+/**
+ * Start routing a share of an event type's requests to a candidate version
+ * The candidate must pass validation; the baseline is the version active at the start
+ */
+const startRollout = async (eventCode, params) => {
+    const { flow, eventType } = await getEventTypeFlow(eventCode);
+
+    const existing = await flowRolloutsModel.findOne({
+        event_type_id: eventType.id,
+        status: ROLLOUT_STATUSES.ACTIVE
+    });
+    if (existing) {
+        const error = new Error(`Event type ${eventCode} already has an active rollout: ${existing.id}`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const candidate = await flowService.resolveFlowVersion(flow.id, params.version);
+    if (candidate.is_active) {
+        throw new Error(`Version ${candidate.version} is already the active version`);
+    }
+
+    const snapshot = safeJsonParse(candidate.flow_definition, {}) || {};
+    if (!Array.isArray(snapshot.steps) || !Array.isArray(snapshot.transitions)) {
+        throw new Error(`Version ${candidate.version} has no step/transition snapshot and cannot run side by side`);
+    }
+    await flowValidationService.assertFlowValid(flow.id, { definition: snapshot });
+
+    const baseline = await flowService.getFlowDefinition(flow.id);
+
+    const rollout = await flowRolloutsModel.create({
+        event_type_id: eventType.id,
+        flow_id: flow.id,
+        baseline_version_id: baseline.version.id,
+        candidate_version_id: candidate.id,
+        percentage: params.percentage,
+        match_rules: JSON.stringify(params.matchRules || {}),
+        sticky_field: params.stickyField || null,
+        max_failure_rate: params.maxFailureRate,
+        min_sample_size: params.minSampleSize,
+        status: ROLLOUT_STATUSES.ACTIVE,
+        started_at: new Date()
+    });
+
+    logger.flow('Rollout started', {
+        rolloutId: rollout.id,
+        eventCode,
+        baselineVersion: baseline.version.version,
+        candidateVersion: candidate.version,
+        percentage: rollout.percentage
+    });
+
+    return rollout;
+};
+
+/**
+ * Get an event type's active rollout with its per-version metrics
+ */
+const getRollout = async (eventCode) => {
+    const { eventType } = await getEventTypeFlow(eventCode);
+    const rollout = await getActiveRollout(eventType);
+    return { ...rollout, metrics: await getRolloutMetrics(rollout) };
+};
+
+/**
+ * List an event type's rollouts, newest first
+ */
+const getRolloutHistory = async (eventCode) => {
+    const eventType = await eventTypesModel.findOne({ event_code: eventCode });
+    if (!eventType) {
+        throw new Error(`Event type not found: ${eventCode}`);
+    }
+    return flowRolloutsModel.findAll({
+        where: { event_type_id: eventType.id },
+        orderBy: 'created_at DESC'
+    });
+};
+
+/**
+ * Change an active rollout's routing or rollback thresholds
+ */
+const updateRollout = async (eventCode, params) => {
+    const { eventType } = await getEventTypeFlow(eventCode);
+    const rollout = await getActiveRollout(eventType);
+
+    const data = {};
+    if (params.percentage !== undefined) data.percentage = params.percentage;
+    if (params.matchRules !== undefined) data.match_rules = JSON.stringify(params.matchRules);
+    if (params.stickyField !== undefined) data.sticky_field = params.stickyField;
+    if (params.maxFailureRate !== undefined) data.max_failure_rate = params.maxFailureRate;
+    if (params.minSampleSize !== undefined) data.min_sample_size = params.minSampleSize;
+
+    const updated = await flowRolloutsModel.update(rollout.id, data);
+
+    logger.flow('Rollout updated', { rolloutId: rollout.id, eventCode, ...params });
+
+    return updated;
+};
+
+/**
+ * Make the candidate the active version and end the rollout
+ */
+const promoteRollout = async (eventCode) => {
+    const { flow, eventType } = await getEventTypeFlow(eventCode);
+    const rollout = await getActiveRollout(eventType);
+
+    await flowService.activateFlowVersion(flow.id, rollout.candidate_version_id);
+
+    return endRollout(rollout, ROLLOUT_STATUSES.PROMOTED, 'Promoted');
+};
+
+/**
+ * Stop routing to the candidate (instances already on it finish on their pinned version)
+ */
+const rollbackRollout = async (eventCode, reason = 'Rolled back manually') => {
+    const { eventType } = await getEventTypeFlow(eventCode);
+    const rollout = await getActiveRollout(eventType);
+    return endRollout(rollout, ROLLOUT_STATUSES.ROLLED_BACK, reason);
+};
+
+/**
+ * Roll back active rollouts whose candidate failure rate exceeds the threshold
+ * (once at least min_sample_size candidate instances have finished)
+ */
+const checkActiveRollouts = async () => {
+    const rollouts = await flowRolloutsModel.findAll({
+        where: { status: ROLLOUT_STATUSES.ACTIVE },
+        orderBy: 'started_at ASC'
+    });
+
+    const rolledBack = [];
+    for (const rollout of rollouts) {
+        const metrics = await getRolloutMetrics(rollout);
+        const { completed, failed, failureRate } = metrics.candidate;
+        const threshold = Number(rollout.max_failure_rate);
+
+        if (completed + failed < (rollout.min_sample_size || 1) || failureRate === null || failureRate <= threshold) {
+            continue;
+        }
+
+        const reason = `Candidate failure rate ${failureRate}% exceeded ${threshold}% ` +
+            `(${failed} of ${completed + failed} finished; baseline ${metrics.baseline.failureRate ?? 'n/a'}%)`;
+
+        try {
+            rolledBack.push(await endRollout(rollout, ROLLOUT_STATUSES.ROLLED_BACK, reason));
+            logger.warn('Rollout rolled back automatically', { rolloutId: rollout.id, reason });
+        } catch (error) {
+            // Ended concurrently (promoted or rolled back by hand)
+            logger.debug('Rollout auto-rollback skipped', { rolloutId: rollout.id, error: error.message });
+        }
+    }
+
+    return rolledBack;
+};
+
+module.exports = {
+    selectFlowVersion,
+    matchesRolloutRules,
+    getRolloutMetrics,
+    startRollout,
+    getRollout,
+    getRolloutHistory,
+    updateRollout,
+    promoteRollout,
+    rollbackRollout,
+    checkActiveRollouts,
+    ROLLOUT_STATUSES,
+    ROLLOUT_VARIANTS
+};
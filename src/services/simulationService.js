@@ -0,0 +1,458 @@
+const flowService = require('./flowService');
+const executionService = require('./executionService');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const logger = require('../utils/logger');
+const { deepClone, safeJsonParse } = require('../utils/helpers');
+
+const {
+    INSTANCE_STATUSES,
+    STEP_STATUSES,
+    ERROR_ACTIONS,
+    SIMULATION_NO_SCRIPT
+} = executionService;
+
+const DEFAULT_MAX_STEPS = 200;
+
+// Outcomes of a simulated parallel branch that did not finish the flow
+const BRANCH_OUTCOMES = {
+    AT_JOIN: 'AT_JOIN',
+    BRANCH_ENDED: 'BRANCH_ENDED'
+};
+
+/**
+ * Scripted entries per step code: a single entry, or a list consumed in order (the last one repeats)
+ */
+const nextScript = (ctx, step) => {
+    const scripted = ctx.responses[step.step_code];
+    if (scripted === undefined) {
+        return undefined;
+    }
+
+    ctx.usedScripts.add(step.step_code);
+    if (!Array.isArray(scripted)) {
+        return scripted;
+    }
+
+    const index = ctx.scriptIndex.get(step.step_code) || 0;
+    ctx.scriptIndex.set(step.step_code, index + 1);
+    return scripted[Math.min(index, scripted.length - 1)];
+};
+
+/**
+ * Error raised by a scripted { error } or { timeout } entry
+ */
+const scriptedError = (step, script) => {
+    if (script.timeout) {
+        const error = new Error(`Simulated timeout in step ${step.step_code}`);
+        error.code = 'ETIMEDOUT';
+        return error;
+    }
+
+    const error = new Error(typeof script.error === 'string' ? script.error : `Simulated failure in step ${step.step_code}`);
+    if (script.statusCode) {
+        error.response = { status: script.statusCode, data: script.response };
+    }
+    if (script.errorCode) {
+        error.code = script.errorCode;
+    }
+    return error;
+};
+
+/**
+ * Run one step without side effects
+ * Step types without a simulate handler pass the payload through (merged with a scripted output, if any)
+ */
+const simulateStep = async (ctx, step, payload) => {
+    const script = nextScript(ctx, step);
+    if (script && (script.error || script.timeout)) {
+        throw scriptedError(step, script);
+    }
+
+    const stepType = stepTypeRegistry.getStepType(step.step_type);
+    if (!stepType) {
+        throw new Error(`Unknown step type: ${step.step_type}`);
+    }
+
+    const config = safeJsonParse(step.config, {}) || {};
+    if (stepType.simulate) {
+        return stepType.simulate({ step, config, payload, script });
+    }
+
+    return {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: script?.output ? { ...payload, ...script.output } : payload,
+        metadata: { executed: false }
+    };
+};
+
+/**
+ * Steps that would be compensated if the instance failed now (newest first)
+ */
+const pendingCompensations = (ctx) => {
+    return ctx.path
+        .filter(entry => entry.status === STEP_STATUSES.COMPLETED && entry.compensation)
+        .reverse()
+        .map(entry => ({ stepCode: entry.stepCode, ...entry.compensation }));
+};
+
+/**
+ * Record a step in the path
+ */
+const recordStep = (ctx, step, payload, branch, attemptNumber) => {
+    const entry = {
+        sequence: ctx.path.length + 1,
+        stepCode: step.step_code,
+        stepType: step.step_type,
+        name: step.name,
+        ...(branch && { branch }),
+        ...(attemptNumber > 1 && { attemptNumber }),
+        status: STEP_STATUSES.RUNNING,
+        inputPayload: deepClone(payload)
+    };
+
+    const compensationStep = ctx.flowDef.steps.find(s => s.id === step.compensation_step_id);
+    if (compensationStep || step.compensation_flow_code) {
+        entry.compensation = compensationStep
+            ? { compensationStepCode: compensationStep.step_code }
+            : { compensationFlowCode: step.compensation_flow_code };
+    }
+
+    ctx.path.push(entry);
+    return entry;
+};
+
+/**
+ * Walk the flow from a step, mirroring executeFromStep without persistence or waits
+ * Returns { status, payload, ... }; inside a branch, AT_JOIN / BRANCH_ENDED hand control back to the split
+ */
+const simulateFrom = async (ctx, startStep, startPayload, branch = null) => {
+    const { flowDef } = ctx;
+    let currentStep = startStep;
+    let payload = deepClone(startPayload);
+    let attemptNumber = 1;
+
+    while (currentStep) {
+        if (++ctx.stepCount > ctx.maxSteps) {
+            throw new Error(`Simulation exceeded maximum step limit (${ctx.maxSteps})`);
+        }
+
+        if (branch && executionService.isJoinGateway(currentStep)) {
+            return { status: BRANCH_OUTCOMES.AT_JOIN, joinStep: currentStep, payload };
+        }
+
+        const entry = recordStep(ctx, currentStep, payload, branch, attemptNumber);
+
+        try {
+            const result = await simulateStep(ctx, currentStep, payload);
+
+            entry.status = result.status;
+            entry.outputPayload = deepClone(result.outputPayload);
+            if (result.metadata) {
+                entry.metadata = result.metadata;
+            }
+            payload = result.outputPayload;
+
+            if (result.manualIntervention) {
+                entry.status = STEP_STATUSES.WAITING;
+                return {
+                    status: INSTANCE_STATUSES.MANUAL_INTERVENTION,
+                    stepCode: currentStep.step_code,
+                    reason: result.reason,
+                    payload
+                };
+            }
+
+            if (executionService.isParallelSplit(currentStep)) {
+                return simulateParallelSplit(ctx, currentStep, payload, branch);
+            }
+
+            const nextStep = await flowService.getNextStep(flowDef, currentStep.id, payload);
+            entry.nextStepCode = nextStep ? nextStep.step_code : null;
+
+            if (!nextStep || nextStep.step_type === 'END') {
+                if (nextStep) {
+                    recordStep(ctx, nextStep, payload, branch, 1);
+                    Object.assign(ctx.path[ctx.path.length - 1], {
+                        status: STEP_STATUSES.COMPLETED,
+                        outputPayload: deepClone(payload)
+                    });
+                }
+
+                return branch
+                    ? { status: BRANCH_OUTCOMES.BRANCH_ENDED, payload }
+                    : { status: INSTANCE_STATUSES.COMPLETED, payload };
+            }
+
+            currentStep = nextStep;
+            attemptNumber = 1;
+        } catch (error) {
+            entry.status = STEP_STATUSES.FAILED;
+            entry.error = error.message;
+
+            // A missing script is a problem with the simulation request, not a step failure
+            if (error.code === SIMULATION_NO_SCRIPT) {
+                throw error;
+            }
+
+            const retryConfig = executionService.getStepRetryConfig(currentStep);
+            if (retryConfig.enabled !== false &&
+                attemptNumber <= (retryConfig.max_retries || 0) &&
+                executionService.isRetryableError(error, retryConfig)) {
+                entry.retryScheduled = true;
+                attemptNumber++;
+                continue;
+            }
+
+            const timeoutStep = executionService.isTimeoutError(error)
+                ? flowService.getTimeoutTransitionStep(flowDef, currentStep.id)
+                : null;
+            if (timeoutStep) {
+                entry.status = STEP_STATUSES.TIMEOUT;
+                entry.nextStepCode = timeoutStep.step_code;
+                payload = {
+                    ...payload,
+                    stepTimeout: { stepCode: currentStep.step_code, stepType: currentStep.step_type, message: error.message }
+                };
+                currentStep = timeoutStep;
+                attemptNumber = 1;
+                continue;
+            }
+
+            const errorOutcome = await simulateStepError(ctx, currentStep, payload, error, branch);
+            if (errorOutcome.result) {
+                return errorOutcome.result;
+            }
+
+            entry.nextStepCode = errorOutcome.nextStep.step_code;
+            currentStep = errorOutcome.nextStep;
+            payload = errorOutcome.payload;
+            attemptNumber = 1;
+        }
+    }
+
+    return { status: INSTANCE_STATUSES.COMPLETED, payload };
+};
+
+/**
+ * Apply a failed step's on_error_action (mirrors handleStepError)
+ */
+const simulateStepError = async (ctx, step, payload, error, branch) => {
+    const action = String(step.on_error_action || ERROR_ACTIONS.FAIL).toUpperCase();
+    const stepError = {
+        stepCode: step.step_code,
+        message: error.message,
+        code: error.code,
+        statusCode: error.response?.status
+    };
+
+    switch (action) {
+        case ERROR_ACTIONS.CONTINUE:
+        case ERROR_ACTIONS.SKIP: {
+            const nextPayload = action === ERROR_ACTIONS.CONTINUE ? { ...payload, stepError } : payload;
+            if (action === ERROR_ACTIONS.SKIP) {
+                ctx.path[ctx.path.length - 1].status = STEP_STATUSES.SKIPPED;
+            }
+
+            const nextStep = await flowService.getNextStep(ctx.flowDef, step.id, nextPayload);
+            if (nextStep) {
+                return { nextStep, payload: nextPayload };
+            }
+            return {
+                result: branch
+                    ? { status: BRANCH_OUTCOMES.BRANCH_ENDED, payload: nextPayload }
+                    : { status: INSTANCE_STATUSES.COMPLETED, payload: nextPayload }
+            };
+        }
+
+        case ERROR_ACTIONS.ROUTE_TO_HANDLER: {
+            const handlerStep = ctx.flowDef.steps.find(s => s.id === step.error_handler_step_id);
+            if (!handlerStep) {
+                throw new Error(`Error handler step not found for ${step.step_code}: ${error.message}`);
+            }
+            return { nextStep: handlerStep, payload: { ...payload, stepError } };
+        }
+
+        case ERROR_ACTIONS.MANUAL:
+            return {
+                result: {
+                    status: INSTANCE_STATUSES.MANUAL_INTERVENTION,
+                    stepCode: step.step_code,
+                    reason: `Step ${step.step_code} failed: ${error.message}`,
+                    payload: { ...payload, stepError }
+                }
+            };
+
+        case ERROR_ACTIONS.COMPENSATE:
+            return {
+                result: {
+                    status: INSTANCE_STATUSES.COMPENSATED,
+                    error: error.message,
+                    compensations: pendingCompensations(ctx),
+                    payload: { ...payload, stepError }
+                }
+            };
+
+        default:
+            throw error;
+    }
+};
+
+/**
+ * Run the branches of an AND/OR split one after another and release the join they meet at
+ */
+const simulateParallelSplit = async (ctx, splitStep, payload, parentBranch) => {
+    const { flowDef } = ctx;
+    const { gatewayType } = flowService.getGatewayConfig(splitStep);
+    const branchSteps = await flowService.getNextSteps(flowDef, splitStep.id, payload, {
+        ignoreConditions: gatewayType === flowService.GATEWAY_TYPES.AND
+    });
+
+    if (branchSteps.length === 0) {
+        throw new Error(`Gateway ${splitStep.step_code} has no branch to take`);
+    }
+
+    ctx.path[ctx.path.length - 1].branches = branchSteps.map(s => s.step_code);
+
+    const outcomes = [];
+    for (const [branchIndex, branchStep] of branchSteps.entries()) {
+        const outcome = await simulateFrom(ctx, branchStep, payload, {
+            splitStepCode: splitStep.step_code,
+            branchIndex
+        });
+
+        // A branch that stops the instance (manual intervention, compensation) stops the split
+        if (!Object.values(BRANCH_OUTCOMES).includes(outcome.status)) {
+            return outcome;
+        }
+        outcomes.push(outcome);
+    }
+
+    const arrivals = outcomes.filter(o => o.status === BRANCH_OUTCOMES.AT_JOIN);
+    const continueWith = async (nextStep, nextPayload) => {
+        if (nextStep) {
+            return simulateFrom(ctx, nextStep, nextPayload, parentBranch);
+        }
+        return parentBranch
+            ? { status: BRANCH_OUTCOMES.BRANCH_ENDED, payload: nextPayload }
+            : { status: INSTANCE_STATUSES.COMPLETED, payload: nextPayload };
+    };
+
+    if (arrivals.length === 0) {
+        // Every branch ended on its own - the split completes the flow
+        return continueWith(null, executionService.mergeBranchPayloads(payload, outcomes.map(o => o.payload)));
+    }
+
+    const joinStep = arrivals[0].joinStep;
+    const { gatewayType: joinType, joinCount } = flowService.getGatewayConfig(joinStep);
+    const requiredArrivals = joinType === flowService.GATEWAY_TYPES.OR
+        ? Math.min(joinCount || 1, branchSteps.length)
+        : branchSteps.length;
+
+    if (arrivals.length < requiredArrivals) {
+        return {
+            status: 'JOIN_WAITING',
+            stepCode: joinStep.step_code,
+            reason: `Join ${joinStep.step_code} needs ${requiredArrivals} branches, ${arrivals.length} arrived`,
+            payload
+        };
+    }
+
+    const joinedPayload = executionService.mergeBranchPayloads(
+        payload,
+        arrivals.slice(0, requiredArrivals).map(o => o.payload)
+    );
+
+    const joinEntry = recordStep(ctx, joinStep, joinedPayload, parentBranch, 1);
+    const nextStep = await flowService.getNextStep(flowDef, joinStep.id, joinedPayload);
+    Object.assign(joinEntry, {
+        status: STEP_STATUSES.COMPLETED,
+        outputPayload: deepClone(joinedPayload),
+        joinedBranches: requiredArrivals,
+        nextStepCode: nextStep ? nextStep.step_code : null
+    });
+
+    if (nextStep && nextStep.step_type === 'END') {
+        recordStep(ctx, nextStep, joinedPayload, parentBranch, 1);
+        Object.assign(ctx.path[ctx.path.length - 1], {
+            status: STEP_STATUSES.COMPLETED,
+            outputPayload: deepClone(joinedPayload)
+        });
+        return continueWith(null, joinedPayload);
+    }
+
+    return continueWith(nextStep, joinedPayload);
+};
+
+/**
+ * Dry-run a flow in memory against scripted responses
+ * options.responses maps step codes to scripted entries ({ response }, { callback }, { output },
+ * { status }, { error, statusCode }, { timeout: true }) or lists of them for repeated visits.
+ * Runs the draft (live steps) unless options.version names a saved version. Nothing is persisted.
+ */
+const simulateFlow = async (flowId, options = {}) => {
+    const { payload = {}, responses = {}, version = null, maxSteps = DEFAULT_MAX_STEPS } = options;
+
+    const flowDef = version
+        ? await flowService.getFlowDefinition(flowId, null, {
+            versionId: (await flowService.resolveFlowVersion(flowId, version)).id
+        })
+        : await flowService.getFlowDefinition(flowId, null, { draft: true });
+
+    if (!flowDef.startStep) {
+        throw new Error('Flow has no START step');
+    }
+
+    const unknownCodes = Object.keys(responses).filter(code => !flowDef.steps.some(s => s.step_code === code));
+    if (unknownCodes.length > 0) {
+        throw new Error(`Scripted responses for unknown steps: ${unknownCodes.join(', ')}`);
+    }
+
+    const ctx = {
+        flowDef,
+        responses,
+        maxSteps,
+        stepCount: 0,
+        path: [],
+        usedScripts: new Set(),
+        scriptIndex: new Map()
+    };
+
+    let outcome;
+    try {
+        outcome = await simulateFrom(ctx, flowDef.startStep, payload);
+    } catch (error) {
+        const lastEntry = ctx.path[ctx.path.length - 1];
+        outcome = {
+            status: INSTANCE_STATUSES.FAILED,
+            error: error.message,
+            ...(error.code === SIMULATION_NO_SCRIPT && { missingScript: lastEntry?.stepCode }),
+            compensations: pendingCompensations(ctx),
+            payload: lastEntry?.outputPayload || lastEntry?.inputPayload || payload
+        };
+    }
+
+    const { payload: finalPayload, ...result } = outcome;
+
+    logger.flow('Flow simulated', {
+        flowId,
+        flowCode: flowDef.flow.flow_code,
+        version: flowDef.version ? flowDef.version.version : 'draft',
+        status: result.status,
+        steps: ctx.path.length
+    });
+
+    return {
+        flowId,
+        flowCode: flowDef.flow.flow_code,
+        version: flowDef.version ? flowDef.version.version : null,
+        ...result,
+        finalPayload,
+        stepsExecuted: ctx.path.length,
+        path: ctx.path,
+        unusedResponses: Object.keys(responses).filter(code => !ctx.usedScripts.has(code))
+    };
+};
+
+module.exports = {
+    simulateFlow
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+const DEFAULT_PLUGINS_DIR = path.join(__dirname, '../../plugins');
+
+// Accept any config object unless the step type declares a schema
+const DEFAULT_CONFIG_SCHEMA = Joi.object().unknown(true).allow(null);
+
+const stepTypes = new Map();
+let builtInsRegistered = false;
+
+/**
+ * Register the built-in step types (once); their executors live in executionService
+ * Every lookup goes through here, so the built-ins never depend on which module was required first
+ */
+const registerBuiltInStepTypes = () => {
+    if (builtInsRegistered) {
+        return;
+    }
+    builtInsRegistered = true;
+
+    // Required here: executionService depends on this module
+    require('./executionService').registerBuiltInStepTypes();
+};
+
+/**
+ * Register a step type handler
+ * definition: { execute(context), simulate(context)?, configSchema, description, bpmnElement }
+ * execute receives { instance, step, config, payload, stepExecution } and returns
+ * { status, outputPayload, metadata?, waitForCallback?, manualIntervention?, ... }
+ * simulate is the dry-run counterpart used by flow simulation: it receives { step, config, payload, script }
+ * (script is the scripted entry for the step, if any), must not do I/O and never waits
+ */
+const registerStepType = (type, definition = {}) => {
+    if (!type || typeof type !== 'string') {
+        throw new Error('Step type name is required');
+    }
+    if (typeof definition.execute !== 'function') {
+        throw new Error(`Step type ${type} must provide an execute function`);
+    }
+    if (definition.simulate !== undefined && typeof definition.simulate !== 'function') {
+        throw new Error(`Step type ${type} simulate must be a function`);
+    }
+    if (definition.configSchema && !Joi.isSchema(definition.configSchema)) {
+        throw new Error(`Step type ${type} configSchema must be a Joi schema`);
+    }
+
+    // Built-ins first, so a plugin has to opt in to replacing one (override)
+    registerBuiltInStepTypes();
+
+    const stepType = type.toUpperCase();
+    if (stepTypes.has(stepType) && !definition.override) {
+        throw new Error(`Step type already registered: ${stepType}`);
+    }
+
+    stepTypes.set(stepType, {
+        type: stepType,
+        execute: definition.execute,
+        simulate: definition.simulate || null,
+        configSchema: definition.configSchema || DEFAULT_CONFIG_SCHEMA,
+        description: definition.description || '',
+        bpmnElement: definition.bpmnElement || 'task',
+        source: definition.source || 'builtin'
+    });
+
+    logger.debug('Step type registered', { stepType, source: definition.source || 'builtin' });
+};
+
+/**
+ * Get a registered step type (null if unknown)
+ */
+const getStepType = (type) => {
+    if (!type) return null;
+    registerBuiltInStepTypes();
+    return stepTypes.get(String(type).toUpperCase()) || null;
+};
+
+/**
+ * Check if a step type is registered
+ */
+const isRegisteredStepType = (type) => getStepType(type) !== null;
+
+/**
+ * List registered step types
+ */
+const listStepTypes = () => {
+    registerBuiltInStepTypes();
+    return [...stepTypes.values()].map(({ type, description, bpmnElement, source }) => ({
+        type,
+        description,
+        bpmnElement,
+        source
+    }));
+};
+
+/**
+ * Validate a step config against its step type's schema
+ */
+const validateStepConfig = (type, config) => {
+    const stepType = getStepType(type);
+    if (!stepType) {
+        return { error: new Error(`Unknown step type: ${type}`) };
+    }
+
+    const { error, value } = stepType.configSchema.validate(config || {}, { abortEarly: false });
+    return { error, value };
+};
+
+/**
+ * Register the built-ins and load step type plugins from a directory (at startup)
+ * Each .js file exports a definition ({ type, execute, configSchema, ... }), an array of them,
+ * or a function called with the registry. A plugin that fails to load is logged and skipped.
+ */
+const loadPlugins = (pluginsDir = process.env.STEP_PLUGINS_DIR || DEFAULT_PLUGINS_DIR) => {
+    registerBuiltInStepTypes();
+
+    if (!fs.existsSync(pluginsDir)) {
+        logger.debug('No step plugins directory found', { pluginsDir });
+        return [];
+    }
+
+    const loaded = [];
+    const failed = [];
+    const files = fs.readdirSync(pluginsDir)
+        .filter(f => f.endsWith('.js'))
+        .sort();
+
+    for (const file of files) {
+        const pluginPath = path.join(pluginsDir, file);
+
+        try {
+            const plugin = require(pluginPath);
+
+            if (typeof plugin === 'function') {
+                plugin(module.exports);
+            } else {
+                const definitions = Array.isArray(plugin) ? plugin : [plugin];
+                for (const definition of definitions) {
+                    registerStepType(definition.type, { ...definition, source: file });
+                }
+            }
+
+            loaded.push(file);
+        } catch (error) {
+            failed.push(file);
+            logger.error('Step type plugin failed to load', { plugin: file, error: error.message });
+        }
+    }
+
+    logger.info('✓ Step type plugins loaded', { count: loaded.length, plugins: loaded, failed });
+
+    return loaded;
+};
+
+module.exports = {
+    registerStepType,
+    getStepType,
+    isRegisteredStepType,
+    listStepTypes,
+    validateStepConfig,
+    registerBuiltInStepTypes,
+    loadPlugins
+};
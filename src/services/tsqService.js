@@ -6,12 +6,15 @@ const {
     processLogsModel
 } = require('../models');
 const callbackService = require('./callbackService');
+const executionService = require('./executionService');
+const manualTaskService = require('./manualTaskService');
+const outboundAuthService = require('./outboundAuthService');
 const logger = require('../utils/logger');
 const { safeJsonParse, formatDateTime, shouldTriggerTsq, isSuccessResponse } = require('../utils/helpers');
-const axios = require('axios');
 
 const TSQ_STATUSES = {
     PENDING: 'PENDING',
+    PROCESSING: 'PROCESSING', // claimed by the TSQ scheduler job
     IN_PROGRESS: 'IN_PROGRESS',
     SUCCESS: 'SUCCESS',
     FAILED: 'FAILED',
@@ -62,7 +65,7 @@ const createTsqRequest = async (instanceId, originalPayload, reason) => {
         original_tracking_number: trackingNumber,
         request_payload: JSON.stringify(tsqPayload),
         status: TSQ_STATUSES.PENDING,
-        attempt_number: 1,
+        attempt_number: 0,
         max_attempts: MAX_TSQ_RETRIES,
         result_message: reason,
         metadata: JSON.stringify({ originalFunctionCode: originalPayload.functionCode, reason }),
@@ -99,7 +102,7 @@ const executeTsqRequest = async (tsqId) => {
         throw new Error(`TSQ request not found: ${tsqId}`);
     }
 
-    if (tsqRequest.status !== TSQ_STATUSES.PENDING) {
+    if (![TSQ_STATUSES.PENDING, TSQ_STATUSES.PROCESSING].includes(tsqRequest.status)) {
         logger.warn('TSQ request not in PENDING status', { tsqId, status: tsqRequest.status });
         return null;
     }
@@ -114,7 +117,7 @@ const executeTsqRequest = async (tsqId) => {
     const payload = safeJsonParse(tsqRequest.request_payload, {});
 
     // Get external API configuration (GIP)
-    const gipApi = await externalApisModel.findOne({ code: 'GIP' });
+    const gipApi = await externalApisModel.findOne({ api_code: 'GIP' });
     if (!gipApi) {
         throw new Error('GIP API configuration not found');
     }
@@ -128,13 +131,13 @@ const executeTsqRequest = async (tsqId) => {
     });
 
     try {
-        const response = await axios({
+        const response = await outboundAuthService.callExternalApi(gipApi, {
             method: 'POST',
             url,
             data: payload,
             headers: {
                 'Content-Type': 'application/json',
-                ...safeJsonParse(gipApi.headers, {})
+                ...safeJsonParse(gipApi.default_headers, {})
             },
             timeout: 30000
         });
@@ -314,11 +317,10 @@ const updateInstanceFromTsq = async (tsqRequest, result, responseData) => {
         currentPayload.transactionFailed = true;
         currentPayload.failureReason = result.description;
 
-        await flowInstancesModel.update(instance.id, {
+        // The transaction did not go through: roll back the steps that did (e.g. the debit)
+        await executionService.finishInstance(instance.id, executionService.INSTANCE_STATUSES.FAILED, {
             current_payload: JSON.stringify(currentPayload),
-            status: 'FAILED',
-            error_message: result.description,
-            completed_at: new Date()
+            last_error: result.description
         });
 
         // Send failure callback to BFS
@@ -337,6 +339,11 @@ const updateInstanceFromTsq = async (tsqRequest, result, responseData) => {
             status: 'MANUAL_INTERVENTION'
         });
 
+        await manualTaskService.openTask(instance.id, {
+            source: manualTaskService.TASK_SOURCES.TSQ,
+            reason: result.description || 'TSQ could not determine the transaction status'
+        });
+
     } else {
         // Still pending/retrying
         await flowInstancesModel.update(instance.id, {
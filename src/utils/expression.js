@@ -0,0 +1,548 @@
+/**
+ * Sandboxed expression language
+ * Used by transition conditions, message/header/path templates and TRANSFORM values.
+ *
+ * Expressions are tokenized and parsed into an AST that is walked by a small interpreter,
+ * never handed to eval/Function. Identifiers only resolve against the supplied data,
+ * property access is limited to own properties, and only whitelisted functions can be called.
+ *
+ * Examples:
+ *   callbackResponse.actionCode == '000' && amount >= 100
+ *   upper(trim(accountName))
+ *   addMinutes(now(), 30) > date(expiresAt)
+ *   'Transfer ' + sessionId + ' failed with ' + (callbackResponse.actionCode ?? 'no code')
+ */
+const { formatDateTime, parseDateTime } = require('./helpers');
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_NESTING_DEPTH = 50;
+const MAX_CACHE_SIZE = 500;
+
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const TEMPLATE_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+const compiledCache = new Map();
+
+/**
+ * Coerce a value to a Date (Date, epoch millis, ISO string or YYMMDDHHMMSS)
+ */
+const toDate = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return value;
+
+    const date = typeof value === 'string' && /^\d{12}$/.test(value)
+        ? parseDateTime(value)
+        : new Date(value);
+
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const shiftDate = (value, ms) => {
+    const date = toDate(value);
+    return date ? new Date(date.getTime() + ms) : null;
+};
+
+const diffDates = (a, b, unitMs) => {
+    const first = toDate(a);
+    const second = toDate(b);
+    if (!first || !second) return null;
+    return Math.floor((first.getTime() - second.getTime()) / unitMs);
+};
+
+const str = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Functions callable from expressions
+ */
+const FUNCTIONS = {
+    // Strings
+    upper: (s) => str(s).toUpperCase(),
+    lower: (s) => str(s).toLowerCase(),
+    trim: (s) => str(s).trim(),
+    length: (v) => (Array.isArray(v) ? v.length : str(v).length),
+    substring: (s, start, end) => str(s).substring(start, end),
+    replace: (s, search, replacement) => str(s).split(str(search)).join(str(replacement)),
+    concat: (...args) => args.map(str).join(''),
+    startsWith: (s, prefix) => str(s).startsWith(str(prefix)),
+    endsWith: (s, suffix) => str(s).endsWith(str(suffix)),
+    contains: (v, search) => (Array.isArray(v) ? v.includes(search) : str(v).includes(str(search))),
+    padStart: (s, len, ch = ' ') => str(s).padStart(len, ch),
+    padEnd: (s, len, ch = ' ') => str(s).padEnd(len, ch),
+    split: (s, separator) => str(s).split(str(separator)),
+    join: (list, separator = ',') => (Array.isArray(list) ? list.map(str).join(separator) : str(list)),
+    matches: (s, pattern) => new RegExp(pattern).test(str(s)),
+
+    // Numbers and conversion
+    number: (v) => {
+        const n = Number(v);
+        return Number.isNaN(n) ? null : n;
+    },
+    string: (v) => str(v),
+    round: (n, decimals = 0) => {
+        const factor = 10 ** decimals;
+        return Math.round(Number(n) * factor) / factor;
+    },
+    floor: (n) => Math.floor(Number(n)),
+    ceil: (n) => Math.ceil(Number(n)),
+    abs: (n) => Math.abs(Number(n)),
+    min: (...args) => Math.min(...args.map(Number)),
+    max: (...args) => Math.max(...args.map(Number)),
+
+    // Values
+    coalesce: (...args) => args.find(v => v !== null && v !== undefined),
+    isEmpty: (v) => v === null || v === undefined || v === '' || (Array.isArray(v) && v.length === 0),
+
+    // Dates
+    now: () => new Date(),
+    date: (v) => toDate(v),
+    addMinutes: (d, n) => shiftDate(d, Number(n) * 60000),
+    addHours: (d, n) => shiftDate(d, Number(n) * 3600000),
+    addDays: (d, n) => shiftDate(d, Number(n) * 86400000),
+    diffMinutes: (a, b) => diffDates(a, b, 60000),
+    diffHours: (a, b) => diffDates(a, b, 3600000),
+    diffDays: (a, b) => diffDates(a, b, 86400000),
+    formatDate: (d) => {
+        const date = toDate(d);
+        return date ? formatDateTime(date) : null;
+    },
+    toISO: (d) => {
+        const date = toDate(d);
+        return date ? date.toISOString() : null;
+    }
+};
+
+const KEYWORDS = {
+    true: true,
+    false: false,
+    null: null
+};
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+    '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']'];
+
+/**
+ * Split an expression into tokens
+ */
+const tokenize = (expression) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const ch = expression[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9]/.test(ch)) {
+            const match = /^\d+(\.\d+)?/.exec(expression.slice(i));
+            tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < expression.length && expression[j] !== ch) {
+                if (expression[j] === '\\' && j + 1 < expression.length) {
+                    j++;
+                }
+                value += expression[j];
+                j++;
+            }
+            if (j >= expression.length) {
+                throw new Error(`Expression error: unterminated string at position ${i}`);
+            }
+            tokens.push({ type: 'string', value, pos: i });
+            i = j + 1;
+            continue;
+        }
+
+        if (/[A-Za-z_$]/.test(ch)) {
+            const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(expression.slice(i));
+            const name = match[0];
+            if (Object.prototype.hasOwnProperty.call(KEYWORDS, name)) {
+                tokens.push({ type: 'literal', value: KEYWORDS[name], pos: i });
+            } else {
+                tokens.push({ type: 'identifier', value: name, pos: i });
+            }
+            i += name.length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => expression.startsWith(op, i));
+        if (!operator) {
+            throw new Error(`Expression error: unexpected character '${ch}' at position ${i}`);
+        }
+        tokens.push({ type: 'operator', value: operator, pos: i });
+        i += operator.length;
+    }
+
+    tokens.push({ type: 'eof', pos: expression.length });
+    return tokens;
+};
+
+/**
+ * Recursive descent parser producing an AST
+ */
+const parse = (expression) => {
+    const tokens = tokenize(expression);
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+
+    const expect = (value) => {
+        if (!isOperator(value)) {
+            const token = peek();
+            throw new Error(`Expression error: expected '${value}' at position ${token.pos}`);
+        }
+        index++;
+    };
+
+    const binary = (next, operators) => () => {
+        let left = next();
+        while (peek().type === 'operator' && operators.includes(peek().value)) {
+            const operator = tokens[index++].value;
+            left = { type: 'binary', operator, left, right: next() };
+        }
+        return left;
+    };
+
+    const parseExpression = () => {
+        if (++depth > MAX_NESTING_DEPTH) {
+            throw new Error('Expression error: expression is nested too deeply');
+        }
+        const node = parseTernary();
+        depth--;
+        return node;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[index++];
+
+        if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (isOperator('(')) {
+                if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                    throw new Error(`Expression error: unknown function '${token.value}'`);
+                }
+                index++;
+                const args = [];
+                if (!isOperator(')')) {
+                    args.push(parseExpression());
+                    while (isOperator(',')) {
+                        index++;
+                        args.push(parseExpression());
+                    }
+                }
+                expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'identifier', name: token.value };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+
+        if (token.type === 'operator' && token.value === '[') {
+            const items = [];
+            if (!isOperator(']')) {
+                items.push(parseExpression());
+                while (isOperator(',')) {
+                    index++;
+                    items.push(parseExpression());
+                }
+            }
+            expect(']');
+            return { type: 'array', items };
+        }
+
+        throw new Error(token.type === 'eof'
+            ? 'Expression error: unexpected end of expression'
+            : `Expression error: unexpected token '${token.value}' at position ${token.pos}`);
+    };
+
+    const parseMember = () => {
+        let node = parsePrimary();
+        while (isOperator('.') || isOperator('[')) {
+            if (isOperator('.')) {
+                index++;
+                const token = tokens[index++];
+                if (token.type !== 'identifier' && token.type !== 'literal') {
+                    throw new Error(`Expression error: expected property name at position ${token.pos}`);
+                }
+                const property = token.type === 'literal' ? String(token.value) : token.value;
+                node = { type: 'member', object: node, property: { type: 'literal', value: property } };
+            } else {
+                index++;
+                const property = parseExpression();
+                expect(']');
+                node = { type: 'member', object: node, property };
+            }
+            if (isOperator('(')) {
+                throw new Error('Expression error: method calls are not allowed');
+            }
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        if (isOperator('!') || isOperator('-')) {
+            const operator = tokens[index++].value;
+            if (++depth > MAX_NESTING_DEPTH) {
+                throw new Error('Expression error: expression is nested too deeply');
+            }
+            const argument = parseUnary();
+            depth--;
+            return { type: 'unary', operator, argument };
+        }
+        return parseMember();
+    };
+
+    const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+    const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+    const parseComparison = binary(parseAdditive, ['<', '<=', '>', '>=']);
+    const parseEquality = binary(parseComparison, ['==', '!=', '===', '!==']);
+    const parseAnd = binary(parseEquality, ['&&']);
+    const parseOr = binary(parseAnd, ['||']);
+    const parseNullish = binary(parseOr, ['??']);
+
+    const parseTernary = () => {
+        const test = parseNullish();
+        if (!isOperator('?')) {
+            return test;
+        }
+        index++;
+        const consequent = parseExpression();
+        expect(':');
+        const alternate = parseExpression();
+        return { type: 'conditional', test, consequent, alternate };
+    };
+
+    const ast = parseExpression();
+    if (peek().type !== 'eof') {
+        const token = peek();
+        throw new Error(`Expression error: unexpected token '${token.value}' at position ${token.pos}`);
+    }
+    return ast;
+};
+
+/**
+ * Parse an expression, reusing cached ASTs
+ */
+const compileExpression = (expression) => {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('Expression error: expression must be a non-empty string');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`Expression error: expression exceeds ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    if (compiledCache.has(expression)) {
+        return compiledCache.get(expression);
+    }
+
+    const ast = parse(expression);
+    if (compiledCache.size >= MAX_CACHE_SIZE) {
+        compiledCache.delete(compiledCache.keys().next().value);
+    }
+    compiledCache.set(expression, ast);
+    return ast;
+};
+
+/**
+ * Read a property, limited to own data properties (plus string/array length)
+ */
+const readProperty = (target, property) => {
+    if (target === null || target === undefined) return undefined;
+
+    const key = String(property);
+    if (BLOCKED_PROPERTIES.has(key)) return undefined;
+
+    if ((typeof target === 'string' || Array.isArray(target)) && key === 'length') {
+        return target.length;
+    }
+    if (typeof target !== 'object' && typeof target !== 'string') return undefined;
+
+    return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+};
+
+const compare = (operator, left, right) => {
+    const a = left instanceof Date ? left.getTime() : left;
+    const b = right instanceof Date ? right.getTime() : right;
+    switch (operator) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        // == and != are strict so '000' never equals 0
+        case '==':
+        case '===': return a === b;
+        case '!=':
+        case '!==': return a !== b;
+        default: return false;
+    }
+};
+
+/**
+ * Walk the AST against the data
+ */
+const evaluateNode = (node, data) => {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'identifier':
+            return readProperty(data, node.name);
+
+        case 'member':
+            return readProperty(evaluateNode(node.object, data), evaluateNode(node.property, data));
+
+        case 'array':
+            return node.items.map(item => evaluateNode(item, data));
+
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, data)));
+
+        case 'unary': {
+            const value = evaluateNode(node.argument, data);
+            return node.operator === '!' ? !value : -value;
+        }
+
+        case 'conditional':
+            return evaluateNode(node.test, data)
+                ? evaluateNode(node.consequent, data)
+                : evaluateNode(node.alternate, data);
+
+        case 'binary': {
+            if (node.operator === '&&') {
+                return evaluateNode(node.left, data) && evaluateNode(node.right, data);
+            }
+            if (node.operator === '||') {
+                return evaluateNode(node.left, data) || evaluateNode(node.right, data);
+            }
+            if (node.operator === '??') {
+                const left = evaluateNode(node.left, data);
+                return left !== null && left !== undefined ? left : evaluateNode(node.right, data);
+            }
+
+            const left = evaluateNode(node.left, data);
+            const right = evaluateNode(node.right, data);
+            switch (node.operator) {
+                case '+':
+                    return typeof left === 'string' || typeof right === 'string'
+                        ? str(left) + str(right)
+                        : left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+                default: return compare(node.operator, left, right);
+            }
+        }
+
+        default:
+            throw new Error(`Expression error: unsupported node ${node.type}`);
+    }
+};
+
+/**
+ * Evaluate an expression against data
+ */
+const evaluateExpression = (expression, data = {}) => {
+    return evaluateNode(compileExpression(expression), data || {});
+};
+
+/**
+ * Check expression syntax without evaluating it
+ */
+const validateExpression = (expression) => {
+    try {
+        compileExpression(expression);
+        return { valid: true };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+};
+
+const formatTemplateValue = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * Parse a placeholder's expression, or null when it does not parse (e.g. literal braces in a message)
+ */
+const compilePlaceholder = (expression) => {
+    try {
+        return compileExpression(expression);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Render {{ expression }} placeholders in a template string
+ * Placeholders that do not parse or evaluate to undefined are left as-is
+ */
+const renderTemplate = (template, data = {}) => {
+    if (typeof template !== 'string') return template;
+
+    return template.replace(TEMPLATE_PATTERN, (match, expression) => {
+        const ast = compilePlaceholder(expression);
+        if (!ast) return match;
+
+        const value = evaluateNode(ast, data || {});
+        return value !== undefined ? formatTemplateValue(value) : match;
+    });
+};
+
+/**
+ * Render a configured value: a string that is a single {{ expression }} keeps the
+ * evaluated type, other strings are rendered as templates, anything else is returned as-is
+ */
+const renderValue = (value, data = {}) => {
+    if (typeof value !== 'string') return value;
+
+    const single = /^\{\{\s*([\s\S]+?)\s*\}\}$/.exec(value);
+    if (single && !single[1].includes('}}')) {
+        const ast = compilePlaceholder(single[1]);
+        const result = ast ? evaluateNode(ast, data || {}) : undefined;
+        return result !== undefined ? result : value;
+    }
+    return renderTemplate(value, data);
+};
+
+/**
+ * Check the syntax of every placeholder in a template
+ */
+const validateTemplate = (template) => {
+    if (typeof template !== 'string') return { valid: true };
+
+    for (const [, expression] of template.matchAll(TEMPLATE_PATTERN)) {
+        const result = validateExpression(expression);
+        if (!result.valid) return result;
+    }
+    return { valid: true };
+};
+
+module.exports = {
+    evaluateExpression,
+    validateExpression,
+    renderTemplate,
+    renderValue,
+    validateTemplate,
+    EXPRESSION_FUNCTIONS: Object.keys(FUNCTIONS)
+};
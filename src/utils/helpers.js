@@ -28,6 +28,124 @@ const parseDateTime = (dateStr) => {
     return new Date(year, month, day, hours, minutes, seconds);
 };
 
+/**
+ * Parse a single cron field into the set of values it matches
+ */
+const parseCronField = (field, min, max) => {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [rangePart, stepPart] = part.split('/');
+        const step = stepPart ? parseInt(stepPart, 10) : 1;
+        let start = min;
+        let end = max;
+
+        if (rangePart !== '*') {
+            const [from, to] = rangePart.split('-').map(n => parseInt(n, 10));
+            start = from;
+            end = to !== undefined ? to : (stepPart ? max : from);
+        }
+
+        if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron field: ${field}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+};
+
+/**
+ * Get the next date (after fromDate) matching a 5-field cron expression, in server local time
+ * Format: minute hour day-of-month month day-of-week
+ */
+const getNextCronDate = (expression, fromDate = new Date()) => {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression: ${expression}`);
+    }
+
+    const minutes = parseCronField(fields[0], 0, 59);
+    const hours = parseCronField(fields[1], 0, 23);
+    const daysOfMonth = parseCronField(fields[2], 1, 31);
+    const months = parseCronField(fields[3], 1, 12);
+    const daysOfWeek = parseCronField(fields[4], 0, 7);
+    if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+    // Standard cron: when both day fields are restricted, either may match
+    const domRestricted = !fields[2].startsWith('*');
+    const dowRestricted = !fields[4].startsWith('*');
+
+    const date = new Date(fromDate);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date.getTime() + 5 * 366 * 24 * 60 * 60 * 1000);
+
+    while (date <= limit) {
+        if (!months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+
+        const domMatch = daysOfMonth.has(date.getDate());
+        const dowMatch = daysOfWeek.has(date.getDay());
+        const dayMatch = domRestricted && dowRestricted ? (domMatch || dowMatch) : (domMatch && dowMatch);
+        if (!dayMatch) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        return date;
+    }
+
+    throw new Error(`No matching time found for cron expression: ${expression}`);
+};
+
+/**
+ * Get the next moment inside business hours (fromDate itself if already inside)
+ * config: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }, server local time
+ */
+const getNextBusinessTime = (config = {}, fromDate = new Date()) => {
+    const { days = [1, 2, 3, 4, 5], start = '09:00', end = '17:00' } = config;
+    const [startHour, startMinute] = start.split(':').map(n => parseInt(n, 10));
+    const [endHour, endMinute] = end.split(':').map(n => parseInt(n, 10));
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(fromDate);
+        day.setDate(day.getDate() + offset);
+        if (!days.includes(day.getDay())) continue;
+
+        const windowStart = new Date(day);
+        windowStart.setHours(startHour, startMinute || 0, 0, 0);
+        const windowEnd = new Date(day);
+        windowEnd.setHours(endHour, endMinute || 0, 0, 0);
+
+        if (offset === 0 && fromDate >= windowStart && fromDate < windowEnd) {
+            return new Date(fromDate);
+        }
+        if (windowStart > fromDate) {
+            return windowStart;
+        }
+    }
+
+    throw new Error('Business hours configuration has no working days');
+};
+
 /**
  * Format amount to specified length with leading zeros
  */
@@ -61,6 +179,17 @@ const safeJsonParse = (str, defaultValue = null) => {
     }
 };
 
+/**
+ * JSON.stringify with sorted object keys, for comparing JSON values (JSONB does not keep key order)
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
 /**
  * Generate unique ID
  */
@@ -70,6 +199,30 @@ const generateUniqueId = (prefix = '') => {
     return prefix ? `${prefix}_${timestamp}${randomPart}` : `${timestamp}${randomPart}`;
 };
 
+/**
+ * Calculate the delay before a retry attempt (attemptNumber is 1-based)
+ * backoff: 'fixed' | 'exponential' | 'jitter' (full jitter over the exponential delay)
+ */
+const calculateBackoffDelay = (config = {}, attemptNumber = 1) => {
+    const {
+        backoff = 'fixed',
+        retry_interval_ms: baseDelay = 5000,
+        multiplier = 2,
+        max_interval_ms: maxDelay = Infinity
+    } = config;
+
+    const exponentialDelay = baseDelay * Math.pow(multiplier, attemptNumber - 1);
+
+    switch (String(backoff).toLowerCase()) {
+        case 'exponential':
+            return Math.min(exponentialDelay, maxDelay);
+        case 'jitter':
+            return Math.round(Math.random() * Math.min(exponentialDelay, maxDelay));
+        default:
+            return Math.min(baseDelay, maxDelay);
+    }
+};
+
 /**
  * Retry function with exponential backoff
  */
@@ -363,12 +516,16 @@ const isPendingResponse = (actionCode) => {
 module.exports = {
     formatDateTime,
     parseDateTime,
+    getNextCronDate,
+    getNextBusinessTime,
     formatAmount,
     parseAmount,
     deepClone,
     safeJsonParse,
+    stableStringify,
     generateUniqueId,
     retry,
+    calculateBackoffDelay,
     sleep,
     evaluateCondition,
     evaluateOperator,
@@ -0,0 +1,149 @@
+/**
+ * Minimal XML helpers for BPMN import/export
+ * Parses elements, attributes, text and CDATA into { name, localName, attributes, children, text }.
+ * Comments, processing instructions and DOCTYPE declarations are skipped; entities are limited
+ * to the five predefined ones plus numeric references (no external entities).
+ */
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+const escapeXml = (value) => {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+/**
+ * Wrap text in a CDATA section (splitting any embedded terminator)
+ */
+const cdata = (value) => `<![CDATA[${String(value).split(']]>').join(']]]]><![CDATA[>')}]]>`;
+
+const decodeEntities = (text) => {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) || code > 0x10FFFF ? match : String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+};
+
+const localNameOf = (name) => name.slice(name.indexOf(':') + 1);
+
+const START_TAG = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+/**
+ * Parse an XML document and return its root element
+ */
+const parseXml = (xml) => {
+    if (typeof xml !== 'string' || xml.trim() === '') {
+        throw new Error('XML error: document is empty');
+    }
+
+    let pos = 0;
+    const root = { name: '#document', localName: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+
+    const fail = (message) => {
+        throw new Error(`XML error: ${message} at offset ${pos}`);
+    };
+
+    const skipPast = (terminator) => {
+        const end = xml.indexOf(terminator, pos);
+        if (end === -1) fail(`missing '${terminator}'`);
+        pos = end + terminator.length;
+        return end;
+    };
+
+    while (pos < xml.length) {
+        const current = stack[stack.length - 1];
+        const lt = xml.indexOf('<', pos);
+
+        if (lt === -1) {
+            current.text += decodeEntities(xml.slice(pos));
+            break;
+        }
+        if (lt > pos) {
+            current.text += decodeEntities(xml.slice(pos, lt));
+        }
+        pos = lt;
+
+        if (xml.startsWith('<!--', pos)) {
+            skipPast('-->');
+        } else if (xml.startsWith('<![CDATA[', pos)) {
+            const start = pos + 9;
+            const end = skipPast(']]>');
+            current.text += xml.slice(start, end);
+        } else if (xml.startsWith('<?', pos)) {
+            skipPast('?>');
+        } else if (xml.startsWith('<!', pos)) {
+            // DOCTYPE and other declarations are ignored
+            skipPast('>');
+        } else if (xml.startsWith('</', pos)) {
+            const end = skipPast('>');
+            const name = xml.slice(lt + 2, end).trim();
+            if (stack.length === 1 || current.name !== name) {
+                fail(`unexpected closing tag </${name}>`);
+            }
+            stack.pop();
+        } else {
+            START_TAG.lastIndex = pos;
+            const match = START_TAG.exec(xml);
+            if (!match) fail('malformed start tag');
+
+            const [whole, name, rawAttributes, selfClosing] = match;
+            const attributes = {};
+            for (const [, key, , value] of rawAttributes.matchAll(/([A-Za-z_][\w.:-]*)\s*=\s*("|')([\s\S]*?)\2/g)) {
+                attributes[key] = decodeEntities(value);
+            }
+
+            const element = { name, localName: localNameOf(name), attributes, children: [], text: '' };
+            current.children.push(element);
+            pos += whole.length;
+
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`XML error: unclosed tag <${stack[stack.length - 1].name}>`);
+    }
+
+    const [documentElement] = root.children;
+    if (!documentElement) {
+        throw new Error('XML error: no root element');
+    }
+    return documentElement;
+};
+
+/**
+ * Child elements by local name (namespace prefix ignored)
+ */
+const childrenByName = (element, localName) => element.children.filter(c => c.localName === localName);
+
+/**
+ * First child element by local name
+ */
+const childByName = (element, localName) => element.children.find(c => c.localName === localName) || null;
+
+module.exports = {
+    parseXml,
+    escapeXml,
+    cdata,
+    childrenByName,
+    childByName
+};
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const stepTypeRegistry = require('../services/stepTypeRegistry');
+const { validateExpression } = require('../utils/expression');
 
 /**
  * Event type validation schemas
@@ -32,42 +34,198 @@ const flowSchemas = {
     })
 };
 
+/**
+ * Step on_error_action values (RETRY: retry by retryConfig, 3 times if it sets no max_retries, then fail)
+ */
+const ERROR_ACTIONS = ['FAIL', 'CONTINUE', 'SKIP', 'ROUTE_TO_HANDLER', 'MANUAL', 'COMPENSATE', 'RETRY'];
+
+/**
+ * Step retry policy (stored in flow_steps.retry_config)
+ */
+const retryConfigSchema = Joi.object({
+    enabled: Joi.boolean(),
+    max_retries: Joi.number().integer().min(0),
+    retry_interval_ms: Joi.number().integer().min(0),
+    backoff: Joi.string().valid('fixed', 'exponential', 'jitter'),
+    multiplier: Joi.number().min(1),
+    max_interval_ms: Joi.number().integer().min(0),
+    max_elapsed_ms: Joi.number().integer().min(0),
+    retry_on: Joi.object({
+        errors: Joi.array().items(Joi.string()),
+        status_codes: Joi.array().items(Joi.number().integer().min(100).max(599))
+    })
+});
+
+/**
+ * Step type must be registered (built-in or loaded from a plugin)
+ */
+const registeredStepType = Joi.string().uppercase().custom((value, helpers) => {
+    if (!stepTypeRegistry.isRegisteredStepType(value)) {
+        return helpers.message(`Unknown step type: ${value}`);
+    }
+    return value;
+}, 'registered step type');
+
+/**
+ * Step config must match the config schema declared by its step type
+ */
+const validateStepTypeConfig = (value, helpers) => {
+    if (!value.stepType || !value.config) {
+        return value;
+    }
+
+    const { error } = stepTypeRegistry.validateStepConfig(value.stepType, value.config);
+    if (error) {
+        return helpers.message(`Invalid config for ${value.stepType} step: ${error.message}`);
+    }
+    return value;
+};
+
 /**
  * Flow step validation schemas
  */
 const flowStepSchemas = {
     create: Joi.object({
+        stepCode: Joi.string().max(50),
         name: Joi.string().max(255).required(),
-        stepType: Joi.string().valid(
-            'START', 'END', 'TASK', 'GATEWAY', 'EVENT', 
-            'LISTENER', 'CALLBACK', 'API_CALL', 'TRANSFORM', 
-            'CONDITION', 'MANUAL', 'ALERT'
-        ).required(),
+        stepType: registeredStepType.required(),
+        description: Joi.string().allow('', null),
         sequenceNumber: Joi.number().integer().min(0).required(),
         config: Joi.object().allow(null),
         timeout: Joi.number().integer().min(1000),
         retryCount: Joi.number().integer().min(0).default(0),
         retryDelay: Joi.number().integer().min(0).default(0),
+        retryConfig: retryConfigSchema.allow(null),
         isAsync: Joi.boolean().default(false),
-        errorHandling: Joi.string().valid('FAIL', 'SKIP', 'MANUAL', 'RETRY').default('FAIL')
-    }),
+        errorHandling: Joi.string().valid(...ERROR_ACTIONS).default('FAIL'),
+        errorHandlerStepId: Joi.string().uuid().allow(null).when('errorHandling', {
+            is: 'ROUTE_TO_HANDLER',
+            then: Joi.required()
+        }),
+        compensationStepId: Joi.string().uuid().allow(null),
+        compensationFlowCode: Joi.string().max(50).allow(null),
+        requiresApproval: Joi.boolean().default(false),
+        approvalRoles: Joi.array().items(Joi.string().max(50)).unique()
+    }).custom(validateStepTypeConfig, 'step type config'),
     update: Joi.object({
         name: Joi.string().max(255),
-        stepType: Joi.string().valid(
-            'START', 'END', 'TASK', 'GATEWAY', 'EVENT', 
-            'LISTENER', 'CALLBACK', 'API_CALL', 'TRANSFORM', 
-            'CONDITION', 'MANUAL', 'ALERT'
-        ),
+        stepType: registeredStepType,
+        description: Joi.string().allow('', null),
         sequenceNumber: Joi.number().integer().min(0),
         config: Joi.object().allow(null),
         timeout: Joi.number().integer().min(1000),
         retryCount: Joi.number().integer().min(0),
         retryDelay: Joi.number().integer().min(0),
+        retryConfig: retryConfigSchema.allow(null),
         isAsync: Joi.boolean(),
-        errorHandling: Joi.string().valid('FAIL', 'SKIP', 'MANUAL', 'RETRY')
+        errorHandling: Joi.string().valid(...ERROR_ACTIONS),
+        errorHandlerStepId: Joi.string().uuid().allow(null),
+        compensationStepId: Joi.string().uuid().allow(null),
+        compensationFlowCode: Joi.string().max(50).allow(null),
+        requiresApproval: Joi.boolean(),
+        approvalRoles: Joi.array().items(Joi.string().max(50)).unique()
+    }).min(1).custom(validateStepTypeConfig, 'step type config')
+};
+
+/**
+ * Flow import/export validation schemas
+ */
+const flowTransferSchemas = {
+    import: Joi.object({
+        document: Joi.object(),
+        bpmn: Joi.string(),
+        overwrite: Joi.boolean().default(false),
+        flowCode: Joi.string().max(50),
+        eventTypeCode: Joi.string().max(50)
+    }).xor('document', 'bpmn')
+};
+
+/**
+ * Canary rollout validation schemas
+ */
+const rolloutRules = {
+    matchRules: Joi.object().pattern(
+        Joi.string().max(100),
+        Joi.alternatives().try(
+            Joi.array().items(Joi.string(), Joi.number()).min(1),
+            Joi.string(),
+            Joi.number()
+        )
+    ),
+    stickyField: Joi.string().max(100).allow(null),
+    maxFailureRate: Joi.number().min(0).max(100),
+    minSampleSize: Joi.number().integer().min(1)
+};
+
+const rolloutSchemas = {
+    start: Joi.object({
+        version: Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().uuid()).required(),
+        percentage: Joi.number().integer().min(0).max(100).required(),
+        ...rolloutRules,
+        maxFailureRate: rolloutRules.maxFailureRate.default(10),
+        minSampleSize: rolloutRules.minSampleSize.default(20)
+    }),
+    update: Joi.object({
+        percentage: Joi.number().integer().min(0).max(100),
+        ...rolloutRules
+    }).min(1),
+    rollback: Joi.object({
+        reason: Joi.string().max(500)
+    })
+};
+
+/**
+ * Flow simulation schema
+ * responses: step code -> scripted entry, or a list of entries for steps visited more than once
+ */
+const scriptedStepResponse = Joi.object({
+    response: Joi.any(),
+    callback: Joi.object(),
+    output: Joi.object(),
+    status: Joi.string().valid('COMPLETED', 'FAILED', 'CANCELLED', 'COMPENSATED'),
+    error: Joi.alternatives().try(Joi.string(), Joi.boolean()),
+    errorCode: Joi.string(),
+    statusCode: Joi.number().integer().min(100).max(599),
+    timeout: Joi.boolean()
+});
+
+const simulationSchemas = {
+    simulate: Joi.object({
+        payload: Joi.object().default({}),
+        responses: Joi.object().pattern(
+            Joi.string().max(50),
+            Joi.alternatives().try(scriptedStepResponse, Joi.array().items(scriptedStepResponse).min(1))
+        ).default({}),
+        version: Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().uuid()),
+        maxSteps: Joi.number().integer().min(1).max(1000)
+    })
+};
+
+/**
+ * Flow version validation schemas
+ */
+const flowVersionSchemas = {
+    migrate: Joi.object({
+        instanceIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required(),
+        stepMapping: Joi.object().pattern(Joi.string(), Joi.string().max(50)).required()
     })
 };
 
+/**
+ * Expression must parse (see utils/expression)
+ */
+const expressionString = Joi.string().custom((value, helpers) => {
+    const { valid, error } = validateExpression(value);
+    return valid ? value : helpers.message(error);
+}, 'expression');
+
+/**
+ * Transition condition config, e.g. { condition: 'SUCCESS' } or { expression: "amount > 100" }
+ */
+const conditionConfigSchema = Joi.object({
+    expression: expressionString
+}).unknown(true).allow(null);
+
 /**
  * Transition validation schemas
  */
@@ -75,13 +233,13 @@ const transitionSchemas = {
     create: Joi.object({
         fromStepId: Joi.string().uuid().required(),
         toStepId: Joi.string().uuid().required(),
-        conditionType: Joi.string().valid('ALWAYS', 'CONDITION', 'DEFAULT').default('ALWAYS'),
-        conditionConfig: Joi.object().allow(null),
+        conditionType: Joi.string().valid('ALWAYS', 'CONDITION', 'DEFAULT', 'TIMEOUT').default('ALWAYS'),
+        conditionConfig: conditionConfigSchema,
         priority: Joi.number().integer().min(0).default(0)
     }),
     update: Joi.object({
-        conditionType: Joi.string().valid('ALWAYS', 'CONDITION', 'DEFAULT'),
-        conditionConfig: Joi.object().allow(null),
+        conditionType: Joi.string().valid('ALWAYS', 'CONDITION', 'DEFAULT', 'TIMEOUT'),
+        conditionConfig: conditionConfigSchema,
         priority: Joi.number().integer().min(0)
     })
 };
@@ -214,6 +372,112 @@ const reversalSchemas = {
     })
 };
 
+/**
+ * Auth validation schemas
+ */
+const authSchemas = {
+    login: Joi.object({
+        username: Joi.string().max(255).required(),
+        password: Joi.string().max(255).required()
+    }),
+
+    refresh: Joi.object({
+        refreshToken: Joi.string().max(255).required()
+    })
+};
+
+/**
+ * Maker-checker approval validation schemas
+ */
+const APPROVAL_TYPES = ['REVERSAL', 'CANCEL_INSTANCE', 'MANUAL_STEP'];
+
+const approvalSchemas = {
+    list: Joi.object({
+        status: Joi.string().valid('PENDING', 'APPROVED', 'REJECTED', 'FAILED', 'CANCELLED'),
+        approvalType: Joi.string().valid(...APPROVAL_TYPES),
+        flowInstanceId: Joi.string().uuid(),
+        requestedBy: Joi.string().uuid(),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    approve: Joi.object({
+        comment: Joi.string().max(500)
+    }),
+
+    reject: Joi.object({
+        comment: Joi.string().max(500).required()
+    }),
+
+    limit: Joi.object({
+        roleCode: Joi.string().max(50).required(),
+        approvalType: Joi.string().valid('*', ...APPROVAL_TYPES).required(),
+        maxAmount: Joi.number().min(0).allow(null).required()
+    })
+};
+
+/**
+ * Manual task validation schemas
+ */
+const taskSchemas = {
+    list: Joi.object({
+        status: Joi.string().valid('OPEN', 'CLAIMED', 'COMPLETED', 'CANCELLED'),
+        source: Joi.string().valid('MANUAL_STEP', 'STEP_ERROR', 'TSQ', 'REVERSAL_REJECTED'),
+        claimedBy: Joi.string().uuid(),
+        flowInstanceId: Joi.string().uuid(),
+        overdue: Joi.boolean(),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    decide: Joi.object({
+        outcome: Joi.string().valid('CONTINUE', 'TRANSITION', 'FAIL', 'REVERSE').required(),
+        transitionId: Joi.string().uuid().when('outcome', {
+            is: 'TRANSITION',
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+        }),
+        reversalType: Joi.string().valid('FTD_REVERSAL', 'FTC_REVERSAL', 'FULL_REVERSAL').when('outcome', {
+            is: 'REVERSE',
+            otherwise: Joi.forbidden()
+        }),
+        comment: Joi.string().max(500)
+    })
+};
+
+/**
+ * Dead-letter queue validation schemas
+ */
+const deadLetterFilter = {
+    jobType: Joi.string().max(100),
+    flowInstanceId: Joi.string().uuid(),
+    reason: Joi.string().max(255),
+    from: Joi.date().iso(),
+    to: Joi.date().iso()
+};
+
+const deadLetterSchemas = {
+    list: Joi.object({
+        ...deadLetterFilter,
+        status: Joi.string().valid('DEAD', 'REPLAYED'),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    replay: Joi.object({
+        ids: Joi.array().items(Joi.string().uuid()).min(1).max(500).unique(),
+        filter: Joi.object(deadLetterFilter),
+        limit: Joi.number().integer().min(1).max(500).default(100)
+    }).xor('ids', 'filter'),
+
+    purge: Joi.object({
+        ids: Joi.array().items(Joi.string().uuid()).min(1).max(500).unique(),
+        status: Joi.string().valid('DEAD', 'REPLAYED'),
+        jobType: Joi.string().max(100),
+        olderThanDays: Joi.number().integer().min(0)
+    }).or('ids', 'status', 'jobType', 'olderThanDays').oxor('ids', 'status').oxor('ids', 'jobType').oxor('ids', 'olderThanDays')
+};
+
 /**
  * Validation middleware factory
  */
@@ -268,11 +532,19 @@ module.exports = {
     eventTypeSchemas,
     flowSchemas,
     flowStepSchemas,
+    flowTransferSchemas,
+    flowVersionSchemas,
+    rolloutSchemas,
+    simulationSchemas,
     transitionSchemas,
     fieldMappingSchemas,
     processSchemas,
     callbackSchemas,
     reversalSchemas,
+    approvalSchemas,
+    taskSchemas,
+    deadLetterSchemas,
+    authSchemas,
     validate,
     validateQuery
 };
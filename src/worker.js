@@ -0,0 +1,64 @@
+/**
+ * Orchestrator Worker - standalone job worker entry point
+ * Runs job_queue jobs without serving HTTP, so workers scale separately from the API
+ * (run the API nodes with WORKERS_ENABLED=false)
+ */
+
+require('dotenv').config();
+
+const logger = require('./utils/logger');
+const pool = require('./config/database');
+const { checkRequiredSecrets } = require('./config/secrets');
+const { createWorkerPool } = require('./jobs/workerPool');
+const stepTypeRegistry = require('./services/stepTypeRegistry');
+
+const workerPool = createWorkerPool();
+
+const startWorker = async () => {
+    try {
+        // Refuse to run outside development without JWT_SECRET and BFS_API_KEY
+        checkRequiredSecrets();
+
+        await pool.query('SELECT 1');
+        logger.info('✓ Database connection established');
+
+        // Custom step types must be registered before any flow runs
+        stepTypeRegistry.loadPlugins();
+
+        await workerPool.start();
+    } catch (error) {
+        logger.error('✗ Failed to start worker', error, { phase: 'startup' });
+        process.exit(1);
+    }
+};
+
+let shuttingDown = false;
+
+const gracefulShutdown = async (signal) => {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    logger.info(`${signal} received, draining job workers`);
+
+    try {
+        const { drained, remaining } = await workerPool.stop();
+        logger.info('Job workers stopped', { drained, remaining });
+
+        await pool.end();
+        logger.info('Database connections closed');
+        process.exit(drained ? 0 : 1);
+    } catch (error) {
+        logger.error('Error during worker shutdown', { error: error.message });
+        process.exit(1);
+    }
+};
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled promise rejection', { reason });
+});
+
+startWorker();
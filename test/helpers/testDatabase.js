@@ -0,0 +1,116 @@
+/**
+ * Test Database
+ * Creates a disposable PostgreSQL database, applies the migrations and seeds it
+ *
+ * Connection settings come from TEST_DB_HOST, TEST_DB_PORT, TEST_DB_USER and TEST_DB_PASSWORD
+ * (falling back to the DB_* variables). The database is created through TEST_DB_ADMIN_DB
+ * (default: postgres) and dropped again when the suite finishes.
+ */
+
+const { Client } = require('pg');
+const { execFile } = require('child_process');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+const connectionSettings = () => ({
+    host: process.env.TEST_DB_HOST || process.env.DB_HOST || 'localhost',
+    port: Number(process.env.TEST_DB_PORT || process.env.DB_PORT || 5432),
+    user: process.env.TEST_DB_USER || process.env.DB_USER || 'postgres',
+    password: process.env.TEST_DB_PASSWORD || process.env.DB_PASSWORD || 'postgres'
+});
+
+/**
+ * Run a query against the admin database
+ */
+const adminQuery = async (sql) => {
+    const client = new Client({
+        ...connectionSettings(),
+        database: process.env.TEST_DB_ADMIN_DB || 'postgres',
+        connectionTimeoutMillis: 3000
+    });
+
+    await client.connect();
+    try {
+        return await client.query(sql);
+    } finally {
+        await client.end();
+    }
+};
+
+/**
+ * Check whether a PostgreSQL server is reachable with the test settings
+ */
+const isDatabaseAvailable = async () => {
+    try {
+        await adminQuery('SELECT 1');
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Environment for the migration and seed scripts, pointed at the test database
+ */
+const scriptEnv = (databaseName, extraEnv = {}) => {
+    const settings = connectionSettings();
+    return {
+        ...process.env,
+        DB_HOST: settings.host,
+        DB_PORT: String(settings.port),
+        DB_USER: settings.user,
+        DB_PASSWORD: settings.password,
+        DB_NAME: databaseName,
+        ...extraEnv
+    };
+};
+
+/**
+ * Run one of the repository scripts (migrations/run.js, scripts/seed.js) as a child process
+ */
+const runScript = (script, env) => new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(ROOT_DIR, script)], { cwd: ROOT_DIR, env, timeout: 120000 },
+        (error, stdout, stderr) => {
+            if (error) {
+                error.message = `${script} failed: ${error.message}\n${stdout}\n${stderr}`;
+                return reject(error);
+            }
+            resolve(stdout);
+        });
+});
+
+/**
+ * Create an empty test database with the migrations applied
+ */
+const createTestDatabase = async () => {
+    const databaseName = process.env.TEST_DB_NAME || `orchestrator_test_${process.pid}_${Date.now()}`;
+
+    await adminQuery(`DROP DATABASE IF EXISTS "${databaseName}"`);
+    await adminQuery(`CREATE DATABASE "${databaseName}"`);
+    await runScript('migrations/run.js', scriptEnv(databaseName));
+
+    return databaseName;
+};
+
+/**
+ * Seed the test database; extraEnv sets the seeded API base URLs (GIP_BASE_URL, BFS_BASE_URL)
+ */
+const seedTestDatabase = (databaseName, extraEnv = {}) => {
+    return runScript('scripts/seed.js', scriptEnv(databaseName, extraEnv));
+};
+
+/**
+ * Drop the test database (WITH (FORCE) closes connections left open by a failed test)
+ */
+const dropTestDatabase = async (databaseName) => {
+    await adminQuery(`DROP DATABASE IF EXISTS "${databaseName}" WITH (FORCE)`);
+};
+
+module.exports = {
+    connectionSettings,
+    isDatabaseAvailable,
+    createTestDatabase,
+    seedTestDatabase,
+    dropTestDatabase
+};
@@ -0,0 +1,218 @@
+/**
+ * Test Server
+ * Runs the orchestrator API, the GIP mock and a BFS callback stub in-process
+ * against a disposable test database
+ *
+ * The orchestrator modules read their database settings when first required, so they are
+ * only loaded after the test database exists and DB_NAME points at it.
+ */
+
+const express = require('express');
+const axios = require('axios');
+const {
+    connectionSettings,
+    createTestDatabase,
+    seedTestDatabase,
+    dropTestDatabase
+} = require('./testDatabase');
+
+/**
+ * Poll until check() returns a truthy value
+ */
+const waitFor = async (check, { timeoutMs = 10000, intervalMs = 100, description = 'condition' } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    let lastValue;
+
+    while (Date.now() < deadline) {
+        lastValue = await check();
+        if (lastValue) {
+            return lastValue;
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+
+    throw new Error(`Timed out after ${timeoutMs}ms waiting for ${description}`);
+};
+
+// Service key the BFS-facing routes accept; set before the orchestrator modules load
+const SERVICE_KEY = 'test-service-key';
+
+// Callback signing secrets: the GIP mock signs with GIP's, BFS callbacks are signed with BFS's
+const GIP_CALLBACK_SECRET = 'test-gip-callback-secret';
+const BFS_CALLBACK_SECRET = 'test-bfs-callback-secret';
+
+/**
+ * Accept a preset name or a scenario object
+ */
+const normalizeScenario = (scenario) => {
+    if (!scenario) {
+        return {};
+    }
+    return typeof scenario === 'string' ? { preset: scenario } : scenario;
+};
+
+/**
+ * Start the test environment
+ * options.scenario: initial GIP mock scenario (preset name or scenario object)
+ */
+const startTestServer = async (options = {}) => {
+    const databaseName = await createTestDatabase();
+    const settings = connectionSettings();
+
+    process.env.DB_HOST = settings.host;
+    process.env.DB_PORT = String(settings.port);
+    process.env.DB_USER = settings.user;
+    process.env.DB_PASSWORD = settings.password;
+    process.env.DB_NAME = databaseName;
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+    process.env.BFS_API_KEY = SERVICE_KEY;
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.GIP_CALLBACK_SECRET = GIP_CALLBACK_SECRET;
+    process.env.BFS_CALLBACK_SECRET = BFS_CALLBACK_SECRET;
+
+    const routes = require('../../src/routes');
+    const pool = require('../../src/config/database');
+    const models = require('../../src/models');
+    const configService = require('../../src/services/configService');
+    const { createGipMock } = require('../../tools/gip-mock/gipMock');
+    const { captureRawBody } = require('../../src/middlewares/common');
+
+    // Callbacks follow the step quickly but never before the CALLBACK step has registered
+    const gipMock = createGipMock({
+        scenario: { preset: 'success', callbackDelayMs: 250, ...normalizeScenario(options.scenario) },
+        callbackSecret: GIP_CALLBACK_SECRET
+    });
+
+    const bfsCallbacks = [];
+    const bfsCallbackRequests = [];
+
+    const app = express();
+    app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+    app.use('/api/v1', routes);
+    app.use('/gip', gipMock.router);
+    app.post('/bfs/callback', (req, res) => {
+        bfsCallbacks.push(req.body);
+        bfsCallbackRequests.push({ headers: req.headers, rawBody: req.rawBody });
+        res.json({ success: true });
+    });
+
+    const server = await new Promise((resolve) => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await seedTestDatabase(databaseName, {
+        GIP_BASE_URL: `${baseUrl}/gip`,
+        BFS_BASE_URL: `${baseUrl}/bfs`
+    });
+
+    // Reversals read the callback base URL from the environment, flow steps from system config
+    process.env.ORCHESTRATOR_BASE_URL = baseUrl;
+    await configService.setConfig('ORCHESTRATOR_BASE_URL', baseUrl);
+
+    // Unauthenticated client for the auth endpoints; client signs in as the seeded admin
+    const anonymousClient = axios.create({ baseURL: `${baseUrl}/api/v1`, validateStatus: () => true });
+    const login = await anonymousClient.post('/auth/login', { username: 'admin', password: 'Admin@123' });
+    if (login.status !== 200) {
+        throw new Error(`Test admin login failed: ${JSON.stringify(login.data)}`);
+    }
+
+    const client = axios.create({
+        baseURL: `${baseUrl}/api/v1`,
+        validateStatus: () => true,
+        headers: { Authorization: `Bearer ${login.data.data.accessToken}` }
+    });
+
+    /**
+     * Set the GIP mock scenario (preset name or scenario object)
+     */
+    const setScenario = (scenario) => {
+        gipMock.setScenario({ preset: 'success', callbackDelayMs: 250, ...normalizeScenario(scenario) });
+    };
+
+    /**
+     * Run the flow executor job once (picks up queued EXECUTE_FLOW jobs)
+     */
+    const runFlowJobs = () => {
+        return require('../../src/jobs/flowExecutorJob').processFlowExecutionJobs();
+    };
+
+    /**
+     * Run queued flow jobs until a request settles (a sync /process request waits for its job,
+     * and the test server runs no workers)
+     */
+    const runFlowJobsDuring = async (request) => {
+        let settled = false;
+        const tracked = request.finally(() => {
+            settled = true;
+        });
+        while (!settled) {
+            await runFlowJobs();
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return tracked;
+    };
+
+    /**
+     * Wait until a flow instance reaches one of the given statuses
+     */
+    const waitForStatus = (instanceId, statuses, waitOptions = {}) => {
+        const expected = [].concat(statuses);
+        return waitFor(async () => {
+            const instance = await models.flowInstancesModel.findById(instanceId);
+            return instance && expected.includes(instance.status) ? instance : null;
+        }, { description: `instance ${instanceId} to reach ${expected.join('/')}`, ...waitOptions });
+    };
+
+    /**
+     * Step codes an instance executed, in order
+     */
+    const getExecutedStepCodes = async (instanceId) => {
+        const rows = await pool.query(
+            `SELECT fs.step_code
+             FROM step_executions se
+             JOIN flow_steps fs ON fs.id = se.step_id
+             WHERE se.flow_instance_id = $1
+             ORDER BY se.created_at, se.id`,
+            [instanceId]
+        );
+        return rows.rows.map(r => r.step_code);
+    };
+
+    /**
+     * Stop the server, close the pool and drop the test database
+     */
+    const close = async () => {
+        gipMock.close();
+        await new Promise(resolve => server.close(resolve));
+        await pool.end();
+        if (process.env.TEST_DB_KEEP !== 'true') {
+            await dropTestDatabase(databaseName);
+        }
+    };
+
+    return {
+        baseUrl,
+        bfsCallbackUrl: `${baseUrl}/bfs/callback`,
+        bfsCallbacks,
+        bfsCallbackRequests,
+        client,
+        anonymousClient,
+        serviceKey: SERVICE_KEY,
+        gipCallbackSecret: GIP_CALLBACK_SECRET,
+        pool,
+        models,
+        gipMock,
+        setScenario,
+        runFlowJobs,
+        runFlowJobsDuring,
+        waitForStatus,
+        getExecutedStepCodes,
+        close
+    };
+};
+
+module.exports = {
+    startTestServer,
+    waitFor
+};
@@ -0,0 +1,141 @@
+/**
+ * Maker-checker approvals for cancellations and reversals, against a disposable PostgreSQL database
+ * Skipped when no PostgreSQL server is reachable (see README: Testing).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+const { isDatabaseAvailable } = require('../helpers/testDatabase');
+const { startTestServer } = require('../helpers/testServer');
+
+let sequence = 0;
+
+const ftRequest = (callbackUrl) => {
+    sequence += 1;
+    const suffix = `${Date.now() % 1000000}`.padStart(6, '0') + String(sequence).padStart(4, '0');
+    return {
+        eventType: 'FT',
+        payload: {
+            sessionId: `AP${suffix}`,
+            trackingNumber: suffix,
+            srcBankCode: '300307',
+            destBankCode: '300591',
+            srcAccountNumber: '1000000001',
+            destAccountNumber: '2000000002',
+            srcAccountName: 'Kofi Boateng',
+            destAccountName: 'Ama Mensah',
+            amount: '100.00',
+            narration: 'Approval test',
+            channelCode: '100'
+        },
+        metadata: { callbackUrl }
+    };
+};
+
+describe('Maker-checker approvals', async () => {
+    const available = await isDatabaseAvailable();
+    const skip = !available && 'PostgreSQL not reachable';
+    let env;
+    let checker;
+
+    /**
+     * Start an FT that parks waiting for its FTD callback
+     */
+    const waitingInstance = async () => {
+        env.setScenario('callback_timeout');
+        const response = await env.client.post('/process', ftRequest(env.bfsCallbackUrl));
+        assert.equal(response.status, 202, JSON.stringify(response.data));
+        await env.runFlowJobs();
+
+        const instanceId = response.data.data.flowInstanceId;
+        await env.waitForStatus(instanceId, 'WAITING_CALLBACK');
+        return instanceId;
+    };
+
+    before(async () => {
+        if (available) {
+            env = await startTestServer();
+
+            const operatorRole = await env.models.rolesModel.findOne({ role_code: 'OPERATOR' });
+            await env.models.usersModel.create({
+                username: 'checker',
+                email: 'checker@orchestrator.test',
+                password_hash: await bcrypt.hash('Checker@123', 4),
+                first_name: 'Test',
+                last_name: 'Checker',
+                role_id: operatorRole.id,
+                is_active: true
+            });
+
+            const login = await env.anonymousClient.post('/auth/login', { username: 'checker', password: 'Checker@123' });
+            checker = { headers: { Authorization: `Bearer ${login.data.data.accessToken}` } };
+        }
+    });
+
+    after(async () => {
+        if (env) {
+            await env.close();
+        }
+    });
+
+    it('cancels an instance only after a second user approves', { skip }, async () => {
+        const instanceId = await waitingInstance();
+
+        const requested = await env.client.post(`/process/${instanceId}/cancel`, { reason: 'Customer request' });
+        assert.equal(requested.status, 202, JSON.stringify(requested.data));
+        const approvalId = requested.data.data.id;
+        assert.equal(requested.data.data.status, 'PENDING');
+
+        const unchanged = await env.models.flowInstancesModel.findById(instanceId);
+        assert.equal(unchanged.status, 'WAITING_CALLBACK');
+
+        const duplicate = await env.client.post(`/process/${instanceId}/cancel`, { reason: 'Again' });
+        assert.equal(duplicate.status, 409);
+
+        const selfApproved = await env.client.post(`/approvals/${approvalId}/approve`, {});
+        assert.equal(selfApproved.status, 403);
+        assert.equal(selfApproved.data.code, 'SAME_USER');
+
+        const approved = await env.anonymousClient.post(`/approvals/${approvalId}/approve`, { comment: 'Confirmed with customer' }, checker);
+        assert.equal(approved.status, 200, JSON.stringify(approved.data));
+        assert.equal(approved.data.data.status, 'APPROVED');
+        assert.equal(approved.data.data.decided_by_name, 'checker');
+
+        const instance = await env.models.flowInstancesModel.findById(instanceId);
+        assert.equal(instance.status, 'CANCELLED');
+
+        const audit = await env.pool.query(
+            `SELECT action, actor_name FROM audit_logs WHERE entity_type = 'approval_request' AND entity_id = $1 ORDER BY created_at`,
+            [approvalId]
+        );
+        assert.deepEqual(audit.rows.map(r => [r.action, r.actor_name]), [['REQUESTED', 'admin'], ['APPROVED', 'checker']]);
+    });
+
+    it('leaves the instance alone when the request is rejected', { skip }, async () => {
+        const instanceId = await waitingInstance();
+
+        const requested = await env.client.post(`/process/${instanceId}/cancel`, { reason: 'Mistake' });
+        const rejected = await env.anonymousClient.post(`/approvals/${requested.data.data.id}/reject`, { comment: 'Transfer is valid' }, checker);
+        assert.equal(rejected.status, 200, JSON.stringify(rejected.data));
+        assert.equal(rejected.data.data.status, 'REJECTED');
+
+        const instance = await env.models.flowInstancesModel.findById(instanceId);
+        assert.equal(instance.status, 'WAITING_CALLBACK');
+    });
+
+    it('requires reversals:approve to approve a reversal', { skip }, async () => {
+        const instanceId = await waitingInstance();
+
+        const requested = await env.client.post(`/process/${instanceId}/reversal`, { reason: 'Disputed debit' });
+        assert.equal(requested.status, 202, JSON.stringify(requested.data));
+        assert.equal(requested.data.data.approval_type, 'REVERSAL');
+
+        const approved = await env.anonymousClient.post(`/approvals/${requested.data.data.id}/approve`, {}, checker);
+        assert.equal(approved.status, 403);
+
+        const reversals = await env.models.reversalRequestsModel.findAll({ where: { flow_instance_id: instanceId } });
+        assert.equal(reversals.length, 0);
+    });
+});
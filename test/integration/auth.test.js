@@ -0,0 +1,108 @@
+/**
+ * Authentication and permissions on the API, against a disposable PostgreSQL database
+ * Skipped when no PostgreSQL server is reachable (see README: Testing).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+const { isDatabaseAvailable } = require('../helpers/testDatabase');
+const { startTestServer } = require('../helpers/testServer');
+
+describe('API authentication', async () => {
+    const available = await isDatabaseAvailable();
+    const skip = !available && 'PostgreSQL not reachable';
+    let env;
+
+    const loginAs = async (username, password) => {
+        const response = await env.anonymousClient.post('/auth/login', { username, password });
+        assert.equal(response.status, 200, JSON.stringify(response.data));
+        return response.data.data;
+    };
+
+    const bearer = (session) => ({ headers: { Authorization: `Bearer ${session.accessToken}` } });
+
+    before(async () => {
+        if (available) {
+            env = await startTestServer();
+
+            const viewerRole = await env.models.rolesModel.findOne({ role_code: 'VIEWER' });
+            await env.models.usersModel.create({
+                username: 'viewer',
+                email: 'viewer@orchestrator.test',
+                password_hash: await bcrypt.hash('Viewer@123', 4),
+                first_name: 'Test',
+                last_name: 'Viewer',
+                role_id: viewerRole.id,
+                is_active: true
+            });
+        }
+    });
+
+    after(async () => {
+        if (env) {
+            await env.close();
+        }
+    });
+
+    it('rejects admin routes without a token', { skip }, async () => {
+        const response = await env.anonymousClient.get('/flows');
+        assert.equal(response.status, 401);
+        assert.equal(response.data.success, false);
+    });
+
+    it('rejects a user without the route permission', { skip }, async () => {
+        const session = await loginAs('viewer', 'Viewer@123');
+
+        const read = await env.anonymousClient.get('/flows', bearer(session));
+        assert.equal(read.status, 200);
+
+        const write = await env.anonymousClient.post('/event-types', { eventCode: 'NOPE', eventName: 'Nope' }, bearer(session));
+        assert.equal(write.status, 403);
+        assert.deepEqual(write.data.required, ['flows:write']);
+    });
+
+    it('accepts the BFS service key on /process but not on admin routes', { skip }, async () => {
+        const headers = { headers: { 'x-service-key': env.serviceKey } };
+
+        const status = await env.anonymousClient.get('/process/session/UNKNOWN00000', headers);
+        assert.equal(status.status, 404);
+
+        const flows = await env.anonymousClient.get('/flows', headers);
+        assert.equal(flows.status, 401);
+
+        const wrongKey = await env.anonymousClient.get('/process/session/UNKNOWN00000', { headers: { 'x-service-key': 'wrong' } });
+        assert.equal(wrongKey.status, 401);
+    });
+
+    it('rotates refresh tokens and revokes the family when an old one is reused', { skip }, async () => {
+        const session = await loginAs('admin', 'Admin@123');
+
+        const refreshed = await env.anonymousClient.post('/auth/refresh', { refreshToken: session.refreshToken });
+        assert.equal(refreshed.status, 200);
+        assert.notEqual(refreshed.data.data.refreshToken, session.refreshToken);
+
+        const reused = await env.anonymousClient.post('/auth/refresh', { refreshToken: session.refreshToken });
+        assert.equal(reused.status, 401);
+
+        const afterReuse = await env.anonymousClient.post('/auth/refresh', { refreshToken: refreshed.data.data.refreshToken });
+        assert.equal(afterReuse.status, 401);
+    });
+
+    it('locks the account for a while after repeated wrong passwords', { skip }, async () => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const response = await env.anonymousClient.post('/auth/login', { username: 'viewer', password: 'wrong' });
+            assert.equal(response.status, 401);
+        }
+
+        const locked = await env.anonymousClient.post('/auth/login', { username: 'viewer', password: 'Viewer@123' });
+        assert.equal(locked.status, 401);
+        assert.match(locked.data.error, /locked/);
+
+        // The lockout expires on its own
+        await env.pool.query(`UPDATE users SET locked_until = NOW() - INTERVAL '1 second' WHERE username = 'viewer'`);
+        const unlocked = await env.anonymousClient.post('/auth/login', { username: 'viewer', password: 'Viewer@123' });
+        assert.equal(unlocked.status, 200);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Signed inbound callbacks, against a disposable PostgreSQL database
+ * Skipped when no PostgreSQL server is reachable (see README: Testing).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseAvailable } = require('../helpers/testDatabase');
+const { startTestServer } = require('../helpers/testServer');
+
+describe('Callback signatures', async () => {
+    const available = await isDatabaseAvailable();
+    const skip = !available && 'PostgreSQL not reachable';
+    let env;
+    let signatureHeaders;
+
+    /**
+     * Post a raw JSON body to /callbacks with extra headers
+     */
+    const postCallback = (body, headers = {}) => {
+        return env.anonymousClient.post('/callbacks', body, {
+            headers: { 'Content-Type': 'application/json', ...headers },
+            transformRequest: [(data) => data]
+        });
+    };
+
+    const callbackBody = (sessionId) => JSON.stringify({
+        sessionId,
+        trackingNumber: sessionId.slice(-10),
+        functionCode: '241',
+        actionCode: '000',
+        approvalCode: '123456'
+    });
+
+    before(async () => {
+        if (available) {
+            env = await startTestServer();
+            ({ signatureHeaders } = require('../../src/services/callbackSignatureService'));
+        }
+    });
+
+    after(async () => {
+        if (env) {
+            await env.close();
+        }
+    });
+
+    it('rejects an unsigned callback', { skip }, async () => {
+        const response = await postCallback(callbackBody('SG0000000001'));
+
+        assert.equal(response.status, 401);
+        assert.equal(response.data.code, 'SIGNATURE_MISSING');
+    });
+
+    it('rejects a callback signed with the wrong secret', { skip }, async () => {
+        const body = callbackBody('SG0000000002');
+        const response = await postCallback(body, signatureHeaders('not-the-gip-secret', body));
+
+        assert.equal(response.status, 401);
+        assert.equal(response.data.code, 'SIGNATURE_INVALID');
+    });
+
+    it('accepts a signed callback once and refuses the replay', { skip }, async () => {
+        const body = callbackBody('SG0000000003');
+        const headers = signatureHeaders(env.gipCallbackSecret, body);
+
+        const first = await postCallback(body, headers);
+        assert.notEqual(first.status, 401, JSON.stringify(first.data));
+        assert.notEqual(first.status, 409, JSON.stringify(first.data));
+
+        const replay = await postCallback(body, headers);
+        assert.equal(replay.status, 409);
+        assert.equal(replay.data.code, 'SIGNATURE_REPLAYED');
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Dead-letter queue: exhausted jobs, inspect, replay and purge, against a disposable PostgreSQL database
+ * Skipped when no PostgreSQL server is reachable (see README: Testing).
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseAvailable } = require('../helpers/testDatabase');
+const { startTestServer } = require('../helpers/testServer');
+
+let sequence = 0;
+
+const ftRequest = (callbackUrl) => {
+    sequence += 1;
+    const suffix = `${Date.now() % 1000000}`.padStart(6, '0') + String(sequence).padStart(4, '0');
+    return {
+        eventType: 'FT',
+        payload: {
+            sessionId: `DL${suffix}`,
+            trackingNumber: suffix,
+            srcBankCode: '300307',
+            destBankCode: '300591',
+            srcAccountNumber: '1000000001',
+            destAccountNumber: '2000000002',
+            srcAccountName: 'Kofi Boateng',
+            destAccountName: 'Ama Mensah',
+            amount: '100.00',
+            narration: 'Dead-letter test',
+            channelCode: '100'
+        },
+        metadata: { callbackUrl }
+    };
+};
+
+describe('dead-letter queue', async () => {
+    const available = await isDatabaseAvailable();
+    const skip = !available && 'PostgreSQL not reachable';
+    let env;
+
+    /**
+     * Queue an FT request whose execution job fails on its only attempt
+     */
+    const exhaustJob = async () => {
+        const response = await env.client.post('/process', ftRequest(env.bfsCallbackUrl));
+        assert.equal(response.status, 202, JSON.stringify(response.data));
+        const instanceId = response.data.data.flowInstanceId;
+
+        await env.pool.query(
+            `UPDATE job_queue SET max_attempts = 1 WHERE payload->>'flowInstanceId' = $1`,
+            [instanceId]
+        );
+
+        const executionService = require('../../src/services/executionService');
+        const failure = mock.method(executionService, 'executeFlowInstance', async () => {
+            throw new Error('GIP connection refused');
+        });
+        try {
+            await env.runFlowJobs();
+        } finally {
+            failure.mock.restore();
+        }
+
+        return instanceId;
+    };
+
+    before(async () => {
+        if (available) {
+            env = await startTestServer();
+        }
+    });
+
+    after(async () => {
+        if (env) {
+            await env.close();
+        }
+    });
+
+    it('moves an exhausted job to the dead-letter queue', { skip }, async () => {
+        const instanceId = await exhaustJob();
+
+        const list = await env.client.get('/monitoring/dead-letters', { params: { flowInstanceId: instanceId } });
+        assert.equal(list.status, 200);
+        assert.equal(list.data.data.total, 1);
+
+        const [entry] = list.data.data.items;
+        assert.equal(entry.status, 'DEAD');
+        assert.equal(entry.job_type, 'EXECUTE_FLOW');
+        assert.equal(entry.failure_reason, 'GIP connection refused');
+        assert.equal(entry.instance_status, 'PENDING');
+        assert.deepEqual(entry.payload, { flowInstanceId: instanceId });
+
+        const detail = await env.client.get(`/monitoring/dead-letters/${entry.id}`);
+        assert.equal(detail.status, 200);
+        assert.equal(detail.data.data.attempt_history.length, 1);
+        assert.equal(detail.data.data.attempt_history[0].error, 'GIP connection refused');
+        assert.equal(detail.data.data.job.status, 'FAILED');
+        assert.equal(detail.data.data.flowInstance.status, 'FAILED');
+    });
+
+    it('replays a dead-letter job and restores its flow instance', { skip }, async () => {
+        env.setScenario('success');
+        const instanceId = await exhaustJob();
+        const { items: [entry] } = (await env.client.get('/monitoring/dead-letters', { params: { flowInstanceId: instanceId } })).data.data;
+
+        const response = await env.client.post('/monitoring/dead-letters/replay', { ids: [entry.id] });
+        assert.equal(response.status, 200, JSON.stringify(response.data));
+        assert.equal(response.data.data.replayed.length, 1);
+
+        // Replaying again is a no-op: the entry is no longer DEAD
+        const again = await env.client.post('/monitoring/dead-letters/replay', { ids: [entry.id] });
+        assert.deepEqual(again.data.data.replayed, []);
+        assert.deepEqual(again.data.data.skipped, [entry.id]);
+
+        await env.runFlowJobs();
+        const instance = await env.waitForStatus(instanceId, ['COMPLETED', 'FAILED']);
+        assert.equal(instance.status, 'COMPLETED');
+
+        const replayed = (await env.client.get(`/monitoring/dead-letters/${entry.id}`)).data.data;
+        assert.equal(replayed.status, 'REPLAYED');
+        assert.equal(replayed.replay_count, 1);
+        assert.equal(replayed.replayJob.status, 'COMPLETED');
+    });
+
+    it('does not restart an instance that finished before the replay ran', { skip }, async () => {
+        const instanceId = await exhaustJob();
+        const { items: [entry] } = (await env.client.get('/monitoring/dead-letters', { params: { flowInstanceId: instanceId } })).data.data;
+
+        // Replay restores the instance; it then ends (e.g. compensated) before the replay job runs
+        const response = await env.client.post('/monitoring/dead-letters/replay', { ids: [entry.id] });
+        assert.equal(response.status, 200, JSON.stringify(response.data));
+        await env.pool.query(`UPDATE flow_instances SET status = 'COMPENSATED' WHERE id = $1`, [instanceId]);
+
+        await env.runFlowJobs();
+
+        const replayed = (await env.client.get(`/monitoring/dead-letters/${entry.id}`)).data.data;
+        assert.equal(replayed.replayJob.status, 'COMPLETED');
+        assert.equal(replayed.replayJob.result.status, 'SKIPPED');
+        assert.equal((await env.models.flowInstancesModel.findById(instanceId)).status, 'COMPENSATED');
+        assert.deepEqual(await env.getExecutedStepCodes(instanceId), []);
+    });
+
+    it('reports depth and purges entries', { skip }, async () => {
+        const instanceId = await exhaustJob();
+
+        const stats = await env.client.get('/monitoring/dead-letters/stats');
+        assert.equal(stats.status, 200);
+        assert.ok(stats.data.data.depth >= 1);
+
+        const { items: [entry] } = (await env.client.get('/monitoring/dead-letters', { params: { flowInstanceId: instanceId } })).data.data;
+        const purge = await env.client.delete('/monitoring/dead-letters', { data: { ids: [entry.id] } });
+        assert.equal(purge.status, 200);
+        assert.equal(purge.data.data.purged, 1);
+
+        const missing = await env.client.get(`/monitoring/dead-letters/${entry.id}`);
+        assert.equal(missing.status, 404);
+    });
+
+    it('rejects a purge without criteria', { skip }, async () => {
+        const response = await env.client.delete('/monitoring/dead-letters', { data: {} });
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Flow step create/update through the admin API, against a disposable PostgreSQL database
+ * Skipped when no PostgreSQL server is reachable (see README: Testing).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseAvailable } = require('../helpers/testDatabase');
+const { startTestServer } = require('../helpers/testServer');
+
+describe('Flow steps API', async () => {
+    const available = await isDatabaseAvailable();
+    const skip = !available && 'PostgreSQL not reachable';
+    let env;
+    let flowId;
+
+    before(async () => {
+        if (available) {
+            env = await startTestServer();
+            const { rows } = await env.pool.query(`SELECT id FROM flows WHERE flow_code = 'NEC_FLOW'`);
+            flowId = rows[0].id;
+        }
+    });
+
+    after(async () => {
+        if (env) {
+            await env.close();
+        }
+    });
+
+    it('creates a step on the flow_steps columns', { skip }, async () => {
+        const [handler] = await env.models.flowStepsModel.findAll({ where: { flow_id: flowId }, limit: 1 });
+
+        const response = await env.client.post(`/flows/${flowId}/steps`, {
+            name: 'Enrich Payload',
+            stepType: 'TRANSFORM',
+            sequenceNumber: 90,
+            description: 'Adds reporting fields',
+            config: { transformations: [] },
+            timeout: 5000,
+            retryCount: 2,
+            retryDelay: 1000,
+            errorHandling: 'ROUTE_TO_HANDLER',
+            errorHandlerStepId: handler.id,
+            compensationFlowCode: 'NEC_FLOW',
+            requiresApproval: true,
+            approvalRoles: ['SUPERVISOR']
+        });
+        assert.equal(response.status, 201, JSON.stringify(response.data));
+
+        const step = await env.models.flowStepsModel.findById(response.data.data.id);
+        assert.equal(step.step_code, 'ENRICH_PAYLOAD');
+        assert.equal(step.step_name, 'Enrich Payload');
+        assert.equal(step.step_order, 90);
+        assert.equal(step.api_timeout_ms, 5000);
+        assert.deepEqual(step.retry_config, { enabled: true, max_retries: 2, retry_interval_ms: 1000 });
+        assert.equal(step.on_error_action, 'ROUTE_TO_HANDLER');
+        assert.equal(step.error_handler_step_id, handler.id);
+        assert.equal(step.compensation_flow_code, 'NEC_FLOW');
+        assert.equal(step.requires_approval, true);
+        assert.deepEqual(step.approval_roles, ['SUPERVISOR']);
+    });
+
+    it('updates only the fields sent', { skip }, async () => {
+        const created = await env.client.post(`/flows/${flowId}/steps`, {
+            stepCode: 'AUDIT_NOTE',
+            name: 'Audit Note',
+            stepType: 'TRANSFORM',
+            sequenceNumber: 91,
+            retryConfig: { enabled: true, max_retries: 3, retry_interval_ms: 2000, backoff: 'exponential' }
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.data));
+
+        const response = await env.client.put(`/steps/${created.data.data.id}`, {
+            name: 'Audit Note v2',
+            retryCount: 5,
+            requiresApproval: true
+        });
+        assert.equal(response.status, 200, JSON.stringify(response.data));
+
+        const step = await env.models.flowStepsModel.findById(created.data.data.id);
+        assert.equal(step.step_code, 'AUDIT_NOTE');
+        assert.equal(step.step_name, 'Audit Note v2');
+        assert.equal(step.step_order, 91);
+        assert.equal(step.requires_approval, true);
+        assert.deepEqual(step.retry_config, {
+            enabled: true,
+            max_retries: 5,
+            retry_interval_ms: 2000,
+            backoff: 'exponential'
+        });
+
+        const missing = await env.client.put('/steps/00000000-0000-0000-0000-000000000000', { name: 'Nope' });
+        assert.equal(missing.status, 404);
+    });
+
+    it('leaves a deleted step out of versions created afterwards', { skip }, async () => {
+        const [start] = await env.models.flowStepsModel.findAll({ where: { flow_id: flowId }, orderBy: 'step_order ASC', limit: 1 });
+        const created = await env.client.post(`/flows/${flowId}/steps`, {
+            stepCode: 'OBSOLETE_NOTE',
+            name: 'Obsolete Note',
+            stepType: 'TRANSFORM',
+            sequenceNumber: 92
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.data));
+        const stepId = created.data.data.id;
+        const linked = await env.client.post('/transitions', { fromStepId: start.id, toStepId: stepId, priority: 99 });
+        assert.equal(linked.status, 201, JSON.stringify(linked.data));
+
+        const deleted = await env.client.delete(`/steps/${stepId}`);
+        assert.equal(deleted.status, 200, JSON.stringify(deleted.data));
+
+        const response = await env.client.post(`/flows/${flowId}/versions`, {});
+        assert.equal(response.status, 201, JSON.stringify(response.data));
+
+        const definition = response.data.data.flow_definition;
+        assert.ok(definition.steps.length > 0);
+        assert.ok(!definition.steps.some(step => step.id === stepId));
+        assert.ok(!definition.transitions.some(transition => transition.to_step_id === stepId));
+
+        // Kept (deactivated) for the executions and versions that reference it
+        const step = await env.models.flowStepsModel.findById(stepId);
+        assert.equal(step.is_active, false);
+    });
+});
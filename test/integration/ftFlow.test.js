@@ -0,0 +1,339 @@
+/**
+ * FT flow scenarios, end to end against a disposable PostgreSQL database
+ * The seeded FT flow runs through the API with the GIP mock answering in-process.
+ * Skipped when no PostgreSQL server is reachable (see README: Testing).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseAvailable } = require('../helpers/testDatabase');
+const { startTestServer, waitFor } = require('../helpers/testServer');
+
+const NARRATION = 'Integration test';
+
+let sequence = 0;
+
+/**
+ * FT request with a unique session ID (12 chars) and tracking number (10 chars)
+ */
+const ftRequest = (metadata = {}) => {
+    sequence += 1;
+    const suffix = `${Date.now() % 1000000}`.padStart(6, '0') + String(sequence).padStart(4, '0');
+    return {
+        eventType: 'FT',
+        payload: {
+            sessionId: `IT${suffix}`,
+            trackingNumber: suffix,
+            srcBankCode: '300307',
+            destBankCode: '300591',
+            srcAccountNumber: '1000000001',
+            destAccountNumber: '2000000002',
+            srcAccountName: 'Kofi Boateng',
+            destAccountName: 'Ama Mensah',
+            amount: '100.00',
+            narration: NARRATION,
+            channelCode: '100'
+        },
+        metadata
+    };
+};
+
+describe('FT flow', async () => {
+    const available = await isDatabaseAvailable();
+    let env;
+
+    /**
+     * Submit an FT request asynchronously and run the queued execution job
+     */
+    const submit = async (metadata) => {
+        const response = await env.client.post('/process', ftRequest({ callbackUrl: env.bfsCallbackUrl, ...metadata }));
+        assert.equal(response.status, 202, JSON.stringify(response.data));
+
+        await env.runFlowJobs();
+        return response.data.data.flowInstanceId;
+    };
+
+    /**
+     * Expire the instance's pending callback and run the timeout job
+     */
+    const timeOutCallback = async (instanceId) => {
+        await env.waitForStatus(instanceId, 'WAITING_CALLBACK');
+        await env.pool.query(
+            `UPDATE expected_callbacks SET expected_by = NOW() - INTERVAL '1 second'
+             WHERE flow_instance_id = $1 AND status = 'PENDING'`,
+            [instanceId]
+        );
+        await require('../../src/jobs/callbackMatcherJob').checkTimedOutCallbacks();
+    };
+
+    /**
+     * Make the instance's pending TSQ due and run the TSQ scheduler once
+     */
+    const runDueTsq = async (instanceId) => {
+        await env.pool.query(
+            `UPDATE tsq_requests SET next_retry_at = NOW() - INTERVAL '1 second'
+             WHERE flow_instance_id = $1 AND status = 'PENDING'`,
+            [instanceId]
+        );
+        await require('../../src/jobs/tsqSchedulerJob').processPendingTsqRequests();
+        return env.models.tsqRequestsModel.findOne({ flow_instance_id: instanceId });
+    };
+
+    before(async () => {
+        if (available) {
+            env = await startTestServer();
+        }
+    });
+
+    after(async () => {
+        if (env) {
+            await env.close();
+        }
+    });
+
+    it('completes the happy path through FTD and FTC', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('success');
+
+        const instanceId = await submit();
+        const instance = await env.waitForStatus(instanceId, ['COMPLETED', 'FAILED']);
+
+        assert.equal(instance.status, 'COMPLETED');
+        const steps = await env.getExecutedStepCodes(instanceId);
+        assert.ok(steps.includes('FT_FTD_CALL'));
+        assert.ok(steps.includes('FT_FTC_CALL'));
+        assert.equal(steps[steps.length - 1], 'FT_END_SUCCESS');
+    });
+
+    it('runs queued requests through the worker pool without polling', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('success');
+        const { createWorkerPool } = require('../../src/jobs/workerPool');
+        const workers = createWorkerPool({ pollIntervalMs: 60000 });
+        await workers.start();
+
+        try {
+            const response = await env.client.post('/process', ftRequest({ callbackUrl: env.bfsCallbackUrl }));
+            assert.equal(response.status, 202);
+
+            const instance = await env.waitForStatus(response.data.data.flowInstanceId, ['COMPLETED', 'FAILED']);
+            assert.equal(instance.status, 'COMPLETED');
+        } finally {
+            assert.equal((await workers.stop()).drained, true);
+        }
+    });
+
+    it('reverses the debit when FTC fails', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        // FTC callbacks report 381; the reversal credit (narration "REVERSAL: ...") settles with 000
+        env.setScenario({
+            preset: 'ftc_failed',
+            rules: [{ match: { narration: `REVERSAL: ${NARRATION}` }, ftc: { callback: { actionCode: '000' } } }]
+        });
+
+        const instanceId = await submit();
+
+        const reversal = await waitFor(async () => {
+            const row = await env.models.reversalRequestsModel.findOne({ flow_instance_id: instanceId });
+            return row && ['SUCCESS', 'FAILED'].includes(row.status) ? row : null;
+        }, { description: 'reversal result' });
+
+        assert.equal(reversal.status, 'SUCCESS');
+        assert.equal(reversal.reversal_type, 'FTD_REVERSAL');
+
+        const steps = await env.getExecutedStepCodes(instanceId);
+        assert.ok(steps.includes('FT_REVERSAL'));
+        assert.ok(!steps.includes('FT_END_SUCCESS'));
+
+        const instance = await env.waitForStatus(instanceId, 'REVERSED');
+        assert.equal(instance.status, 'REVERSED');
+    });
+
+    it('resolves a callback timeout through TSQ', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('callback_timeout');
+
+        const instanceId = await submit({ triggerTsqOnTimeout: true });
+        await timeOutCallback(instanceId);
+
+        const failed = await env.models.flowInstancesModel.findById(instanceId);
+        assert.equal(failed.status, 'FAILED');
+
+        // The mock settles the FTD after its callback delay; TSQ reports pending until then
+        await waitFor(
+            () => env.gipMock.getTransactions().find(t => t.sessionId === failed.session_id && t.status !== 'PENDING'),
+            { description: 'GIP mock to settle the FTD' }
+        );
+
+        const tsq = await runDueTsq(instanceId);
+        assert.equal(tsq.status, 'SUCCESS');
+
+        const instance = await env.waitForStatus(instanceId, 'COMPLETED');
+        assert.equal(instance.status, 'COMPLETED');
+
+        const bfsCallback = await waitFor(
+            () => env.bfsCallbacks.find(cb => cb.sessionId === instance.session_id),
+            { description: 'BFS callback' }
+        );
+        // TSQ-confirmed outcomes reach BFS as SUCCESS with tsqConfirmed set
+        assert.equal(bfsCallback.status, 'SUCCESS');
+        assert.equal(bfsCallback.tsqConfirmed, true);
+
+        // BFS callbacks are signed with BFS's secret
+        const { verifySignature } = require('../../src/services/callbackSignatureService');
+        const request = env.bfsCallbackRequests.find(r => r.rawBody.includes(instance.session_id));
+        assert.ok(verifySignature({ secret: process.env.BFS_CALLBACK_SECRET }, request.headers, request.rawBody));
+    });
+
+    it('retries TSQ until the transaction is reported not found', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('tsq_not_found');
+
+        const instanceId = await submit({ triggerTsqOnTimeout: true });
+        await timeOutCallback(instanceId);
+
+        const first = await runDueTsq(instanceId);
+        assert.equal(first.status, 'PENDING');
+        assert.equal(first.attempt_number, 1);
+        assert.ok(new Date(first.next_retry_at) > new Date(), 'next attempt is scheduled in the future');
+
+        const second = await runDueTsq(instanceId);
+        assert.equal(second.status, 'PENDING');
+        assert.equal(second.attempt_number, 2);
+
+        const last = await runDueTsq(instanceId);
+        assert.equal(last.status, 'NOT_FOUND');
+        assert.equal(last.attempt_number, 3);
+        assert.equal(last.next_retry_at, null);
+
+        const instance = await env.models.flowInstancesModel.findById(instanceId);
+        assert.equal(instance.status, 'FAILED');
+    });
+
+    it('resumes an instance from manual intervention', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('tsq_pending');
+
+        const instanceId = await submit({ triggerTsqOnTimeout: true });
+        await timeOutCallback(instanceId);
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await runDueTsq(instanceId);
+        }
+
+        await env.waitForStatus(instanceId, 'MANUAL_INTERVENTION');
+
+        const [task] = await env.models.manualTasksModel.findAll({ where: { flow_instance_id: instanceId } });
+        assert.equal(task.source, 'TSQ');
+        assert.equal(task.status, 'OPEN');
+
+        // GIP recovers; the operator retries the transfer
+        env.setScenario('success');
+        const response = await env.client.post(`/process/${instanceId}/resume`, { action: 'RETRY' });
+        assert.equal(response.status, 200, JSON.stringify(response.data));
+
+        const instance = await env.waitForStatus(instanceId, ['COMPLETED', 'FAILED']);
+        assert.equal(instance.status, 'COMPLETED');
+
+        const metadata = instance.metadata || {};
+        assert.equal(metadata.manualAction, 'RETRY');
+
+        const closed = await env.models.manualTasksModel.findById(task.id);
+        assert.equal(closed.status, 'CANCELLED');
+    });
+
+    it('fails an instance through the manual task inbox', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('tsq_pending');
+
+        const instanceId = await submit({ triggerTsqOnTimeout: true });
+        await timeOutCallback(instanceId);
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await runDueTsq(instanceId);
+        }
+
+        await env.waitForStatus(instanceId, 'MANUAL_INTERVENTION');
+
+        const inbox = await env.client.get('/tasks', { params: { flowInstanceId: instanceId, status: 'OPEN' } });
+        assert.equal(inbox.status, 200, JSON.stringify(inbox.data));
+        assert.equal(inbox.data.data.items.length, 1);
+        const taskId = inbox.data.data.items[0].id;
+
+        const details = await env.client.get(`/tasks/${taskId}`);
+        assert.equal(details.data.data.instance.id, instanceId);
+        assert.ok(details.data.data.outcomes.some(o => o.outcome === 'FAIL'));
+
+        const unclaimed = await env.client.post(`/tasks/${taskId}/decide`, { outcome: 'FAIL' });
+        assert.equal(unclaimed.status, 409);
+        assert.equal(unclaimed.data.code, 'TASK_NOT_CLAIMED');
+
+        const claimed = await env.client.post(`/tasks/${taskId}/claim`);
+        assert.equal(claimed.status, 200, JSON.stringify(claimed.data));
+        assert.equal(claimed.data.data.claimed_by_name, 'admin');
+
+        const decided = await env.client.post(`/tasks/${taskId}/decide`, { outcome: 'FAIL', comment: 'GIP confirmed no credit' });
+        assert.equal(decided.status, 200, JSON.stringify(decided.data));
+        assert.equal(decided.data.data.status, 'COMPLETED');
+        assert.equal(decided.data.data.outcome, 'FAIL');
+
+        await env.waitForStatus(instanceId, 'FAILED');
+    });
+
+    it('rejects resuming an instance that is not waiting for manual intervention', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('success');
+
+        const instanceId = await submit();
+        await env.waitForStatus(instanceId, 'COMPLETED');
+
+        const response = await env.client.post(`/process/${instanceId}/resume`, { action: 'RETRY' });
+        assert.equal(response.status, 400);
+        assert.equal(response.data.success, false);
+    });
+
+    it('rejects changes to an instance another node holds the lock on', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('callback_timeout');
+
+        const instanceId = await submit();
+        await env.waitForStatus(instanceId, 'WAITING_CALLBACK');
+        await env.pool.query(
+            `UPDATE flow_instances SET locked_by = 'other-node', lease_expires_at = NOW() + INTERVAL '1 minute'
+             WHERE id = $1`,
+            [instanceId]
+        );
+
+        const response = await env.client.post(`/process/${instanceId}/resume`, { action: 'RETRY' });
+        assert.equal(response.status, 409);
+        assert.match(response.data.error, /other-node/);
+
+        const instance = await env.models.flowInstancesModel.findById(instanceId);
+        assert.equal(instance.status, 'WAITING_CALLBACK');
+    });
+
+    it('compensates completed steps when a callback times out', { skip: !available && 'PostgreSQL not reachable' }, async () => {
+        env.setScenario('callback_timeout');
+
+        // Declare an undo step for the FTD call (the seeded version reads the live flow steps)
+        const { rows: [ftdCall] } = await env.pool.query(
+            `SELECT id, flow_id FROM flow_steps WHERE step_code = 'FT_FTD_CALL'`
+        );
+        const { rows: [undo] } = await env.pool.query(
+            `INSERT INTO flow_steps (flow_id, step_code, step_order, step_type, step_name, config)
+             VALUES ($1, 'FT_FTD_UNDO', 99, 'TRANSFORM', 'Undo FTD', '{}')
+             RETURNING id`,
+            [ftdCall.flow_id]
+        );
+        await env.pool.query(`UPDATE flow_steps SET compensation_step_id = $2 WHERE id = $1`, [ftdCall.id, undo.id]);
+
+        try {
+            const instanceId = await submit();
+            await timeOutCallback(instanceId);
+
+            const instance = await env.models.flowInstancesModel.findById(instanceId);
+            assert.equal(instance.status, 'FAILED');
+
+            const { rows: [ftdExecution] } = await env.pool.query(
+                `SELECT compensation_status FROM step_executions WHERE flow_instance_id = $1 AND step_id = $2`,
+                [instanceId, ftdCall.id]
+            );
+            assert.equal(ftdExecution.compensation_status, 'COMPENSATED');
+            assert.ok((await env.getExecutedStepCodes(instanceId)).includes('FT_FTD_UNDO'));
+        } finally {
+            await env.pool.query(`UPDATE flow_steps SET compensation_step_id = NULL WHERE id = $1`, [ftdCall.id]);
+        }
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Idempotent /process requests, against a disposable PostgreSQL database
+ * Skipped when no PostgreSQL server is reachable (see README: Testing).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDatabaseAvailable } = require('../helpers/testDatabase');
+const { startTestServer } = require('../helpers/testServer');
+
+let sequence = 0;
+
+const ftRequest = () => {
+    sequence += 1;
+    const suffix = `${Date.now() % 1000000}`.padStart(6, '0') + String(sequence).padStart(4, '0');
+    return {
+        eventType: 'FT',
+        payload: {
+            sessionId: `ID${suffix}`,
+            trackingNumber: suffix,
+            srcBankCode: '300307',
+            destBankCode: '300591',
+            srcAccountNumber: '1000000001',
+            destAccountNumber: '2000000002',
+            srcAccountName: 'Kofi Boateng',
+            destAccountName: 'Ama Mensah',
+            amount: '100.00',
+            narration: 'Idempotency test',
+            channelCode: '100'
+        }
+    };
+};
+
+describe('POST /process idempotency', async () => {
+    const available = await isDatabaseAvailable();
+    const skip = !available && 'PostgreSQL not reachable';
+    let env;
+
+    const countInstances = async (sessionId) => {
+        const result = await env.pool.query('SELECT COUNT(*)::int AS count FROM flow_instances WHERE session_id = $1', [sessionId]);
+        return result.rows[0].count;
+    };
+
+    before(async () => {
+        if (available) {
+            env = await startTestServer();
+        }
+    });
+
+    after(async () => {
+        if (env) {
+            await env.close();
+        }
+    });
+
+    it('replays the 202 response for a repeated sessionId', { skip }, async () => {
+        const request = ftRequest();
+
+        const first = await env.client.post('/process', request);
+        const second = await env.client.post('/process', request);
+
+        assert.equal(first.status, 202);
+        assert.equal(second.status, 202);
+        assert.equal(second.headers['idempotent-replayed'], 'true');
+        assert.equal(second.data.data.flowInstanceId, first.data.data.flowInstanceId);
+        assert.equal(await countInstances(request.payload.sessionId), 1);
+    });
+
+    it('ignores payload key order when comparing requests', { skip }, async () => {
+        const request = ftRequest();
+        const reordered = {
+            eventType: request.eventType,
+            payload: Object.fromEntries(Object.entries(request.payload).reverse())
+        };
+
+        const first = await env.client.post('/process', request);
+        const second = await env.client.post('/process', reordered);
+
+        assert.equal(second.status, 202);
+        assert.equal(second.data.data.flowInstanceId, first.data.data.flowInstanceId);
+    });
+
+    it('rejects a different payload under the same sessionId', { skip }, async () => {
+        const request = ftRequest();
+        await env.client.post('/process', request);
+
+        const conflicting = await env.client.post('/process', {
+            ...request,
+            payload: { ...request.payload, amount: '999.00' }
+        });
+
+        assert.equal(conflicting.status, 409);
+        assert.equal(conflicting.data.success, false);
+        assert.equal(await countInstances(request.payload.sessionId), 1);
+    });
+
+    it('replays by Idempotency-Key and rejects a different request under the key', { skip }, async () => {
+        const key = `key-${Date.now()}-${sequence}`;
+        const request = ftRequest();
+        const headers = { 'Idempotency-Key': key };
+
+        const first = await env.client.post('/process', request, { headers });
+        const repeat = await env.client.post('/process', request, { headers });
+        const other = await env.client.post('/process', ftRequest(), { headers });
+
+        assert.equal(first.status, 202);
+        assert.equal(repeat.status, 202);
+        assert.equal(repeat.data.data.flowInstanceId, first.data.data.flowInstanceId);
+        assert.equal(other.status, 409);
+    });
+
+    it('replays the result of a completed sync request', { skip }, async () => {
+        // Sync requests return as soon as the flow's job waits for a callback; let the callbacks finish it
+        env.setScenario('success');
+        const request = ftRequest();
+
+        const first = await env.runFlowJobsDuring(env.client.post('/process?isSync=true', request));
+        assert.equal(first.status, 200, JSON.stringify(first.data));
+
+        // The flow ran as a queued job, not inline in the request
+        const { rows: jobs } = await env.pool.query(
+            `SELECT status FROM job_queue WHERE job_type = 'EXECUTE_FLOW' AND payload->>'flowInstanceId' = $1`,
+            [first.data.data.flowInstanceId]
+        );
+        assert.deepEqual(jobs.map(job => job.status), ['COMPLETED']);
+        await env.waitForStatus(first.data.data.flowInstanceId, 'COMPLETED');
+
+        const repeat = await env.client.post('/process?isSync=true', request);
+        assert.equal(repeat.status, 200);
+        assert.equal(repeat.data.data.flowInstanceId, first.data.data.flowInstanceId);
+        assert.equal(repeat.data.data.status, 'COMPLETED');
+        assert.equal(await countInstances(request.payload.sessionId), 1);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const { alertRulesModel, alertHistoryModel } = require('../../src/models');
+const { triggerAlert, getRuleThreshold, ALERT_STATUSES } = require('../../src/services/alertService');
+
+const rule = (overrides = {}) => ({
+    id: 'rule-1',
+    alert_name: 'Dead-Letter Queue Depth Alert',
+    alert_type: 'WARNING',
+    trigger_event: 'DLQ_DEPTH_EXCEEDED',
+    conditions: { threshold: 10 },
+    channels: ['webhook'],
+    recipients: ['https://alerts.example.com/hook'],
+    ...overrides
+});
+
+describe('alertService.triggerAlert', () => {
+    let rules;
+    let inCooldown;
+    let posts;
+
+    beforeEach(() => {
+        rules = [rule()];
+        inCooldown = false;
+        posts = [];
+        mock.method(alertRulesModel, 'findAll', async () => rules);
+        mock.method(alertRulesModel, 'findOne', async () => rules[0] || null);
+        mock.method(alertRulesModel, 'raw', async () => (inCooldown ? [] : [{ id: 'rule-1' }]));
+        mock.method(alertHistoryModel, 'create', async (row) => row);
+        mock.method(axios, 'post', async (url, body) => {
+            posts.push({ url, body });
+            return { status: 200 };
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('posts to the rule webhook once the value reaches the threshold', async () => {
+        const history = await triggerAlert('DLQ_DEPTH_EXCEEDED', { subject: 'DLQ depth is 12', message: '12 jobs', value: 12 });
+
+        assert.equal(posts.length, 1);
+        assert.equal(posts[0].url, 'https://alerts.example.com/hook');
+        assert.equal(posts[0].body.triggerEvent, 'DLQ_DEPTH_EXCEEDED');
+        assert.equal(history[0].status, ALERT_STATUSES.SENT);
+    });
+
+    it('does nothing below the threshold', async () => {
+        const history = await triggerAlert('DLQ_DEPTH_EXCEEDED', { subject: 'DLQ depth is 3', value: 3 });
+
+        assert.deepEqual(history, []);
+        assert.equal(posts.length, 0);
+        assert.equal(alertRulesModel.raw.mock.callCount(), 0);
+    });
+
+    it('skips rules in their cooldown window', async () => {
+        inCooldown = true;
+
+        const history = await triggerAlert('DLQ_DEPTH_EXCEEDED', { subject: 'DLQ depth is 12', value: 12 });
+
+        assert.deepEqual(history, []);
+        assert.equal(posts.length, 0);
+    });
+
+    it('records a failed delivery without throwing', async () => {
+        axios.post.mock.mockImplementation(async () => {
+            throw new Error('connect ECONNREFUSED');
+        });
+
+        const history = await triggerAlert('DLQ_DEPTH_EXCEEDED', { subject: 'DLQ depth is 12', value: 12 });
+
+        assert.equal(history[0].status, ALERT_STATUSES.FAILED);
+        assert.equal(history[0].error_message, 'connect ECONNREFUSED');
+    });
+
+    it('records unsupported channels as skipped', async () => {
+        rules = [rule({ channels: ['sms'] })];
+
+        const history = await triggerAlert('DLQ_DEPTH_EXCEEDED', { subject: 'DLQ depth is 12', value: 12 });
+
+        assert.equal(history[0].status, ALERT_STATUSES.SKIPPED);
+        assert.equal(posts.length, 0);
+    });
+
+    it('reads the threshold from the rule, or falls back', async () => {
+        assert.equal(await getRuleThreshold('DLQ_DEPTH_EXCEEDED', 5), 10);
+
+        rules = [];
+        assert.equal(await getRuleThreshold('DLQ_DEPTH_EXCEEDED', 5), 5);
+    });
+});
@@ -0,0 +1,188 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { approvalRequestsModel, approvalLimitsModel, auditLogsModel, flowInstancesModel } = require('../../src/models');
+const approvalService = require('../../src/services/approvalService');
+const executionService = require('../../src/services/executionService');
+const manualTaskService = require('../../src/services/manualTaskService');
+const { instanceLockedError } = require('../../src/services/instanceLockService');
+
+const MAKER = { id: 'user-maker', username: 'maker', roleId: 'role-operator', roleCode: 'OPERATOR', permissions: ['instances:*', 'reversals:request'] };
+const CHECKER = { id: 'user-checker', username: 'checker', roleId: 'role-operator', roleCode: 'OPERATOR', permissions: ['instances:*', 'reversals:approve'] };
+
+const pendingApproval = (overrides = {}) => ({
+    id: 'approval-1',
+    approval_type: 'REVERSAL',
+    status: 'PENDING',
+    flow_instance_id: 'instance-1',
+    step_execution_id: null,
+    amount: '500.00',
+    operation: { reversalType: 'FULL_REVERSAL' },
+    reason: 'Customer dispute',
+    required_roles: [],
+    requested_by: MAKER.id,
+    ...overrides
+});
+
+describe('approvalService decisions', () => {
+    let approval;
+    let limit;
+    let audits;
+
+    beforeEach(() => {
+        approval = pendingApproval();
+        limit = { approval_type: '*', max_amount: '10000.00' };
+        audits = [];
+        mock.method(approvalRequestsModel, 'findById', async () => approval);
+        mock.method(approvalRequestsModel, 'raw', async (sql, values) => {
+            if (sql.includes('decided_by = $3')) {
+                return approval.status === 'PENDING' ? [{ ...approval, status: values[1] }] : [];
+            }
+            return [{ ...approval, status: values[1] }];
+        });
+        mock.method(approvalLimitsModel, 'raw', async () => (limit ? [limit] : []));
+        mock.method(auditLogsModel, 'create', async (row) => {
+            audits.push(row);
+            return row;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('refuses an approval by the user who requested it', async () => {
+        await assert.rejects(approvalService.approve('approval-1', { ...CHECKER, id: MAKER.id }), (error) => {
+            assert.equal(error.statusCode, 403);
+            assert.equal(error.code, 'SAME_USER');
+            return true;
+        });
+    });
+
+    it('requires the permission for the approval type', async () => {
+        const checker = { ...CHECKER, permissions: ['instances:*'] };
+
+        await assert.rejects(approvalService.approve('approval-1', checker), (error) => {
+            assert.equal(error.statusCode, 403);
+            assert.match(error.message, /reversals:approve/);
+            return true;
+        });
+    });
+
+    it('enforces the role limit on the amount', async () => {
+        approval = pendingApproval({ amount: '25000.00' });
+
+        await assert.rejects(approvalService.approve('approval-1', CHECKER), (error) => {
+            assert.equal(error.code, 'LIMIT_EXCEEDED');
+            return true;
+        });
+    });
+
+    it('refuses roles without an approval limit', async () => {
+        limit = null;
+
+        await assert.rejects(approvalService.approve('approval-1', CHECKER), (error) => {
+            assert.equal(error.code, 'NO_APPROVAL_LIMIT');
+            return true;
+        });
+    });
+
+    it('only lets the step approval roles decide a MANUAL step', async () => {
+        approval = pendingApproval({ approval_type: 'MANUAL_STEP', requested_by: null, required_roles: ['SUPERVISOR'] });
+
+        await assert.rejects(approvalService.reject('approval-1', CHECKER, 'No'), (error) => {
+            assert.equal(error.code, 'ROLE_NOT_ALLOWED');
+            return true;
+        });
+    });
+
+    it('refuses a request that was already decided', async () => {
+        approval = pendingApproval({ status: 'REJECTED' });
+
+        await assert.rejects(approvalService.approve('approval-1', CHECKER), (error) => {
+            assert.equal(error.statusCode, 409);
+            return true;
+        });
+    });
+
+    it('continues an approved MANUAL step and audits the decision', async () => {
+        approval = pendingApproval({ approval_type: 'MANUAL_STEP', requested_by: null, step_execution_id: 'exec-1' });
+        mock.method(executionService, 'resumeAfterApproval', async () => ({ instanceId: 'instance-1', status: 'COMPLETED' }));
+
+        const result = await approvalService.approve('approval-1', CHECKER, 'Checked');
+
+        assert.equal(result.status, 'APPROVED');
+        const [instanceId, stepExecutionId, decision] = executionService.resumeAfterApproval.mock.calls[0].arguments;
+        assert.equal(instanceId, 'instance-1');
+        assert.equal(stepExecutionId, 'exec-1');
+        assert.equal(decision.approved, true);
+
+        assert.equal(audits.length, 1);
+        assert.equal(audits[0].action, 'APPROVED');
+        assert.equal(audits[0].actor_id, CHECKER.id);
+    });
+
+    it('cancels the instance through finishInstance so a waiting parent continues', async () => {
+        approval = pendingApproval({ approval_type: 'CANCEL_INSTANCE', amount: null, operation: {} });
+        mock.method(flowInstancesModel, 'raw', async () => [{ lock_version: 1, id: 'instance-1' }]);
+        mock.method(flowInstancesModel, 'findById', async () => ({ id: 'instance-1', status: 'WAITING_CALLBACK', metadata: {} }));
+        mock.method(executionService, 'finishInstance', async () => {});
+        mock.method(manualTaskService, 'closeOpenTasks', async () => 0);
+
+        await approvalService.approve('approval-1', CHECKER);
+
+        const [instanceId, status, fields] = executionService.finishInstance.mock.calls[0].arguments;
+        assert.equal(instanceId, 'instance-1');
+        assert.equal(status, 'CANCELLED');
+        assert.equal(JSON.parse(fields.metadata).approvalId, 'approval-1');
+    });
+
+    it('puts the request back to pending when the instance is locked elsewhere', async () => {
+        approval = pendingApproval({ approval_type: 'MANUAL_STEP', requested_by: null, step_execution_id: 'exec-1' });
+        mock.method(executionService, 'resumeAfterApproval', async () => {
+            throw instanceLockedError('instance-1', 'node-b');
+        });
+
+        await assert.rejects(approvalService.approve('approval-1', CHECKER), (error) => error.statusCode === 409);
+
+        const [sql, values] = approvalRequestsModel.raw.mock.calls.at(-1).arguments;
+        assert.match(sql, /decided_by = NULL/);
+        assert.equal(values[1], 'PENDING');
+        assert.equal(audits.length, 0);
+    });
+});
+
+describe('approvalService.requestCancellation', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reports a second pending cancellation as a conflict', async () => {
+        mock.method(flowInstancesModel, 'findById', async () => ({ id: 'instance-1', status: 'WAITING_CALLBACK', current_payload: { amount: '100.00' } }));
+        mock.method(approvalRequestsModel, 'create', async () => {
+            const error = new Error('duplicate key value violates unique constraint');
+            error.code = '23505';
+            throw error;
+        });
+
+        await assert.rejects(approvalService.requestCancellation('instance-1', { reason: 'Duplicate' }, MAKER), (error) => {
+            assert.equal(error.statusCode, 409);
+            assert.equal(error.code, 'APPROVAL_PENDING');
+            return true;
+        });
+    });
+
+    it('refuses to cancel a finished instance', async () => {
+        mock.method(flowInstancesModel, 'findById', async () => ({ id: 'instance-1', status: 'COMPLETED' }));
+
+        await assert.rejects(approvalService.requestCancellation('instance-1', { reason: 'Too late' }, MAKER), (error) => error.statusCode === 400);
+    });
+});
+
+describe('approvalService.getInstanceAmount', () => {
+    it('reads the amount from the payload, then the original request', () => {
+        assert.equal(approvalService.getInstanceAmount({ current_payload: { amount: '250.50' } }), 250.5);
+        assert.equal(approvalService.getInstanceAmount({ current_payload: {}, original_request: { amount: 75 } }), 75);
+        assert.equal(approvalService.getInstanceAmount({ current_payload: { amount: 'n/a' } }), null);
+    });
+});
@@ -0,0 +1,180 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+const { usersModel, rolesModel, refreshTokensModel } = require('../../src/models');
+const authService = require('../../src/services/authService');
+const { requirePermission } = require('../../src/middlewares/auth');
+
+/**
+ * Minimal Express response that records the status and body
+ */
+const createResponse = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+describe('authService.hasPermission', () => {
+    it('matches exact permissions and wildcards', () => {
+        assert.equal(authService.hasPermission(['flows:read'], 'flows:read'), true);
+        assert.equal(authService.hasPermission(['flows:*'], 'flows:write'), true);
+        assert.equal(authService.hasPermission(['*'], 'reversals:approve'), true);
+    });
+
+    it('rejects permissions on other resources or actions', () => {
+        assert.equal(authService.hasPermission(['flows:read'], 'flows:write'), false);
+        assert.equal(authService.hasPermission(['steps:*'], 'flows:write'), false);
+        assert.equal(authService.hasPermission([], 'flows:read'), false);
+    });
+});
+
+describe('authService.login', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('counts a wrong password and locks the account for a while at the limit', async () => {
+        const account = {
+            id: 'user-1',
+            username: 'ops',
+            password_hash: await bcrypt.hash('right-password', 4),
+            failed_login_attempts: authService.MAX_FAILED_LOGINS - 1
+        };
+        mock.method(usersModel, 'raw', async (sql, values) => {
+            if (sql.trim().startsWith('SELECT')) {
+                return [account];
+            }
+            const attempts = account.failed_login_attempts + 1;
+            return [{ failed_login_attempts: attempts >= values[1] ? 0 : attempts, locked_until: new Date() }];
+        });
+
+        await assert.rejects(
+            authService.login({ username: 'ops', password: 'wrong-password' }),
+            (error) => error.statusCode === 401 && /Invalid username or password/.test(error.message)
+        );
+
+        const [sql, values] = usersModel.raw.mock.calls[1].arguments;
+        assert.match(sql, /locked_until = CASE WHEN COALESCE\(failed_login_attempts, 0\) \+ 1 >= \$2/);
+        assert.doesNotMatch(sql, /is_locked/);
+        assert.deepEqual(values, ['user-1', authService.MAX_FAILED_LOGINS, authService.LOGIN_LOCKOUT_MINUTES]);
+    });
+
+    it('refuses a temporarily locked account until the lockout ends', async () => {
+        const account = { id: 'user-1', username: 'ops', is_active: true, password_hash: await bcrypt.hash('secret', 4) };
+        mock.method(usersModel, 'raw', async () => [account]);
+        mock.method(usersModel, 'findById', async () => account);
+        mock.method(usersModel, 'update', async () => account);
+        mock.method(refreshTokensModel, 'create', async (data) => ({ id: 'token-1', ...data }));
+
+        account.locked_until = new Date(Date.now() + 60000);
+        await assert.rejects(authService.login({ username: 'ops', password: 'secret' }), /locked/);
+
+        account.locked_until = new Date(Date.now() - 1000);
+        const session = await authService.login({ username: 'ops', password: 'secret' });
+        assert.equal(session.user.id, 'user-1');
+        assert.equal(usersModel.update.mock.calls[0].arguments[1].locked_until, null);
+    });
+
+    it('refuses a locked account without checking the password', async () => {
+        mock.method(usersModel, 'raw', async () => [{ id: 'user-1', is_locked: true, password_hash: 'x' }]);
+        mock.method(bcrypt, 'compare');
+
+        await assert.rejects(authService.login({ username: 'ops', password: 'anything' }), /locked/);
+        assert.equal(bcrypt.compare.mock.callCount(), 0);
+    });
+
+    it('issues an access token and a hashed refresh token', async () => {
+        const account = { id: 'user-1', username: 'ops', role_id: 'role-1', is_active: true, password_hash: await bcrypt.hash('secret', 4) };
+        const stored = [];
+        mock.method(usersModel, 'raw', async () => [account]);
+        mock.method(usersModel, 'findById', async () => account);
+        mock.method(usersModel, 'update', async () => account);
+        mock.method(rolesModel, 'findById', async () => ({ role_code: 'OPERATOR', permissions: ['instances:*'] }));
+        mock.method(refreshTokensModel, 'create', async (row) => {
+            stored.push(row);
+            return { id: 'token-1', ...row };
+        });
+
+        const session = await authService.login({ username: 'ops', password: 'secret' });
+
+        assert.equal(session.tokenType, 'Bearer');
+        assert.deepEqual(session.user.permissions, ['instances:*']);
+        assert.equal(stored[0].token_hash, authService.hashToken(session.refreshToken));
+        assert.notEqual(stored[0].token_hash, session.refreshToken);
+
+        const user = await authService.verifyAccessToken(session.accessToken);
+        assert.equal(user.id, 'user-1');
+    });
+});
+
+describe('authService.refresh', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('revokes every session of the user when a revoked token is reused', async () => {
+        mock.method(refreshTokensModel, 'findOne', async () => ({ id: 'token-1', user_id: 'user-1', revoked_at: new Date() }));
+        mock.method(refreshTokensModel, 'raw', async () => []);
+
+        await assert.rejects(authService.refresh('stolen-token'), /Invalid refresh token/);
+
+        const [sql, values] = refreshTokensModel.raw.mock.calls[0].arguments;
+        assert.match(sql, /WHERE user_id = \$1/);
+        assert.deepEqual(values, ['user-1']);
+    });
+});
+
+describe('auth.requirePermission', () => {
+    it('lets the BFS service key through', () => {
+        const next = mock.fn();
+        requirePermission('process:execute')({ isInternalService: true }, createResponse(), next);
+
+        assert.equal(next.mock.callCount(), 1);
+    });
+
+    it('answers 403 when the user lacks every listed permission', () => {
+        const next = mock.fn();
+        const res = createResponse();
+        requirePermission('reversals:approve')({ user: { permissions: ['instances:*'] } }, res, next);
+
+        assert.equal(next.mock.callCount(), 0);
+        assert.equal(res.statusCode, 403);
+        assert.deepEqual(res.body.required, ['reversals:approve']);
+    });
+});
+
+describe('checkRequiredSecrets', () => {
+    const { checkRequiredSecrets } = require('../../src/config/secrets');
+    const saved = { NODE_ENV: process.env.NODE_ENV, JWT_SECRET: process.env.JWT_SECRET, BFS_API_KEY: process.env.BFS_API_KEY };
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    it('refuses to start outside development without the secrets', () => {
+        process.env.NODE_ENV = 'production';
+        process.env.JWT_SECRET = 'set';
+        delete process.env.BFS_API_KEY;
+
+        assert.throws(() => checkRequiredSecrets(), /Missing required secrets: BFS_API_KEY/);
+    });
+
+    it('only warns in development', () => {
+        process.env.NODE_ENV = 'development';
+        delete process.env.JWT_SECRET;
+        delete process.env.BFS_API_KEY;
+
+        assert.doesNotThrow(() => checkRequiredSecrets());
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { expectedCallbacksModel, receivedCallbacksModel, processLogsModel } = require('../../src/models');
+const executionService = require('../../src/services/executionService');
+const { processIncomingCallback } = require('../../src/services/callbackService');
+
+describe('callbackService.processIncomingCallback matching', () => {
+    // Two parallel branches of one instance waiting in the same session
+    const expected = [
+        { id: 'expected-1', flow_instance_id: 'instance-1', step_execution_id: 'ftd-wait', session_id: 'S1', tracking_number: 'T1', status: 'PENDING' },
+        { id: 'expected-2', flow_instance_id: 'instance-1', step_execution_id: 'ftc-wait', session_id: 'S1', tracking_number: 'T2', status: 'PENDING' }
+    ];
+
+    beforeEach(() => {
+        mock.method(receivedCallbacksModel, 'create', async () => ({ id: 'received-1' }));
+        mock.method(receivedCallbacksModel, 'update', async () => ({}));
+        mock.method(expectedCallbacksModel, 'update', async () => ({}));
+        mock.method(processLogsModel, 'create', async () => ({}));
+        mock.method(expectedCallbacksModel, 'findAll', async ({ where }) => expected.filter(row =>
+            Object.entries(where).every(([key, value]) => row[key] === value)));
+        mock.method(executionService, 'resumeAfterCallback', async (instanceId, stepExecutionId) => ({ stepExecutionId }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('resumes the step whose tracking number the callback carries', async () => {
+        const result = await processIncomingCallback({ sessionId: 'S1', trackingNumber: 'T2', actionCode: '000' });
+
+        assert.equal(result.status, 'PROCESSED');
+        assert.equal(result.flowResult.stepExecutionId, 'ftc-wait');
+    });
+
+    it('leaves a callback unmatched rather than guess between waiting steps', async () => {
+        const result = await processIncomingCallback({ sessionId: 'S1', actionCode: '000' });
+
+        assert.equal(result.status, 'UNMATCHED');
+        assert.equal(executionService.resumeAfterCallback.mock.callCount(), 0);
+        assert.equal(expectedCallbacksModel.update.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { externalApisModel, callbackSignaturesModel } = require('../../src/models');
+const callbackSignatureService = require('../../src/services/callbackSignatureService');
+
+const SECRET = 'shared-secret';
+const BODY = JSON.stringify({ sessionId: '000000000001', actionCode: '000' });
+
+/**
+ * Lower-cased request headers for a signed body
+ */
+const signedHeaders = (body, now = Date.now(), secret = SECRET) => {
+    const headers = callbackSignatureService.signatureHeaders(secret, body, now);
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+};
+
+const expectCode = (code) => (error) => {
+    assert.equal(error.code, code);
+    return true;
+};
+
+describe('callbackSignatureService.verifySignature', () => {
+    it('accepts a body signed with the shared secret', () => {
+        const digest = callbackSignatureService.verifySignature({ secret: SECRET }, signedHeaders(BODY), BODY);
+        assert.match(digest, /^[0-9a-f]{64}$/);
+    });
+
+    it('rejects a body changed after signing', () => {
+        const tampered = BODY.replace('"000"', '"100"');
+        assert.throws(() => callbackSignatureService.verifySignature({ secret: SECRET }, signedHeaders(BODY), tampered), expectCode('SIGNATURE_INVALID'));
+    });
+
+    it('rejects a signature made with another secret', () => {
+        assert.throws(
+            () => callbackSignatureService.verifySignature({ secret: SECRET }, signedHeaders(BODY, Date.now(), 'guessed'), BODY),
+            expectCode('SIGNATURE_INVALID')
+        );
+    });
+
+    it('rejects a timestamp outside the window', () => {
+        const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
+        assert.throws(
+            () => callbackSignatureService.verifySignature({ secret: SECRET, toleranceSeconds: 300 }, signedHeaders(BODY, tenMinutesAgo), BODY),
+            (error) => error.statusCode === 401 && error.code === 'SIGNATURE_EXPIRED'
+        );
+    });
+
+    it('accepts only the lower-case hex digest', () => {
+        const headers = signedHeaders(BODY);
+        const variants = [headers['x-signature'].toUpperCase().replace('SHA256=', 'sha256='), `${headers['x-signature']}zz`, `${headers['x-signature']}=`];
+
+        for (const signature of variants) {
+            assert.throws(
+                () => callbackSignatureService.verifySignature({ secret: SECRET }, { ...headers, 'x-signature': signature }, BODY),
+                expectCode('SIGNATURE_INVALID')
+            );
+        }
+    });
+
+    it('requires both headers', () => {
+        const { 'x-signature': signature } = signedHeaders(BODY);
+        assert.throws(() => callbackSignatureService.verifySignature({ secret: SECRET }, { 'x-signature': signature }, BODY), expectCode('SIGNATURE_MISSING'));
+    });
+});
+
+describe('callbackSignatureService.verifyInboundCallback', () => {
+    let authConfig;
+
+    beforeEach(() => {
+        process.env.TEST_GIP_SIGNING_SECRET = SECRET;
+        authConfig = { callbackSigning: { secret: 'env:TEST_GIP_SIGNING_SECRET' } };
+        mock.method(externalApisModel, 'findOne', async () => ({ api_code: 'GIP', auth_config: authConfig }));
+        mock.method(callbackSignaturesModel, 'create', async (row) => row);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete process.env.CALLBACK_SIGNATURES_REQUIRED;
+        delete process.env.TEST_GIP_SIGNING_SECRET;
+    });
+
+    it('records the signature of a verified callback', async () => {
+        const headers = signedHeaders(BODY);
+
+        const result = await callbackSignatureService.verifyInboundCallback('GIP', { headers, rawBody: BODY });
+
+        assert.equal(result.verified, true);
+        const [row] = callbackSignaturesModel.create.mock.calls[0].arguments;
+        assert.equal(row.api_code, 'GIP');
+        assert.equal(`sha256=${row.signature}`, headers['x-signature']);
+    });
+
+    it('reports a replayed callback as a conflict', async () => {
+        mock.method(callbackSignaturesModel, 'create', async () => {
+            const error = new Error('duplicate key value violates unique constraint');
+            error.code = '23505';
+            throw error;
+        });
+
+        await assert.rejects(
+            callbackSignatureService.verifyInboundCallback('GIP', { headers: signedHeaders(BODY), rawBody: BODY }),
+            (error) => error.statusCode === 409 && error.code === 'SIGNATURE_REPLAYED'
+        );
+    });
+
+    it('refuses callbacks from a source without a secret', async () => {
+        authConfig = {};
+
+        await assert.rejects(
+            callbackSignatureService.verifyInboundCallback('GIP', { headers: {}, rawBody: BODY }),
+            expectCode('SIGNING_NOT_CONFIGURED')
+        );
+    });
+
+    it('refuses a plaintext secret in auth_config', async () => {
+        authConfig = { callbackSigning: { secret: SECRET } };
+
+        await assert.rejects(
+            callbackSignatureService.verifyInboundCallback('GIP', { headers: signedHeaders(BODY), rawBody: BODY }),
+            expectCode('AUTH_CONFIG_INVALID')
+        );
+    });
+
+    it('lets unsigned callbacks through when signatures are not required', async () => {
+        authConfig = {};
+        process.env.CALLBACK_SIGNATURES_REQUIRED = 'false';
+
+        const result = await callbackSignatureService.verifyInboundCallback('GIP', { headers: {}, rawBody: BODY });
+
+        assert.equal(result.verified, false);
+    });
+});
+
+describe('callbackSignatureService.signOutboundCallback', () => {
+    afterEach(() => {
+        mock.restoreAll();
+        delete process.env.BFS_CALLBACK_SECRET;
+    });
+
+    it('signs with the secret from the environment when auth_config has none', async () => {
+        process.env.BFS_CALLBACK_SECRET = SECRET;
+        mock.method(externalApisModel, 'findOne', async () => ({ api_code: 'BFS', auth_config: {} }));
+
+        const { body, headers } = await callbackSignatureService.signOutboundCallback('BFS', { status: 'COMPLETED' });
+
+        assert.equal(body, '{"status":"COMPLETED"}');
+        const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+        assert.ok(callbackSignatureService.verifySignature({ secret: SECRET }, lowerCased, body));
+    });
+
+    it('sends the body unsigned when no secret is configured', async () => {
+        mock.method(externalApisModel, 'findOne', async () => null);
+
+        const { headers } = await callbackSignatureService.signOutboundCallback('BFS', { status: 'FAILED' });
+
+        assert.deepEqual(headers, {});
+    });
+});
@@ -0,0 +1,359 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { flowInstancesModel, stepExecutionsModel, processLogsModel, jobQueueModel } = require('../../src/models');
+const executionService = require('../../src/services/executionService');
+const stepTypeRegistry = require('../../src/services/stepTypeRegistry');
+const flowService = require('../../src/services/flowService');
+const { buildStepGraph } = flowService;
+
+const step = (id, stepType, config = {}, columns = {}) => ({
+    id,
+    step_code: id.toUpperCase(),
+    step_type: stepType,
+    config,
+    ...columns
+});
+
+const transition = (from, to, transitionType = 'DEFAULT') => ({
+    id: `${from}-${to}`,
+    from_step_id: from,
+    to_step_id: to,
+    transition_type: transitionType,
+    priority: 1
+});
+
+const flowDefinition = (steps, transitions) => ({
+    flow: { is_sync: false },
+    steps,
+    transitions,
+    stepGraph: buildStepGraph(steps, transitions)
+});
+
+// Step executors driven by the test: each records its run and does what its config says
+const runs = [];
+stepTypeRegistry.registerStepType('TEST_STEP', {
+    execute: async ({ step: current, config, payload }) => {
+        runs.push(current.id);
+        await new Promise(resolve => setTimeout(resolve, config.delayMs || 0));
+        if (config.fail) {
+            throw new Error(`${current.id} failed`);
+        }
+        return { status: 'COMPLETED', outputPayload: { ...payload, [current.id]: true } };
+    }
+});
+
+describe('executionService parallel split', () => {
+    let instanceUpdates;
+
+    beforeEach(() => {
+        runs.length = 0;
+        instanceUpdates = [];
+        let executionCount = 0;
+        mock.method(stepExecutionsModel, 'create', async (row) => ({ id: `exec-${++executionCount}`, ...row }));
+        mock.method(stepExecutionsModel, 'update', async (id, row) => ({ id, ...row }));
+        mock.method(flowInstancesModel, 'update', async (id, row) => {
+            instanceUpdates.push(row);
+            return { id, ...row };
+        });
+        mock.method(flowInstancesModel, 'findById', async (id) => ({ id, status: 'RUNNING' }));
+        mock.method(flowInstancesModel, 'raw', async () => []);
+        mock.method(processLogsModel, 'create', async (row) => row);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('stops sibling branches after a branch fails and rethrows once they stopped', async () => {
+        const steps = [
+            step('split', 'GATEWAY', { gatewayType: 'AND', direction: 'SPLIT' }),
+            step('a', 'TEST_STEP', { fail: true, delayMs: 5 }),
+            step('b1', 'TEST_STEP', { delayMs: 30 }),
+            step('b2', 'TEST_STEP'),
+            step('end', 'END')
+        ];
+        const flowDef = flowDefinition(steps, [
+            transition('split', 'a'),
+            transition('split', 'b1'),
+            transition('b1', 'b2'),
+            transition('a', 'end'),
+            transition('b2', 'end')
+        ]);
+
+        await assert.rejects(
+            executionService.executeFromStep({ id: 'instance-1' }, flowDef, steps[0], { amount: 10 }),
+            /a failed/
+        );
+
+        // b1 was already running and finished; b2 never starts, even later
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(runs.sort(), ['a', 'b1']);
+    });
+
+    it('keeps branch payloads off the instance', async () => {
+        const steps = [
+            step('split', 'GATEWAY', { gatewayType: 'AND', direction: 'SPLIT' }),
+            step('a', 'TEST_STEP'),
+            step('b', 'TEST_STEP', { delayMs: 5 }),
+            step('end', 'END')
+        ];
+        const flowDef = flowDefinition(steps, [
+            transition('split', 'a'),
+            transition('split', 'b'),
+            transition('a', 'end'),
+            transition('b', 'end')
+        ]);
+
+        const result = await executionService.executeFromStep({ id: 'instance-1' }, flowDef, steps[0], { amount: 10 });
+
+        // Only the split itself (outside any branch) and the completion touch the instance
+        assert.equal(result.status, 'COMPLETED');
+        assert.deepEqual(result.payload, { amount: 10, a: true, b: true });
+        const payloadWrites = instanceUpdates.filter(row => row.current_payload);
+        assert.equal(payloadWrites.length, 1);
+        assert.equal(payloadWrites[0].current_step_id, 'split');
+    });
+});
+
+describe('executionService.executeFlowInstance', () => {
+    let instance;
+
+    beforeEach(() => {
+        runs.length = 0;
+        // Lock acquire/release; tryAcquire reads the new lock version
+        mock.method(flowInstancesModel, 'raw', async () => [{ lock_version: 1 }]);
+        mock.method(flowInstancesModel, 'findById', async (id) => ({ id, ...instance }));
+        mock.method(flowInstancesModel, 'update', async (id, row) => {
+            Object.assign(instance, row);
+            return { id, ...instance };
+        });
+        mock.method(stepExecutionsModel, 'create', async (row) => ({ id: 'exec-1', ...row }));
+        mock.method(stepExecutionsModel, 'update', async (id, row) => ({ id, ...row }));
+        // No completed steps to compensate
+        mock.method(stepExecutionsModel, 'raw', async () => []);
+        mock.method(processLogsModel, 'create', async (row) => row);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('does not restart an instance that already finished', async () => {
+        instance = { status: 'COMPENSATED' };
+
+        const result = await executionService.executeFlowInstance('instance-1');
+
+        assert.equal(result.status, 'SKIPPED');
+        assert.equal(flowInstancesModel.update.mock.callCount(), 0);
+        assert.deepEqual(runs, []);
+    });
+
+    it('fails the instance without rethrowing, so the job is not run again', async () => {
+        instance = { status: 'PENDING', flow_version_id: 'version-1', current_payload: '{}' };
+        const start = step('start', 'TEST_STEP', { fail: true });
+        mock.method(flowService, 'getInstanceFlowDefinition', async () => ({
+            ...flowDefinition([start], []),
+            startStep: start
+        }));
+
+        const result = await executionService.executeFlowInstance('instance-1');
+
+        assert.equal(result.status, 'FAILED');
+        assert.equal(result.error, 'start failed');
+        assert.equal(instance.status, 'FAILED');
+    });
+});
+
+describe('executionService step error actions', () => {
+    let jobs;
+
+    beforeEach(() => {
+        jobs = [];
+        mock.method(stepExecutionsModel, 'create', async (row) => ({ id: 'exec-1', ...row }));
+        mock.method(stepExecutionsModel, 'update', async (id, row) => ({ id, ...row }));
+        mock.method(flowInstancesModel, 'update', async (id, row) => ({ id, ...row }));
+        mock.method(processLogsModel, 'create', async (row) => row);
+        mock.method(jobQueueModel, 'create', async (row) => {
+            jobs.push(row);
+            return { id: `job-${jobs.length}`, ...row };
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('RETRY retries a step that has no retry_config', async () => {
+        const failing = step('charge', 'TEST_STEP', { fail: true }, { on_error_action: 'RETRY' });
+
+        const result = await executionService.executeFromStep({ id: 'instance-1' }, flowDefinition([failing], []), failing, {});
+
+        assert.equal(result.status, 'WAITING_RETRY');
+        assert.deepEqual(jobs.map(job => job.job_type), ['RETRY_STEP']);
+    });
+
+    it('RETRY fails the step once its retries are used up', async () => {
+        const failing = step('charge', 'TEST_STEP', { fail: true }, {
+            on_error_action: 'RETRY',
+            retry_config: { max_retries: 1 }
+        });
+        const attempt = { number: 2, firstAttemptAt: new Date().toISOString(), previousAttemptId: 'exec-0' };
+
+        await assert.rejects(
+            executionService.executeFromStep({ id: 'instance-1' }, flowDefinition([failing], []), failing, {}, { attempt }),
+            /charge failed/
+        );
+        assert.deepEqual(jobs, []);
+    });
+
+    it('MANUAL opens a step-error task in the manual task inbox', async () => {
+        const manualTaskService = require('../../src/services/manualTaskService');
+        mock.method(manualTaskService, 'openTask', async (instanceId, task) => ({ id: 'task-1', ...task }));
+        const failing = step('charge', 'TEST_STEP', { fail: true }, { on_error_action: 'MANUAL' });
+
+        const result = await executionService.executeFromStep({ id: 'instance-1' }, flowDefinition([failing], []), failing, {});
+
+        assert.equal(result.status, 'MANUAL_INTERVENTION');
+        const [instanceId, task] = manualTaskService.openTask.mock.calls[0].arguments;
+        assert.equal(instanceId, 'instance-1');
+        assert.equal(task.source, manualTaskService.TASK_SOURCES.STEP_ERROR);
+        assert.equal(task.stepId, 'charge');
+    });
+});
+
+describe('executionService callback resume', () => {
+    // In-memory step_executions; claims are "SET status = $1 ... WHERE id = ... AND status = <last param>"
+    const executions = new Map();
+    let instance;
+
+    const claimStep = async (sql, values) => {
+        const execution = executions.get(values.find(value => executions.has(value)));
+        if (!execution || execution.status !== values[values.length - 1]) {
+            return [];
+        }
+        execution.status = values[0];
+        return [{ ...execution }];
+    };
+
+    const steps = [
+        step('wait', 'CALLBACK'),
+        step('credit', 'TEST_STEP'),
+        step('recheck', 'TIMER', { durationMs: 60000 })
+    ];
+    const flowDef = flowDefinition(steps, [
+        transition('wait', 'credit'),
+        transition('wait', 'recheck', 'TIMEOUT')
+    ]);
+
+    beforeEach(() => {
+        runs.length = 0;
+        executions.clear();
+        executions.set('exec-wait', { id: 'exec-wait', step_id: 'wait', status: 'WAITING', metadata: {} });
+        instance = { id: 'instance-1', status: 'WAITING_CALLBACK', current_payload: '{}' };
+
+        // Lock acquire/release; tryAcquire reads the new lock version
+        mock.method(flowInstancesModel, 'raw', async () => [{ lock_version: 1 }]);
+        mock.method(flowInstancesModel, 'findById', async () => ({ ...instance }));
+        mock.method(flowInstancesModel, 'update', async (id, row) => {
+            Object.assign(instance, row);
+            return { ...instance };
+        });
+        mock.method(flowService, 'getInstanceFlowDefinition', async () => flowDef);
+        mock.method(stepExecutionsModel, 'raw', claimStep);
+        mock.method(stepExecutionsModel, 'findById', async (id) => ({ ...executions.get(id) }));
+        mock.method(stepExecutionsModel, 'create', async (row) => {
+            const id = `exec-${executions.size + 1}`;
+            executions.set(id, { id, ...row });
+            return { id, ...row };
+        });
+        mock.method(stepExecutionsModel, 'update', async (id, row) => {
+            Object.assign(executions.get(id) || {}, row);
+            return { id, ...row };
+        });
+        mock.method(processLogsModel, 'create', async (row) => row);
+        mock.method(jobQueueModel, 'create', async (row) => ({ id: 'job-1', ...row }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('ignores a callback that arrives after the step timed out', async () => {
+        const routed = await executionService.handleStepTimeout('instance-1', 'exec-wait', { reason: 'CALLBACK_TIMEOUT' });
+        assert.equal(routed.status, 'WAITING_TIMER');
+
+        const result = await executionService.resumeAfterCallback('instance-1', 'exec-wait', { actionCode: '000' });
+
+        // The success path (credit) never runs alongside the timeout path
+        assert.equal(result, null);
+        assert.deepEqual(runs, []);
+        assert.equal(executions.get('exec-wait').status, 'TIMEOUT');
+        assert.equal(instance.status, 'WAITING_TIMER');
+        const logTypes = processLogsModel.create.mock.calls.map(call => call.arguments[0].log_type);
+        assert.ok(logTypes.includes('CALLBACK_IGNORED'));
+    });
+
+    it('runs the next steps once when two callbacks arrive for one step execution', async () => {
+        const results = await Promise.all([
+            executionService.resumeAfterCallback('instance-1', 'exec-wait', { actionCode: '000' }),
+            executionService.resumeAfterCallback('instance-1', 'exec-wait', { actionCode: '000' })
+        ]);
+
+        assert.deepEqual(runs, ['credit']);
+        assert.equal(results.filter(result => result === null).length, 1);
+        assert.equal(instance.status, 'COMPLETED');
+    });
+
+    it('does not resume a finished instance', async () => {
+        instance.status = 'CANCELLED';
+
+        const result = await executionService.resumeAfterCallback('instance-1', 'exec-wait', { actionCode: '000' });
+
+        assert.equal(result, null);
+        assert.deepEqual(runs, []);
+        assert.equal(executions.get('exec-wait').status, 'WAITING');
+    });
+});
+
+describe('executionService TIMER step', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('parks the step execution before queueing the resume job', async () => {
+        const calls = [];
+        mock.method(stepExecutionsModel, 'create', async (row) => ({ id: 'exec-1', ...row }));
+        mock.method(stepExecutionsModel, 'update', async (id, row) => {
+            calls.push(`step:${row.status}`);
+            return { id, ...row };
+        });
+        mock.method(jobQueueModel, 'create', async (row) => {
+            calls.push(`job:${row.job_type}`);
+            return { id: 'job-1', ...row };
+        });
+        mock.method(flowInstancesModel, 'update', async (id, row) => ({ id, ...row }));
+        mock.method(processLogsModel, 'create', async (row) => row);
+
+        const timer = step('wait', 'TIMER', { durationMs: 60000 });
+        const result = await executionService.executeFromStep({ id: 'instance-1' }, flowDefinition([timer], []), timer, {});
+
+        assert.equal(result.status, 'WAITING_TIMER');
+        assert.deepEqual(calls.slice(0, 2), ['step:WAITING', 'job:RESUME_FLOW']);
+    });
+});
+
+describe('executionService.isTimeoutError', () => {
+    const withCode = (code) => Object.assign(new Error('socket hang up'), { code });
+
+    it('matches transport timeout codes and the explicit flag', () => {
+        assert.equal(executionService.isTimeoutError(withCode('ECONNABORTED')), true);
+        assert.equal(executionService.isTimeoutError(withCode('ETIMEDOUT')), true);
+        assert.equal(executionService.isTimeoutError(Object.assign(new Error('Deadline passed'), { isTimeout: true })), true);
+    });
+
+    it('ignores errors that only mention a timeout', () => {
+        assert.equal(executionService.isTimeoutError(new Error('Upstream reported: gateway timeout')), false);
+        assert.equal(executionService.isTimeoutError(withCode('ECONNRESET')), false);
+    });
+});
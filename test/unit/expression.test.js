@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    evaluateExpression,
+    validateExpression,
+    renderTemplate,
+    renderValue,
+    validateTemplate
+} = require('../../src/utils/expression');
+
+describe('expression sandbox', () => {
+    const data = {
+        amount: 150,
+        callbackResponse: { actionCode: '000' },
+        tags: ['a', 'b']
+    };
+
+    it('evaluates operators and whitelisted functions against the data', () => {
+        assert.equal(evaluateExpression("callbackResponse.actionCode == '000' && amount >= 100", data), true);
+        assert.equal(evaluateExpression("upper(trim(' gip '))", data), 'GIP');
+        assert.equal(evaluateExpression("missing ?? 'N/A'", data), 'N/A');
+        assert.equal(evaluateExpression('tags.length', data), 2);
+        // == is strict, so '000' never equals 0
+        assert.equal(evaluateExpression('callbackResponse.actionCode == 0', data), false);
+    });
+
+    it('blocks __proto__, prototype and constructor', () => {
+        assert.equal(evaluateExpression('callbackResponse.__proto__', data), undefined);
+        assert.equal(evaluateExpression('callbackResponse.constructor', data), undefined);
+        assert.equal(evaluateExpression("callbackResponse['constructor']", data), undefined);
+        assert.equal(evaluateExpression('constructor', data), undefined);
+        assert.equal(evaluateExpression('amount.constructor.prototype', data), undefined);
+    });
+
+    it('reads only own properties', () => {
+        const inherited = Object.create({ secret: 'inherited' });
+        inherited.visible = 'own';
+
+        assert.equal(evaluateExpression('payload.visible', { payload: inherited }), 'own');
+        assert.equal(evaluateExpression('payload.secret', { payload: inherited }), undefined);
+        assert.equal(evaluateExpression('payload.toString', { payload: {} }), undefined);
+        assert.equal(evaluateExpression('payload.hasOwnProperty', { payload: {} }), undefined);
+    });
+
+    it('rejects method calls and unknown functions', () => {
+        assert.throws(() => evaluateExpression("name.toUpperCase()", { name: 'x' }), /method calls are not allowed/);
+        assert.throws(() => evaluateExpression("tags['join'](',')", data), /method calls are not allowed/);
+        assert.throws(() => evaluateExpression("eval('1')", data), /unknown function 'eval'/);
+        assert.throws(() => evaluateExpression('constructor(1)', data), /unknown function 'constructor'/);
+    });
+
+    it('rejects expressions that are too long or nested too deeply', () => {
+        assert.match(validateExpression(`'${'x'.repeat(2000)}'`).error, /exceeds 2000 characters/);
+        assert.match(validateExpression(`${'('.repeat(60)}1${')'.repeat(60)}`).error, /nested too deeply/);
+        assert.match(validateExpression(`${'!'.repeat(60)}true`).error, /nested too deeply/);
+        assert.equal(validateExpression(`${'('.repeat(40)}1${')'.repeat(40)}`).valid, true);
+    });
+
+    it('reports syntax errors without evaluating', () => {
+        assert.deepEqual(validateExpression('amount >= 100'), { valid: true });
+        assert.match(validateExpression('amount >=').error, /unexpected end of expression/);
+        assert.match(validateExpression("'open").error, /unterminated string/);
+        assert.match(validateExpression('').error, /non-empty string/);
+    });
+});
+
+describe('expression templates', () => {
+    const data = { sessionId: 'S1', amount: 150 };
+
+    it('renders placeholders and leaves unresolved ones as-is', () => {
+        assert.equal(
+            renderTemplate('Transfer {{ sessionId }} of {{ amount * 2 }} by {{ user }}', data),
+            'Transfer S1 of 300 by {{ user }}'
+        );
+    });
+
+    it('leaves placeholders that do not parse unchanged instead of throwing', () => {
+        assert.equal(renderTemplate('Use {{ }} or {{ amount >= }} for {{ sessionId }}', data), 'Use {{ }} or {{ amount >= }} for S1');
+        assert.equal(renderTemplate('Literal {{ a b }}', data), 'Literal {{ a b }}');
+        assert.equal(renderValue('{{ amount >= }}', data), '{{ amount >= }}');
+        assert.match(validateTemplate('{{ amount >= }}').error, /unexpected end of expression/);
+    });
+
+    it('keeps the evaluated type for a single placeholder', () => {
+        assert.equal(renderValue('{{ amount * 100 }}', data), 15000);
+        assert.equal(renderValue('{{ amount > 100 }}', data), true);
+        assert.equal(renderValue('Amount {{ amount }}', data), 'Amount 150');
+    });
+});
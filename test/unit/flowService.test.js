@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildStepGraph, getNextStep } = require('../../src/services/flowService');
+
+/**
+ * Build a flow definition the way getFlowDefinition shapes it, from plain step and transition rows
+ */
+const buildFlowDefinition = (steps, transitions) => ({
+    steps,
+    transitions,
+    stepGraph: buildStepGraph(steps, transitions)
+});
+
+const step = (id, stepCode, stepType, stepOrder, config = {}) => ({
+    id,
+    step_code: stepCode,
+    step_type: stepType,
+    step_order: stepOrder,
+    config
+});
+
+const transition = (id, from, to, conditions = null, extra = {}) => ({
+    id,
+    from_step_id: from,
+    to_step_id: to,
+    transition_type: conditions ? 'CONDITIONAL' : 'DEFAULT',
+    conditions,
+    priority: 1,
+    ...extra
+});
+
+describe('flowService.getNextStep', () => {
+    // Mirrors the FTC leg of the seeded FT flow
+    const steps = [
+        step('call', 'FT_FTC_CALL', 'API_CALL', 1),
+        step('check', 'FT_FTC_CHECK', 'CONDITION', 2),
+        step('success', 'FT_END_SUCCESS', 'END', 3),
+        step('reversal', 'FT_REVERSAL', 'TASK', 4)
+    ];
+    const flowDef = buildFlowDefinition(steps, [
+        transition('t1', 'call', 'check'),
+        transition('t2', 'check', 'success', [{ condition: 'SUCCESS' }]),
+        transition('t3', 'check', 'reversal', [{ condition: 'FAILED' }], { priority: 2 })
+    ]);
+
+    it('follows a DEFAULT transition', async () => {
+        const next = await getNextStep(flowDef, 'call', {});
+        assert.equal(next.step_code, 'FT_FTC_CHECK');
+    });
+
+    it('takes the SUCCESS branch for action code 000', async () => {
+        const next = await getNextStep(flowDef, 'check', { actionCode: '000' });
+        assert.equal(next.step_code, 'FT_END_SUCCESS');
+    });
+
+    it('takes the FAILED branch for any other action code', async () => {
+        const next = await getNextStep(flowDef, 'check', { actionCode: '381' });
+        assert.equal(next.step_code, 'FT_REVERSAL');
+    });
+
+    it('reads the action code from the callback response', async () => {
+        const next = await getNextStep(flowDef, 'check', { callbackResponse: { actionCode: '000' } });
+        assert.equal(next.step_code, 'FT_END_SUCCESS');
+    });
+
+    it('evaluates transitions in priority order', async () => {
+        const prioritised = buildFlowDefinition(steps, [
+            transition('t1', 'check', 'reversal', null, { priority: 2 }),
+            transition('t2', 'check', 'success', null, { priority: 1 })
+        ]);
+
+        const next = await getNextStep(prioritised, 'check', {});
+        assert.equal(next.step_code, 'FT_END_SUCCESS');
+    });
+
+    it('supports condition expressions', async () => {
+        const expressionFlow = buildFlowDefinition(steps, [
+            transition('t1', 'check', 'reversal', null, { condition_expression: { amount: { $gt: 1000 } } }),
+            transition('t2', 'check', 'success', null, { priority: 2 })
+        ]);
+
+        assert.equal((await getNextStep(expressionFlow, 'check', { amount: 5000 })).step_code, 'FT_REVERSAL');
+        assert.equal((await getNextStep(expressionFlow, 'check', { amount: 10 })).step_code, 'FT_END_SUCCESS');
+    });
+
+    it('ignores boundary TIMEOUT transitions', async () => {
+        const withTimeout = buildFlowDefinition(steps, [
+            transition('t1', 'call', 'reversal', null, { transition_type: 'TIMEOUT', priority: 0 }),
+            transition('t2', 'call', 'check')
+        ]);
+
+        const next = await getNextStep(withTimeout, 'call', {});
+        assert.equal(next.step_code, 'FT_FTC_CHECK');
+    });
+
+    it('falls back to step_order when a step has no transitions', async () => {
+        const ordered = buildFlowDefinition(steps, []);
+
+        const next = await getNextStep(ordered, 'call', {});
+        assert.equal(next.step_code, 'FT_FTC_CHECK');
+    });
+
+    it('returns null when no transition matches', async () => {
+        const onlySuccess = buildFlowDefinition(steps, [
+            transition('t1', 'check', 'success', [{ condition: 'SUCCESS' }])
+        ]);
+
+        assert.equal(await getNextStep(onlySuccess, 'check', { actionCode: '999' }), null);
+    });
+
+    it('throws for a step outside the graph', async () => {
+        await assert.rejects(() => getNextStep(flowDef, 'missing', {}), /Step not found in graph/);
+    });
+});
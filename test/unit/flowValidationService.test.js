@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFlowGraph, VALIDATION_CODES } = require('../../src/services/flowValidationService');
+
+const step = (id, stepType, config = {}) => ({ id, step_code: id.toUpperCase(), step_type: stepType, config });
+
+const transition = (from, to) => ({
+    id: `${from}-${to}`,
+    from_step_id: from,
+    to_step_id: to,
+    transition_type: 'DEFAULT'
+});
+
+const split = (id, gatewayType = 'AND') => step(id, 'GATEWAY', { gatewayType, direction: 'SPLIT' });
+const join = (id) => step(id, 'GATEWAY', { gatewayType: 'AND', direction: 'JOIN' });
+
+const errorCodes = (steps, transitions) => validateFlowGraph(steps, transitions).errors.map(e => e.code);
+
+describe('flowValidationService parallel callbacks', () => {
+    it('rejects CALLBACK steps in two branches of one split', () => {
+        const steps = [
+            step('start', 'START'), split('split'),
+            step('ftd', 'CALLBACK'), step('ftc', 'CALLBACK'),
+            join('join'), step('end', 'END')
+        ];
+        const result = validateFlowGraph(steps, [
+            transition('start', 'split'),
+            transition('split', 'ftd'), transition('split', 'ftc'),
+            transition('ftd', 'join'), transition('ftc', 'join'),
+            transition('join', 'end')
+        ]);
+
+        const issue = result.errors.find(e => e.code === VALIDATION_CODES.PARALLEL_CALLBACKS);
+        assert.ok(issue, JSON.stringify(result.errors));
+        assert.equal(issue.stepCode, 'SPLIT');
+        assert.match(issue.message, /FTD, FTC/);
+    });
+
+    it('finds callbacks behind a nested split', () => {
+        const steps = [
+            step('start', 'START'), split('outer'), split('inner', 'OR'),
+            step('a', 'TRANSFORM'), step('b', 'TRANSFORM'), join('inner_join'),
+            step('ftd', 'CALLBACK'), step('ftc', 'CALLBACK'),
+            join('outer_join'), step('end', 'END')
+        ];
+
+        assert.ok(errorCodes(steps, [
+            transition('start', 'outer'),
+            transition('outer', 'inner'), transition('outer', 'ftc'),
+            transition('inner', 'a'), transition('inner', 'b'),
+            transition('a', 'inner_join'), transition('b', 'inner_join'),
+            transition('inner_join', 'ftd'),
+            transition('ftd', 'outer_join'), transition('ftc', 'outer_join'),
+            transition('outer_join', 'end')
+        ]).includes(VALIDATION_CODES.PARALLEL_CALLBACKS));
+    });
+
+    it('allows one callback branch and callbacks after the join', () => {
+        const steps = [
+            step('start', 'START'), split('split'),
+            step('ftd', 'CALLBACK'), step('nec', 'TRANSFORM'),
+            join('join'), step('ftc', 'CALLBACK'), step('end', 'END')
+        ];
+
+        assert.deepEqual(errorCodes(steps, [
+            transition('start', 'split'),
+            transition('split', 'ftd'), transition('split', 'nec'),
+            transition('ftd', 'join'), transition('nec', 'join'),
+            transition('join', 'ftc'), transition('ftc', 'end')
+        ]), []);
+    });
+});
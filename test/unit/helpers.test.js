@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyFieldMappings } = require('../../src/utils/helpers');
+
+describe('helpers.applyFieldMappings', () => {
+    const payload = {
+        sessionId: 'S00000000001',
+        amount: '150.5',
+        srcAccountNumber: '1000000001',
+        destAccountNumber: '2000000002',
+        customer: { name: 'Ama Mensah' }
+    };
+
+    it('maps source fields to target fields in both naming conventions', () => {
+        const result = applyFieldMappings(payload, [
+            { source: 'sessionId', target: 'sessionId' },
+            { source_field: 'srcAccountNumber', target_field: 'accountToDebit' }
+        ]);
+
+        assert.deepEqual(result, { sessionId: 'S00000000001', accountToDebit: '1000000001' });
+    });
+
+    it('reads and writes nested paths', () => {
+        const result = applyFieldMappings(payload, [
+            { source: 'customer.name', target: 'debtor.name' }
+        ]);
+
+        assert.deepEqual(result, { debtor: { name: 'Ama Mensah' } });
+    });
+
+    it('uses default values for constants and missing fields', () => {
+        const result = applyFieldMappings(payload, [
+            { source: null, target: 'functionCode', default_value: '241' },
+            { source: 'channelCode', target: 'channelCode', default_value: '100' }
+        ]);
+
+        assert.deepEqual(result, { functionCode: '241', channelCode: '100' });
+    });
+
+    it('omits fields with no value and no default', () => {
+        const result = applyFieldMappings(payload, [
+            { source: 'narration', target: 'narration' }
+        ]);
+
+        assert.deepEqual(result, {});
+    });
+
+    it('applies transformations', () => {
+        const result = applyFieldMappings(payload, [
+            { source: 'amount', target: 'amount', transform: 'formatAmount' },
+            { source: 'customer.name', target: 'name', transform_type: 'uppercase' },
+            { source: 'sessionId', target: 'short', transform: 'substring', transform_config: { start: 0, end: 3 } }
+        ]);
+
+        assert.equal(result.amount, '000000015050');
+        assert.equal(result.name, 'AMA MENSAH');
+        assert.equal(result.short, 'S00');
+    });
+
+    it('generates a date time for formatDateTime mappings with no source', () => {
+        const result = applyFieldMappings(payload, [
+            { source: null, target: 'dateTime', transform: 'formatDateTime' }
+        ]);
+
+        assert.match(result.dateTime, /^\d{12}$/);
+    });
+
+    it('swaps source fields when a swap config is given', () => {
+        const result = applyFieldMappings(payload, [
+            { source: 'srcAccountNumber', target: 'accountToDebit' },
+            { source: 'destAccountNumber', target: 'accountToCredit' }
+        ], {
+            srcAccountNumber: 'destAccountNumber',
+            destAccountNumber: 'srcAccountNumber'
+        });
+
+        assert.deepEqual(result, { accountToDebit: '2000000002', accountToCredit: '1000000001' });
+    });
+});
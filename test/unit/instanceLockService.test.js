@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pool = require('../../src/config/database');
+const { flowInstancesModel, jobQueueModel } = require('../../src/models');
+const { withInstanceLock, isInstanceLockedError, instanceLockedError } = require('../../src/services/instanceLockService');
+const flowExecutorJob = require('../../src/jobs/flowExecutorJob');
+
+/**
+ * In-memory flow_instances lock columns behind flowInstancesModel.raw
+ */
+const createFakeInstances = (ids) => {
+    const rows = new Map(ids.map(id => [id, { id, locked_by: null, lease_expires_at: 0, lock_version: 0 }]));
+
+    mock.method(flowInstancesModel, 'findById', async (id) => rows.get(id) || null);
+    mock.method(flowInstancesModel, 'raw', async (sql, [id, second, third]) => {
+        const row = rows.get(id);
+        if (!row) {
+            return [];
+        }
+        if (sql.includes('lock_version = lock_version + 1')) {
+            if (row.locked_by && row.lease_expires_at >= Date.now()) {
+                return [];
+            }
+            Object.assign(row, { locked_by: second, lease_expires_at: Date.now() + third, lock_version: row.lock_version + 1 });
+            return [{ lock_version: row.lock_version }];
+        }
+        if (sql.includes('locked_by = NULL')) {
+            if (row.lock_version === second) {
+                Object.assign(row, { locked_by: null, lease_expires_at: 0 });
+            }
+            return [];
+        }
+        if (row.lock_version === second && row.locked_by) {
+            row.lease_expires_at = Date.now() + third;
+            return [{ id }];
+        }
+        return [];
+    });
+
+    return rows;
+};
+
+describe('instanceLockService.withInstanceLock', () => {
+    let rows;
+
+    beforeEach(() => {
+        rows = createFakeInstances(['instance-1', 'instance-2']);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('holds the lock while the function runs and releases it after', async () => {
+        const result = await withInstanceLock('instance-1', async () => {
+            assert.ok(rows.get('instance-1').locked_by);
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.equal(rows.get('instance-1').locked_by, null);
+    });
+
+    it('releases the lock when the function throws', async () => {
+        await assert.rejects(withInstanceLock('instance-1', async () => {
+            throw new Error('step failed');
+        }), /step failed/);
+
+        assert.equal(rows.get('instance-1').locked_by, null);
+    });
+
+    it('re-enters a lock already held by the same call chain', async () => {
+        await withInstanceLock('instance-1', async () => {
+            await withInstanceLock('instance-1', async () => {
+                await withInstanceLock('instance-2', async () => {});
+            });
+        });
+
+        assert.equal(rows.get('instance-1').lock_version, 1);
+        assert.equal(rows.get('instance-2').lock_version, 1);
+    });
+
+    it('makes a second caller wait for the holder', async () => {
+        const order = [];
+        let finishFirst;
+
+        const first = withInstanceLock('instance-1', () => new Promise(resolve => {
+            order.push('first started');
+            finishFirst = () => {
+                order.push('first finished');
+                resolve();
+            };
+        }));
+        await new Promise(resolve => setImmediate(resolve));
+
+        const second = withInstanceLock('instance-1', async () => {
+            order.push('second started');
+        }, { waitMs: 1000 });
+
+        setTimeout(() => finishFirst(), 30);
+        await Promise.all([first, second]);
+
+        assert.deepEqual(order, ['first started', 'first finished', 'second started']);
+    });
+
+    it('throws a 409 conflict when the lock is not released in time', async () => {
+        Object.assign(rows.get('instance-1'), { locked_by: 'node-b', lease_expires_at: Date.now() + 60000 });
+
+        await assert.rejects(withInstanceLock('instance-1', async () => {}, { waitMs: 20 }), (error) => {
+            assert.ok(isInstanceLockedError(error));
+            assert.equal(error.statusCode, 409);
+            assert.match(error.message, /node-b/);
+            return true;
+        });
+    });
+
+    it('takes over a lock whose lease expired', async () => {
+        Object.assign(rows.get('instance-1'), { locked_by: 'crashed-node', lease_expires_at: Date.now() - 1 });
+
+        const ran = await withInstanceLock('instance-1', async () => true, { waitMs: 0 });
+
+        assert.equal(ran, true);
+    });
+
+    it('refuses instance updates once another node has taken over the lease', async () => {
+        // UPDATE flow_instances ... WHERE id = $2 AND lock_version = $3
+        mock.method(pool, 'query', async (sql, [status, id, version]) => {
+            const row = rows.get(id);
+            if (version !== undefined && row.lock_version !== version) {
+                return { rows: [] };
+            }
+            row.status = status;
+            return { rows: [row] };
+        });
+
+        await withInstanceLock('instance-1', async () => {
+            await flowInstancesModel.update('instance-1', { status: 'RUNNING' });
+
+            // Stalled past the lease: node-b takes over
+            Object.assign(rows.get('instance-1'), { locked_by: 'node-b', lock_version: 2 });
+
+            await assert.rejects(flowInstancesModel.update('instance-1', { status: 'COMPLETED' }), (error) => {
+                assert.ok(isInstanceLockedError(error));
+                return true;
+            });
+        });
+
+        assert.equal(rows.get('instance-1').status, 'RUNNING');
+        assert.equal(rows.get('instance-1').locked_by, 'node-b');
+        assert.match(pool.query.mock.calls[0].arguments[0], /AND lock_version = \$3/);
+
+        // Updates outside a lease are not fenced
+        await flowInstancesModel.update('instance-1', { status: 'FAILED' });
+        assert.ok(!pool.query.mock.calls[2].arguments[0].includes('lock_version'));
+    });
+
+    it('reports a missing instance as not found', async () => {
+        await assert.rejects(withInstanceLock('missing', async () => {}), (error) => {
+            assert.equal(error.statusCode, 404);
+            return true;
+        });
+    });
+});
+
+describe('flowExecutorJob.runJob on a locked instance', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('re-queues the job without using up an attempt', async () => {
+        mock.method(flowExecutorJob.JOB_HANDLERS, 'EXECUTE_FLOW', async () => {
+            throw instanceLockedError('instance-1', 'node-b');
+        });
+        mock.method(jobQueueModel, 'raw', async () => [{ id: 'job-1' }]);
+
+        await flowExecutorJob.runJob({
+            id: 'job-1',
+            job_type: 'EXECUTE_FLOW',
+            payload: { flowInstanceId: 'instance-1' },
+            attempt_number: 2,
+            max_attempts: 3,
+            locked_by: 'node-a'
+        });
+
+        const [sql, values] = jobQueueModel.raw.mock.calls[0].arguments;
+        assert.match(sql, /status = \$3/);
+        assert.equal(values[2], 'PENDING');
+        assert.ok(!sql.includes('attempt_number'));
+    });
+});
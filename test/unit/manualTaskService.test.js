@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { manualTasksModel } = require('../../src/models');
+const manualTaskService = require('../../src/services/manualTaskService');
+const executionService = require('../../src/services/executionService');
+const approvalService = require('../../src/services/approvalService');
+const alertService = require('../../src/services/alertService');
+
+const OPERATOR = { id: 'user-operator', username: 'operator', permissions: ['instances:*'] };
+const SUPERVISOR = { id: 'user-supervisor', username: 'supervisor', permissions: ['instances:*', 'reversals:request'] };
+
+const claimedTask = (overrides = {}) => ({
+    id: 'task-1',
+    flow_instance_id: 'instance-1',
+    source: 'MANUAL_STEP',
+    reason: 'Check the beneficiary',
+    status: 'CLAIMED',
+    claimed_by: OPERATOR.id,
+    claimed_by_name: OPERATOR.username,
+    claim_expires_at: new Date(Date.now() + 60000),
+    ...overrides
+});
+
+describe('manualTaskService claims', () => {
+    let task;
+
+    beforeEach(() => {
+        task = claimedTask();
+        mock.method(manualTasksModel, 'findById', async () => task);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reports a task claimed by someone else as a conflict', async () => {
+        mock.method(manualTasksModel, 'raw', async () => []);
+
+        await assert.rejects(manualTaskService.claimTask('task-1', SUPERVISOR), (error) => {
+            assert.equal(error.statusCode, 409);
+            assert.equal(error.code, 'TASK_CLAIMED');
+            assert.match(error.message, /operator/);
+            return true;
+        });
+    });
+
+    it('requires a claim before a task is decided', async () => {
+        task = claimedTask({ status: 'OPEN', claimed_by: null });
+        mock.method(manualTasksModel, 'raw', async () => []);
+        mock.method(executionService, 'resolveManualIntervention', async () => ({}));
+
+        await assert.rejects(manualTaskService.decideTask('task-1', OPERATOR, { outcome: 'CONTINUE' }), (error) => {
+            assert.equal(error.code, 'TASK_NOT_CLAIMED');
+            return true;
+        });
+        assert.equal(executionService.resolveManualIntervention.mock.callCount(), 0);
+    });
+
+    it('asks the user to claim again once the claim expired', async () => {
+        task = claimedTask({ claim_expires_at: new Date(Date.now() - 1000) });
+        mock.method(manualTasksModel, 'raw', async () => []);
+
+        await assert.rejects(manualTaskService.decideTask('task-1', OPERATOR, { outcome: 'FAIL' }), (error) => {
+            assert.equal(error.code, 'CLAIM_EXPIRED');
+            return true;
+        });
+    });
+});
+
+describe('manualTaskService.decideTask', () => {
+    let statements;
+
+    beforeEach(() => {
+        statements = [];
+        mock.method(manualTasksModel, 'raw', async (sql, values) => {
+            statements.push({ sql, values });
+            return [claimedTask({ status: 'COMPLETED', outcome: values[2] })];
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('closes the task and resolves the instance with the chosen transition', async () => {
+        mock.method(executionService, 'resolveManualIntervention', async () => ({ instanceId: 'instance-1', status: 'COMPLETED' }));
+
+        await manualTaskService.decideTask('task-1', OPERATOR, { outcome: 'TRANSITION', transitionId: 'transition-1', comment: 'Verified' });
+
+        const [instanceId, decision] = executionService.resolveManualIntervention.mock.calls[0].arguments;
+        assert.equal(instanceId, 'instance-1');
+        assert.deepEqual(decision, { outcome: 'TRANSITION', transitionId: 'transition-1', comment: 'Verified', decidedBy: OPERATOR.id });
+
+        assert.match(statements[0].sql, /claimed_by = \$5 AND claim_expires_at > NOW\(\)/);
+        assert.equal(JSON.parse(statements.at(-1).values[1]).status, 'COMPLETED');
+    });
+
+    it('puts the claim back when the outcome is refused', async () => {
+        mock.method(executionService, 'resolveManualIntervention', async () => {
+            const error = new Error('Transition does not leave the parked step');
+            error.statusCode = 400;
+            throw error;
+        });
+
+        await assert.rejects(
+            manualTaskService.decideTask('task-1', OPERATOR, { outcome: 'TRANSITION', transitionId: 'transition-x' }),
+            (error) => error.statusCode === 400
+        );
+        assert.equal(statements.at(-1).values[1], 'CLAIMED');
+    });
+
+    it('records a failure while the flow runs on in the task result', async () => {
+        mock.method(executionService, 'resolveManualIntervention', async () => {
+            throw new Error('Connection reset');
+        });
+
+        await manualTaskService.decideTask('task-1', OPERATOR, { outcome: 'CONTINUE' });
+
+        assert.deepEqual(JSON.parse(statements.at(-1).values[1]), { status: 'FAILED', error: 'Connection reset' });
+    });
+
+    it('requires reversals:request to choose REVERSE', async () => {
+        mock.method(approvalService, 'requestReversal', async () => ({}));
+
+        await assert.rejects(manualTaskService.decideTask('task-1', OPERATOR, { outcome: 'REVERSE' }), (error) => {
+            assert.equal(error.statusCode, 403);
+            return true;
+        });
+        assert.equal(approvalService.requestReversal.mock.callCount(), 0);
+        assert.equal(statements.length, 0);
+    });
+
+    it('submits a reversal for approval linked to the task', async () => {
+        mock.method(approvalService, 'requestReversal', async () => ({ id: 'approval-1', status: 'PENDING' }));
+
+        await manualTaskService.decideTask('task-1', { ...SUPERVISOR, id: OPERATOR.id }, { outcome: 'REVERSE', comment: 'Debit never settled' });
+
+        const [instanceId, operation] = approvalService.requestReversal.mock.calls[0].arguments;
+        assert.equal(instanceId, 'instance-1');
+        assert.deepEqual(operation, { reversalType: 'FULL_REVERSAL', reason: 'Debit never settled', taskId: 'task-1' });
+        assert.deepEqual(JSON.parse(statements.at(-1).values[1]), { approvalId: 'approval-1', status: 'PENDING' });
+    });
+});
+
+describe('manualTaskService.checkTaskDeadlines', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('raises one alert per kind for released claims and escalated tasks', async () => {
+        mock.method(manualTasksModel, 'raw', async (sql) => {
+            if (sql.includes('escalated_at = NOW()')) {
+                return [{ id: 'task-2' }, { id: 'task-3' }];
+            }
+            return [{ id: 'task-1', claimed_by_name: 'operator' }];
+        });
+        mock.method(alertService, 'triggerAlert', async () => []);
+
+        const result = await manualTaskService.checkTaskDeadlines();
+
+        assert.deepEqual(result, { released: 1, escalated: 2 });
+        const events = alertService.triggerAlert.mock.calls.map(c => [c.arguments[0], c.arguments[1].value]);
+        assert.deepEqual(events, [['MANUAL_TASK_CLAIM_EXPIRED', 1], ['MANUAL_TASK_SLA_BREACHED', 2]]);
+    });
+
+    it('stays quiet when nothing is overdue', async () => {
+        mock.method(manualTasksModel, 'raw', async () => []);
+        mock.method(alertService, 'triggerAlert', async () => []);
+
+        await manualTaskService.checkTaskDeadlines();
+
+        assert.equal(alertService.triggerAlert.mock.callCount(), 0);
+    });
+});
+
+describe('manualTaskService.getTaskOutcomes', () => {
+    it('offers continue, each outgoing transition, fail and reverse', () => {
+        const flowDef = {
+            stepGraph: {
+                'step-review': { step: { id: 'step-review' }, outgoing: [{ id: 'transition-1', to_step_id: 'step-credit', transition_name: 'Approved', transition_type: 'SUCCESS' }] },
+                'step-credit': { step: { id: 'step-credit', step_code: 'FTC', step_name: 'Credit' }, outgoing: [] }
+            }
+        };
+
+        const outcomes = manualTaskService.getTaskOutcomes(flowDef, 'step-review');
+
+        assert.deepEqual(outcomes.map(o => o.outcome), ['CONTINUE', 'TRANSITION', 'FAIL', 'REVERSE']);
+        assert.equal(outcomes[1].transitionId, 'transition-1');
+        assert.equal(outcomes[1].toStepCode, 'FTC');
+        assert.equal(outcomes[1].toStepName, 'Credit');
+    });
+});
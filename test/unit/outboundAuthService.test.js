@@ -0,0 +1,171 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const outboundAuthService = require('../../src/services/outboundAuthService');
+
+const api = (authType, authConfig) => ({
+    id: `api-${authType}`,
+    api_code: 'PARTNER',
+    base_url: 'https://partner.example.com',
+    auth_type: authType,
+    auth_config: authConfig
+});
+
+const invalidConfig = (pattern) => (error) => {
+    assert.equal(error.code, 'AUTH_CONFIG_INVALID');
+    assert.match(error.message, pattern);
+    return true;
+};
+
+describe('outboundAuthService static credentials', () => {
+    let secretDir;
+
+    before(() => {
+        secretDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-auth-'));
+        fs.writeFileSync(path.join(secretDir, 'password'), 'file-password\n');
+        process.env.PARTNER_API_KEY = 'env-api-key';
+    });
+
+    after(() => {
+        fs.rmSync(secretDir, { recursive: true, force: true });
+        delete process.env.PARTNER_API_KEY;
+    });
+
+    it('sends an API key from the environment in a header', async () => {
+        const options = await outboundAuthService.getAuthOptions(api('API_KEY', { apiKey: { value: 'env:PARTNER_API_KEY', header: 'X-Partner-Key' } }));
+
+        assert.deepEqual(options.headers, { 'X-Partner-Key': 'env-api-key' });
+        assert.equal(options.httpsAgent, undefined);
+    });
+
+    it('can send the API key as a query parameter', async () => {
+        const options = await outboundAuthService.getAuthOptions(api('API_KEY', { apiKey: { value: 'env:PARTNER_API_KEY', queryParam: 'key' } }));
+
+        assert.deepEqual(options.params, { key: 'env-api-key' });
+        assert.deepEqual(options.headers, {});
+    });
+
+    it('builds HTTP Basic credentials with a password from a secret file', async () => {
+        const options = await outboundAuthService.getAuthOptions(api('BASIC', {
+            basic: { username: 'orchestrator', password: `file:${path.join(secretDir, 'password')}` }
+        }));
+
+        assert.equal(options.headers.Authorization, `Basic ${Buffer.from('orchestrator:file-password').toString('base64')}`);
+    });
+
+    it('refuses plaintext secrets in auth_config', async () => {
+        await assert.rejects(
+            outboundAuthService.getAuthOptions(api('API_KEY', { apiKey: { value: 'hard-coded-key' } })),
+            invalidConfig(/env: or file: reference/)
+        );
+    });
+
+    it('reports an unset environment variable', async () => {
+        await assert.rejects(
+            outboundAuthService.getAuthOptions(api('BASIC', { basic: { username: 'orchestrator', password: 'env:PARTNER_UNSET_PASSWORD' } })),
+            invalidConfig(/PARTNER_UNSET_PASSWORD/)
+        );
+    });
+
+    it('requires client certificate files for mutual TLS', async () => {
+        await assert.rejects(
+            outboundAuthService.getAuthOptions(api('MTLS', { tls: { certFile: path.join(secretDir, 'missing.crt'), keyFile: path.join(secretDir, 'missing.key') } })),
+            invalidConfig(/tls\.certFile could not be read/)
+        );
+        await assert.rejects(outboundAuthService.getAuthOptions(api('MTLS', {})), invalidConfig(/certFile and tls\.keyFile are required/));
+    });
+
+    it('refuses an unknown auth_type', async () => {
+        await assert.rejects(outboundAuthService.getAuthOptions(api('DIGEST', {})), invalidConfig(/unsupported auth_type DIGEST/));
+    });
+});
+
+describe('outboundAuthService OAuth2 client credentials', () => {
+    const oauthApi = api('OAUTH2_CLIENT_CREDENTIALS', {
+        oauth2: { tokenUrl: 'https://auth.example.com/token', clientId: 'orchestrator', clientSecret: 'env:PARTNER_CLIENT_SECRET', scope: 'payments' }
+    });
+    let tokenRequests;
+    let expiresIn;
+    let apiStatuses;
+
+    beforeEach(() => {
+        process.env.PARTNER_CLIENT_SECRET = 'client-secret';
+        tokenRequests = [];
+        expiresIn = 3600;
+        apiStatuses = [];
+        outboundAuthService.clearAuthCache();
+
+        mock.method(axios, 'request', async (request) => {
+            if (request.url === 'https://auth.example.com/token') {
+                tokenRequests.push(request);
+                return { status: 200, data: { access_token: `token-${tokenRequests.length}`, token_type: 'bearer', expires_in: expiresIn } };
+            }
+
+            const status = apiStatuses.shift() || 200;
+            if (status !== 200) {
+                const error = new Error(`Request failed with status code ${status}`);
+                error.response = { status, data: {} };
+                throw error;
+            }
+            return { status, data: { authorization: request.headers.Authorization } };
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete process.env.PARTNER_CLIENT_SECRET;
+    });
+
+    it('requests a token with the client credentials and reuses it', async () => {
+        const [first, second] = await Promise.all([
+            outboundAuthService.getAuthOptions(oauthApi),
+            outboundAuthService.getAuthOptions(oauthApi)
+        ]);
+        const third = await outboundAuthService.getAuthOptions(oauthApi);
+
+        assert.equal(tokenRequests.length, 1);
+        assert.equal(first.headers.Authorization, 'Bearer token-1');
+        assert.equal(second.headers.Authorization, 'Bearer token-1');
+        assert.equal(third.headers.Authorization, 'Bearer token-1');
+
+        const form = new URLSearchParams(tokenRequests[0].data);
+        assert.equal(form.get('grant_type'), 'client_credentials');
+        assert.equal(form.get('scope'), 'payments');
+        assert.equal(tokenRequests[0].headers.Authorization, `Basic ${Buffer.from('orchestrator:client-secret').toString('base64')}`);
+    });
+
+    it('refreshes a token that is about to expire', async () => {
+        expiresIn = 30;
+
+        await outboundAuthService.getAuthOptions(oauthApi);
+        const options = await outboundAuthService.getAuthOptions(oauthApi);
+
+        assert.equal(tokenRequests.length, 2);
+        assert.equal(options.headers.Authorization, 'Bearer token-2');
+    });
+
+    it('retries once with a new token when the API answers 401', async () => {
+        await outboundAuthService.getAuthOptions(oauthApi);
+        apiStatuses = [401];
+
+        const response = await outboundAuthService.callExternalApi(oauthApi, { method: 'POST', url: 'https://partner.example.com/transfer', headers: {} });
+
+        assert.equal(response.data.authorization, 'Bearer token-2');
+        assert.equal(tokenRequests.length, 2);
+    });
+
+    it('does not retry a 401 for other schemes', async () => {
+        process.env.PARTNER_API_KEY = 'env-api-key';
+        apiStatuses = [401];
+
+        await assert.rejects(
+            outboundAuthService.callExternalApi(api('API_KEY', { apiKey: { value: 'env:PARTNER_API_KEY' } }), { method: 'GET', url: 'https://partner.example.com/ping' }),
+            (error) => error.response.status === 401
+        );
+        delete process.env.PARTNER_API_KEY;
+    });
+});
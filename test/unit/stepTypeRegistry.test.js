@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Only the registry: the built-ins must not depend on executionService having been required first
+const stepTypeRegistry = require('../../src/services/stepTypeRegistry');
+
+describe('stepTypeRegistry built-in step types', () => {
+    it('are registered before the first lookup', () => {
+        assert.equal(stepTypeRegistry.isRegisteredStepType('API_CALL'), true);
+        assert.equal(stepTypeRegistry.getStepType('timer').type, 'TIMER');
+        assert.ok(stepTypeRegistry.listStepTypes().some(t => t.type === 'MANUAL' && t.source === 'builtin'));
+    });
+
+    it('cannot be replaced by a plugin without override', () => {
+        assert.throws(
+            () => stepTypeRegistry.registerStepType('END', { execute: () => ({}) }),
+            /already registered: END/
+        );
+    });
+});
+
+describe('stepTypeRegistry.loadPlugins', () => {
+    let pluginsDir;
+
+    before(() => {
+        pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'step-plugins-'));
+        fs.writeFileSync(path.join(pluginsDir, 'a_broken.js'), "throw new Error('syntax slip');\n");
+        fs.writeFileSync(path.join(pluginsDir, 'b_sms.js'), `module.exports = {
+            type: 'SMS_NOTIFY_TEST',
+            execute: async ({ payload }) => ({ status: 'COMPLETED', outputPayload: payload })
+        };\n`);
+    });
+
+    after(() => {
+        fs.rmSync(pluginsDir, { recursive: true, force: true });
+    });
+
+    it('skips a plugin that fails to load and loads the rest', () => {
+        const loaded = stepTypeRegistry.loadPlugins(pluginsDir);
+
+        assert.deepEqual(loaded, ['b_sms.js']);
+        assert.equal(stepTypeRegistry.getStepType('SMS_NOTIFY_TEST').source, 'b_sms.js');
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateTsqResponse, TSQ_STATUSES, MAX_TSQ_RETRIES } = require('../../src/services/tsqService');
+
+describe('tsqService.evaluateTsqResponse', () => {
+    it('treats 000 with an approval code as a successful transaction', () => {
+        const result = evaluateTsqResponse('000', '000', 1);
+
+        assert.equal(result.status, TSQ_STATUSES.SUCCESS);
+        assert.equal(result.finalResult, 'SUCCESS');
+        assert.equal(result.shouldRetry, false);
+    });
+
+    it('retries 381 (not found) until the last attempt', () => {
+        for (let attempt = 1; attempt < MAX_TSQ_RETRIES; attempt++) {
+            const result = evaluateTsqResponse('381', null, attempt);
+            assert.equal(result.status, TSQ_STATUSES.PENDING);
+            assert.equal(result.shouldRetry, true);
+        }
+
+        const last = evaluateTsqResponse('381', null, MAX_TSQ_RETRIES);
+        assert.equal(last.status, TSQ_STATUSES.NOT_FOUND);
+        assert.equal(last.finalResult, 'NOT_FOUND');
+        assert.equal(last.shouldRetry, false);
+    });
+
+    it('treats 000/381 like a 381 action code', () => {
+        assert.equal(evaluateTsqResponse('000', '381', 1).shouldRetry, true);
+        assert.equal(evaluateTsqResponse('000', '381', MAX_TSQ_RETRIES).status, TSQ_STATUSES.NOT_FOUND);
+    });
+
+    it('retries 000/990 (pending) and then asks for a manual check', () => {
+        const pending = evaluateTsqResponse('000', '990', 1);
+        assert.equal(pending.status, TSQ_STATUSES.PENDING);
+        assert.equal(pending.shouldRetry, true);
+
+        const last = evaluateTsqResponse('000', '990', MAX_TSQ_RETRIES);
+        assert.equal(last.status, TSQ_STATUSES.PENDING);
+        assert.equal(last.finalResult, 'MANUAL_CHECK_REQUIRED');
+        assert.equal(last.shouldRetry, false);
+    });
+
+    it('fails 999 as a validation error without retrying', () => {
+        const result = evaluateTsqResponse('999', null, 1);
+
+        assert.equal(result.status, TSQ_STATUSES.FAILED);
+        assert.equal(result.finalResult, 'VALIDATION_ERROR');
+        assert.equal(result.shouldRetry, false);
+    });
+
+    it('fails any other code', () => {
+        const result = evaluateTsqResponse('912', null, 1);
+
+        assert.equal(result.status, TSQ_STATUSES.FAILED);
+        assert.equal(result.finalResult, 'FAILED');
+        assert.match(result.description, /912/);
+    });
+
+    it('does not treat 000 without an approval code as success', () => {
+        assert.notEqual(evaluateTsqResponse('000', null, 1).status, TSQ_STATUSES.SUCCESS);
+    });
+});
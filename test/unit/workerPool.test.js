@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const pool = require('../../src/config/database');
+const flowExecutorJob = require('../../src/jobs/flowExecutorJob');
+const { createWorkerPool, NOTIFY_CHANNEL } = require('../../src/jobs/workerPool');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Fake job queue: claimJobs hands out queued jobs, runJob resolves when the test finishes the job
+ */
+const createFakeQueue = () => {
+    const queued = [];
+    const finishers = new Map();
+    const claims = [];
+
+    mock.method(flowExecutorJob, 'claimJobs', async ({ jobTypes, limit }) => {
+        claims.push({ jobTypes, limit });
+        const claimed = [];
+        for (let i = 0; i < queued.length && claimed.length < limit;) {
+            if (jobTypes.includes(queued[i].job_type)) {
+                claimed.push(...queued.splice(i, 1));
+            } else {
+                i++;
+            }
+        }
+        return claimed;
+    });
+    mock.method(flowExecutorJob, 'runJob', (job) => new Promise(resolve => finishers.set(job.id, resolve)));
+    mock.method(flowExecutorJob, 'renewLeases', async (jobIds) => jobIds.map(id => ({ id })));
+
+    let nextId = 1;
+    return {
+        claims,
+        add: (jobType) => {
+            const job = { id: `job-${nextId++}`, job_type: jobType };
+            queued.push(job);
+            return job;
+        },
+        finish: (jobId) => finishers.get(jobId)(),
+        running: () => [...finishers.keys()],
+        queued
+    };
+};
+
+describe('workerPool', () => {
+    let client;
+    let queue;
+    let workers;
+
+    beforeEach(() => {
+        client = new EventEmitter();
+        client.query = mock.fn(async () => ({ rows: [] }));
+        client.release = mock.fn();
+        mock.method(pool, 'connect', async () => client);
+        queue = createFakeQueue();
+    });
+
+    afterEach(async () => {
+        if (workers) {
+            await workers.stop({ timeoutMs: 10 });
+        }
+        mock.restoreAll();
+    });
+
+    it('listens on the job_queue channel', async () => {
+        workers = createWorkerPool({ jobTypes: ['EXECUTE_FLOW'], pollIntervalMs: 60000 });
+        await workers.start();
+
+        assert.equal(client.query.mock.calls[0].arguments[0], `LISTEN ${NOTIFY_CHANNEL}`);
+        assert.equal(workers.getStats().listening, true);
+    });
+
+    it('claims a job as soon as it is notified', async () => {
+        workers = createWorkerPool({ jobTypes: ['EXECUTE_FLOW'], pollIntervalMs: 60000 });
+        await workers.start();
+        await tick();
+
+        const job = queue.add('EXECUTE_FLOW');
+        client.emit('notification', { channel: NOTIFY_CHANNEL, payload: JSON.stringify({ id: job.id, jobType: 'EXECUTE_FLOW' }) });
+        await tick();
+
+        assert.deepEqual(queue.running(), [job.id]);
+    });
+
+    it('limits running jobs per job type and refills slots as jobs finish', async () => {
+        queue.add('EXECUTE_FLOW');
+        queue.add('EXECUTE_FLOW');
+        queue.add('EXECUTE_FLOW');
+        queue.add('RESUME_FLOW');
+
+        workers = createWorkerPool({
+            jobTypes: ['EXECUTE_FLOW', 'RESUME_FLOW'],
+            concurrency: { EXECUTE_FLOW: 2, RESUME_FLOW: 1 },
+            pollIntervalMs: 60000
+        });
+        await workers.start();
+        await tick();
+
+        assert.deepEqual(queue.running().sort(), ['job-1', 'job-2', 'job-4']);
+        assert.deepEqual(workers.getStats().jobTypes, [
+            { jobType: 'EXECUTE_FLOW', concurrency: 2, running: 2 },
+            { jobType: 'RESUME_FLOW', concurrency: 1, running: 1 }
+        ]);
+
+        queue.finish('job-1');
+        await tick();
+        await tick();
+
+        assert.ok(queue.running().includes('job-3'));
+        assert.equal(queue.queued.length, 0);
+    });
+
+    it('waits for jobs that are not due yet', async () => {
+        workers = createWorkerPool({ jobTypes: ['RESUME_FLOW'], pollIntervalMs: 60000 });
+        await workers.start();
+        await tick();
+        const claimsBefore = queue.claims.length;
+
+        workers.wake('RESUME_FLOW', new Date(Date.now() + 50).toISOString());
+        await tick();
+        assert.equal(queue.claims.length, claimsBefore);
+
+        await new Promise(resolve => setTimeout(resolve, 80));
+        assert.equal(queue.claims.length, claimsBefore + 1);
+    });
+
+    it('renews leases of running jobs with heartbeats', async () => {
+        queue.add('EXECUTE_FLOW');
+        workers = createWorkerPool({ jobTypes: ['EXECUTE_FLOW'], leaseMs: 60, pollIntervalMs: 60000 });
+        await workers.start();
+        await tick();
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const renewals = flowExecutorJob.renewLeases.mock.calls;
+        assert.ok(renewals.length > 0);
+        assert.deepEqual(renewals[0].arguments[0], ['job-1']);
+    });
+
+    it('drains running jobs on stop and claims nothing new', async () => {
+        const job = queue.add('EXECUTE_FLOW');
+        workers = createWorkerPool({ jobTypes: ['EXECUTE_FLOW'], pollIntervalMs: 60000 });
+        await workers.start();
+        await tick();
+
+        const stopping = workers.stop({ timeoutMs: 1000 });
+        queue.add('EXECUTE_FLOW');
+        client.emit('notification', { channel: NOTIFY_CHANNEL, payload: JSON.stringify({ jobType: 'EXECUTE_FLOW' }) });
+        queue.finish(job.id);
+
+        assert.deepEqual(await stopping, { drained: true, remaining: 0 });
+        assert.deepEqual(queue.running(), [job.id]);
+        assert.equal(client.release.mock.callCount(), 1);
+        workers = null;
+    });
+
+    it('reports jobs still running when the drain times out', async () => {
+        queue.add('EXECUTE_FLOW');
+        workers = createWorkerPool({ jobTypes: ['EXECUTE_FLOW'], pollIntervalMs: 60000 });
+        await workers.start();
+        await tick();
+
+        assert.deepEqual(await workers.stop({ timeoutMs: 20 }), { drained: false, remaining: 1 });
+        workers = null;
+    });
+});
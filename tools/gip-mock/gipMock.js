@@ -0,0 +1,427 @@
+/**
+ * GIP Mock
+ * In-memory stand-in for the GIP API: NEC (230), FTD (241), FTC (240) and TSQ (111)
+ *
+ * FTD/FTC answer 001 right away and post the final result to the request's callbackUrl
+ * after the scenario's callback delay. Every FTD/FTC is kept so TSQ can report it later.
+ * /debit and /credit take the same contracts (the orchestrator posts reversals there).
+ */
+
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const { buildScenario, mergeOperation, PRESETS } = require('./scenarios');
+
+const FUNCTION_CODES = {
+    NEC: '230',
+    FTD: '241',
+    FTC: '240',
+    TSQ: '111'
+};
+
+const TRANSACTION_STATUSES = {
+    PENDING: 'PENDING',
+    SUCCESS: 'SUCCESS',
+    FAILED: 'FAILED'
+};
+
+// Fields every request must carry, per operation
+const REQUIRED_FIELDS = {
+    nec: ['sessionId', 'trackingNumber', 'functionCode', 'accountToCredit'],
+    ftd: ['sessionId', 'trackingNumber', 'functionCode', 'accountToDebit', 'accountToCredit', 'amount'],
+    ftc: ['sessionId', 'trackingNumber', 'functionCode', 'accountToDebit', 'accountToCredit', 'amount'],
+    tsq: ['sessionId', 'functionCode']
+};
+
+const OPERATION_FUNCTION_CODES = {
+    nec: FUNCTION_CODES.NEC,
+    ftd: FUNCTION_CODES.FTD,
+    ftc: FUNCTION_CODES.FTC,
+    tsq: FUNCTION_CODES.TSQ
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Six digit approval code, as GIP returns on success
+ */
+const generateApprovalCode = () => String(crypto.randomInt(100000, 1000000));
+
+/**
+ * Signature headers for a callback body, as GIP signs them: HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const signCallback = (secret, body) => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return { 'X-Signature-Timestamp': timestamp, 'X-Signature': `sha256=${digest}` };
+};
+
+/**
+ * Request body matches every field of a rule (a list allows any of its values)
+ */
+const matchesRule = (rule, body) => Object.entries(rule.match || {}).every(([field, expected]) => {
+    const values = Array.isArray(expected) ? expected : [expected];
+    return body[field] !== undefined && values.map(String).includes(String(body[field]));
+});
+
+/**
+ * Create a mock GIP service
+ * options.scenario:    preset name or scenario object (default 'success')
+ * options.callbackUrl: where callbacks go when a request carries no callbackUrl
+ * options.callbackHeaders: extra headers sent with every callback
+ * options.callbackSecret: shared secret that signs every callback (X-Signature, X-Signature-Timestamp)
+ * options.accounts:    { accountNumber: name } answered by NEC; other accounts get a generated name
+ * options.logger:      object with info/warn (default console)
+ * Returns { router, setScenario, getScenario, getTransactions, sendCallback, reset, close }
+ */
+const createGipMock = (options = {}) => {
+    const logger = options.logger || console;
+    const accounts = options.accounts || {};
+    const transactions = [];
+    const timers = new Set();
+    let scenario = buildScenario(options.scenario || 'success');
+
+    /**
+     * Settings for one operation: scenario defaults, then the first matching rule
+     */
+    const resolveOperation = (operation, body) => {
+        const settings = mergeOperation(scenario[operation], {});
+        const rule = scenario.rules.find(r => r[operation] && matchesRule(r, body));
+        return rule ? mergeOperation(settings, rule[operation]) : settings;
+    };
+
+    /**
+     * Apply latency, then answer with the operation's HTTP status or the GIP body
+     */
+    const reply = async (res, settings, body) => {
+        const latencyMs = settings.latencyMs ?? scenario.latencyMs;
+        if (latencyMs > 0) {
+            await sleep(latencyMs);
+        }
+        if (settings.httpStatus) {
+            return res.status(settings.httpStatus).json({ error: `GIP mock: HTTP ${settings.httpStatus}` });
+        }
+        return res.json(body);
+    };
+
+    /**
+     * 999 response when required fields are missing or the function code is wrong
+     */
+    const validateRequest = (operation, body) => {
+        const functionCode = OPERATION_FUNCTION_CODES[operation];
+        const missing = REQUIRED_FIELDS[operation].filter(field => body[field] === undefined || body[field] === '');
+        if (missing.length > 0) {
+            return `Missing required fields: ${missing.join(', ')}`;
+        }
+        if (String(body.functionCode) !== functionCode) {
+            return `Expected functionCode ${functionCode}, got ${body.functionCode}`;
+        }
+        return null;
+    };
+
+    const validationError = (body, message) => ({
+        sessionId: body.sessionId,
+        trackingNumber: body.trackingNumber,
+        functionCode: body.functionCode,
+        actionCode: '999',
+        approvalCode: message
+    });
+
+    /**
+     * Latest transaction for a session (narrowed by tracking number when given)
+     */
+    const findTransaction = (sessionId, trackingNumber) => {
+        for (let i = transactions.length - 1; i >= 0; i--) {
+            const txn = transactions[i];
+            if (txn.sessionId === sessionId && (!trackingNumber || txn.trackingNumber === trackingNumber)) {
+                return txn;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Post a transaction's result to its callback URL
+     */
+    const sendCallback = async (txn, overrides = {}) => {
+        const url = txn.callbackUrl || options.callbackUrl;
+        const { callbackUrl, ...request } = txn.request;
+        const payload = {
+            ...request,
+            actionCode: overrides.actionCode || txn.actionCode,
+            approvalCode: overrides.approvalCode || txn.approvalCode,
+            functionCode: txn.functionCode
+        };
+
+        const attempt = { url, sentAt: new Date().toISOString(), actionCode: payload.actionCode };
+        txn.callbacks.push(attempt);
+
+        if (!url) {
+            attempt.error = 'No callback URL';
+            logger.warn('GIP mock callback skipped: no callback URL', { sessionId: txn.sessionId });
+            return attempt;
+        }
+
+        try {
+            const body = JSON.stringify(payload);
+            const headers = {
+                'Content-Type': 'application/json',
+                ...options.callbackHeaders,
+                ...(options.callbackSecret ? signCallback(options.callbackSecret, body) : {})
+            };
+            const response = await axios.post(url, body, { timeout: 10000, headers });
+            attempt.httpStatus = response.status;
+            logger.info('GIP mock callback sent', { sessionId: txn.sessionId, url, actionCode: payload.actionCode });
+        } catch (error) {
+            attempt.httpStatus = error.response?.status || null;
+            attempt.error = error.message;
+            logger.warn('GIP mock callback failed', { sessionId: txn.sessionId, url, error: error.message });
+        }
+
+        return attempt;
+    };
+
+    /**
+     * Settle a transfer after the callback delay and post it back (unless the scenario holds it)
+     */
+    const scheduleSettlement = (txn, callbackSettings) => {
+        const delayMs = callbackSettings.delayMs ?? scenario.callbackDelayMs;
+
+        const timer = setTimeout(async () => {
+            timers.delete(timer);
+
+            txn.actionCode = callbackSettings.actionCode;
+            txn.approvalCode = callbackSettings.approvalCode ||
+                (callbackSettings.actionCode === '000' ? generateApprovalCode() : callbackSettings.actionCode);
+            txn.status = callbackSettings.actionCode === '000'
+                ? TRANSACTION_STATUSES.SUCCESS
+                : TRANSACTION_STATUSES.FAILED;
+            txn.settledAt = new Date().toISOString();
+
+            if (callbackSettings.send !== false) {
+                await sendCallback(txn);
+            }
+        }, delayMs);
+
+        timer.unref?.();
+        timers.add(timer);
+    };
+
+    /**
+     * NEC: account name lookup
+     */
+    const handleNec = async (req, res) => {
+        const body = req.body || {};
+        const settings = resolveOperation('nec', body);
+
+        const invalid = validateRequest('nec', body);
+        if (invalid) {
+            return reply(res, settings, validationError(body, invalid));
+        }
+
+        const found = settings.actionCode === '000';
+        return reply(res, settings, {
+            ...body,
+            actionCode: settings.actionCode,
+            approvalCode: settings.approvalCode || (found ? generateApprovalCode() : settings.actionCode),
+            nameToCredit: found
+                ? accounts[body.accountToCredit] || `MOCK ACCOUNT ${String(body.accountToCredit).slice(-4)}`
+                : undefined
+        });
+    };
+
+    /**
+     * FTD/FTC: accept (001) and settle asynchronously, or fail right away
+     */
+    const handleTransfer = (operation) => async (req, res) => {
+        const body = req.body || {};
+        const settings = resolveOperation(operation, body);
+
+        const invalid = validateRequest(operation, body);
+        if (invalid) {
+            return reply(res, settings, validationError(body, invalid));
+        }
+
+        const txn = {
+            sessionId: body.sessionId,
+            trackingNumber: body.trackingNumber,
+            operation: operation.toUpperCase(),
+            functionCode: body.functionCode,
+            amount: body.amount,
+            callbackUrl: body.callbackUrl || null,
+            request: body,
+            status: TRANSACTION_STATUSES.PENDING,
+            actionCode: settings.actionCode,
+            approvalCode: settings.approvalCode || null,
+            receivedAt: new Date().toISOString(),
+            settledAt: null,
+            callbacks: []
+        };
+
+        if (!settings.httpStatus) {
+            transactions.push(txn);
+
+            if (settings.actionCode === '001') {
+                scheduleSettlement(txn, settings.callback || {});
+            } else {
+                txn.status = settings.actionCode === '000' ? TRANSACTION_STATUSES.SUCCESS : TRANSACTION_STATUSES.FAILED;
+                txn.approvalCode = txn.approvalCode || (settings.actionCode === '000' ? generateApprovalCode() : settings.actionCode);
+                txn.settledAt = txn.receivedAt;
+            }
+        }
+
+        logger.info(`GIP mock ${txn.operation}`, { sessionId: txn.sessionId, actionCode: settings.actionCode });
+
+        return reply(res, settings, {
+            sessionId: body.sessionId,
+            trackingNumber: body.trackingNumber,
+            functionCode: body.functionCode,
+            actionCode: settings.actionCode,
+            approvalCode: settings.actionCode === '001' ? 'request being processed' : txn.approvalCode
+        });
+    };
+
+    /**
+     * TSQ: report the stored transaction
+     * settled success → 000/approvalCode, still processing → 000/990,
+     * settled failure → its action code, unknown → 381
+     */
+    const handleTsq = async (req, res) => {
+        const body = req.body || {};
+        const settings = resolveOperation('tsq', body);
+
+        const invalid = validateRequest('tsq', body);
+        if (invalid) {
+            return reply(res, settings, validationError(body, invalid));
+        }
+
+        const txn = findTransaction(body.sessionId, body.trackingNumber);
+
+        let actionCode;
+        let approvalCode;
+        if (settings.actionCode) {
+            ({ actionCode, approvalCode } = settings);
+        } else if (!txn) {
+            actionCode = '381';
+        } else if (txn.status === TRANSACTION_STATUSES.PENDING) {
+            actionCode = '000';
+            approvalCode = '990';
+        } else if (txn.status === TRANSACTION_STATUSES.SUCCESS) {
+            actionCode = '000';
+            approvalCode = txn.approvalCode;
+        } else {
+            actionCode = txn.actionCode;
+            approvalCode = txn.approvalCode;
+        }
+
+        return reply(res, settings, {
+            sessionId: body.sessionId,
+            trackingNumber: body.trackingNumber,
+            functionCode: FUNCTION_CODES.TSQ,
+            originalFunctionCode: txn?.functionCode || null,
+            actionCode,
+            approvalCode: approvalCode || null
+        });
+    };
+
+    const setScenario = (input) => {
+        scenario = buildScenario(input);
+        logger.info('GIP mock scenario set', { scenario: scenario.name });
+        return scenario;
+    };
+
+    const getScenario = () => scenario;
+
+    const getTransactions = () => transactions;
+
+    /**
+     * Forget all transactions and cancel pending settlements
+     */
+    const reset = () => {
+        close();
+        transactions.length = 0;
+    };
+
+    /**
+     * Cancel pending settlements (lets a test process exit)
+     */
+    const close = () => {
+        for (const timer of timers) {
+            clearTimeout(timer);
+        }
+        timers.clear();
+    };
+
+    const router = express.Router();
+    router.use(express.json());
+
+    // GIP contracts
+    router.post('/nec', handleNec);
+    router.post('/ftd', handleTransfer('ftd'));
+    router.post('/ftc', handleTransfer('ftc'));
+    router.post('/debit', handleTransfer('ftd'));
+    router.post('/credit', handleTransfer('ftc'));
+    router.post('/tsq', handleTsq);
+
+    // Mock control
+    router.get('/mock/scenarios', (req, res) => {
+        res.json({
+            success: true,
+            data: Object.entries(PRESETS).map(([name, preset]) => ({ name, description: preset.description }))
+        });
+    });
+
+    router.get('/mock/scenario', (req, res) => {
+        res.json({ success: true, data: scenario });
+    });
+
+    router.put('/mock/scenario', (req, res) => {
+        try {
+            const body = req.body || {};
+            const input = body.name && Object.keys(body).length === 1 ? body.name : body;
+            res.json({ success: true, data: setScenario(input) });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/mock/transactions', (req, res) => {
+        const { sessionId } = req.query;
+        res.json({
+            success: true,
+            data: sessionId ? transactions.filter(t => t.sessionId === sessionId) : transactions
+        });
+    });
+
+    router.delete('/mock/transactions', (req, res) => {
+        reset();
+        res.json({ success: true, data: { message: 'GIP mock transactions cleared' } });
+    });
+
+    // Send (or resend) a transaction's callback now, optionally with other codes
+    router.post('/mock/transactions/:sessionId/callback', async (req, res) => {
+        const txn = findTransaction(req.params.sessionId, req.body?.trackingNumber);
+        if (!txn) {
+            return res.status(404).json({ success: false, error: `No GIP mock transaction for session ${req.params.sessionId}` });
+        }
+
+        const attempt = await sendCallback(txn, req.body || {});
+        res.json({ success: true, data: attempt });
+    });
+
+    return {
+        router,
+        setScenario,
+        getScenario,
+        getTransactions,
+        sendCallback,
+        reset,
+        close
+    };
+};
+
+module.exports = {
+    createGipMock,
+    FUNCTION_CODES,
+    TRANSACTION_STATUSES
+};
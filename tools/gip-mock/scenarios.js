@@ -0,0 +1,132 @@
+/**
+ * GIP Mock Scenarios
+ * Named response scenarios for the mock GIP service
+ *
+ * A scenario sets, per operation (nec, ftd, ftc, tsq):
+ *   actionCode / approvalCode - codes of the immediate response
+ *   httpStatus                - answer with this HTTP status and no GIP body (outages)
+ *   latencyMs                 - delay before answering (overrides the scenario-wide latencyMs)
+ *   callback                  - FTD/FTC only: { actionCode, approvalCode, delayMs, send }
+ *                               send: false settles the transaction without posting it back,
+ *                               so the orchestrator times out and finds the result by TSQ
+ *   tsq                       - { actionCode, approvalCode } forces the TSQ answer instead of
+ *                               reporting the stored transaction
+ *
+ * rules: [{ match: { field: value | [values] }, nec?, ftd?, ftc?, tsq? }]
+ * The first rule whose fields all match the request body overrides the operation settings.
+ */
+
+const DEFAULT_SCENARIO = {
+    latencyMs: 0,
+    callbackDelayMs: 1000,
+    nec: { actionCode: '000' },
+    ftd: { actionCode: '001', callback: { actionCode: '000', send: true } },
+    ftc: { actionCode: '001', callback: { actionCode: '000', send: true } },
+    tsq: {},
+    rules: []
+};
+
+const PRESETS = {
+    success: {
+        description: 'Every request succeeds; FTD/FTC callbacks report 000'
+    },
+    nec_not_found: {
+        description: 'Name enquiry answers 381 (account not found)',
+        nec: { actionCode: '381' }
+    },
+    ftd_failed: {
+        description: 'FTD is accepted but its callback reports 999 (debit failed)',
+        ftd: { callback: { actionCode: '999' } }
+    },
+    ftc_failed: {
+        description: 'FTD succeeds, FTC callback reports 381 (credit failed, reversal path)',
+        ftc: { callback: { actionCode: '381' } }
+    },
+    ftd_unavailable: {
+        description: 'FTD answers 912 immediately (system unavailable, TSQ path)',
+        ftd: { actionCode: '912', callback: { send: false } }
+    },
+    callback_timeout: {
+        description: 'FTD/FTC succeed but no callback is sent; TSQ reports success',
+        ftd: { callback: { send: false } },
+        ftc: { callback: { send: false } }
+    },
+    tsq_pending: {
+        description: 'No callback is sent and TSQ keeps answering 000/990 (manual check)',
+        ftd: { callback: { send: false } },
+        ftc: { callback: { send: false } },
+        tsq: { actionCode: '000', approvalCode: '990' }
+    },
+    tsq_not_found: {
+        description: 'No callback is sent and TSQ answers 381 (transaction not found)',
+        ftd: { callback: { send: false } },
+        ftc: { callback: { send: false } },
+        tsq: { actionCode: '381' }
+    },
+    gip_down: {
+        description: 'Every GIP endpoint answers HTTP 503',
+        nec: { httpStatus: 503 },
+        ftd: { httpStatus: 503 },
+        ftc: { httpStatus: 503 },
+        tsq: { httpStatus: 503 }
+    },
+    slow: {
+        description: 'Every request succeeds after 3s; callbacks arrive after 10s',
+        latencyMs: 3000,
+        callbackDelayMs: 10000
+    }
+};
+
+const OPERATIONS = ['nec', 'ftd', 'ftc', 'tsq'];
+
+/**
+ * Merge operation settings, including the nested callback settings
+ */
+const mergeOperation = (base = {}, override = {}) => ({
+    ...base,
+    ...override,
+    ...(base.callback || override.callback
+        ? { callback: { ...(base.callback || {}), ...(override.callback || {}) } }
+        : {})
+});
+
+/**
+ * Build a full scenario from a preset name or a scenario object layered on the defaults
+ * A scenario object may name a preset to start from: { preset: 'ftc_failed', latencyMs: 200 }
+ */
+const buildScenario = (input = 'success') => {
+    const definition = typeof input === 'string' ? { preset: input } : input;
+
+    let base = {};
+    if (definition.preset) {
+        base = PRESETS[definition.preset];
+        if (!base) {
+            throw new Error(`Unknown GIP mock scenario: ${definition.preset} (available: ${Object.keys(PRESETS).join(', ')})`);
+        }
+    }
+
+    const scenario = {
+        name: definition.name || definition.preset || 'custom',
+        description: definition.description || base.description || null,
+        latencyMs: definition.latencyMs ?? base.latencyMs ?? DEFAULT_SCENARIO.latencyMs,
+        callbackDelayMs: definition.callbackDelayMs ?? base.callbackDelayMs ?? DEFAULT_SCENARIO.callbackDelayMs,
+        rules: definition.rules || base.rules || []
+    };
+
+    for (const operation of OPERATIONS) {
+        scenario[operation] = mergeOperation(
+            mergeOperation(DEFAULT_SCENARIO[operation], base[operation]),
+            definition[operation]
+        );
+    }
+
+    return scenario;
+};
+
+module.exports = {
+    DEFAULT_SCENARIO,
+    PRESETS,
+    OPERATIONS,
+    mergeOperation,
+    buildScenario
+};
@@ -0,0 +1,51 @@
+/**
+ * GIP Mock Server
+ * Standalone mock of the GIP API for running the orchestrator end to end locally
+ *
+ * Serves the GIP contracts under /api/v1 (the default GIP_BASE_URL is http://localhost:4001/api/v1)
+ */
+
+const express = require('express');
+const path = require('path');
+const { createGipMock } = require('./gipMock');
+
+// Load environment from parent orchestrator
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const orchestratorUrl = process.env.ORCHESTRATOR_BASE_URL || 'http://localhost:3002';
+const scenarioEnv = process.env.GIP_MOCK_SCENARIO || 'success';
+
+const mock = createGipMock({
+    // A JSON scenario or a preset name
+    scenario: scenarioEnv.trim().startsWith('{') ? JSON.parse(scenarioEnv) : scenarioEnv,
+    callbackUrl: `${orchestratorUrl}/api/v1/callbacks`,
+    callbackSecret: process.env.GIP_CALLBACK_SECRET
+});
+
+if (process.env.GIP_MOCK_LATENCY_MS || process.env.GIP_MOCK_CALLBACK_DELAY_MS) {
+    const scenario = mock.getScenario();
+    mock.setScenario({
+        ...scenario,
+        preset: undefined,
+        latencyMs: Number(process.env.GIP_MOCK_LATENCY_MS ?? scenario.latencyMs),
+        callbackDelayMs: Number(process.env.GIP_MOCK_CALLBACK_DELAY_MS ?? scenario.callbackDelayMs)
+    });
+}
+
+const app = express();
+app.use('/api/v1', mock.router);
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ success: true, status: 'healthy', scenario: mock.getScenario().name });
+});
+
+// Catch-all for unknown routes
+app.all('*', (req, res) => {
+    res.status(404).json({ success: false, error: `GIP mock endpoint not found: ${req.method} ${req.path}` });
+});
+
+const PORT = process.env.GIP_MOCK_PORT || 4001;
+app.listen(PORT, () => {
+    console.log(`GIP mock listening on http://localhost:${PORT}/api/v1 (scenario: ${mock.getScenario().name})`);
+});